@@ -1,38 +1,487 @@
+const { randomUUID } = require('crypto');
 const { OaiDataProcessor } = require('./processors/oaiDataProcessor');
 const { S3FileProcessor } = require('./processors/s3FileProcessor');
 const { SqsMessageProcessor } = require('./processors/sqsMessageProcessor');
 const { XmlArticleProcessor } = require('./processors/xmlArticleProcessor');
+const { HostRateLimiter } = require('./processors/hostRateLimiter');
+const { DeadLetterProcessor } = require('./processors/deadLetterProcessor');
+const { ScrapingRequestValidator } = require('./processors/scrapingRequestValidator');
+const { readIntEnv, readBooleanEnv } = require('./processors/environment');
+const { createEnvelope } = require('./processors/messageSchemaValidator');
+const { createOutputSink, getOutputSinkNames } = require('./sinks');
+const {
+  resolveCorrelationId,
+  withCorrelationScope,
+  setCorrelation,
+  getCorrelation,
+  logger,
+} = require('./processors/correlationContext');
 
 // Helper function to create error message
-const createErrorMessage = (journalKey, oaiUrl, messageType, errorCode, errorMessage) => ({
+const createErrorMessage = (
+  journalKey,
+  oaiUrl,
+  messageType,
+  errorCode,
+  errorMessage,
+  runId = null
+) => ({
   journalKey,
   oaiUrl,
   s3Url: null,
   s3Key: null,
+  // Error messages share one schema, messageType names the phase that failed
+  type: 'Error',
   messageType,
   source: 'scraping-service',
+  ...(runId && { runId }),
   success: false,
   errorCode,
   errorMessage,
   timestamp: new Date().toISOString(),
 });
 
-// Helper function to process Identify phase
+// Helper function to resolve the options of a scraping request. An option the request leaves
+// out falls back to its environment setting; maxPages, timeoutMs and pageDelayMs left undefined
+// fall back to the OAI_* settings in OaiDataProcessor.
+const resolveRequestOptions = messageData => {
+  const options = messageData.options || {};
+  // 0 (the default) means no limit
+  const maxRecords = readIntEnv('HARVEST_MAX_RECORDS', 0);
+
+  return {
+    maxPages: options.max_pages,
+    timeoutMs: options.timeout_ms,
+    pageDelayMs: options.page_delay_ms,
+    batchSize: options.batch_size || readIntEnv('ARTICLE_BATCH_SIZE', 50, { min: 1 }),
+    metadataPrefix:
+      options.metadata_prefix ||
+      messageData.metadata_prefix ||
+      process.env.HARVEST_METADATA_PREFIX ||
+      null,
+    skipIdentify: options.skip_identify ?? readBooleanEnv('HARVEST_SKIP_IDENTIFY'),
+    skipS3Archive: options.skip_s3_archive ?? readBooleanEnv('HARVEST_SKIP_S3_ARCHIVE'),
+    maxRecords: options.max_records || (maxRecords > 0 ? maxRecords : null),
+  };
+};
+
+// Helper function to describe the options a harvest effectively runs with, echoed in the
+// HarvestStarted and Identify messages
+const describeEffectiveOptions = (requestOptions, oaiProcessor, metadataPrefix) => ({
+  maxPages: oaiProcessor.maxPages,
+  timeoutMs: oaiProcessor.axiosConfig.timeout,
+  batchSize: requestOptions.batchSize,
+  pageDelayMs: oaiProcessor.pageDelayMs,
+  metadataPrefix,
+  skipIdentify: requestOptions.skipIdentify,
+  skipS3Archive: requestOptions.skipS3Archive,
+  maxRecords: requestOptions.maxRecords,
+});
+
+// Helper function to resolve the from/until range of the ListRecords phase.
+// In incremental mode the last successful harvest datestamp is used as "from".
+const resolveHarvestRange = async (s3Processor, messageData, journalKey, setSpec = null) => {
+  const { from, until, incremental } = messageData;
+
+  if (from || !incremental) {
+    return { from: from || null, until: until || null };
+  }
+
+  const harvestState = await s3Processor.loadHarvestState(journalKey, setSpec);
+  if (!harvestState?.lastHarvestDatestamp) {
+    logger.log(`No previous harvest found for journal: ${journalKey}, running full harvest`);
+    return { from: null, until: until || null };
+  }
+
+  logger.log(
+    `Incremental harvest for journal: ${journalKey}${setSpec ? ` set: ${setSpec}` : ''} from last harvest datestamp ${harvestState.lastHarvestDatestamp}`
+  );
+  return { from: harvestState.lastHarvestDatestamp, until: until || null };
+};
+
+// Helper function to remember the datestamp of a successful harvest. The state only advances
+// when the harvest covered everything since the stored datestamp: a backfill from a later
+// "from" left a gap the next incremental harvest would skip, and an earlier "until" would move
+// the state back.
+const saveHarvestState = async (s3Processor, journalKey, harvestOptions, harvestStartedAt) => {
+  const setSpec = harvestOptions.set || null;
+  const lastHarvestDatestamp = harvestOptions.until || harvestStartedAt;
+  try {
+    const previousDatestamp =
+      (await s3Processor.loadHarvestState(journalKey, setSpec))?.lastHarvestDatestamp || null;
+    if (
+      harvestOptions.from &&
+      (!previousDatestamp || Date.parse(harvestOptions.from) > Date.parse(previousDatestamp))
+    ) {
+      logger.log(
+        `Harvest of journal: ${journalKey} started from ${harvestOptions.from}, after the last harvest datestamp ${previousDatestamp || '(none)'}, harvest state not advanced`
+      );
+      return;
+    }
+    if (previousDatestamp && Date.parse(lastHarvestDatestamp) < Date.parse(previousDatestamp)) {
+      logger.log(
+        `Harvest of journal: ${journalKey} ended at ${lastHarvestDatestamp}, before the last harvest datestamp ${previousDatestamp}, harvest state kept`
+      );
+      return;
+    }
+
+    await s3Processor.saveHarvestState(
+      journalKey,
+      {
+        lastHarvestDatestamp,
+        from: harvestOptions.from || null,
+        until: harvestOptions.until || null,
+      },
+      setSpec
+    );
+  } catch (error) {
+    // The harvest itself succeeded, the next incremental run just starts earlier
+    logger.error(`Failed to save harvest state for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to create the check whether the invocation is running out of time.
+// Harvests are checkpointed and continued in a new invocation before the Lambda timeout.
+const createDeadlineCheck = context => {
+  const timeBuffer = readIntEnv('HARVEST_TIME_BUFFER_MS', 180000);
+  return () =>
+    typeof context?.getRemainingTimeInMillis === 'function' &&
+    context.getRemainingTimeInMillis() < timeBuffer;
+};
+
+// Helper function to get the Lambda time left, null when the handler runs without a context
+const getRemainingTimeFunction = context =>
+  typeof context?.getRemainingTimeInMillis === 'function'
+    ? () => context.getRemainingTimeInMillis()
+    : null;
+
+// Helper function to load the checkpoint of an interrupted harvest. A checkpoint left behind by
+// another harvest run (e.g. one that failed) is ignored, its token and range are not ours.
+const loadCheckpoint = async (s3Processor, journalKey, setSpec = null, runId = null) => {
+  const checkpoint = await s3Processor.loadCheckpoint(journalKey, setSpec);
+  // A harvest paused within its first page has no token yet, only the records sent of that page
+  if (!checkpoint?.resumptionToken && !checkpoint?.pageRecordsHandled) {
+    logger.warn(
+      `No checkpoint found for journal: ${journalKey}${setSpec ? ` set: ${setSpec}` : ''}, starting a new harvest`
+    );
+    return null;
+  }
+  if (checkpoint.runId !== runId) {
+    logger.warn(
+      `Ignoring checkpoint of harvest run ${checkpoint.runId || '(unknown)'} for journal: ${journalKey}${setSpec ? ` set: ${setSpec}` : ''}, starting a new harvest`
+    );
+    return null;
+  }
+
+  logger.log(
+    `Resuming harvest for journal: ${journalKey}${setSpec ? ` set: ${setSpec}` : ''} after page ${checkpoint.pageNumber}`
+  );
+  return checkpoint;
+};
+
+// Helper function to save the checkpoint of a harvest after a page
+const saveCheckpoint = async (s3Processor, journalKey, harvestOptions, checkpoint) => {
+  try {
+    await s3Processor.saveCheckpoint(
+      journalKey,
+      {
+        ...checkpoint,
+        from: harvestOptions.from || null,
+        until: harvestOptions.until || null,
+        granularity: harvestOptions.granularity || null,
+        metadataPrefix: harvestOptions.metadataPrefix || null,
+      },
+      harvestOptions.set || null
+    );
+  } catch (error) {
+    // Only a continuation depends on the checkpoint, so the harvest itself goes on
+    logger.error(`Failed to save harvest checkpoint for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to remove the checkpoint of a completed harvest
+const deleteCheckpoint = async (s3Processor, journalKey, setSpec = null) => {
+  try {
+    await s3Processor.deleteCheckpoint(journalKey, setSpec);
+  } catch (error) {
+    // A stale checkpoint is only used by continuation messages, which overwrite it
+    logger.error(`Failed to delete harvest checkpoint for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to re-enqueue a harvest that ran out of time on the scraping queue.
+// The continuation resumes the remaining sets, the first one from its checkpoint, and carries
+// the harvest run so it is reported as one HarvestCompleted summary.
+const enqueueContinuation = async (
+  sqsProcessor,
+  messageData,
+  remainingSetSpecs,
+  harvestSettings,
+  harvestRun = null
+) => {
+  const setSpecs = remainingSetSpecs.filter(Boolean);
+  const correlation = getCorrelation();
+  return sqsProcessor.sendContinuationMessage({
+    ...messageData,
+    ...(correlation && { correlation_id: correlation.correlationId }),
+    ...(setSpecs.length > 0 && { sets: setSpecs }),
+    base_url: harvestSettings.harvestUrl,
+    metadata_prefix: harvestSettings.metadataPrefix,
+    granularity: harvestSettings.granularity,
+    deleted_record: harvestSettings.deletedRecord,
+    list_sets: false,
+    resume: true,
+    ...(harvestRun && { harvest_run: harvestRun }),
+  });
+};
+
+// Helper function to reject a scraping request that can never be processed. The producer learns
+// about it from the InvalidRequest message, with the reasons and the request as received.
+const sendInvalidRequest = async (outputSink, requestValidator, record, request) => {
+  const { messageData, errorCode, errors } = request;
+  logger.error(`Rejecting invalid scraping request ${record.messageId}: ${errors.join('; ')}`);
+
+  await outputSink.sendMessage({
+    journalKey:
+      typeof messageData?.journal_key === 'string' && messageData.journal_key
+        ? messageData.journal_key
+        : 'unknown',
+    oaiUrl: typeof messageData?.url === 'string' ? messageData.url : null,
+    messageType: 'InvalidRequest',
+    source: 'scraping-service',
+    success: false,
+    errorCode,
+    errorMessage: `Invalid scraping request: ${errors.join('; ')}`,
+    errors,
+    request: requestValidator.truncateRequest(record.body),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Helper function to start the harvest run of a scraping message, or to continue the run
+// carried by a continuation message. A run spans every invocation of a journal harvest.
+const createHarvestRun = messageData => {
+  const carriedRun = messageData.resume ? messageData.harvest_run : null;
+  return {
+    runId: carriedRun?.runId || randomUUID(),
+    startedAt: carriedRun?.startedAt || new Date().toISOString(),
+    // Sequence number of the invocation within the run, 0 for the first one
+    continuation: carriedRun ? (carriedRun.continuation || 0) + 1 : 0,
+    stats: {
+      pages: 0,
+      records: 0,
+      batchesSent: 0,
+      batchesFailed: 0,
+      bytesDownloaded: 0,
+      ...carriedRun?.stats,
+    },
+    phases: {
+      identify: 'skipped',
+      listSets: 'skipped',
+      ...carriedRun?.phases,
+    },
+    sets: [...(carriedRun?.sets || [])],
+  };
+};
+
+// Helper function to add the bytes downloaded by this invocation to the harvest run
+const collectDownloadedBytes = (harvestRun, oaiProcessor) => {
+  harvestRun.stats.bytesDownloaded += oaiProcessor.bytesDownloaded || 0;
+  oaiProcessor.bytesDownloaded = 0;
+  return harvestRun;
+};
+
+// Helper function to record the final status of a set's ListRecords phase in the harvest run
+const recordListRecordsResult = (harvestRun, setSpec, listRecordsResult) => {
+  harvestRun.sets.push({
+    setSpec,
+    status: listRecordsResult?.success ? 'completed' : 'failed',
+    pages: listRecordsResult?.pageCount || 0,
+    records: listRecordsResult?.totalRecordsProcessed || 0,
+    errorCode: listRecordsResult
+      ? listRecordsResult.errorCode || null
+      : 'LISTRECORDS_PROCESSING_ERROR',
+  });
+};
+
+// Helper function to derive the status of the ListRecords phase and of the whole harvest run.
+// A run is completed_with_errors when some sets, pages or batches failed but others got through.
+const getHarvestRunStatus = harvestRun => {
+  const completedSets = harvestRun.sets.filter(set => set.status === 'completed').length;
+  const listRecords =
+    completedSets === harvestRun.sets.length
+      ? 'completed'
+      : completedSets === 0
+        ? 'failed'
+        : 'partial';
+
+  if (listRecords === 'failed') {
+    return { listRecords, status: 'failed' };
+  }
+  const hasErrors =
+    listRecords === 'partial' ||
+    harvestRun.phases.identify === 'failed' ||
+    harvestRun.phases.listSets === 'failed' ||
+    harvestRun.stats.batchesFailed > 0;
+  return { listRecords, status: hasErrors ? 'completed_with_errors' : 'completed' };
+};
+
+// Helper function to announce the start of a journal harvest on the integration queue
+const sendHarvestStarted = async (
+  outputSink,
+  journalKey,
+  url,
+  harvestRun,
+  messageData,
+  options = null
+) => {
+  try {
+    await outputSink.sendMessage({
+      journalKey,
+      oaiUrl: url,
+      messageType: 'HarvestStarted',
+      source: 'scraping-service',
+      runId: harvestRun.runId,
+      startedAt: harvestRun.startedAt,
+      sets: normalizeSetSpecs(messageData.sets),
+      from: messageData.from || null,
+      until: messageData.until || null,
+      incremental: Boolean(messageData.incremental),
+      ...(options && { options }),
+      success: true,
+      errorCode: null,
+      errorMessage: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to send HarvestStarted for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to send the summary of a finished journal harvest, so consumers know when
+// all of its messages were sent and can reconcile
+const sendHarvestCompleted = async (outputSink, journalKey, url, harvestRun, error = null) => {
+  const completedAt = new Date();
+  const { listRecords, status } = error
+    ? { listRecords: 'failed', status: 'failed' }
+    : getHarvestRunStatus(harvestRun);
+
+  if (status !== 'completed') {
+    logger.warn(`Harvest run ${harvestRun.runId} of journal: ${journalKey} ended as ${status}`);
+  }
+
+  try {
+    await outputSink.sendMessage({
+      journalKey,
+      oaiUrl: url,
+      messageType: 'HarvestCompleted',
+      source: 'scraping-service',
+      runId: harvestRun.runId,
+      status,
+      startedAt: harvestRun.startedAt,
+      completedAt: completedAt.toISOString(),
+      durationMs: completedAt.getTime() - new Date(harvestRun.startedAt).getTime(),
+      ...harvestRun.stats,
+      phases: { ...harvestRun.phases, listRecords },
+      sets: harvestRun.sets,
+      success: status !== 'failed',
+      errorCode: error ? 'HARVEST_PROCESSING_ERROR' : null,
+      errorMessage: error ? error.message : null,
+      timestamp: completedAt.toISOString(),
+    });
+  } catch (sendError) {
+    logger.error(`Failed to send HarvestCompleted for journal: ${journalKey}`, sendError);
+  }
+};
+
+// Helper function to announce that a harvest ran out of Lambda time and goes on in a
+// continuation. resumeState is where the continuation picks up: the set, the resumption token
+// (null to start the set over) and the progress within it.
+const sendHarvestInterrupted = async (
+  outputSink,
+  journalKey,
+  url,
+  harvestRun,
+  resumeState,
+  getRemainingTime = null
+) => {
+  try {
+    await outputSink.sendMessage({
+      journalKey,
+      oaiUrl: url,
+      messageType: 'HarvestInterrupted',
+      source: 'scraping-service',
+      runId: harvestRun.runId,
+      startedAt: harvestRun.startedAt,
+      continuation: harvestRun.continuation,
+      reason: 'LAMBDA_DEADLINE',
+      remainingTimeMs: getRemainingTime ? getRemainingTime() : null,
+      ...harvestRun.stats,
+      resumeState,
+      success: true,
+      errorCode: null,
+      errorMessage: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to send HarvestInterrupted for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to normalize the requested setSpec values (string or array) to an array
+const normalizeSetSpecs = sets => {
+  if (!sets) return [];
+  const setSpecs = Array.isArray(sets) ? sets : [sets];
+  return setSpecs.filter(setSpec => typeof setSpec === 'string' && setSpec.trim().length > 0);
+};
+
+// Helper function to build the S3 file name prefix of a ListRecords page
+const buildPageFilePrefix = (journalKey, setSpec) => {
+  if (!setSpec) return `${journalKey}-listrecords`;
+  return `${journalKey}-set-${setSpec.replace(/[^A-Za-z0-9_-]+/g, '-')}-listrecords`;
+};
+
+// Helper function to discover the metadata formats of a repository.
+// Returns null when they cannot be determined, so oai_dc (mandatory for all repositories) is used.
+const discoverMetadataFormats = async (oaiProcessor, articleProcessor, url, journalKey) => {
+  try {
+    const formatsResult = await oaiProcessor.processListMetadataFormats(url, journalKey);
+
+    if (!formatsResult.success) {
+      logger.warn(
+        `ListMetadataFormats failed for journal: ${journalKey}`,
+        formatsResult.errorMessage
+      );
+      return null;
+    }
+
+    return await articleProcessor.parseListMetadataFormatsXml(formatsResult.data);
+  } catch (error) {
+    logger.warn(`Failed to discover metadata formats for journal: ${journalKey}`, error);
+    return null;
+  }
+};
+
+// Helper function to process Identify phase.
+// Returns the parsed Identify data (null on failure) and the metadataPrefix to harvest with.
 const processIdentifyPhase = async (
   oaiProcessor,
   s3Processor,
-  sqsProcessor,
+  outputSink,
   articleProcessor,
   url,
-  journalKey
+  journalKey,
+  requestedMetadataPrefix = null,
+  runId = null,
+  requestOptions = null
 ) => {
-  console.log(`Phase 1: Processing Identify request for journal: ${journalKey}`);
+  logger.log(`Phase 1: Processing Identify request for journal: ${journalKey}`);
 
   try {
     const identifyResult = await oaiProcessor.processIdentify(url, journalKey);
 
     if (identifyResult.success) {
-      console.log('Saving Identify data to S3');
+      logger.log('Saving Identify data to S3');
       const identifyS3Result = await s3Processor.createAndUploadXml(
         identifyResult.data,
         `${journalKey}-identify`,
@@ -40,278 +489,1210 @@ const processIdentifyPhase = async (
       );
 
       // Parse Identify XML to JSON
-      console.log('Parsing Identify XML to JSON');
+      logger.log('Parsing Identify XML to JSON');
       const identifyData = await articleProcessor.parseIdentifyXml(identifyResult.data, journalKey);
 
-      console.log('Sending Identify data as JSON to integration queue');
-      await sqsProcessor.sendMessage({
+      // The baseURL reported by the repository is authoritative for the following requests
+      const baseUrlCheck = await oaiProcessor.verifyBaseUrl(url, identifyData.baseURL);
+      const harvestUrl = baseUrlCheck.harvestUrl;
+
+      logger.log('Discovering metadata formats with ListMetadataFormats');
+      const metadataFormats = await discoverMetadataFormats(
+        oaiProcessor,
+        articleProcessor,
+        harvestUrl,
+        journalKey
+      );
+      const metadataPrefix = articleProcessor.selectMetadataPrefix(
+        metadataFormats,
+        requestedMetadataPrefix
+      );
+      logger.log(`Selected metadataPrefix ${metadataPrefix} for journal: ${journalKey}`);
+
+      logger.log('Sending Identify data as JSON to integration queue');
+      await outputSink.sendMessage({
         journalKey,
         oaiUrl: url,
         s3Url: identifyS3Result.s3Url,
         s3Key: identifyS3Result.s3Key,
         s3Path: identifyS3Result.s3Path,
-        filename: identifyS3Result.filename,
+        s3FileName: identifyS3Result.filename,
         fileSize: identifyS3Result.fileSize,
         contentType: identifyS3Result.contentType,
         messageType: 'Identify',
         source: 'scraping-service',
+        ...(runId && { runId }),
+        metadataPrefix,
+        harvestUrl,
+        baseUrlMismatch: baseUrlCheck.matches === false,
+        baseUrlCheck,
+        ...(requestOptions && {
+          options: describeEffectiveOptions(requestOptions, oaiProcessor, metadataPrefix),
+        }),
         success: true,
         errorCode: null,
         errorMessage: null,
         timestamp: new Date().toISOString(),
         // Add parsed JSON data
-        data: identifyData,
+        data: {
+          ...identifyData,
+          ...(metadataFormats && { metadataFormats }),
+        },
       });
 
-      console.log(`Successfully processed Identify phase for journal: ${journalKey}`);
+      logger.log(`Successfully processed Identify phase for journal: ${journalKey}`);
+      return { identifyData, metadataPrefix, harvestUrl };
     } else {
-      console.error(
-        `Identify phase failed for journal: ${journalKey}`,
-        identifyResult.errorMessage
-      );
-      await sqsProcessor.sendMessage(
+      logger.error(`Identify phase failed for journal: ${journalKey}`, identifyResult.errorMessage);
+      await outputSink.sendMessage(
         createErrorMessage(
           journalKey,
           url,
           'Identify',
           identifyResult.errorCode,
-          identifyResult.errorMessage
+          identifyResult.errorMessage,
+          runId
         )
       );
     }
   } catch (error) {
-    console.error(`Failed to process Identify phase for journal: ${journalKey}`, error);
-    await sqsProcessor.sendMessage(
-      createErrorMessage(journalKey, url, 'Identify', 'IDENTIFY_PROCESSING_ERROR', error.message)
+    logger.error(`Failed to process Identify phase for journal: ${journalKey}`, error);
+    await outputSink.sendMessage(
+      createErrorMessage(
+        journalKey,
+        url,
+        'Identify',
+        'IDENTIFY_PROCESSING_ERROR',
+        error.message,
+        runId
+      )
     );
   }
+
+  return {
+    identifyData: null,
+    metadataPrefix: articleProcessor.selectMetadataPrefix(null, requestedMetadataPrefix),
+    harvestUrl: url,
+  };
 };
 
-// Helper function to create page processing callback
-const createPageCallback = (s3Processor, sqsProcessor, articleProcessor, journalKey, url) => {
-  return async (pageXml, pageNumber, recordsInPage, recordsProcessed) => {
-    console.log(`Processing ListRecords page ${pageNumber} with ${recordsInPage} records`);
+// Helper function to process ListSets phase. Returns whether the sets were sent.
+const processListSetsPhase = async (
+  oaiProcessor,
+  s3Processor,
+  outputSink,
+  articleProcessor,
+  url,
+  journalKey,
+  runId = null
+) => {
+  logger.log(`Processing ListSets request for journal: ${journalKey}`);
 
-    try {
-      console.log(`Saving ListRecords page ${pageNumber} to S3`);
+  try {
+    const listSetsResult = await oaiProcessor.processListSets(url, journalKey);
+
+    if (!listSetsResult.success) {
+      logger.error(`ListSets phase failed for journal: ${journalKey}`, listSetsResult.errorMessage);
+      await outputSink.sendMessage(
+        createErrorMessage(
+          journalKey,
+          url,
+          'ListSets',
+          listSetsResult.errorCode,
+          listSetsResult.errorMessage,
+          runId
+        )
+      );
+      return false;
+    }
+
+    const sets = [];
+    const s3Files = [];
+    for (let pageIndex = 0; pageIndex < listSetsResult.data.length; pageIndex++) {
+      const pageXml = listSetsResult.data[pageIndex];
       const pageS3Result = await s3Processor.createAndUploadXml(
         pageXml,
-        `${journalKey}-listrecords-page-${pageNumber}`,
+        `${journalKey}-listsets-page-${pageIndex + 1}`,
         url
       );
+      s3Files.push({
+        s3Url: pageS3Result.s3Url,
+        s3Key: pageS3Result.s3Key,
+        s3Path: pageS3Result.s3Path,
+        s3FileName: pageS3Result.filename,
+      });
+      sets.push(...(await articleProcessor.parseListSetsXml(pageXml, journalKey)));
+    }
 
-      // Parse XML and extract individual articles
-      console.log(`Parsing ListRecords XML to extract ${recordsInPage} individual articles`);
-      const articles = await articleProcessor.parseListRecordsXml(pageXml, journalKey);
+    logger.log(`Sending ${sets.length} discovered sets to integration queue`);
+    await outputSink.sendMessage({
+      journalKey,
+      oaiUrl: url,
+      s3Url: s3Files[0]?.s3Url || null,
+      s3Key: s3Files[0]?.s3Key || null,
+      s3Path: s3Files[0]?.s3Path || null,
+      s3FileName: s3Files[0]?.s3FileName || null,
+      s3Files,
+      messageType: 'ListSets',
+      source: 'scraping-service',
+      ...(runId && { runId }),
+      totalSets: sets.length,
+      success: true,
+      errorCode: null,
+      errorMessage: null,
+      timestamp: new Date().toISOString(),
+      sets,
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to process ListSets phase for journal: ${journalKey}`, error);
+    await outputSink.sendMessage(
+      createErrorMessage(
+        journalKey,
+        url,
+        'ListSets',
+        'LISTSETS_PROCESSING_ERROR',
+        error.message,
+        runId
+      )
+    );
+    return false;
+  }
+};
 
-      // Batch articles into groups of 50
-      const BATCH_SIZE = 50;
-      const batches = [];
-      for (let i = 0; i < articles.length; i += BATCH_SIZE) {
-        batches.push(articles.slice(i, i + BATCH_SIZE));
-      }
+// Helper function to split articles or tombstones into message batches of up to batchSize
+const BATCH_SIZE = 50;
+const splitIntoBatches = (items, batchSize = BATCH_SIZE) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+};
+
+// Helper function to create the ArticleDeleted messages for the tombstones of deleted records.
+// deletedRecordPolicy is the repository's Identify deletedRecord value (no, transient or
+// persistent), so consumers know whether a missing tombstone means the record still exists.
+const createDeletedRecordMessages = (batchContext, deletedRecords) => {
+  const {
+    journalKey,
+    url,
+    pageS3Result,
+    pageNumber,
+    recordsProcessed,
+    setSpec,
+    deletedRecordPolicy = null,
+    runId = null,
+    batchSize = BATCH_SIZE,
+  } = batchContext;
+  const batches = splitIntoBatches(deletedRecords, batchSize);
+
+  return batches.map((batch, batchIndex) => ({
+    journalKey,
+    oaiUrl: url,
+    s3Url: pageS3Result.s3Url,
+    s3Key: pageS3Result.s3Key,
+    s3Path: pageS3Result.s3Path,
+    s3FileName: pageS3Result.filename,
+    messageType: 'ArticleDeleted',
+    source: 'scraping-service',
+    ...(runId && { runId }),
+    ...(setSpec && { setSpec }),
+    pageNumber,
+    batchNumber: batchIndex + 1,
+    totalBatches: batches.length,
+    recordsInBatch: batch.length,
+    totalRecordsProcessed: recordsProcessed,
+    deletedRecordPolicy,
+    success: true,
+    errorCode: null,
+    errorMessage: null,
+    timestamp: new Date().toISOString(),
+    // Tombstones with the OAI identifier and datestamp of each deletion
+    deletedRecords: batch,
+  }));
+};
+
+// Helper function to describe the progress of a harvest after a ListRecords page from the
+// completeListSize and cursor attributes of the page's resumption token
+const createPageProgress = (pageNumber, recordsProcessed, tokenInfo = null) => {
+  const completeListSize = tokenInfo?.completeListSize ?? null;
+  return {
+    description: `page ${pageNumber}, ${recordsProcessed}${completeListSize !== null ? `/${completeListSize}` : ''} records`,
+    completeListSize,
+    cursor: tokenInfo?.cursor ?? null,
+    percentComplete:
+      completeListSize > 0
+        ? Math.min(100, Math.round((recordsProcessed / completeListSize) * 1000) / 10)
+        : null,
+    resumptionTokenExpiration: tokenInfo?.expirationDate || null,
+  };
+};
+
+// Helper function to compare the records harvested with the total advertised by the repository
+const getCompletenessVerdict = (recordsHarvested, completeListSize) => {
+  if (completeListSize === null || completeListSize === undefined) return 'unknown';
+  if (recordsHarvested === completeListSize) return 'complete';
+  return recordsHarvested < completeListSize ? 'incomplete' : 'exceeded';
+};
+
+// Helper function to send the completeness verdict of a finished ListRecords harvest
+const sendCompletenessVerdict = async (
+  outputSink,
+  journalKey,
+  url,
+  setSpec,
+  listRecordsResult,
+  runId = null
+) => {
+  const recordsHarvested = listRecordsResult.totalRecordsProcessed || 0;
+  const completeListSize = listRecordsResult.completeListSize ?? null;
+  const verdict = getCompletenessVerdict(recordsHarvested, completeListSize);
+
+  if (verdict === 'incomplete' || verdict === 'exceeded') {
+    logger.warn(
+      `Harvest of journal: ${journalKey} is ${verdict} - ${recordsHarvested} of ${completeListSize} advertised records`
+    );
+  }
+
+  try {
+    await outputSink.sendMessage({
+      journalKey,
+      oaiUrl: url,
+      messageType: 'HarvestCompleteness',
+      source: 'scraping-service',
+      ...(runId && { runId }),
+      ...(setSpec && { setSpec }),
+      pageCount: listRecordsResult.pageCount,
+      recordsHarvested,
+      completeListSize,
+      missingRecords:
+        completeListSize !== null ? Math.max(0, completeListSize - recordsHarvested) : null,
+      verdict,
+      complete: verdict === 'complete',
+      success: true,
+      errorCode: null,
+      errorMessage: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to send completeness verdict for journal: ${journalKey}`, error);
+  }
+};
+
+// Helper function to send articles to the output sink as ArticleBatch messages.
+// Deleted records are not articles, their tombstones are sent as ArticleDeleted messages.
+// All messages of a page go out in batch calls (SendMessageBatch for SQS); only the failed ones
+// are reported. A streamed page sends its full batches while it is read (pageComplete false,
+// without the page totals); the last call numbers its batches after the batchesBefore sent.
+const sendArticleBatches = async (
+  outputSink,
+  batchContext,
+  parsedRecords,
+  deadLetterProcessor = null
+) => {
+  const {
+    journalKey,
+    url,
+    pageS3Result,
+    pageNumber,
+    recordsProcessed,
+    setSpec,
+    encoding,
+    progress,
+    runId = null,
+    batchSize = BATCH_SIZE,
+    batchesBefore = 0,
+    articlesBefore = 0,
+    pageComplete = true,
+  } = batchContext;
+
+  const articles = parsedRecords.filter(record => !record.deleted);
+  const deletedRecords = parsedRecords.filter(record => record.deleted);
+
+  const batches = splitIntoBatches(articles, batchSize);
+
+  logger.log(
+    `Sending ${articles.length} articles in ${batches.length} batch(es) to integration queue`
+  );
+  if (deletedRecords.length > 0) {
+    logger.log(`Sending ${deletedRecords.length} deleted record(s) to integration queue`);
+  }
+
+  // Enveloped here, so a dead letter keeps the messageId the batch was first sent with
+  const messages = [
+    ...batches.map((batch, batchIndex) => ({
+      journalKey,
+      oaiUrl: url,
+      s3Url: pageS3Result.s3Url,
+      s3Key: pageS3Result.s3Key,
+      s3Path: pageS3Result.s3Path,
+      s3FileName: pageS3Result.filename,
+      messageType: 'ArticleBatch',
+      source: 'scraping-service',
+      ...(runId && { runId }),
+      ...(setSpec && { setSpec }),
+      ...(encoding?.repaired && { encodingRepairs: encoding.repairs }),
+      pageNumber,
+      batchNumber: batchesBefore + batchIndex + 1,
+      totalBatches: pageComplete ? batchesBefore + batches.length : null,
+      articlesInBatch: batch.length,
+      totalArticlesInPage: pageComplete ? articlesBefore + articles.length : null,
+      totalRecordsProcessed: recordsProcessed,
+      ...(progress && { progress }),
+      success: true,
+      errorCode: null,
+      errorMessage: null,
+      timestamp: new Date().toISOString(),
+      // Array of articles in this batch
+      articles: batch,
+    })),
+    ...createDeletedRecordMessages(batchContext, deletedRecords),
+  ].map(message => createEnvelope(message));
+
+  let results;
+  try {
+    results = await outputSink.sendMessages(messages);
+  } catch (sendError) {
+    logger.error(`Failed to send batches from page ${pageNumber}:`, sendError);
+    results = messages.map(() => ({ success: false, errorMessage: sendError.message }));
+  }
+
+  let successCount = 0;
+  let failureCount = 0;
+  const failures = [];
+
+  results.forEach((result, index) => {
+    const message = messages[index];
+    const recordCount = (message.articles || message.deletedRecords).length;
+    if (result.success) {
+      successCount += recordCount;
+      return;
+    }
+    logger.error(
+      `Failed to send ${message.messageType} batch ${message.batchNumber} from page ${pageNumber}: ${result.errorMessage}`
+    );
+    failureCount += recordCount;
+    failures.push({
+      message,
+      errorCode: result.errorCode || null,
+      errorMessage: result.errorMessage || null,
+      // With several output sinks, the sinks that failed it; a replay only sends it to those
+      ...(result.failures && { failures: result.failures }),
+    });
+  });
+  const batchesFailed = failures.length;
+
+  logger.log(
+    `Successfully sent ${successCount}/${parsedRecords.length} records in ${messages.length} batch(es) from page ${pageNumber}. Failures: ${failureCount}`
+  );
+
+  // Failed batches are kept with their articles, to be replayed with replayDeadLetters
+  const batchesDeadLettered =
+    deadLetterProcessor && failures.length > 0
+      ? await deadLetterProcessor.captureFailedMessages(failures)
+      : 0;
+
+  return {
+    successCount,
+    failureCount,
+    totalBatches: batches.length,
+    batchesSent: messages.length - batchesFailed,
+    batchesFailed,
+    batchesDeadLettered,
+  };
+};
+
+// Helper function to create page processing callback
+const createPageCallback = (
+  s3Processor,
+  outputSink,
+  articleProcessor,
+  journalKey,
+  url,
+  setSpec = null,
+  metadataPrefix = 'oai_dc',
+  deletedRecordPolicy = null,
+  harvestRun = null,
+  deadLetterProcessor = null,
+  batchSize = BATCH_SIZE,
+  maxRecords = null
+) => {
+  const pageFilePrefix = buildPageFilePrefix(journalKey, setSpec);
+
+  // Articles parsed from the records of a streamed page that were not sent yet
+  let streamedPage = null;
+
+  // Helper function to create the context of the article batches of a page
+  const createBatchContext = (pageNumber, pageS3Result, recordsProcessed, fields) => ({
+    journalKey,
+    url,
+    pageS3Result,
+    pageNumber,
+    recordsProcessed,
+    setSpec,
+    deletedRecordPolicy,
+    runId: harvestRun?.runId || null,
+    batchSize,
+    ...fields,
+  });
+
+  // Helper function to count the sent and failed batches of a page
+  const countBatches = batchResult => {
+    pageCallback.failures.batches += batchResult.batchesFailed;
+    if (harvestRun) {
+      harvestRun.stats.batchesSent += batchResult.batchesSent;
+      harvestRun.stats.batchesFailed += batchResult.batchesFailed;
+    }
+  };
+
+  const pageCallback = async (
+    pageXml,
+    pageNumber,
+    recordsInPage,
+    recordsProcessed,
+    pageInfo = {}
+  ) => {
+    logger.log(
+      `Processing ListRecords page ${pageNumber} with ${recordsInPage} records${pageInfo.remainingTimeMs !== undefined ? `, ${Math.round(pageInfo.remainingTimeMs / 1000)}s of Lambda time left` : ''}`
+    );
 
-      console.log(
-        `Sending ${articles.length} articles in ${batches.length} batch(es) to integration queue`
+    const pageStream = streamedPage?.pageNumber === pageNumber ? streamedPage : null;
+    streamedPage = null;
+
+    // max_records is a hard cap: the records of the last page past it are not sent
+    const recordsBefore = recordsProcessed - recordsInPage;
+    const recordsKept = maxRecords
+      ? Math.max(0, Math.min(recordsInPage, maxRecords - recordsBefore))
+      : recordsInPage;
+    if (recordsKept < recordsInPage) {
+      logger.log(
+        `Keeping ${recordsKept} of the ${recordsInPage} records of page ${pageNumber}, maximum record limit (${maxRecords}) reached`
       );
+    }
+    const recordsSent = recordsBefore + recordsKept;
 
-      // Send batches to SQS
-      let successCount = 0;
-      let failureCount = 0;
+    if (harvestRun) {
+      harvestRun.stats.pages++;
+      harvestRun.stats.records += recordsKept;
+    }
 
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = batches[batchIndex];
+    try {
+      logger.log(`Saving ListRecords page ${pageNumber} to S3`);
+      const pageS3Result = await s3Processor.createAndUploadXml(
+        pageXml,
+        `${pageFilePrefix}-page-${pageNumber}`,
+        url,
+        pageInfo.encoding || null,
+        pageStream?.location || null
+      );
 
-        try {
-          await sqsProcessor.sendMessage({
-            journalKey,
-            oaiUrl: url,
-            s3Url: pageS3Result.s3Url,
-            s3Key: pageS3Result.s3Key,
-            s3Path: pageS3Result.s3Path,
-            s3FileName: pageS3Result.filename,
-            messageType: 'ArticleBatch',
-            source: 'scraping-service',
-            pageNumber,
-            batchNumber: batchIndex + 1,
-            totalBatches: batches.length,
-            articlesInBatch: batch.length,
-            totalArticlesInPage: articles.length,
-            totalRecordsProcessed: recordsProcessed,
-            success: true,
-            errorCode: null,
-            errorMessage: null,
-            timestamp: new Date().toISOString(),
-            // Array of articles in this batch
-            articles: batch,
-          });
-          successCount += batch.length;
-          console.log(
-            `Sent batch ${batchIndex + 1}/${batches.length} with ${batch.length} articles`
-          );
-        } catch (batchError) {
-          console.error(
-            `Failed to send batch ${batchIndex + 1} from page ${pageNumber}:`,
-            batchError
-          );
-          failureCount += batch.length;
+      let articles;
+      if (pageStream) {
+        if (pageStream.error) {
+          throw pageStream.error;
         }
+        articles = [...pageStream.articles, ...pageStream.deletedRecords];
+      } else if (pageXml === null) {
+        // A streamed page without records, its XML is not kept when it is not archived
+        articles = [];
+      } else {
+        // Parse XML and extract individual articles
+        logger.log(`Parsing ListRecords XML to extract ${recordsInPage} individual articles`);
+        articles = await articleProcessor.parseListRecordsXml(pageXml, journalKey, metadataPrefix);
+        articles = articles.slice(0, recordsKept);
       }
 
-      console.log(
-        `Successfully sent ${successCount}/${articles.length} articles in ${batches.length} batch(es) from page ${pageNumber}. Failures: ${failureCount}`
+      const batchResult = await sendArticleBatches(
+        outputSink,
+        createBatchContext(pageNumber, pageS3Result, recordsSent, {
+          encoding: pageInfo.encoding,
+          progress: createPageProgress(pageNumber, recordsSent, pageInfo.resumptionToken),
+          ...(pageStream && {
+            batchesBefore: pageStream.batchesSent,
+            articlesBefore: pageStream.articlesSent,
+          }),
+        }),
+        articles,
+        deadLetterProcessor
       );
+      countBatches(batchResult);
 
       // Clear memory by forcing garbage collection
       if (global.gc) {
         global.gc();
       }
     } catch (pageError) {
-      console.error(
-        `Failed to process ListRecords page ${pageNumber} for journal: ${journalKey}`,
-        pageError
+      await sendPageError(pageNumber, pageError, recordsKept, recordsSent);
+    }
+  };
+
+  // Helper function to report a page that could not be processed
+  const sendPageError = async (pageNumber, pageError, recordsInPage, recordsProcessed) => {
+    pageCallback.failures.pages++;
+    logger.error(
+      `Failed to process ListRecords page ${pageNumber} for journal: ${journalKey}`,
+      pageError
+    );
+    await outputSink.sendMessage({
+      ...createErrorMessage(
+        journalKey,
+        url,
+        'ListRecords',
+        'PAGE_PROCESSING_FAILED',
+        pageError.message,
+        harvestRun?.runId
+      ),
+      ...(setSpec && { setSpec }),
+      pageNumber,
+      ...(recordsInPage !== null && { recordsInPage }),
+      totalRecordsProcessed: recordsProcessed,
+    });
+  };
+
+  // Pages and article batches that failed, the harvest state is only advanced without them
+  pageCallback.failures = { pages: 0, batches: 0 };
+
+  // Streaming parser: each record is turned into an article as soon as it is parsed, and a
+  // batch is sent as soon as it is full. One full batch is held back, so the page callback
+  // always has a batch left to send with the totals of the page.
+  const startStreamedPage = (pageNumber, batchesSent = 0, articlesSent = 0) => {
+    streamedPage = {
+      pageNumber,
+      // The batches sent before the page is archived point to where it will be stored
+      location: s3Processor.createXmlLocation(`${pageFilePrefix}-page-${pageNumber}`),
+      articles: [],
+      deletedRecords: [],
+      batchesSent,
+      articlesSent,
+      error: null,
+    };
+  };
+
+  pageCallback.onRecord = async (record, pageNumber, recordIndex, recordsProcessed) => {
+    if (streamedPage?.pageNumber !== pageNumber) {
+      startStreamedPage(pageNumber);
+    }
+    const page = streamedPage;
+    if (page.error || (maxRecords && recordsProcessed > maxRecords)) return;
+
+    let article;
+    try {
+      article = articleProcessor.parseIndividualRecord(
+        record,
+        recordIndex,
+        journalKey,
+        metadataPrefix
+      );
+    } catch (error) {
+      // Reported for the whole page, like a page that fails to parse
+      page.error = error;
+      return;
+    }
+    if (article.deleted) {
+      page.deletedRecords.push(article);
+      return;
+    }
+
+    page.articles.push(article);
+    if (page.articles.length < 2 * batchSize) return;
+
+    const batch = page.articles.splice(0, batchSize);
+    const batchContext = createBatchContext(pageNumber, page.location, recordsProcessed, {
+      batchesBefore: page.batchesSent,
+      pageComplete: false,
+    });
+    page.batchesSent++;
+    page.articlesSent += batch.length;
+    countBatches(await sendArticleBatches(outputSink, batchContext, batch, deadLetterProcessor));
+  };
+
+  // A harvest that pauses in the middle of a streamed page sends the articles held back, so that
+  // every record handed to onRecord is sent and the continuation can skip them
+  pageCallback.sendPartialPage = async recordsProcessed => {
+    const page = streamedPage;
+    streamedPage = null;
+    if (!page) {
+      return { pageBatchesSent: 0, pageArticlesSent: 0 };
+    }
+    if (page.error) {
+      // The continuation skips the records handed on, so the failed page is reported now
+      await sendPageError(page.pageNumber, page.error, null, recordsProcessed);
+    } else {
+      const batchResult = await sendArticleBatches(
+        outputSink,
+        createBatchContext(page.pageNumber, page.location, recordsProcessed, {
+          batchesBefore: page.batchesSent,
+          pageComplete: false,
+        }),
+        [...page.articles, ...page.deletedRecords],
+        deadLetterProcessor
+      );
+      countBatches(batchResult);
+      page.batchesSent += batchResult.totalBatches;
+      page.articlesSent += page.articles.length;
+    }
+    return { pageBatchesSent: page.batchesSent, pageArticlesSent: page.articlesSent };
+  };
+
+  // The continuation of a partly sent page numbers its batches after the ones already sent
+  pageCallback.continuePage = (pageNumber, checkpoint) => {
+    if (checkpoint?.pageRecordsHandled) {
+      startStreamedPage(pageNumber, checkpoint.pageBatchesSent, checkpoint.pageArticlesSent);
+    }
+  };
+
+  return pageCallback;
+};
+
+// Helper function to normalize the requested OAI identifiers (identifier or identifiers) to an array
+const normalizeIdentifiers = messageData => {
+  const identifiers = [
+    ...(Array.isArray(messageData.identifiers)
+      ? messageData.identifiers
+      : [messageData.identifiers]),
+    messageData.identifier,
+  ];
+  return [
+    ...new Set(
+      identifiers.filter(
+        identifier => typeof identifier === 'string' && identifier.trim().length > 0
+      )
+    ),
+  ];
+};
+
+// Helper function to refresh individual records with GetRecord.
+// Each record is archived to S3 and sent as its own single-article ArticleBatch.
+const processGetRecordPhase = async (
+  oaiProcessor,
+  s3Processor,
+  outputSink,
+  articleProcessor,
+  url,
+  journalKey,
+  identifiers,
+  metadataPrefix,
+  deadLetterProcessor = null
+) => {
+  logger.log(
+    `Processing GetRecord request for ${identifiers.length} record(s) of journal: ${journalKey}`
+  );
+
+  for (let index = 0; index < identifiers.length; index++) {
+    const identifier = identifiers[index];
+    const pageNumber = index + 1;
+
+    try {
+      const getRecordResult = await oaiProcessor.processGetRecord(url, identifier, metadataPrefix);
+
+      if (!getRecordResult.success) {
+        logger.error(
+          `GetRecord failed for ${identifier} of journal: ${journalKey}`,
+          getRecordResult.errorMessage
+        );
+        await outputSink.sendMessage({
+          ...createErrorMessage(
+            journalKey,
+            url,
+            'GetRecord',
+            getRecordResult.errorCode,
+            getRecordResult.errorMessage
+          ),
+          identifier,
+        });
+        continue;
+      }
+
+      const recordS3Result = await s3Processor.createAndUploadXml(
+        getRecordResult.data,
+        `${journalKey}-getrecord-${identifier.replace(/[^A-Za-z0-9_-]+/g, '-')}`,
+        url
+      );
+      const article = await articleProcessor.parseGetRecordXml(
+        getRecordResult.data,
+        journalKey,
+        metadataPrefix
+      );
+
+      await sendArticleBatches(
+        outputSink,
+        {
+          journalKey,
+          url,
+          pageS3Result: recordS3Result,
+          pageNumber,
+          recordsProcessed: pageNumber,
+        },
+        [article],
+        deadLetterProcessor
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to process GetRecord for ${identifier} of journal: ${journalKey}`,
+        error
       );
-      await sqsProcessor.sendMessage({
+      await outputSink.sendMessage({
         ...createErrorMessage(
           journalKey,
           url,
-          'ListRecords',
-          'PAGE_PROCESSING_FAILED',
-          pageError.message
+          'GetRecord',
+          'GETRECORD_PROCESSING_ERROR',
+          error.message
         ),
-        pageNumber,
-        recordsInPage,
-        totalRecordsProcessed: recordsProcessed,
+        identifier,
       });
     }
-  };
+  }
 };
 
 // Helper function to process ListRecords phase
 const processListRecordsPhase = async (
   oaiProcessor,
   s3Processor,
-  sqsProcessor,
+  outputSink,
   articleProcessor,
   url,
-  journalKey
+  journalKey,
+  harvestOptions = {},
+  checkpoint = null,
+  shouldStop = () => false,
+  harvestRun = null,
+  deadLetterProcessor = null,
+  getRemainingTime = null
 ) => {
-  console.log(`Phase 2: Processing ListRecords request for journal: ${journalKey}`);
+  const { deletedRecord, batchSize, ...listRecordsOptions } = harvestOptions;
+  const setSpec = listRecordsOptions.set || null;
+  logger.log(
+    `Phase 2: Processing ListRecords request for journal: ${journalKey}${setSpec ? ` set: ${setSpec}` : ''}`
+  );
 
   try {
+    const harvestStartedAt = checkpoint?.harvestStartedAt || new Date().toISOString();
     const pageCallback = createPageCallback(
       s3Processor,
-      sqsProcessor,
+      outputSink,
       articleProcessor,
       journalKey,
-      url
+      url,
+      setSpec,
+      listRecordsOptions.metadataPrefix,
+      deletedRecord,
+      harvestRun,
+      deadLetterProcessor,
+      batchSize,
+      listRecordsOptions.maxRecords || null
     );
-    const listRecordsResult = await oaiProcessor.processListRecords(url, journalKey, pageCallback);
+    // Failures of the invocations before a continuation count as well
+    Object.assign(pageCallback.failures, checkpoint?.failures);
+    pageCallback.continuePage((checkpoint?.pageNumber || 0) + 1, checkpoint);
+    const listRecordsResult = await oaiProcessor.processListRecords(url, journalKey, pageCallback, {
+      ...listRecordsOptions,
+      ...(checkpoint && {
+        resumptionToken: checkpoint.resumptionToken,
+        pageNumber: checkpoint.pageNumber,
+        recordsProcessed: checkpoint.recordsProcessed,
+        pageRecordsHandled: checkpoint.pageRecordsHandled || 0,
+      }),
+      onRecord: pageCallback.onRecord,
+      // A streamed page is only kept whole to be archived
+      keepPageXml: s3Processor.archive !== false,
+      onCheckpoint: async progress =>
+        saveCheckpoint(s3Processor, journalKey, harvestOptions, {
+          ...progress,
+          ...(progress.pageRecordsHandled &&
+            (await pageCallback.sendPartialPage(progress.recordsProcessed))),
+          runId: harvestRun?.runId || null,
+          harvestStartedAt,
+          failures: { ...pageCallback.failures },
+        }),
+      shouldStop,
+      ...(getRemainingTime && { getRemainingTimeInMillis: getRemainingTime }),
+    });
 
     if (!listRecordsResult.success) {
-      console.error(
+      logger.error(
         `ListRecords phase failed for journal: ${journalKey}`,
         listRecordsResult.errorMessage
       );
-      await sqsProcessor.sendMessage(
-        createErrorMessage(
+      await outputSink.sendMessage({
+        ...createErrorMessage(
           journalKey,
           url,
           'ListRecords',
           listRecordsResult.errorCode,
-          listRecordsResult.errorMessage
-        )
+          listRecordsResult.errorMessage,
+          harvestRun?.runId
+        ),
+        ...(setSpec && { setSpec }),
+        // Pages, records and the last token/cursor seen, to tell a stalled endpoint from a failure
+        ...(listRecordsResult.harvestSummary && {
+          harvestSummary: listRecordsResult.harvestSummary,
+        }),
+      });
+      // A failed harvest is not continued, the next one starts over
+      await deleteCheckpoint(s3Processor, journalKey, setSpec);
+    } else if (listRecordsResult.status === 'paused') {
+      logger.log(
+        `ListRecords phase paused for journal: ${journalKey} after page ${listRecordsResult.pageCount} - ${listRecordsResult.totalRecordsProcessed} records so far`
       );
     } else {
-      console.log(
+      logger.log(
         `Successfully processed ListRecords phase for journal: ${journalKey} - ${listRecordsResult.totalRecordsProcessed} records across ${listRecordsResult.pageCount} pages`
       );
+      // A harvest cut short by maxPages or maxRecords did not get the whole range, and one with
+      // failed pages or batches did not deliver it; the next incremental harvest has to start
+      // from the previous datestamp again
+      const { failures } = pageCallback;
+      if (listRecordsResult.limitReached) {
+        logger.log(
+          `ListRecords phase for journal: ${journalKey} stopped at its ${listRecordsResult.limitReached} limit, harvest state not advanced`
+        );
+      } else if (failures.pages > 0 || failures.batches > 0) {
+        logger.warn(
+          `ListRecords phase for journal: ${journalKey} had ${failures.pages} failed page(s) and ${failures.batches} failed batch(es), harvest state not advanced`
+        );
+      } else {
+        await saveHarvestState(s3Processor, journalKey, harvestOptions, harvestStartedAt);
+      }
+      await deleteCheckpoint(s3Processor, journalKey, setSpec);
+      await sendCompletenessVerdict(
+        outputSink,
+        journalKey,
+        url,
+        setSpec,
+        listRecordsResult,
+        harvestRun?.runId
+      );
     }
+
+    return listRecordsResult;
   } catch (error) {
-    console.error(`Failed to process ListRecords phase for journal: ${journalKey}`, error);
-    await sqsProcessor.sendMessage(
-      createErrorMessage(
+    logger.error(`Failed to process ListRecords phase for journal: ${journalKey}`, error);
+    await outputSink.sendMessage({
+      ...createErrorMessage(
         journalKey,
         url,
         'ListRecords',
         'LISTRECORDS_PROCESSING_ERROR',
-        error.message
-      )
-    );
+        error.message,
+        harvestRun?.runId
+      ),
+      ...(setSpec && { setSpec }),
+    });
+    await deleteCheckpoint(s3Processor, journalKey, setSpec);
+    return null;
   }
 };
 
-exports.handler = async event => {
-  console.log('Received SQS event with', event.Records?.length || 0, 'records');
+exports.handler = withCorrelationScope(async (event, context) => {
+  logger.log('Received SQS event with', event.Records?.length || 0, 'records');
 
   if (!event.Records || event.Records.length === 0) {
-    console.log('No records to process');
+    logger.log('No records to process');
     return { statusCode: 200, body: 'SUCCESS' };
   }
 
   const batchItemFailures = [];
 
+  // One limiter for the whole batch, so its messages also respect each other's host policies
+  const rateLimiter = new HostRateLimiter();
+  const requestValidator = new ScrapingRequestValidator();
+  const shouldStop = createDeadlineCheck(context);
+  const getRemainingTime = getRemainingTimeFunction(context);
+
   for (const record of event.Records) {
+    let harvestSlot = null;
+    let harvestRun = null;
+    let harvestContext = null;
+
+    // Messages, S3 objects and log lines of the record carry its correlation
+    setCorrelation({
+      correlationId: resolveCorrelationId(record),
+      sourceMessageId: record.messageId,
+    });
+
+    // A message started this close to the Lambda timeout would be cut off, it is retried instead
+    if (record !== event.Records[0] && shouldStop()) {
+      logger.warn('Not enough Lambda time left, returning message to the queue:', record.messageId);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      continue;
+    }
+
     try {
-      console.log('Processing message:', record.messageId);
+      logger.log('Processing message:', record.messageId);
+
+      const sqsProcessor = new SqsMessageProcessor({
+        requireIntegrationQueue: getOutputSinkNames().includes('sqs'),
+      });
+      const outputSink = createOutputSink({ sqsProcessor });
+
+      // A request that can never be processed is rejected instead of retried; only transient
+      // problems (including a failed rejection) end up in batchItemFailures
+      const request = requestValidator.parse(record.body);
+      if (!request.valid) {
+        await sendInvalidRequest(outputSink, requestValidator, record, request);
+        continue;
+      }
 
-      // Parse message body
-      const messageData = JSON.parse(record.body);
-      console.log('Processing SQS message body:', JSON.stringify(messageData, null, 2));
+      const { messageData } = request;
+      logger.log('Processing SQS message body:', JSON.stringify(messageData, null, 2));
 
       const { url, journal_key: journalKey } = messageData;
+      logger.log('Extracted - URL:', url, 'JournalKey:', journalKey);
 
-      // Validate required fields
-      if (!url || !journalKey) {
-        console.error(
-          'Missing required fields in SQS message. URL:',
+      // A host at its maximum of concurrent harvests gets the message back after the visibility
+      // timeout, when one of the running harvests has hopefully finished
+      const harvestId = `${journalKey}:${record.messageId}`;
+      if (!(await rateLimiter.acquireHarvestSlot(url, harvestId))) {
+        throw new Error(`Maximum concurrent harvests reached for ${url}, retrying later`);
+      }
+      harvestSlot = { url, harvestId };
+
+      // Initialize processors with the options of the request
+      const requestOptions = resolveRequestOptions(messageData);
+      const oaiProcessor = new OaiDataProcessor({
+        rateLimiter,
+        maxPages: requestOptions.maxPages,
+        timeout: requestOptions.timeoutMs,
+        pageDelayMs: requestOptions.pageDelayMs,
+      });
+      const s3Processor = new S3FileProcessor({ archive: !requestOptions.skipS3Archive });
+      const articleProcessor = new XmlArticleProcessor();
+      const deadLetterProcessor = new DeadLetterProcessor({ s3Processor });
+
+      // Refresh mode: re-fetch only the named records instead of harvesting the journal
+      const identifiers = normalizeIdentifiers(messageData);
+      if (identifiers.length > 0) {
+        const metadataFormats = requestOptions.metadataPrefix
+          ? null
+          : await discoverMetadataFormats(oaiProcessor, articleProcessor, url, journalKey);
+        await processGetRecordPhase(
+          oaiProcessor,
+          s3Processor,
+          outputSink,
+          articleProcessor,
           url,
-          'JournalKey:',
-          journalKey
+          journalKey,
+          identifiers,
+          articleProcessor.selectMetadataPrefix(metadataFormats, requestOptions.metadataPrefix),
+          deadLetterProcessor
         );
+
+        logger.log('Successfully processed message:', record.messageId);
         continue;
       }
 
-      console.log('Extracted - URL:', url, 'JournalKey:', journalKey);
+      // HarvestStarted and HarvestCompleted bracket all messages of a harvest, continuations
+      // included, under the same run ID
+      harvestRun = createHarvestRun(messageData);
+      harvestContext = { outputSink, oaiProcessor, journalKey, url };
+      if (!messageData.resume) {
+        // Without Identify the metadata prefix is known up front, otherwise Identify picks it
+        // from the formats the repository supports
+        await sendHarvestStarted(
+          outputSink,
+          journalKey,
+          url,
+          harvestRun,
+          messageData,
+          describeEffectiveOptions(
+            requestOptions,
+            oaiProcessor,
+            requestOptions.metadataPrefix || (requestOptions.skipIdentify ? 'oai_dc' : null)
+          )
+        );
+      }
 
-      // Initialize processors
-      const oaiProcessor = new OaiDataProcessor();
-      const s3Processor = new S3FileProcessor();
-      const sqsProcessor = new SqsMessageProcessor();
-      const articleProcessor = new XmlArticleProcessor();
+      // A continuation of an interrupted harvest already went through Identify and ListSets
+      const harvestSettings = {
+        harvestUrl: messageData.base_url || url,
+        metadataPrefix: requestOptions.metadataPrefix || 'oai_dc',
+        granularity: messageData.granularity || null,
+        deletedRecord: messageData.deleted_record || null,
+      };
 
-      // Process both phases
-      await processIdentifyPhase(
-        oaiProcessor,
-        s3Processor,
-        sqsProcessor,
-        articleProcessor,
-        url,
-        journalKey
-      );
-      await processListRecordsPhase(
-        oaiProcessor,
-        s3Processor,
-        sqsProcessor,
-        articleProcessor,
-        url,
-        journalKey
-      );
+      if (!messageData.resume && !requestOptions.skipIdentify) {
+        const identifyPhase = await processIdentifyPhase(
+          oaiProcessor,
+          s3Processor,
+          outputSink,
+          articleProcessor,
+          url,
+          journalKey,
+          requestOptions.metadataPrefix,
+          harvestRun.runId,
+          requestOptions
+        );
+        harvestSettings.harvestUrl = identifyPhase.harvestUrl;
+        harvestSettings.metadataPrefix = identifyPhase.metadataPrefix;
+        harvestSettings.granularity = identifyPhase.identifyData?.granularity || null;
+        harvestSettings.deletedRecord = identifyPhase.identifyData?.deletedRecord || null;
+        harvestRun.phases.identify = identifyPhase.identifyData ? 'succeeded' : 'failed';
+      }
+
+      if (messageData.list_sets && !messageData.resume) {
+        const listSetsSent = await processListSetsPhase(
+          oaiProcessor,
+          s3Processor,
+          outputSink,
+          articleProcessor,
+          harvestSettings.harvestUrl,
+          journalKey,
+          harvestRun.runId
+        );
+        harvestRun.phases.listSets = listSetsSent ? 'succeeded' : 'failed';
+      }
+
+      // Each requested set gets its own pagination loop, no sets means the whole repository
+      const setSpecs = normalizeSetSpecs(messageData.sets);
+      const harvestSetSpecs = setSpecs.length > 0 ? setSpecs : [null];
+      // Where a harvest that runs out of time continues, see sendHarvestInterrupted
+      let resumeState = null;
+
+      for (let index = 0; index < harvestSetSpecs.length; index++) {
+        const setSpec = harvestSetSpecs[index];
+
+        // maxRecords caps the whole harvest, the sets after the one that reached it are skipped.
+        // The run counts the records of every page sent, also of sets that failed halfway.
+        const remainingRecords = requestOptions.maxRecords
+          ? requestOptions.maxRecords - harvestRun.stats.records
+          : null;
+        if (remainingRecords !== null && remainingRecords <= 0) {
+          logger.log(
+            `Reached maximum record limit (${requestOptions.maxRecords}) for journal: ${journalKey}, skipping remaining sets`
+          );
+          break;
+        }
+
+        if (index > 0 && shouldStop()) {
+          logger.log(`Running out of time, continuing journal: ${journalKey} in a new invocation`);
+          resumeState = { index, resumptionToken: null, pageNumber: 0, recordsProcessed: 0 };
+          break;
+        }
+
+        const checkpoint = messageData.resume
+          ? await loadCheckpoint(s3Processor, journalKey, setSpec, harvestRun.runId)
+          : null;
+        const harvestOptions = checkpoint
+          ? {
+              from: checkpoint.from,
+              until: checkpoint.until,
+              granularity: checkpoint.granularity,
+              set: setSpec,
+              metadataPrefix: checkpoint.metadataPrefix || harvestSettings.metadataPrefix,
+              deletedRecord: harvestSettings.deletedRecord,
+            }
+          : {
+              ...(await resolveHarvestRange(s3Processor, messageData, journalKey, setSpec)),
+              granularity: harvestSettings.granularity,
+              set: setSpec,
+              metadataPrefix: harvestSettings.metadataPrefix,
+              deletedRecord: harvestSettings.deletedRecord,
+            };
+        harvestOptions.batchSize = requestOptions.batchSize;
+        if (remainingRecords !== null) {
+          harvestOptions.maxRecords = remainingRecords;
+        }
+
+        const listRecordsResult = await processListRecordsPhase(
+          oaiProcessor,
+          s3Processor,
+          outputSink,
+          articleProcessor,
+          harvestSettings.harvestUrl,
+          journalKey,
+          harvestOptions,
+          checkpoint,
+          shouldStop,
+          harvestRun,
+          deadLetterProcessor,
+          getRemainingTime
+        );
 
-      console.log('Successfully processed message:', record.messageId);
+        if (listRecordsResult?.status === 'paused') {
+          resumeState = {
+            index,
+            resumptionToken: listRecordsResult.resumptionToken || null,
+            pageNumber: listRecordsResult.pageCount,
+            recordsProcessed: listRecordsResult.totalRecordsProcessed,
+          };
+          break;
+        }
+        recordListRecordsResult(harvestRun, setSpec, listRecordsResult);
+      }
+
+      if (resumeState) {
+        // The pages processed so far are fully sent, the continuation starts after them
+        const { index, ...progress } = resumeState;
+        const remainingSetSpecs = harvestSetSpecs.slice(index);
+        const continuationMessageId = await enqueueContinuation(
+          sqsProcessor,
+          messageData,
+          remainingSetSpecs,
+          harvestSettings,
+          collectDownloadedBytes(harvestRun, oaiProcessor)
+        );
+        await sendHarvestInterrupted(
+          outputSink,
+          journalKey,
+          url,
+          harvestRun,
+          {
+            setSpec: remainingSetSpecs[0],
+            ...progress,
+            remainingSets: remainingSetSpecs.filter(Boolean),
+            harvestUrl: harvestSettings.harvestUrl,
+            metadataPrefix: harvestSettings.metadataPrefix,
+            continuationMessageId,
+          },
+          getRemainingTime
+        );
+      } else {
+        await sendHarvestCompleted(
+          outputSink,
+          journalKey,
+          url,
+          collectDownloadedBytes(harvestRun, oaiProcessor)
+        );
+      }
+      harvestRun = null;
+
+      logger.log('Successfully processed message:', record.messageId);
     } catch (error) {
-      console.error('Failed to process message:', record.messageId, error);
+      logger.error('Failed to process message:', record.messageId, error);
+
+      // A harvest that broke off still gets its summary, so consumers do not wait for it forever
+      if (harvestRun) {
+        const { outputSink, oaiProcessor, journalKey, url } = harvestContext;
+        await sendHarvestCompleted(
+          outputSink,
+          journalKey,
+          url,
+          collectDownloadedBytes(harvestRun, oaiProcessor),
+          error
+        );
+      }
 
       // Add to batch item failures for SQS partial batch failure handling
       batchItemFailures.push({
         itemIdentifier: record.messageId,
       });
+    } finally {
+      if (harvestSlot) {
+        // An unreleased slot expires on its own, so this must not fail the message
+        await rateLimiter
+          .releaseHarvestSlot(harvestSlot.url, harvestSlot.harvestId)
+          .catch(error => logger.warn('Failed to release harvest slot:', error.message));
+      }
     }
   }
 
+  setCorrelation(null);
+
   // Return batch item failures if any
   if (batchItemFailures.length > 0) {
-    console.log(`Returning ${batchItemFailures.length} batch item failures`);
+    logger.log(`Returning ${batchItemFailures.length} batch item failures`);
     return {
       statusCode: 200,
       body: 'SUCCESS',
@@ -320,4 +1701,23 @@ exports.handler = async event => {
   }
 
   return { statusCode: 200, body: 'SUCCESS' };
+});
+
+/**
+ * Replay the integration queue messages captured as dead letters, once the integration queue is
+ * healthy again. Invoked manually or on a schedule, e.g. with { "limit": 500 }.
+ * @param {Object} [event]
+ * @param {number} [event.limit] - Maximum number of dead letters to replay, default 100
+ * @param {string} [event.journalKey] - Only replay the dead letters of this journal (S3 target)
+ */
+exports.replayDeadLetters = async (event = {}) => {
+  logger.log('Replaying dead letters:', JSON.stringify(event));
+
+  const deadLetterProcessor = new DeadLetterProcessor({ s3Processor: new S3FileProcessor() });
+  const result = await deadLetterProcessor.replay(createOutputSink(), {
+    limit: event.limit || 100,
+    journalKey: event.journalKey || null,
+  });
+
+  return { statusCode: 200, body: JSON.stringify(result) };
 };
@@ -0,0 +1,105 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+// Message attribute (or body field, in snake_case) a scraping request carries its correlation
+// ID in. Outgoing messages carry it in the correlationId attribute and envelope field.
+const CORRELATION_ID_ATTRIBUTE = 'correlationId';
+
+// Holds the correlation of the scraping request being processed
+const correlationStorage = new AsyncLocalStorage();
+
+/**
+ * Get the correlation ID of a scraping request from its SQS message attributes or its body
+ * (correlation_id), or generate one for requests that have none
+ * @param {Object} record - SQS event record
+ * @returns {string} Correlation ID
+ */
+const resolveCorrelationId = record => {
+  const attribute = record.messageAttributes?.[CORRELATION_ID_ATTRIBUTE]?.stringValue;
+  if (attribute) {
+    return attribute;
+  }
+
+  try {
+    const messageData = JSON.parse(record.body);
+    if (typeof messageData?.correlation_id === 'string' && messageData.correlation_id) {
+      return messageData.correlation_id;
+    }
+  } catch {
+    // A body that is not JSON fails later, with a generated correlation ID
+  }
+  return randomUUID();
+};
+
+/**
+ * Wrap a Lambda handler so the correlations it sets do not leak into the runtime that calls it
+ * @param {Function} handler - Async Lambda handler
+ * @returns {Function} Handler running in its own correlation scope
+ */
+const withCorrelationScope =
+  handler =>
+  (...args) =>
+    correlationStorage.run(null, () => handler(...args));
+
+/**
+ * Make a correlation the current one. Records are processed one after another, so it holds for
+ * everything the handler does until the next record replaces it.
+ * @param {Object|null} correlation - { correlationId, sourceMessageId }, null to clear it
+ */
+const setCorrelation = correlation => {
+  correlationStorage.enterWith(correlation);
+};
+
+/**
+ * Get the current correlation
+ * @returns {Object|null} { correlationId, sourceMessageId }
+ */
+const getCorrelation = () => correlationStorage.getStore() || null;
+
+/**
+ * Get the fields the current correlation adds to outgoing messages
+ * @returns {Object} { correlationId, sourceMessageId }, empty outside of a correlation
+ */
+const getCorrelationFields = () => {
+  const correlation = getCorrelation();
+  return correlation
+    ? { correlationId: correlation.correlationId, sourceMessageId: correlation.sourceMessageId }
+    : {};
+};
+
+// Helper function to create a logger method that prefixes the line with the current correlation.
+// console is looked up on every call, so it is never patched and stays replaceable in tests.
+const createLogMethod =
+  method =>
+  (...args) => {
+    const correlation = getCorrelation();
+    if (!correlation) {
+      return console[method](...args);
+    }
+    return console[method](
+      `[correlationId=${correlation.correlationId} messageId=${correlation.sourceMessageId}]`,
+      ...args
+    );
+  };
+
+/**
+ * Console replacement that prefixes every line with the current correlation, so the logs of a
+ * scraping request can be found by its correlation ID or the SQS message ID that triggered it
+ */
+const logger = {
+  log: createLogMethod('log'),
+  info: createLogMethod('info'),
+  warn: createLogMethod('warn'),
+  error: createLogMethod('error'),
+  debug: createLogMethod('debug'),
+};
+
+module.exports = {
+  CORRELATION_ID_ATTRIBUTE,
+  resolveCorrelationId,
+  withCorrelationScope,
+  setCorrelation,
+  getCorrelation,
+  getCorrelationFields,
+  logger,
+};
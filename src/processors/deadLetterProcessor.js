@@ -0,0 +1,300 @@
+const { randomUUID } = require('crypto');
+const {
+  SQSClient,
+  SendMessageCommand,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+} = require('@aws-sdk/client-sqs');
+const { S3FileProcessor } = require('./s3FileProcessor');
+const { getCorrelationFields, logger } = require('./correlationContext');
+
+// Dead letters above this size keep their message in S3 and only a claim check in the queue
+const MAX_DEAD_LETTER_BYTES = 250 * 1024;
+
+// Messages replayed per SendMessageBatch call
+const REPLAY_CHUNK_SIZE = 10;
+
+// Received dead letters stay hidden from other readers while a replay runs
+const REPLAY_VISIBILITY_TIMEOUT_SECONDS = 300;
+
+// A sink that failed a message with one of these fails it again on every replay. Only the SQS
+// sink splits oversized messages or moves them to S3, SNS, EventBridge and Kinesis reject them.
+const PERMANENT_ERROR_CODES = new Set(['MESSAGE_TOO_LARGE']);
+
+/**
+ * Keeps integration queue messages that could not be sent, so their articles are not lost, and
+ * replays them once the integration queue is healthy again. Dead letters go to the queue in
+ * SQS_DEAD_LETTER_QUEUE_URL ("sqs" target) or under dead-letters/ in the S3 bucket ("s3" target,
+ * the default when no dead-letter queue is configured). DEAD_LETTER_TARGET selects one explicitly.
+ */
+class DeadLetterProcessor {
+  /**
+   * @param {Object} [options]
+   * @param {S3FileProcessor} [options.s3Processor] - Stores dead letters and large messages
+   */
+  constructor(options = {}) {
+    this.queueUrl = process.env.SQS_DEAD_LETTER_QUEUE_URL;
+    this.target = process.env.DEAD_LETTER_TARGET || (this.queueUrl ? 'sqs' : 's3');
+
+    if (!['sqs', 's3'].includes(this.target)) {
+      throw new Error(`Unsupported DEAD_LETTER_TARGET: ${this.target}`);
+    }
+    if (this.target === 'sqs' && !this.queueUrl) {
+      throw new Error('SQS_DEAD_LETTER_QUEUE_URL environment variable is required');
+    }
+
+    this.sqsClient = new SQSClient();
+    this.s3Processor = options.s3Processor || new S3FileProcessor();
+  }
+
+  /**
+   * Keep messages that failed to send. A dead letter that cannot be stored is logged with its
+   * message, the harvest itself goes on.
+   * @param {Array<Object>} failures - { message, errorCode, errorMessage } per failed message,
+   *   with the failures per sink ({ sink, errorCode, errorMessage }) when it went to several sinks
+   * @returns {Promise<number>} Number of dead letters stored
+   */
+  async captureFailedMessages(failures) {
+    let captured = 0;
+
+    for (const failure of failures) {
+      try {
+        const location = await this.capture(failure.message, failure);
+        logger.warn(
+          `Captured failed ${failure.message.messageType} message of journal ${failure.message.journalKey} as dead letter: ${location}`
+        );
+        captured++;
+      } catch (error) {
+        logger.error(
+          'Failed to capture dead letter, message lost:',
+          JSON.stringify(failure.message),
+          error
+        );
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   * Store one failed message with its error
+   * @returns {Promise<string>} S3 key or SQS message ID of the dead letter
+   */
+  async capture(message, { errorCode = null, errorMessage = null, failures = null } = {}) {
+    // The replayed message keeps the correlation of the scraping request that produced it
+    const correlatedMessage = { ...getCorrelationFields(), ...message };
+    const deadLetter = {
+      deadLetterId: randomUUID(),
+      journalKey: message.journalKey,
+      messageType: message.messageType,
+      ...(correlatedMessage.correlationId && { correlationId: correlatedMessage.correlationId }),
+      errorCode,
+      errorMessage,
+      ...(failures && { failures }),
+      failedAt: new Date().toISOString(),
+      message: correlatedMessage,
+    };
+    if (!this.isReplayable(deadLetter)) {
+      // Kept for someone to look at, a replay leaves it where it is
+      deadLetter.replayable = false;
+      logger.warn(
+        `Dead letter ${deadLetter.deadLetterId} cannot be replayed, every sink that failed it rejects it for good (${errorCode})`
+      );
+    }
+
+    if (this.target === 's3') {
+      return this.s3Processor.saveDeadLetter(deadLetter);
+    }
+
+    let body = JSON.stringify(deadLetter);
+    if (Buffer.byteLength(body) > MAX_DEAD_LETTER_BYTES) {
+      const { message: payload, ...metadata } = deadLetter;
+      const claimCheck = await this.s3Processor.uploadMessagePayload(payload);
+      body = JSON.stringify({ ...metadata, claimCheck });
+    }
+
+    const result = await this.sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: this.queueUrl,
+        MessageBody: body,
+        MessageAttributes: {
+          messageType: { DataType: 'String', StringValue: message.messageType || 'unknown' },
+          journalKey: { DataType: 'String', StringValue: message.journalKey || 'unknown' },
+          ...(deadLetter.correlationId && {
+            correlationId: { DataType: 'String', StringValue: deadLetter.correlationId },
+          }),
+        },
+      })
+    );
+    return result.MessageId;
+  }
+
+  /**
+   * Resend dead letters to the output sink, or only to the sinks that failed them. Dead letters
+   * are removed once their message was sent. A replay stops at the first chunk that fails
+   * completely, the sink is then still unhealthy and the remaining dead letters are left for later.
+   * @param {MessageSink} sink - Sends the messages, e.g. the SQS integration queue sink
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of dead letters to replay
+   * @param {string} [options.journalKey] - Only replay the dead letters of this journal (S3 only)
+   * @returns {Promise<Object>} { replayed, failed, stopped }
+   */
+  async replay(sink, { limit = 100, journalKey = null } = {}) {
+    const { entries, unreadable } = await this.readDeadLetters(limit, journalKey);
+    logger.log(`Replaying ${entries.length} dead letter(s) from ${this.target}`);
+
+    let replayed = 0;
+    // Unreadable dead letters stay where they are, for someone to look at
+    let failed = unreadable;
+
+    for (let start = 0; start < entries.length; start += REPLAY_CHUNK_SIZE) {
+      const chunk = [];
+      for (const entry of entries.slice(start, start + REPLAY_CHUNK_SIZE)) {
+        if (!this.isReplayable(entry.deadLetter)) {
+          logger.warn(`Leaving dead letter ${entry.handle} in place, it cannot be replayed`);
+          failed++;
+          continue;
+        }
+        try {
+          chunk.push({ ...entry, message: await this.resolveMessage(entry.deadLetter) });
+        } catch (error) {
+          logger.error(`Failed to read dead letter ${entry.handle}:`, error);
+          failed++;
+        }
+      }
+      if (chunk.length === 0) continue;
+
+      // A message that failed on some of several sinks only goes to those again, the others
+      // already have it, and not to the ones that rejected it for good
+      const results = await sink.sendMessages(
+        chunk.map(entry => entry.message),
+        {
+          sinkNames: chunk.map(
+            entry =>
+              entry.deadLetter.failures
+                ?.filter(failure => !PERMANENT_ERROR_CODES.has(failure.errorCode))
+                .map(failure => failure.sink) || null
+          ),
+        }
+      );
+      for (let index = 0; index < chunk.length; index++) {
+        if (!results[index].success) {
+          failed++;
+          continue;
+        }
+        replayed++;
+        try {
+          await this.deleteDeadLetter(chunk[index].handle);
+        } catch (error) {
+          // The next replay sends the message again
+          logger.error(`Failed to delete replayed dead letter ${chunk[index].handle}:`, error);
+        }
+      }
+
+      if (results.every(result => !result.success)) {
+        logger.warn(`Output sink ${sink.name} still failing, stopping the dead letter replay`);
+        return { replayed, failed, stopped: true };
+      }
+    }
+
+    logger.log(`Replayed ${replayed} dead letter(s), ${failed} failed`);
+    return { replayed, failed, stopped: false };
+  }
+
+  /**
+   * Check whether replaying a dead letter can succeed: not when every sink that failed it did so
+   * with a permanent error such as MESSAGE_TOO_LARGE
+   */
+  isReplayable(deadLetter) {
+    if (deadLetter.replayable === false) {
+      return false;
+    }
+    return deadLetter.failures?.length > 0
+      ? deadLetter.failures.some(failure => !PERMANENT_ERROR_CODES.has(failure.errorCode))
+      : !PERMANENT_ERROR_CODES.has(deadLetter.errorCode);
+  }
+
+  /**
+   * Read up to limit dead letters. A dead letter that is not valid JSON is logged and skipped:
+   * it is left in S3 or on the queue, where it becomes visible again after the replay.
+   * @returns {Promise<Object>} { entries, unreadable } with { deadLetter, handle } per dead
+   *   letter, the handle being the S3 key or the SQS receipt handle used to delete it, and the
+   *   number of dead letters skipped
+   */
+  async readDeadLetters(limit, journalKey = null) {
+    const entries = [];
+    let unreadable = 0;
+
+    if (this.target === 's3') {
+      for (const key of await this.s3Processor.listDeadLetterKeys(limit, journalKey)) {
+        try {
+          const deadLetter = await this.s3Processor.loadDeadLetter(key);
+          if (deadLetter) {
+            entries.push({ deadLetter, handle: key });
+          }
+        } catch (error) {
+          logger.error(`Failed to read dead letter ${key}, leaving it in S3:`, error);
+          unreadable++;
+        }
+      }
+      return { entries, unreadable };
+    }
+
+    while (entries.length < limit) {
+      const response = await this.sqsClient.send(
+        new ReceiveMessageCommand({
+          QueueUrl: this.queueUrl,
+          MaxNumberOfMessages: Math.min(10, limit - entries.length),
+          VisibilityTimeout: REPLAY_VISIBILITY_TIMEOUT_SECONDS,
+          WaitTimeSeconds: 0,
+        })
+      );
+      const messages = response.Messages || [];
+      if (messages.length === 0) break;
+
+      for (const message of messages) {
+        try {
+          entries.push({ deadLetter: JSON.parse(message.Body), handle: message.ReceiptHandle });
+        } catch (error) {
+          logger.error(
+            `Failed to read dead letter ${message.MessageId}, leaving it on the queue:`,
+            error
+          );
+          unreadable++;
+        }
+      }
+    }
+    return { entries, unreadable };
+  }
+
+  /**
+   * Get the original message of a dead letter, downloading it when it was moved to S3
+   */
+  async resolveMessage(deadLetter) {
+    if (deadLetter.message) {
+      return deadLetter.message;
+    }
+    const content = deadLetter.claimCheck
+      ? await this.s3Processor.downloadFromS3(deadLetter.claimCheck.s3Key)
+      : null;
+    if (!content) {
+      throw new Error(`Message of dead letter ${deadLetter.deadLetterId} not found`);
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Remove a dead letter that was replayed
+   */
+  async deleteDeadLetter(handle) {
+    if (this.target === 's3') {
+      await this.s3Processor.deleteFromS3(handle);
+      return;
+    }
+    await this.sqsClient.send(
+      new DeleteMessageCommand({ QueueUrl: this.queueUrl, ReceiptHandle: handle })
+    );
+  }
+}
+
+module.exports = { DeadLetterProcessor };
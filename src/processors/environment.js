@@ -0,0 +1,27 @@
+/**
+ * Helpers to read settings from the environment. A setting that is missing or invalid falls back
+ * to its default, so a typo in the Lambda configuration cannot turn a limit off (NaN) or set it
+ * to a value the code cannot work with (e.g. a batch size of 0).
+ */
+
+/**
+ * Read an integer setting
+ * @param {string} name - Name of the environment variable
+ * @param {number} defaultValue - Value when the variable is missing, not a number or below min
+ * @param {Object} [options]
+ * @param {number} [options.min] - Smallest valid value, default 0
+ * @returns {number}
+ */
+const readIntEnv = (name, defaultValue, { min = 0 } = {}) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? defaultValue : value;
+};
+
+/**
+ * Read a boolean setting, only "true" is true
+ * @param {string} name - Name of the environment variable
+ * @returns {boolean}
+ */
+const readBooleanEnv = name => process.env[name] === 'true';
+
+module.exports = { readIntEnv, readBooleanEnv };
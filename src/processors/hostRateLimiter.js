@@ -0,0 +1,263 @@
+const { S3FileProcessor } = require('./s3FileProcessor');
+const { logger } = require('./correlationContext');
+
+// Policy applied to hosts without their own entry in OAI_HOST_POLICIES. The minimum interval
+// keeps the one second pause between requests that every host used to get.
+const DEFAULT_HOST_POLICY = {
+  minIntervalMs: 1000,
+  maxRequestsPerMinute: null,
+  maxConcurrentHarvests: null,
+};
+
+// A harvest slot is released when its invocation ends; the lease only matters if it crashes
+const HARVEST_SLOT_TTL_MS = 16 * 60 * 1000;
+
+// Attempts to update the shared state of a host before giving up on concurrent writers
+const MAX_STATE_CONFLICTS = 10;
+
+const MINUTE_MS = 60 * 1000;
+
+// Helper function to create an error carrying a standardized error code
+const createError = (message, errorCode) => Object.assign(new Error(message), { errorCode });
+
+/**
+ * Rate limiting state kept in memory. Shared by all limiters of a Lambda container, but not
+ * across invocations in other containers; used in tests and when RATE_LIMIT_STORE is not "s3".
+ */
+class InMemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async load(host) {
+    const entry = this.entries.get(host);
+    return entry
+      ? { state: JSON.parse(JSON.stringify(entry.state)), version: entry.version }
+      : { state: null, version: null };
+  }
+
+  async save(host, state, version) {
+    const entry = this.entries.get(host);
+    if ((entry?.version || null) !== version) {
+      return false;
+    }
+    this.entries.set(host, { state, version: (version || 0) + 1 });
+    return true;
+  }
+}
+
+/**
+ * Rate limiting state kept in S3, shared by all invocations. Updates use conditional writes, so
+ * concurrent invocations never overwrite each other's reservations.
+ */
+class S3RateLimitStore {
+  constructor(s3Processor = new S3FileProcessor()) {
+    this.s3Processor = s3Processor;
+  }
+
+  async load(host) {
+    return this.s3Processor.loadHostRateLimitState(host);
+  }
+
+  async save(host, state, version) {
+    return this.s3Processor.saveHostRateLimitState(host, state, version);
+  }
+}
+
+// The in-memory store lives as long as the Lambda container, like the limits it stands in for
+const sharedMemoryStore = new InMemoryRateLimitStore();
+
+// Helper function to create the store selected by RATE_LIMIT_STORE
+const createDefaultStore = () =>
+  process.env.RATE_LIMIT_STORE === 's3' ? new S3RateLimitStore() : sharedMemoryStore;
+
+// Helper function to read the host policies from OAI_HOST_POLICIES, e.g.
+// {"default": {"minIntervalMs": 1000}, "journals.example.com": {"maxConcurrentHarvests": 1}}
+const parseHostPolicies = value => {
+  if (!value) return {};
+  try {
+    const policies = JSON.parse(value);
+    return policies && typeof policies === 'object' ? policies : {};
+  } catch (error) {
+    logger.warn(`Ignoring invalid OAI_HOST_POLICIES: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Per-host politeness for OAI-PMH endpoints: a minimum interval between requests, a maximum
+ * number of requests per minute and a maximum number of concurrent harvests. Requests are
+ * spaced by reserving their time slot in the host state, so limiters in concurrent invocations
+ * that share a store queue up behind each other instead of all firing at once.
+ */
+class HostRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - State store with load(host) and save(host, state, version)
+   * @param {Object} [options.policies] - Host policies, defaults to OAI_HOST_POLICIES
+   * @param {function} [options.delay] - Waits the given milliseconds
+   * @param {function} [options.now] - Returns the current time in milliseconds
+   */
+  constructor(options = {}) {
+    this.store = options.store || createDefaultStore();
+    this.policies = options.policies || parseHostPolicies(process.env.OAI_HOST_POLICIES);
+    this.delay = options.delay || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Get the host name a URL is rate limited under
+   * @returns {string|null} Lower case host name, null for invalid URLs
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the policy of a host: its own entry over the configured default over DEFAULT_HOST_POLICY
+   */
+  getPolicy(host) {
+    return {
+      ...DEFAULT_HOST_POLICY,
+      ...this.policies.default,
+      ...(host && this.policies[host]),
+    };
+  }
+
+  /**
+   * Wait until a request to the host of the URL is allowed by its policy
+   * @param {string} url - URL about to be requested
+   * @param {Object} [options]
+   * @param {number|null} [options.deadline] - Time (ms since the epoch) the request has to start
+   *   before; a later slot is not claimed and not waited for
+   * @returns {Promise<number|null>} Milliseconds waited, null when no slot is free before the
+   *   deadline
+   */
+  async waitForRequestSlot(url, { deadline = null } = {}) {
+    const host = this.getHost(url);
+    const policy = this.getPolicy(host);
+    if (!host || (!policy.minIntervalMs && !policy.maxRequestsPerMinute)) {
+      return 0;
+    }
+
+    const waitMs = await this.updateState(host, state => {
+      const now = this.now();
+      const requestTimes = state.requestTimes.filter(time => time > now - MINUTE_MS);
+
+      let slot = Math.max(now, (state.lastRequestAt || 0) + (policy.minIntervalMs || 0));
+      if (policy.maxRequestsPerMinute) {
+        const inWindow = requestTimes.filter(time => time > slot - MINUTE_MS);
+        if (inWindow.length >= policy.maxRequestsPerMinute) {
+          slot = inWindow[inWindow.length - policy.maxRequestsPerMinute] + MINUTE_MS;
+        }
+      }
+      if (deadline !== null && slot >= deadline) {
+        return { state: null, result: null };
+      }
+
+      return {
+        state: { ...state, lastRequestAt: slot, requestTimes: [...requestTimes, slot] },
+        result: slot - now,
+      };
+    });
+
+    if (waitMs === null) {
+      logger.warn(`Rate limiting ${host}: no request slot before the deadline`);
+      return null;
+    }
+    if (waitMs > 0) {
+      logger.log(`Rate limiting ${host}: waiting ${waitMs}ms before the next request`);
+      await this.delay(waitMs);
+    }
+    return waitMs;
+  }
+
+  /**
+   * Claim one of the concurrent harvest slots of the host of the URL
+   * @param {string} url - OAI endpoint URL
+   * @param {string} harvestId - Identifier of the harvest, used to release the slot
+   * @returns {Promise<boolean>} false when the host already has its maximum of harvests running
+   */
+  async acquireHarvestSlot(url, harvestId) {
+    const host = this.getHost(url);
+    const { maxConcurrentHarvests } = this.getPolicy(host);
+    if (!host || !maxConcurrentHarvests) {
+      return true;
+    }
+
+    const acquired = await this.updateState(host, state => {
+      const now = this.now();
+      const harvests = Object.fromEntries(
+        Object.entries(state.harvests).filter(([, expiresAt]) => expiresAt > now)
+      );
+      if (!(harvestId in harvests) && Object.keys(harvests).length >= maxConcurrentHarvests) {
+        return { state: null, result: false };
+      }
+      harvests[harvestId] = now + HARVEST_SLOT_TTL_MS;
+      return { state: { ...state, harvests }, result: true };
+    });
+
+    if (!acquired) {
+      logger.warn(`${host} already has ${maxConcurrentHarvests} harvest(s) running`);
+    }
+    return acquired;
+  }
+
+  /**
+   * Release the harvest slot claimed with acquireHarvestSlot
+   */
+  async releaseHarvestSlot(url, harvestId) {
+    const host = this.getHost(url);
+    if (!host || !this.getPolicy(host).maxConcurrentHarvests) {
+      return;
+    }
+
+    await this.updateState(host, state => {
+      if (!(harvestId in state.harvests)) {
+        return { state: null, result: undefined };
+      }
+      const harvests = { ...state.harvests };
+      delete harvests[harvestId];
+      return { state: { ...state, harvests }, result: undefined };
+    });
+  }
+
+  /**
+   * Read-modify-write the state of a host, retrying when another invocation changed it first
+   * @param {string} host - The host name
+   * @param {function} update - Gets the current state, returns { state, result }; a null state
+   *   leaves the stored state unchanged
+   * @returns {Promise<*>} The result of the update that was stored
+   */
+  async updateState(host, update) {
+    for (let attempt = 0; attempt < MAX_STATE_CONFLICTS; attempt++) {
+      const { state, version } = await this.store.load(host);
+      const { state: nextState, result } = update({
+        lastRequestAt: null,
+        requestTimes: [],
+        harvests: {},
+        ...state,
+      });
+
+      if (!nextState || (await this.store.save(host, nextState, version))) {
+        return result;
+      }
+    }
+
+    throw createError(
+      `Rate limit state of ${host} kept changing concurrently`,
+      'RATE_LIMIT_STATE_CONFLICT'
+    );
+  }
+}
+
+module.exports = {
+  HostRateLimiter,
+  InMemoryRateLimitStore,
+  S3RateLimitStore,
+  DEFAULT_HOST_POLICY,
+};
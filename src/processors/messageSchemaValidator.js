@@ -0,0 +1,116 @@
+const { randomUUID } = require('crypto');
+const Ajv = require('ajv');
+const { getCorrelationFields, logger } = require('./correlationContext');
+const envelopeSchema = require('../schemas/envelope.schema.json');
+const identifySchema = require('../schemas/identify.schema.json');
+const articleBatchSchema = require('../schemas/articleBatch.schema.json');
+const errorSchema = require('../schemas/error.schema.json');
+const invalidRequestSchema = require('../schemas/invalidRequest.schema.json');
+
+// Version of the schemas in src/schemas. Bump the minor version when fields are added and the
+// major version when fields are renamed or removed.
+const MESSAGE_SCHEMA_VERSION = '1.4';
+
+// Message types with their own schema, all others are only checked against the envelope
+const SCHEMAS_BY_TYPE = {
+  Identify: identifySchema.$id,
+  ArticleBatch: articleBatchSchema.$id,
+  Error: errorSchema.$id,
+  InvalidRequest: invalidRequestSchema.$id,
+};
+
+// Compiled once per Lambda container
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema([
+  envelopeSchema,
+  identifySchema,
+  articleBatchSchema,
+  errorSchema,
+  invalidRequestSchema,
+]);
+
+/**
+ * Add the envelope fields every integration queue message carries. A message that already has
+ * them (e.g. a replayed dead letter, or a message fanned out to several sinks) keeps its
+ * messageId. Messages sent for a scraping request carry its correlation ID and SQS message ID.
+ * @param {Object} messageData - Message built by the handler
+ * @returns {Object} { schemaVersion, messageId, runId, type, ...messageData, timestamp }
+ */
+const createEnvelope = messageData => ({
+  schemaVersion: MESSAGE_SCHEMA_VERSION,
+  messageId: messageData.messageId || randomUUID(),
+  runId: messageData.runId || null,
+  type: messageData.type || messageData.messageType,
+  ...getCorrelationFields(),
+  ...messageData,
+  timestamp: messageData.timestamp || new Date().toISOString(),
+});
+
+// Helper function to read MESSAGE_SCHEMA_VALIDATION: messages that do not match their schema
+// are not sent ("strict"), only logged ("warn") or not validated at all ("off")
+const getValidationMode = () =>
+  ['warn', 'off'].includes(process.env.MESSAGE_SCHEMA_VALIDATION)
+    ? process.env.MESSAGE_SCHEMA_VALIDATION
+    : 'strict';
+
+/**
+ * Validates integration queue messages against the published JSON Schemas in src/schemas
+ */
+class MessageSchemaValidator {
+  /**
+   * Get the ID of the schema a message is validated against
+   */
+  getSchemaId(message) {
+    return SCHEMAS_BY_TYPE[message.type] || envelopeSchema.$id;
+  }
+
+  /**
+   * Validate a message against the schema of its type
+   * @param {Object} message - Message with its envelope fields
+   * @returns {Object} { valid, schemaId, errors } with one "<path> <problem>" string per error
+   */
+  validate(message) {
+    const schemaId = this.getSchemaId(message);
+    const validateSchema = ajv.getSchema(schemaId);
+    const valid = validateSchema(message);
+
+    return {
+      valid,
+      schemaId,
+      errors: valid
+        ? []
+        : validateSchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`),
+    };
+  }
+
+  /**
+   * Check a message before it is sent
+   * @param {Object} message - Message with its envelope fields
+   * @param {string} [mode] - "strict", "warn" or "off", defaults to MESSAGE_SCHEMA_VALIDATION
+   * @throws {Error} With errorCode MESSAGE_SCHEMA_INVALID when the mode is strict
+   */
+  assertValid(message, mode = getValidationMode()) {
+    if (mode === 'off') {
+      return;
+    }
+
+    const { valid, schemaId, errors } = this.validate(message);
+    if (valid) {
+      return;
+    }
+
+    const errorMessage = `${message.type} message does not match ${schemaId}: ${errors.join('; ')}`;
+    if (mode === 'warn') {
+      logger.warn(errorMessage);
+      return;
+    }
+    throw Object.assign(new Error(errorMessage), { errorCode: 'MESSAGE_SCHEMA_INVALID' });
+  }
+}
+
+module.exports = {
+  MessageSchemaValidator,
+  createEnvelope,
+  getValidationMode,
+  MESSAGE_SCHEMA_VERSION,
+};
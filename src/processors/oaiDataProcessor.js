@@ -1,20 +1,97 @@
 const axios = require('axios');
 const { parseStringPromise } = require('xml2js');
+const { OaiStreamParser } = require('./oaiStreamParser');
+const { XmlEncodingProcessor } = require('./xmlEncodingProcessor');
+const { HostRateLimiter } = require('./hostRateLimiter');
+const { readIntEnv } = require('./environment');
+const { logger } = require('./correlationContext');
+
+// OAI-PMH datestamp granularities as reported by Identify
+const GRANULARITY_DAY = 'YYYY-MM-DD';
+const GRANULARITY_SECONDS = 'YYYY-MM-DDThh:mm:ssZ';
+
+// Helper function to create an error carrying a standardized error code
+const createError = (message, errorCode) => Object.assign(new Error(message), { errorCode });
+
+// OAI-PMH protocol error codes (returned with HTTP 200 inside <error>) mapped to our error codes
+const OAI_ERROR_CODES = {
+  badArgument: 'OAI_BAD_ARGUMENT',
+  badResumptionToken: 'OAI_BAD_RESUMPTION_TOKEN',
+  badVerb: 'OAI_BAD_VERB',
+  cannotDisseminateFormat: 'OAI_CANNOT_DISSEMINATE_FORMAT',
+  idDoesNotExist: 'OAI_ID_DOES_NOT_EXIST',
+  noRecordsMatch: 'OAI_NO_RECORDS_MATCH',
+  noMetadataFormats: 'OAI_NO_METADATA_FORMATS',
+  noSetHierarchy: 'OAI_NO_SET_HIERARCHY',
+};
+
+// Error codes (as produced by getErrorCode) worth retrying: transient network failures,
+// rate limiting and server-side errors such as the 503 flow control used by OAI-PMH servers
+const RETRYABLE_ERROR_CODES = new Set([
+  'CONNECTION_REFUSED',
+  'CONNECTION_RESET',
+  'TIMEOUT_ERROR',
+  'REQUEST_TIMEOUT',
+  'NETWORK_ERROR',
+  'HTTP_CLIENT_ERROR_429',
+  'HTTP_SERVER_ERROR_500',
+  'HTTP_SERVER_ERROR_502',
+  'HTTP_SERVER_ERROR_503',
+  'HTTP_SERVER_ERROR_504',
+]);
 
 class OaiDataProcessor {
-  constructor() {
-    this.logger = console; // Using console for logging in Lambda
-    this.maxPages = 1000; // Maximum number of pages to fetch to prevent infinite loops
+  /**
+   * @param {Object} [options]
+   * @param {HostRateLimiter} [options.rateLimiter] - Spaces the requests to each host
+   * @param {number} [options.maxPages] - Pages to fetch at most, default OAI_MAX_PAGES or 1000
+   * @param {number} [options.timeout] - Request timeout in ms, default OAI_REQUEST_TIMEOUT_MS
+   *   or 120000
+   * @param {number} [options.pageDelayMs] - Pause between ListRecords pages on top of the host
+   *   policy, default OAI_PAGE_DELAY_MS or 0
+   */
+  constructor(options = {}) {
+    // Maximum number of pages to fetch to prevent infinite loops
+    this.maxPages = options.maxPages || readIntEnv('OAI_MAX_PAGES', 1000, { min: 1 });
+    this.pageDelayMs = options.pageDelayMs ?? readIntEnv('OAI_PAGE_DELAY_MS', 0);
+
+    // Per-host politeness policy, applied before every request including retries
+    this.rateLimiter = options.rateLimiter || new HostRateLimiter({ delay: ms => this.delay(ms) });
+
+    // Responses are fetched as raw bytes and decoded to UTF-8 here, see decodeResponse
+    this.encodingProcessor = new XmlEncodingProcessor();
+
+    // Response bytes received by this processor, reported in the HarvestCompleted summary
+    this.bytesDownloaded = 0;
+
+    // Consecutive empty pages with a fresh resumption token before a harvest is considered stalled
+    this.maxEmptyPages = readIntEnv('OAI_MAX_EMPTY_PAGES', 5, { min: 1 });
+
+    // Parse ListRecords pages while they are downloaded instead of buffering them
+    this.streamingParser = process.env.OAI_STREAMING_PARSER !== 'false';
+
+    // Retry configuration for transient failures
+    this.maxRetries = readIntEnv('OAI_MAX_RETRIES', 3);
+    this.retryBaseDelay = readIntEnv('OAI_RETRY_BASE_DELAY_MS', 2000);
+    this.retryMaxDelay = readIntEnv('OAI_RETRY_MAX_DELAY_MS', 60000);
+
+    // Lambda time kept free after the last ListRecords request to process its page and hand
+    // the harvest over to a continuation, see processListRecords getRemainingTimeInMillis
+    this.deadlineReserveMs = readIntEnv('OAI_DEADLINE_RESERVE_MS', 60000);
+    // Time by which requests have to be done, set while a deadline-aware harvest runs
+    this.deadline = null;
 
     // Axios configuration
     this.axiosConfig = {
-      timeout: 120000, // 120 seconds
+      timeout: options.timeout || readIntEnv('OAI_REQUEST_TIMEOUT_MS', 120000, { min: 1 }),
       headers: {
         'User-Agent': 'IndexJournalsDataScraping/1.0',
         Accept: '*/*',
       },
       maxRedirects: 5,
-      validateStatus: status => status < 500, // Don't throw on 4xx errors
+      responseType: 'arraybuffer',
+      // Only 2xx is a success, so 4xx/5xx errors keep their status for getErrorCode
+      validateStatus: status => status >= 200 && status < 300,
     };
   }
 
@@ -25,7 +102,7 @@ class OaiDataProcessor {
    * @returns {Promise<Object>} Processing result
    */
   async processIdentify(oaiUrl, journalKey) {
-    console.log(
+    logger.log(
       `Phase 1: Processing Identify request for journal: ${journalKey} from URL: ${oaiUrl}`
     );
 
@@ -35,10 +112,10 @@ class OaiDataProcessor {
 
       // Build Identify URL
       const identifyUrl = this.buildIdentifyUrl(oaiUrl);
-      console.log('Making Identify request to:', identifyUrl);
+      logger.log('Making Identify request to:', identifyUrl);
 
       // Make HTTP request
-      const response = await axios.get(identifyUrl, this.axiosConfig);
+      const response = await this.requestWithRetry(identifyUrl);
 
       if (response.status !== 200) {
         throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
@@ -48,9 +125,9 @@ class OaiDataProcessor {
         throw new Error('Empty response received from OAI endpoint');
       }
 
-      console.log(
-        `Successfully received Identify response with ${response.data.length} characters`
-      );
+      await this.checkOaiError(response.data);
+
+      logger.log(`Successfully received Identify response with ${response.data.length} characters`);
 
       return {
         data: response.data,
@@ -62,7 +139,7 @@ class OaiDataProcessor {
         url: identifyUrl,
       };
     } catch (error) {
-      console.error(`Failed to process Identify request for URL: ${oaiUrl}`, error);
+      logger.error(`Failed to process Identify request for URL: ${oaiUrl}`, error);
 
       return {
         data: null,
@@ -76,13 +153,330 @@ class OaiDataProcessor {
     }
   }
 
+  /**
+   * Process ListMetadataFormats request to discover the formats a repository can disseminate
+   * @param {string} oaiUrl - The OAI endpoint URL
+   * @param {string} journalKey - The journal identifier
+   * @returns {Promise<Object>} Processing result
+   */
+  async processListMetadataFormats(oaiUrl, journalKey) {
+    logger.log(
+      `Processing ListMetadataFormats request for journal: ${journalKey} from URL: ${oaiUrl}`
+    );
+
+    try {
+      this.validateOaiUrl(oaiUrl);
+
+      const requestUrl = this.buildListMetadataFormatsUrl(oaiUrl);
+      logger.log('Making ListMetadataFormats request to:', requestUrl);
+
+      const response = await this.requestWithRetry(requestUrl);
+
+      if (response.status !== 200) {
+        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+      }
+
+      if (!response.data) {
+        throw new Error('Empty response received from OAI endpoint');
+      }
+
+      await this.checkOaiError(response.data);
+
+      return {
+        data: response.data,
+        type: 'ListMetadataFormats',
+        success: true,
+        status: 'completed',
+        errorCode: null,
+        errorMessage: null,
+        url: requestUrl,
+      };
+    } catch (error) {
+      logger.error(`Failed to process ListMetadataFormats request for URL: ${oaiUrl}`, error);
+
+      return {
+        data: null,
+        type: 'ListMetadataFormats',
+        success: false,
+        status: 'failed',
+        errorCode: this.getErrorCode(error),
+        errorMessage: error.message,
+        url: oaiUrl,
+      };
+    }
+  }
+
+  /**
+   * Process ListSets request with pagination
+   * @param {string} oaiUrl - The OAI endpoint URL
+   * @param {string} journalKey - The journal identifier
+   * @returns {Promise<Object>} Processing result with the raw XML of every ListSets page
+   */
+  async processListSets(oaiUrl, journalKey) {
+    logger.log(`Processing ListSets request for journal: ${journalKey} from URL: ${oaiUrl}`);
+
+    try {
+      this.validateOaiUrl(oaiUrl);
+
+      const pages = [];
+      let resumptionToken = null;
+
+      do {
+        const requestUrl = this.buildListSetsUrl(oaiUrl, resumptionToken);
+        logger.log('Making ListSets request to:', requestUrl);
+
+        const response = await this.requestWithRetry(requestUrl);
+
+        if (response.status !== 200) {
+          throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+        }
+
+        if (!response.data) {
+          throw new Error('Empty response received from OAI endpoint');
+        }
+
+        pages.push(response.data);
+
+        const result = await parseStringPromise(response.data, {
+          explicitArray: false,
+          ignoreAttrs: false,
+        });
+        this.throwOaiError(result);
+        const listSets = result?.['OAI-PMH']?.ListSets;
+        resumptionToken = listSets ? this.extractResumptionTokenFromParsed(listSets) : null;
+
+        if (resumptionToken && pages.length >= this.maxPages) {
+          logger.log(`Reached maximum page limit (${this.maxPages}), stopping ListSets`);
+          break;
+        }
+      } while (resumptionToken);
+
+      logger.log(`ListSets processing completed with ${pages.length} page(s)`);
+
+      return {
+        data: pages,
+        type: 'ListSets',
+        pageCount: pages.length,
+        success: true,
+        status: 'completed',
+        errorCode: null,
+        errorMessage: null,
+      };
+    } catch (error) {
+      logger.error(`Failed to process ListSets request for URL: ${oaiUrl}`, error);
+
+      return {
+        data: null,
+        type: 'ListSets',
+        pageCount: 0,
+        success: false,
+        status: 'failed',
+        errorCode: this.getErrorCode(error),
+        errorMessage: error.message,
+      };
+    }
+  }
+
+  /**
+   * Process GetRecord request for a single OAI identifier
+   * @param {string} oaiUrl - The OAI endpoint URL
+   * @param {string} identifier - The OAI identifier of the record
+   * @param {string} [metadataPrefix] - Metadata format to retrieve, defaults to oai_dc
+   * @returns {Promise<Object>} Processing result
+   */
+  async processGetRecord(oaiUrl, identifier, metadataPrefix = 'oai_dc') {
+    logger.log(`Processing GetRecord request for ${identifier} from URL: ${oaiUrl}`);
+
+    try {
+      this.validateOaiUrl(oaiUrl);
+
+      if (!identifier || typeof identifier !== 'string') {
+        throw createError('OAI identifier is required', 'INVALID_IDENTIFIER');
+      }
+
+      const requestUrl = this.buildGetRecordUrl(oaiUrl, identifier, metadataPrefix);
+      logger.log('Making GetRecord request to:', requestUrl);
+
+      const response = await this.requestWithRetry(requestUrl);
+
+      if (response.status !== 200) {
+        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+      }
+
+      if (!response.data) {
+        throw new Error('Empty response received from OAI endpoint');
+      }
+
+      await this.checkOaiError(response.data);
+
+      return {
+        data: response.data,
+        type: 'GetRecord',
+        identifier,
+        success: true,
+        status: 'completed',
+        errorCode: null,
+        errorMessage: null,
+        url: requestUrl,
+      };
+    } catch (error) {
+      logger.error(`Failed to process GetRecord request for ${identifier}`, error);
+
+      return {
+        data: null,
+        type: 'GetRecord',
+        identifier,
+        success: false,
+        status: 'failed',
+        errorCode: this.getErrorCode(error),
+        errorMessage: error.message,
+        url: oaiUrl,
+      };
+    }
+  }
+
+  /**
+   * Make an HTTP GET request, retrying retryable failures with jittered exponential backoff
+   * @param {string} requestUrl - The URL to request
+   * @param {Object} [requestConfig] - Axios options overriding the defaults (e.g. responseType)
+   * @param {number} [maxRetries] - Retries of a failed request, defaults to OAI_MAX_RETRIES
+   * @returns {Promise<Object>} Axios response
+   */
+  async requestWithRetry(requestUrl, requestConfig = {}, maxRetries = this.maxRetries) {
+    for (let attempt = 0; ; attempt++) {
+      const waitedMs = await this.rateLimiter.waitForRequestSlot(requestUrl, {
+        deadline: this.deadline,
+      });
+      if (waitedMs === null) {
+        throw this.createDeadlineError(requestUrl);
+      }
+      // Taken after the wait for the host rate limit, which uses up time before the deadline
+      const timeout = this.getRequestTimeout(requestUrl);
+      try {
+        const response = await axios.get(requestUrl, {
+          ...this.axiosConfig,
+          timeout,
+          ...requestConfig,
+        });
+        return requestConfig.responseType === 'stream' ? response : this.decodeResponse(response);
+      } catch (error) {
+        const errorCode = this.getErrorCode(error);
+        const timedOut = errorCode === 'TIMEOUT_ERROR' || errorCode === 'REQUEST_TIMEOUT';
+        if (timedOut && timeout < this.axiosConfig.timeout) {
+          throw this.createDeadlineError(requestUrl, errorCode);
+        }
+        if (attempt >= maxRetries || !RETRYABLE_ERROR_CODES.has(errorCode)) {
+          throw error;
+        }
+        await this.waitBeforeRetry(requestUrl, error, attempt);
+      }
+    }
+  }
+
+  /**
+   * Wait with jittered exponential backoff before the next attempt of a failed request
+   * @throws {Error} DEADLINE_EXCEEDED when the next attempt would start after the deadline
+   */
+  async waitBeforeRetry(requestUrl, error, attempt) {
+    const errorCode = this.getErrorCode(error);
+    const retryDelay = this.getRetryDelay(error, attempt);
+    if (this.deadline !== null && Date.now() + retryDelay >= this.deadline) {
+      throw this.createDeadlineError(requestUrl, errorCode);
+    }
+    logger.warn(
+      `Request to ${requestUrl} failed with ${errorCode}, retrying in ${retryDelay}ms (attempt ${attempt + 1}/${this.maxRetries})`
+    );
+    await this.delay(retryDelay);
+  }
+
+  /**
+   * Get the timeout of the next request, shortened to the time left before the deadline
+   * @throws {Error} DEADLINE_EXCEEDED when no time is left for another request
+   */
+  getRequestTimeout(requestUrl) {
+    if (this.deadline === null) {
+      return this.axiosConfig.timeout;
+    }
+
+    const timeLeft = this.deadline - Date.now();
+    if (timeLeft < 1000) {
+      throw this.createDeadlineError(requestUrl);
+    }
+    return Math.min(this.axiosConfig.timeout, timeLeft);
+  }
+
+  /**
+   * Create the error of a request that cannot be made or retried before the deadline
+   */
+  createDeadlineError(requestUrl, errorCode = null) {
+    return createError(
+      `No time left before the Lambda deadline to request ${requestUrl}${errorCode ? ` (last attempt failed with ${errorCode})` : ''}`,
+      'DEADLINE_EXCEEDED'
+    );
+  }
+
+  /**
+   * Decode the raw response body to UTF-8 text, detecting the real encoding and removing
+   * characters that are illegal in XML. The applied repairs are kept in response.encoding.
+   */
+  decodeResponse(response) {
+    if (response.data === undefined || response.data === null) {
+      return response;
+    }
+
+    this.bytesDownloaded += Buffer.byteLength(response.data);
+    const { text, encoding } = this.encodingProcessor.decode(
+      response.data,
+      response.headers?.['content-type']
+    );
+    if (encoding.repaired) {
+      logger.warn(
+        `Repaired response encoding (${encoding.encoding} from ${encoding.source}): ${encoding.repairs.join(', ')}`
+      );
+    }
+
+    return { ...response, data: text, encoding };
+  }
+
+  /**
+   * Get the delay before the next retry. A Retry-After header (seconds or HTTP date) wins,
+   * otherwise the exponential backoff is jittered to spread out concurrent retries.
+   * Both are capped at the configured maximum delay.
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.retryMaxDelay);
+    }
+
+    const backoff = Math.min(this.retryBaseDelay * 2 ** attempt, this.retryMaxDelay);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Parse a Retry-After header value into milliseconds
+   * @returns {number|null} Delay in milliseconds or null when absent or invalid
+   */
+  parseRetryAfter(retryAfter) {
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds >= 0 ? seconds * 1000 : null;
+    }
+
+    const retryDate = Date.parse(retryAfter);
+    if (Number.isNaN(retryDate)) return null;
+    return Math.max(retryDate - Date.now(), 0);
+  }
+
   /**
    * Helper method to make HTTP request and validate response
    */
   async makeListRecordsRequest(requestUrl) {
-    console.log('Making ListRecords request to:', requestUrl);
+    logger.log('Making ListRecords request to:', requestUrl);
 
-    const response = await axios.get(requestUrl, this.axiosConfig);
+    const response = await this.requestWithRetry(requestUrl);
 
     if (response.status !== 200) {
       throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
@@ -92,7 +486,7 @@ class OaiDataProcessor {
       throw new Error('Empty response received from OAI endpoint');
     }
 
-    console.log(
+    logger.log(
       `Successfully received ListRecords response with ${response.data.length} characters`
     );
     return response;
@@ -107,8 +501,12 @@ class OaiDataProcessor {
       ignoreAttrs: false, // Don't ignore attributes to capture resumption token
     });
 
+    if (this.isEmptyHarvest(this.extractOaiError(result))) {
+      return { recordsInPage: 0, newResumptionToken: null };
+    }
+
     if (!result?.['OAI-PMH']?.ListRecords) {
-      console.log('No ListRecords found in OAI response or invalid XML structure.');
+      logger.log('No ListRecords found in OAI response or invalid XML structure.');
       return { recordsInPage: 0, newResumptionToken: null };
     }
 
@@ -121,31 +519,140 @@ class OaiDataProcessor {
       recordsInPage = records.length;
     }
 
+    const tokenInfo = this.parseResumptionTokenAttributes(listRecords.resumptionToken?.$);
+
     // Call the callback function for this page
     await pageCallback(
       response.data,
       pageCount,
       recordsInPage,
-      totalRecordsProcessed + recordsInPage
+      totalRecordsProcessed + recordsInPage,
+      { encoding: response.encoding || null, resumptionToken: tokenInfo }
     );
 
-    console.log(`Processed page ${pageCount} with ${recordsInPage} records.`);
+    logger.log(`Processed page ${pageCount} with ${recordsInPage} records.`);
 
     // Check for resumption token
     const newResumptionToken = this.extractResumptionTokenFromParsed(listRecords);
-    return { recordsInPage, newResumptionToken };
+    return { recordsInPage, newResumptionToken, tokenInfo };
+  }
+
+  /**
+   * Helper method to stream a single page of ListRecords. Records are handed to onRecord while
+   * the response is parsed, the page callback receives the raw page once it is complete (null
+   * unless keepPageXml). The request and the reading of its body are retried together: when
+   * either fails with a retryable error the page is requested again, and the records already
+   * handed to onRecord are skipped. A DEADLINE_EXCEEDED error carries them as pageRecordsHandled.
+   */
+  async processListRecordsPageStream(
+    requestUrl,
+    pageCount,
+    pageCallback,
+    totalRecordsProcessed,
+    onRecord,
+    keepPageXml = true,
+    recordsToSkip = 0
+  ) {
+    logger.log('Making streaming ListRecords request to:', requestUrl);
+
+    // Records handed on by an earlier invocation count as handled
+    let recordsHandled = recordsToSkip;
+    const handleRecord = async (record, recordIndex) => {
+      if (recordIndex <= recordsHandled) return;
+      recordsHandled = recordIndex;
+      await onRecord(record, pageCount, recordIndex, totalRecordsProcessed + recordIndex);
+    };
+
+    let page;
+    try {
+      for (let attempt = 0; !page; attempt++) {
+        try {
+          const response = await this.requestWithRetry(requestUrl, { responseType: 'stream' }, 0);
+          page = await new OaiStreamParser({
+            contentType: response.headers?.['content-type'],
+          }).parse(response.data, handleRecord, { keepXml: keepPageXml });
+        } catch (error) {
+          const errorCode = this.getErrorCode(error);
+          if (attempt >= this.maxRetries || !RETRYABLE_ERROR_CODES.has(errorCode)) {
+            throw error;
+          }
+          logger.warn(
+            `Reading page ${pageCount} failed with ${errorCode} after ${recordsHandled} records`
+          );
+          await this.waitBeforeRetry(requestUrl, error, attempt);
+        }
+      }
+    } catch (error) {
+      if (error.errorCode === 'DEADLINE_EXCEEDED') {
+        error.pageRecordsHandled = recordsHandled;
+      }
+      throw error;
+    }
+    this.bytesDownloaded += page.bytesRead;
+    if (page.encoding.repaired) {
+      logger.warn(
+        `Repaired page ${pageCount} encoding (${page.encoding.encoding} from ${page.encoding.source}): ${page.encoding.repairs.join(', ')}`
+      );
+    }
+
+    if (this.isEmptyHarvest(page.error)) {
+      return { recordsInPage: 0, newResumptionToken: null };
+    }
+
+    if (!page.hasListRecords) {
+      logger.log('No ListRecords found in OAI response or invalid XML structure.');
+      return { recordsInPage: 0, newResumptionToken: null };
+    }
+
+    const tokenInfo = this.parseResumptionTokenAttributes(page.resumptionToken);
+
+    await pageCallback(
+      page.xml,
+      pageCount,
+      page.recordCount,
+      totalRecordsProcessed + page.recordCount,
+      { encoding: page.encoding, resumptionToken: tokenInfo }
+    );
+
+    logger.log(
+      `Processed page ${pageCount} with ${page.recordCount} records (${page.bytesRead} bytes streamed).`
+    );
+
+    return {
+      recordsInPage: page.recordCount,
+      newResumptionToken: page.resumptionToken?.token || null,
+      tokenInfo,
+    };
+  }
+
+  /**
+   * Check the OAI-PMH protocol error of a ListRecords page. noRecordsMatch means the harvest
+   * is empty rather than failed, every other error is thrown.
+   * @returns {boolean} true when no records match the harvest criteria
+   */
+  isEmptyHarvest(oaiError) {
+    if (oaiError?.code === 'noRecordsMatch') {
+      logger.log(`No records match the harvest criteria: ${oaiError.message || oaiError.code}`);
+      return true;
+    }
+    if (oaiError) {
+      throw this.createOaiError(oaiError);
+    }
+    return false;
   }
 
   /**
-   * Helper method to handle pagination logic
+   * Helper method to handle pagination logic, pausing pageDelayMs before the next page
    */
   async handlePagination(resumptionToken, _pageCount) {
     if (resumptionToken) {
-      console.log(`Found resumption token: ${resumptionToken}, continuing pagination...`);
-      await this.delay(1000); // 1 second delay between requests
+      logger.log(`Found resumption token: ${resumptionToken}, continuing pagination...`);
+      if (this.pageDelayMs > 0) {
+        await this.delay(this.pageDelayMs);
+      }
       return resumptionToken;
     } else {
-      console.log('No resumption token found, pagination complete');
+      logger.log('No resumption token found, pagination complete');
       return null;
     }
   }
@@ -154,73 +661,328 @@ class OaiDataProcessor {
    * Phase 2: Process ListRecords request with pagination
    * @param {string} oaiUrl - The OAI endpoint URL
    * @param {string} journalKey - The journal identifier
-   * @param {function} pageCallback - Callback function called for each page
-   * @returns {Promise<Object>} Processing result
+   * @param {function} pageCallback - Callback function called for each page with (pageXml,
+   *   pageNumber, recordsInPage, recordsProcessed, { encoding, resumptionToken }),
+   *   where resumptionToken holds the completeListSize, cursor and expirationDate of the page
+   * @param {Object} [options] - Harvest options
+   * @param {string|Date} [options.from] - Lower bound datestamp for selective harvesting
+   * @param {string|Date} [options.until] - Upper bound datestamp for selective harvesting
+   * @param {string} [options.granularity] - Datestamp granularity reported by Identify
+   * @param {string} [options.set] - setSpec to restrict the harvest to
+   * @param {string} [options.metadataPrefix] - Metadata format to harvest, defaults to oai_dc
+   * @param {string} [options.resumptionToken] - Token to resume an interrupted harvest from
+   * @param {number} [options.pageNumber] - Pages already processed before the resumption token
+   * @param {number} [options.recordsProcessed] - Records already processed before the token
+   * @param {number} [options.pageRecordsHandled] - Records of the page of the resumption token
+   *   already handed to onRecord, they are skipped when the page is streamed again
+   * @param {function} [options.onCheckpoint] - Called after each page that has a follow-up
+   *   token with { resumptionToken, pageNumber, recordsProcessed }, and with pageRecordsHandled
+   *   as well when the harvest pauses in the middle of a streamed page
+   * @param {function} [options.shouldStop] - Checked after each page; when it returns true the
+   *   harvest is paused with status 'paused' and the resumptionToken to continue from
+   * @param {function} [options.onRecord] - Called with (record, pageNumber, recordIndex,
+   *   recordsProcessed) for each record while a page is streamed and awaited before the next
+   *   one; pages are buffered and parsed whole without it
+   * @param {boolean} [options.keepPageXml] - Whether a streamed page is kept to be passed to the
+   *   page callback, default true; it receives null instead when the page is not archived
+   * @param {number} [options.maxRecords] - Stop after the page that brings the records processed
+   *   to this number; records of that page past it are not counted, the page callback drops them
+   * @param {function} [options.getRemainingTimeInMillis] - Lambda context method; requests and
+   *   their retries then end OAI_DEADLINE_RESERVE_MS before the deadline, and a page that cannot
+   *   be fetched in time pauses the harvest with its resumptionToken instead of failing it.
+   *   The page callback receives the time left as remainingTimeMs.
+   * @returns {Promise<Object>} Processing result, with limitReached (maxPages or maxRecords) when
+   *   the harvest stopped at a limit before the end of the list
    */
-  async processListRecords(oaiUrl, journalKey, pageCallback) {
-    console.log(
+  async processListRecords(oaiUrl, journalKey, pageCallback, options = {}) {
+    logger.log(
       `Phase 2: Processing ListRecords request for journal: ${journalKey} from URL: ${oaiUrl}`
     );
 
+    const harvestSummary = this.createHarvestSummary(options);
+    const seenTokens = new Set(options.resumptionToken ? [options.resumptionToken] : []);
+    const getRemainingTime = options.getRemainingTimeInMillis || null;
+    const pageCallbackWithTime = getRemainingTime
+      ? (pageXml, pageNumber, recordsInPage, recordsProcessed, pageInfo) =>
+          pageCallback(pageXml, pageNumber, recordsInPage, recordsProcessed, {
+            ...pageInfo,
+            remainingTimeMs: getRemainingTime(),
+          })
+      : pageCallback;
+
     try {
       this.validateOaiUrl(oaiUrl);
+      this.deadline = getRemainingTime
+        ? Date.now() + getRemainingTime() - this.deadlineReserveMs
+        : null;
 
-      let resumptionToken = null;
-      let pageCount = 0;
-      let totalRecordsProcessed = 0;
+      const listRecordsOptions = {
+        from: this.formatDatestamp(options.from, options.granularity),
+        until: this.formatDatestamp(options.until, options.granularity),
+        set: options.set || null,
+        metadataPrefix: options.metadataPrefix || 'oai_dc',
+      };
+      if (listRecordsOptions.from || listRecordsOptions.until || listRecordsOptions.set) {
+        logger.log(
+          `Selective harvest - from: ${listRecordsOptions.from || '-'}, until: ${listRecordsOptions.until || '-'}, set: ${listRecordsOptions.set || '-'}`
+        );
+      }
+
+      const streaming = this.streamingParser && typeof options.onRecord === 'function';
+      let resumptionToken = options.resumptionToken || null;
+      let pageCount = options.pageNumber || 0;
+      let totalRecordsProcessed = options.recordsProcessed || 0;
+      let limitReached = null;
+      if (resumptionToken) {
+        logger.log(
+          `Resuming ListRecords after page ${pageCount} (${totalRecordsProcessed} records processed)`
+        );
+      }
 
       do {
         pageCount++;
-        console.log(`Fetching ListRecords page ${pageCount}`);
+        logger.log(`Fetching ListRecords page ${pageCount}`);
 
         const requestUrl = resumptionToken
           ? this.buildResumptionTokenUrl(oaiUrl, resumptionToken)
-          : this.buildListRecordsUrl(oaiUrl);
-
-        const response = await this.makeListRecordsRequest(requestUrl);
-        const { recordsInPage, newResumptionToken } = await this.processListRecordsPage(
-          response,
-          pageCount,
-          pageCallback,
-          totalRecordsProcessed
-        );
+          : this.buildListRecordsUrl(oaiUrl, listRecordsOptions);
+
+        let page;
+        try {
+          page = streaming
+            ? await this.processListRecordsPageStream(
+                requestUrl,
+                pageCount,
+                pageCallbackWithTime,
+                totalRecordsProcessed,
+                options.onRecord,
+                options.keepPageXml !== false,
+                pageCount === (options.pageNumber || 0) + 1 ? options.pageRecordsHandled || 0 : 0
+              )
+            : await this.processListRecordsPage(
+                await this.makeListRecordsRequest(requestUrl),
+                pageCount,
+                pageCallbackWithTime,
+                totalRecordsProcessed
+              );
+        } catch (error) {
+          if (error.errorCode !== 'DEADLINE_EXCEEDED') {
+            throw error;
+          }
+          // The page is requested again by the continuation, from the same resumption token
+          logger.warn(`Pausing ListRecords before page ${pageCount}: ${error.message}`);
+          const pageRecordsHandled = error.pageRecordsHandled || 0;
+          if (pageRecordsHandled > 0 && options.onCheckpoint) {
+            // Part of the page is sent already, the continuation goes on after those records
+            await options.onCheckpoint({
+              resumptionToken,
+              pageNumber: pageCount - 1,
+              recordsProcessed: totalRecordsProcessed,
+              pageRecordsHandled,
+            });
+          }
+          return this.createPausedResult(
+            pageCount - 1,
+            totalRecordsProcessed,
+            resumptionToken,
+            pageRecordsHandled
+          );
+        }
+        const { recordsInPage, newResumptionToken, tokenInfo } = page;
 
         totalRecordsProcessed += recordsInPage;
-        resumptionToken = await this.handlePagination(newResumptionToken, pageCount);
+        if (options.maxRecords) {
+          totalRecordsProcessed = Math.min(totalRecordsProcessed, options.maxRecords);
+        }
+        this.checkPaginationProgress(harvestSummary, seenTokens, {
+          pageNumber: pageCount,
+          recordsInPage,
+          recordsProcessed: totalRecordsProcessed,
+          resumptionToken: newResumptionToken,
+          cursor: tokenInfo?.cursor ?? null,
+          completeListSize: tokenInfo?.completeListSize ?? null,
+        });
+
+        if (newResumptionToken && options.onCheckpoint) {
+          await options.onCheckpoint({
+            resumptionToken: newResumptionToken,
+            pageNumber: pageCount,
+            recordsProcessed: totalRecordsProcessed,
+          });
+        }
+
+        if (newResumptionToken && options.shouldStop?.()) {
+          logger.log(
+            `Pausing ListRecords after page ${pageCount}, harvest continues from resumption token ${newResumptionToken}`
+          );
+          return this.createPausedResult(pageCount, totalRecordsProcessed, newResumptionToken);
+        }
 
         // Safety check
-        if (pageCount >= this.maxPages) {
-          console.log(`Reached maximum page limit (${this.maxPages}), stopping pagination`);
+        if (newResumptionToken && pageCount >= this.maxPages) {
+          logger.log(`Reached maximum page limit (${this.maxPages}), stopping pagination`);
+          limitReached = 'maxPages';
+          break;
+        }
+        if (
+          newResumptionToken &&
+          options.maxRecords &&
+          totalRecordsProcessed >= options.maxRecords
+        ) {
+          logger.log(`Reached maximum record limit (${options.maxRecords}), stopping pagination`);
+          limitReached = 'maxRecords';
           break;
         }
+
+        resumptionToken = await this.handlePagination(newResumptionToken, pageCount);
       } while (resumptionToken);
 
-      console.log(
+      logger.log(
         `ListRecords processing completed. Total pages: ${pageCount}, Total records processed: ${totalRecordsProcessed}`
       );
 
       return {
         pageCount,
         totalRecordsProcessed,
+        // Total advertised by the repository, to check the harvest for completeness
+        ...(harvestSummary.completeListSize !== null && {
+          completeListSize: harvestSummary.completeListSize,
+        }),
+        ...(limitReached && { limitReached }),
         success: true,
         status: 'completed',
         errorCode: null,
         errorMessage: null,
       };
     } catch (error) {
-      console.error(`Failed to process ListRecords for URL: ${oaiUrl}`, error);
+      logger.error(`Failed to process ListRecords for URL: ${oaiUrl}`, error);
 
+      // The pages before the failure were sent, they count towards the set and maxRecords
       return {
-        pageCount: 0,
-        totalRecordsProcessed: 0,
+        pageCount: harvestSummary.lastPageNumber,
+        totalRecordsProcessed: harvestSummary.recordsProcessed,
         success: false,
         status: 'failed',
         errorCode: this.getErrorCode(error),
         errorMessage: error.message,
+        harvestSummary,
       };
+    } finally {
+      this.deadline = null;
+    }
+  }
+
+  /**
+   * Create the result of a ListRecords harvest paused to be continued in a new invocation
+   * @param {number} pageCount - Pages processed so far
+   * @param {number} totalRecordsProcessed - Records processed so far
+   * @param {string|null} resumptionToken - Token of the next page, null to start over
+   * @param {number} [pageRecordsHandled] - Records of the next page already handed on
+   */
+  createPausedResult(pageCount, totalRecordsProcessed, resumptionToken, pageRecordsHandled = 0) {
+    return {
+      pageCount,
+      totalRecordsProcessed,
+      resumptionToken,
+      ...(pageRecordsHandled > 0 && { pageRecordsHandled }),
+      success: true,
+      status: 'paused',
+      errorCode: null,
+      errorMessage: null,
+    };
+  }
+
+  /**
+   * Create the summary of a ListRecords harvest, reported when the harvest fails
+   */
+  createHarvestSummary(options = {}) {
+    return {
+      pagesFetched: 0,
+      lastPageNumber: options.pageNumber || 0,
+      recordsProcessed: options.recordsProcessed || 0,
+      consecutiveEmptyPages: 0,
+      lastResumptionToken: options.resumptionToken || null,
+      lastCursor: null,
+      lastPageRecords: null,
+      completeListSize: null,
+    };
+  }
+
+  /**
+   * Record a ListRecords page in the harvest summary and stop harvests that no longer make
+   * progress: a resumption token that was already used, too many empty pages in a row, or a
+   * cursor that does not advance although records were delivered
+   */
+  checkPaginationProgress(harvestSummary, seenTokens, page) {
+    const previousCursor = harvestSummary.lastCursor;
+    const previousPageRecords = harvestSummary.lastPageRecords;
+
+    harvestSummary.pagesFetched++;
+    harvestSummary.lastPageNumber = page.pageNumber;
+    harvestSummary.recordsProcessed = page.recordsProcessed;
+    harvestSummary.consecutiveEmptyPages =
+      page.recordsInPage === 0 ? harvestSummary.consecutiveEmptyPages + 1 : 0;
+    harvestSummary.lastCursor = page.cursor ?? previousCursor;
+    harvestSummary.lastPageRecords = page.recordsInPage;
+    harvestSummary.completeListSize = page.completeListSize ?? harvestSummary.completeListSize;
+
+    // The last page of a harvest has no token, there is nothing left to loop on
+    if (!page.resumptionToken) {
+      return;
+    }
+    harvestSummary.lastResumptionToken = page.resumptionToken;
+
+    if (seenTokens.has(page.resumptionToken)) {
+      throw createError(
+        `Resumption token repeated on page ${page.pageNumber}: ${page.resumptionToken}`,
+        'RESUMPTION_TOKEN_LOOP'
+      );
+    }
+    seenTokens.add(page.resumptionToken);
+
+    if (harvestSummary.consecutiveEmptyPages >= this.maxEmptyPages) {
+      throw createError(
+        `${harvestSummary.consecutiveEmptyPages} consecutive empty pages up to page ${page.pageNumber}`,
+        'EMPTY_PAGE_LIMIT'
+      );
+    }
+
+    if (
+      page.cursor !== null &&
+      previousCursor !== null &&
+      previousPageRecords > 0 &&
+      page.cursor <= previousCursor
+    ) {
+      throw createError(
+        `Resumption token cursor did not advance on page ${page.pageNumber} (${previousCursor} -> ${page.cursor})`,
+        'CURSOR_NOT_ADVANCING'
+      );
     }
   }
 
+  /**
+   * Parse the flow control attributes of a resumptionToken element
+   * @param {Object} [attributes] - completeListSize, cursor and expirationDate as strings
+   * @returns {Object} { completeListSize, cursor, expirationDate }, null where not reported
+   */
+  parseResumptionTokenAttributes(attributes) {
+    const { completeListSize, cursor, expirationDate } = attributes || {};
+    return {
+      completeListSize: this.parseCount(completeListSize),
+      cursor: this.parseCount(cursor),
+      expirationDate: expirationDate || null,
+    };
+  }
+
+  /**
+   * Parse a non-negative count attribute such as cursor or completeListSize
+   * @returns {number|null}
+   */
+  parseCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) || count < 0 ? null : count;
+  }
+
   validateOaiUrl(url) {
     if (!url || typeof url !== 'string' || url.trim().length === 0) {
       throw new Error('OAI URL is required');
@@ -239,31 +1001,157 @@ class OaiDataProcessor {
     }
   }
 
+  /**
+   * Resolve the OAI-PMH base URL of an endpoint. The URL is used exactly as configured
+   * (e.g. /oai/request, /cgi/oai2 or with a query string), only a bare site URL without a
+   * path gets the conventional /oai endpoint appended.
+   */
+  resolveBaseUrl(website) {
+    const url = new URL(website.trim());
+    url.hash = '';
+
+    if (url.pathname === '/' && !url.search) {
+      url.pathname = '/oai';
+    } else {
+      url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Build an OAI-PMH request URL from the base URL and the request arguments.
+   * Arguments without a value are left out.
+   */
+  buildRequestUrl(website, args) {
+    const baseUrl = this.resolveBaseUrl(website);
+    const query = Object.entries(args)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    return `${baseUrl}${baseUrl.endsWith('?') ? '' : separator}${query}`;
+  }
+
+  /**
+   * Check the configured endpoint against the baseURL reported by Identify. On a mismatch the
+   * reported baseURL is probed with Identify and, when it answers, used as the harvest URL.
+   * @param {string} configuredUrl - URL from the scraping message
+   * @param {string} [reportedBaseUrl] - baseURL from the Identify response
+   * @returns {Promise<Object>} { configuredUrl, reportedBaseUrl, matches, harvestUrl }
+   */
+  async verifyBaseUrl(configuredUrl, reportedBaseUrl) {
+    const resolvedUrl = this.resolveBaseUrl(configuredUrl);
+    const result = {
+      configuredUrl: resolvedUrl,
+      reportedBaseUrl: reportedBaseUrl || null,
+      matches: null,
+      harvestUrl: resolvedUrl,
+    };
+
+    if (!reportedBaseUrl) {
+      return result;
+    }
+
+    try {
+      this.validateOaiUrl(reportedBaseUrl);
+      result.matches = this.resolveBaseUrl(reportedBaseUrl) === resolvedUrl;
+    } catch (error) {
+      logger.warn(`Identify reported an invalid baseURL: ${reportedBaseUrl}`, error.message);
+      result.matches = false;
+      return result;
+    }
+
+    if (result.matches) {
+      return result;
+    }
+
+    logger.warn(`Configured URL ${resolvedUrl} differs from Identify baseURL ${reportedBaseUrl}`);
+    try {
+      const response = await this.requestWithRetry(this.buildIdentifyUrl(reportedBaseUrl));
+      await this.checkOaiError(response.data);
+      result.harvestUrl = this.resolveBaseUrl(reportedBaseUrl);
+      logger.log(`Using Identify baseURL ${result.harvestUrl} for harvesting`);
+    } catch (error) {
+      logger.warn(
+        `Identify baseURL ${reportedBaseUrl} is not reachable, harvesting from ${resolvedUrl}`,
+        error.message
+      );
+    }
+
+    return result;
+  }
+
   /**
    * Build Identify URL
    */
   buildIdentifyUrl(website) {
-    // Ensure website doesn't already end with /oai
-    const cleanWebsite = website.replace(/\/oai\/?$/, '');
-    return `${cleanWebsite}/oai?verb=Identify`;
+    return this.buildRequestUrl(website, { verb: 'Identify' });
+  }
+
+  /**
+   * Build ListMetadataFormats URL
+   */
+  buildListMetadataFormatsUrl(website) {
+    return this.buildRequestUrl(website, { verb: 'ListMetadataFormats' });
   }
 
   /**
-   * Build initial ListRecords URL
+   * Build ListSets URL, using the resumption token for follow-up pages
    */
-  buildListRecordsUrl(website) {
-    // Ensure website doesn't already end with /oai
-    const cleanWebsite = website.replace(/\/oai\/?$/, '');
-    return `${cleanWebsite}/oai?verb=ListRecords&metadataPrefix=oai_dc`;
+  buildListSetsUrl(website, token = null) {
+    return this.buildRequestUrl(website, { verb: 'ListSets', resumptionToken: token });
+  }
+
+  /**
+   * Build initial ListRecords URL for a metadata format, optionally restricted to a set and a
+   * from/until datestamp range
+   */
+  buildListRecordsUrl(website, options = {}) {
+    return this.buildRequestUrl(website, {
+      verb: 'ListRecords',
+      metadataPrefix: options.metadataPrefix || 'oai_dc',
+      from: options.from,
+      until: options.until,
+      set: options.set,
+    });
+  }
+
+  /**
+   * Format a datestamp argument according to the repository granularity.
+   * Repositories must support day granularity, so it is used when none is known.
+   * @param {string|Date} value - Date value to format
+   * @param {string} [granularity] - Granularity reported by Identify
+   * @returns {string|null} Formatted datestamp or null when no value is given
+   */
+  formatDatestamp(value, granularity) {
+    if (!value) return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createError(`Invalid datestamp: ${value}`, 'INVALID_DATESTAMP');
+    }
+
+    const isoString = date.toISOString();
+    if (granularity === GRANULARITY_SECONDS) {
+      return isoString.replace(/\.\d{3}Z$/, 'Z');
+    }
+    return isoString.substring(0, GRANULARITY_DAY.length);
+  }
+
+  /**
+   * Build GetRecord URL for a single record
+   */
+  buildGetRecordUrl(website, identifier, metadataPrefix = 'oai_dc') {
+    return this.buildRequestUrl(website, { verb: 'GetRecord', identifier, metadataPrefix });
   }
 
   /**
    * Build resumption token URL for paginated requests
    */
   buildResumptionTokenUrl(website, token) {
-    // Ensure website doesn't already end with /oai
-    const cleanWebsite = website.replace(/\/oai\/?$/, '');
-    return `${cleanWebsite}/oai?verb=ListRecords&resumptionToken=${encodeURIComponent(token)}`;
+    return this.buildRequestUrl(website, { verb: 'ListRecords', resumptionToken: token });
   }
 
   /**
@@ -272,7 +1160,7 @@ class OaiDataProcessor {
   extractResumptionTokenFromParsed(listRecords) {
     try {
       if (listRecords.resumptionToken) {
-        console.log(
+        logger.log(
           'Found resumptionToken in parsed data:',
           JSON.stringify(listRecords.resumptionToken, null, 2)
         );
@@ -290,13 +1178,13 @@ class OaiDataProcessor {
           return listRecords.resumptionToken['$']['resumptionToken'];
         } else {
           // If it's an object, try to extract the token value
-          console.log('Resumption token structure:', Object.keys(listRecords.resumptionToken));
+          logger.log('Resumption token structure:', Object.keys(listRecords.resumptionToken));
           return null;
         }
       }
       return null;
     } catch (error) {
-      console.warn('Error extracting resumption token from parsed data:', error.message);
+      logger.warn('Error extracting resumption token from parsed data:', error.message);
       return null;
     }
   }
@@ -310,7 +1198,7 @@ class OaiDataProcessor {
 
       parseString(xmlResponse, (err, result) => {
         if (err) {
-          console.warn('Failed to parse XML for resumption token:', err.message);
+          logger.warn('Failed to parse XML for resumption token:', err.message);
           resolve(null);
           return;
         }
@@ -319,13 +1207,79 @@ class OaiDataProcessor {
           const resumptionToken = result?.['OAI-PMH']?.ListRecords?.resumptionToken?._;
           resolve(resumptionToken || null);
         } catch (error) {
-          console.warn('Error extracting resumption token:', error.message);
+          logger.warn('Error extracting resumption token:', error.message);
           resolve(null);
         }
       });
     });
   }
 
+  /**
+   * Extract the first OAI-PMH protocol error from a parsed response
+   * @param {Object} parsedResponse - Response parsed with xml2js (explicitArray: false)
+   * @returns {Object|null} { code, message } or null when the response carries no error
+   */
+  extractOaiError(parsedResponse) {
+    const errorNode = parsedResponse?.['OAI-PMH']?.error;
+    if (!errorNode) return null;
+
+    const firstError = Array.isArray(errorNode) ? errorNode[0] : errorNode;
+    if (typeof firstError === 'string') {
+      return { code: null, message: firstError.trim() || null };
+    }
+
+    return {
+      code: firstError?.$?.code || firstError?.code || null,
+      message: typeof firstError?._ === 'string' ? firstError._.trim() || null : null,
+    };
+  }
+
+  /**
+   * Create an error for an OAI-PMH protocol error
+   */
+  createOaiError(oaiError) {
+    const description = oaiError.message ? `: ${oaiError.message}` : '';
+    return Object.assign(new Error(`OAI-PMH error ${oaiError.code || 'unknown'}${description}`), {
+      oaiErrorCode: oaiError.code,
+    });
+  }
+
+  /**
+   * Throw when a parsed response carries an OAI-PMH protocol error
+   */
+  throwOaiError(parsedResponse) {
+    const oaiError = this.extractOaiError(parsedResponse);
+    if (oaiError) {
+      throw this.createOaiError(oaiError);
+    }
+  }
+
+  /**
+   * Parse a raw response and throw when it carries an OAI-PMH protocol error
+   */
+  async checkOaiError(xmlResponse) {
+    let result;
+    try {
+      result = await parseStringPromise(xmlResponse, {
+        explicitArray: false,
+        ignoreAttrs: false,
+      });
+    } catch (parseError) {
+      // Malformed XML is reported by the XML processors that consume the response
+      logger.warn('Failed to parse OAI response while checking for errors:', parseError.message);
+      return;
+    }
+    this.throwOaiError(result);
+  }
+
+  /**
+   * Get error code for OAI-PMH protocol errors
+   */
+  getOaiErrorCode(error) {
+    if (!('oaiErrorCode' in error)) return null;
+    return OAI_ERROR_CODES[error.oaiErrorCode] || 'OAI_PROTOCOL_ERROR';
+  }
+
   /**
    * Get error code for network/connection errors
    */
@@ -335,6 +1289,8 @@ class OaiDataProcessor {
       ENOTFOUND: 'DNS_RESOLUTION_FAILED',
       ETIMEDOUT: 'TIMEOUT_ERROR',
       ECONNRESET: 'CONNECTION_RESET',
+      // A response body that ended before it was complete
+      ERR_STREAM_PREMATURE_CLOSE: 'CONNECTION_RESET',
     };
     return networkErrorMap[error.code] || null;
   }
@@ -376,6 +1332,13 @@ class OaiDataProcessor {
     return genericErrorMap[error.name] || null;
   }
 
+  /**
+   * Get error code attached to errors raised by this processor
+   */
+  getCustomErrorCode(error) {
+    return error.errorCode || null;
+  }
+
   /**
    * Get standardized error code from error object
    */
@@ -383,6 +1346,8 @@ class OaiDataProcessor {
     if (!error) return 'UNKNOWN_ERROR';
 
     return (
+      this.getCustomErrorCode(error) ||
+      this.getOaiErrorCode(error) ||
       this.getNetworkErrorCode(error) ||
       this.getHttpErrorCode(error) ||
       this.getAxiosErrorCode(error) ||
@@ -399,4 +1364,10 @@ class OaiDataProcessor {
   }
 }
 
-module.exports = { OaiDataProcessor };
+module.exports = {
+  OaiDataProcessor,
+  OAI_ERROR_CODES,
+  RETRYABLE_ERROR_CODES,
+  GRANULARITY_DAY,
+  GRANULARITY_SECONDS,
+};
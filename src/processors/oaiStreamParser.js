@@ -0,0 +1,175 @@
+const sax = require('sax');
+const { XmlEncodingProcessor } = require('./xmlEncodingProcessor');
+
+// Helper function to add a parsed child element the way xml2js does with explicitArray: false
+const addChild = (obj, name, value) => {
+  if (!(name in obj)) {
+    obj[name] = value;
+  } else if (Array.isArray(obj[name])) {
+    obj[name].push(value);
+  } else {
+    obj[name] = [obj[name], value];
+  }
+};
+
+// Helper function to turn a closed element into its xml2js value (explicitArray: false,
+// mergeAttrs: true): text-only elements become strings, text next to attributes or child
+// elements is kept under "_" and whitespace between child elements is dropped
+const toValue = node => {
+  const { obj, text } = node;
+  const isWhitespace = /^\s*$/.test(text);
+
+  if (!isWhitespace) {
+    obj._ = text;
+  }
+
+  const keys = Object.keys(obj);
+  if (keys.length === 0) return text;
+  if (keys.length === 1 && keys[0] === '_') return obj._;
+  return obj;
+};
+
+/**
+ * Streaming (SAX) parser for OAI-PMH ListRecords responses.
+ *
+ * The response is parsed once while it is read: each <record> is handed to the callback as soon
+ * as it is complete, in the same shape XmlArticleProcessor gets from xml2js, so no document tree
+ * of the whole page is ever built. The resumption token and protocol errors are picked up along
+ * the way.
+ */
+class OaiStreamParser {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.contentType] - Content-Type header of the response, for its charset
+   */
+  constructor(options = {}) {
+    this.contentType = options.contentType || null;
+    this.encodingProcessor = new XmlEncodingProcessor();
+  }
+
+  /**
+   * Parse an OAI-PMH ListRecords response. Errors reading the input are thrown as they are, so
+   * their code (e.g. ECONNRESET) tells a dropped connection from malformed XML.
+   * @param {AsyncIterable<Buffer|string>|Buffer|string} input - Response body stream or content
+   * @param {function} onRecord - Called with each record and its 1-based index in the page
+   * @param {Object} [options]
+   * @param {boolean} [options.keepXml] - Keep the decoded page for xml, default true; without
+   *   it only the record being parsed is held in memory and xml is null
+   * @returns {Promise<Object>} { xml, recordCount, hasListRecords, resumptionToken, error,
+   *   encoding, bytesRead }, where encoding lists the repairs applied while decoding to UTF-8
+   */
+  async parse(input, onRecord = () => {}, { keepXml = true } = {}) {
+    const parser = sax.parser(true);
+    const decoder = this.encodingProcessor.createStreamDecoder(this.contentType);
+    const stack = [];
+    const chunks = [];
+    const completedRecords = [];
+    const page = {
+      xml: '',
+      recordCount: 0,
+      hasListRecords: false,
+      resumptionToken: null,
+      error: null,
+      encoding: null,
+      bytesRead: 0,
+    };
+
+    parser.onopentag = tag => {
+      const parentName = stack[stack.length - 1]?.name;
+      const isCaptured =
+        stack[stack.length - 1]?.node ||
+        (parentName === 'ListRecords' && ['record', 'resumptionToken'].includes(tag.name)) ||
+        (parentName === 'OAI-PMH' && tag.name === 'error');
+
+      if (parentName === 'OAI-PMH' && tag.name === 'ListRecords') {
+        page.hasListRecords = true;
+      }
+
+      stack.push({
+        name: tag.name,
+        node: isCaptured ? { obj: { ...tag.attributes }, text: '' } : null,
+      });
+    };
+
+    parser.ontext = text => {
+      const current = stack[stack.length - 1];
+      if (current?.node) current.node.text += text;
+    };
+    parser.oncdata = parser.ontext;
+
+    parser.onclosetag = () => {
+      const closed = stack.pop();
+      if (!closed.node) return;
+
+      const value = toValue(closed.node);
+      const parent = stack[stack.length - 1];
+      if (parent?.node) {
+        addChild(parent.node.obj, closed.name, value);
+      } else if (closed.name === 'record') {
+        completedRecords.push(value);
+      } else if (closed.name === 'resumptionToken') {
+        page.resumptionToken = this.normalizeResumptionToken(value);
+      } else if (closed.name === 'error' && !page.error) {
+        page.error = {
+          code: typeof value === 'object' ? value.code || null : null,
+          message: (typeof value === 'object' ? value._ : value)?.trim() || null,
+        };
+      }
+    };
+
+    const write = async text => {
+      if (!text) return;
+
+      if (keepXml) chunks.push(text);
+      try {
+        parser.write(text);
+      } catch (error) {
+        throw new Error(`Failed to parse OAI XML stream: ${error.message}`, { cause: error });
+      }
+
+      // Hand over the records completed by this chunk before reading the next one
+      for (const record of completedRecords.splice(0)) {
+        page.recordCount++;
+        await onRecord(record, page.recordCount);
+      }
+    };
+
+    if (typeof input === 'string' || Buffer.isBuffer(input)) {
+      page.bytesRead = Buffer.byteLength(input);
+      await write(decoder.write(input));
+    } else {
+      for await (const chunk of input) {
+        page.bytesRead += Buffer.byteLength(chunk);
+        await write(decoder.write(chunk));
+      }
+    }
+    await write(decoder.end());
+    try {
+      parser.close();
+    } catch (error) {
+      throw new Error(`Failed to parse OAI XML stream: ${error.message}`, { cause: error });
+    }
+
+    page.xml = keepXml ? chunks.join('') : null;
+    page.encoding = decoder.getEncodingInfo();
+    return page;
+  }
+
+  /**
+   * Normalize a resumptionToken element to its token and flow control attributes
+   */
+  normalizeResumptionToken(value) {
+    if (typeof value === 'string') {
+      return { token: value.trim() || null };
+    }
+
+    return {
+      token: value._?.trim() || null,
+      ...(value.completeListSize !== undefined && { completeListSize: value.completeListSize }),
+      ...(value.cursor !== undefined && { cursor: value.cursor }),
+      ...(value.expirationDate !== undefined && { expirationDate: value.expirationDate }),
+    };
+  }
+}
+
+module.exports = { OaiStreamParser };
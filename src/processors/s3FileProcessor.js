@@ -1,12 +1,29 @@
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { createHash, randomUUID } = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getCorrelation, logger } = require('./correlationContext');
+
+// Prefix of the integration queue messages that could not be sent, see DeadLetterProcessor
+const DEAD_LETTER_PREFIX = 'dead-letters/';
 
 /**
  * Processor for handling S3 file operations
  */
 class S3FileProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.archive] - Archive OAI responses with createAndUploadXml, default
+   *   true; harvest state, checkpoints and dead letters are stored either way
+   */
+  constructor(options = {}) {
     this.s3Client = new S3Client();
     this.bucketName = process.env.S3_BUCKET_NAME;
+    this.archive = options.archive !== false;
 
     if (!this.bucketName) {
       throw new Error('S3_BUCKET_NAME environment variable is required');
@@ -15,22 +32,34 @@ class S3FileProcessor {
 
   /**
    * Create XML file with metadata and upload to S3
+   * @param {string} oaiData - OAI response XML
+   * @param {string} journalKey - The journal identifier
+   * @param {string} oaiUrl - The OAI endpoint URL
+   * @param {Object} [encoding] - Encoding details of the response, see XmlEncodingProcessor
+   * @param {Object} [location] - Location from createXmlLocation, when messages were already
+   *   sent with it before the file was complete
+   * @returns {Promise<Object>} Location of the file, all null when archiving is off
    */
-  async createAndUploadXml(oaiData, journalKey, oaiUrl) {
-    console.log('Processing S3 upload for journal:', journalKey);
+  async createAndUploadXml(oaiData, journalKey, oaiUrl, encoding = null, location = null) {
+    if (!this.archive) {
+      logger.log('Skipping S3 archive for journal:', journalKey);
+      return { ...this.createXmlLocation(journalKey), fileSize: null, contentType: null };
+    }
+
+    logger.log('Processing S3 upload for journal:', journalKey);
 
     try {
       // Generate S3 key
-      const s3Key = this.generateS3Key(journalKey);
+      const { s3Key } = location || this.createXmlLocation(journalKey);
 
       // Create proper XML file with metadata
-      const xmlContent = this.createXmlFile(oaiData, journalKey, oaiUrl);
+      const xmlContent = this.createXmlFile(oaiData, journalKey, oaiUrl, encoding);
 
       // Upload XML to S3
       const s3Url = await this.uploadToS3(s3Key, xmlContent);
 
-      console.log('Successfully uploaded XML file to S3:', s3Url);
-      console.log(`S3 Path: s3://${this.bucketName}/${s3Key}`);
+      logger.log('Successfully uploaded XML file to S3:', s3Url);
+      logger.log(`S3 Path: s3://${this.bucketName}/${s3Key}`);
 
       return {
         s3Bucket: this.bucketName,
@@ -42,11 +71,30 @@ class S3FileProcessor {
         contentType: 'application/xml',
       };
     } catch (error) {
-      console.error('Failed to process S3 upload for journal:', journalKey, error);
+      logger.error('Failed to process S3 upload for journal:', journalKey, error);
       throw error;
     }
   }
 
+  /**
+   * Choose the location of an XML file before it is uploaded with createAndUploadXml
+   * @returns {Object} { s3Bucket, s3Key, s3Url, s3Path, filename }, all null when archiving is off
+   */
+  createXmlLocation(journalKey) {
+    if (!this.archive) {
+      return { s3Bucket: null, s3Key: null, s3Url: null, s3Path: null, filename: null };
+    }
+
+    const s3Key = this.generateS3Key(journalKey);
+    return {
+      s3Bucket: this.bucketName,
+      s3Key,
+      s3Url: this.getObjectUrl(s3Key),
+      s3Path: `s3://${this.bucketName}/${s3Key}`,
+      filename: s3Key.substring(s3Key.lastIndexOf('/') + 1),
+    };
+  }
+
   /**
    * Generate S3 key with date-based folder structure
    */
@@ -69,7 +117,7 @@ class S3FileProcessor {
   /**
    * Create proper XML file with OAI data and metadata
    */
-  createXmlFile(oaiData, journalKey, oaiUrl) {
+  createXmlFile(oaiData, journalKey, oaiUrl, encoding = null) {
     try {
       // Create a well-formed XML document with metadata
       let xmlContent = '<?xml version="1.0" encoding="UTF-8"?>\n';
@@ -81,6 +129,14 @@ class S3FileProcessor {
       xmlContent += `    <oaiUrl>${this.escapeXml(oaiUrl || '')}</oaiUrl>\n`;
       xmlContent += `    <scrapedAt>${new Date().toISOString()}</scrapedAt>\n`;
       xmlContent += '    <source>index-journals-data-scraping</source>\n';
+      if (encoding) {
+        // Original encoding of the response and the repairs applied while decoding it
+        xmlContent += `    <encoding>${this.escapeXml(encoding.encoding || '')}</encoding>\n`;
+        xmlContent += `    <encodingSource>${this.escapeXml(encoding.source || '')}</encodingSource>\n`;
+        if (encoding.repaired) {
+          xmlContent += `    <encodingRepairs>${this.escapeXml(encoding.repairs.join(' '))}</encodingRepairs>\n`;
+        }
+      }
       xmlContent += '  </metadata>\n';
 
       // OAI Data section
@@ -101,11 +157,11 @@ class S3FileProcessor {
       xmlContent += '  </oai-data>\n';
       xmlContent += '</oai-scraping-result>\n';
 
-      console.log('Created XML file with', xmlContent.length, 'characters');
+      logger.log('Created XML file with', xmlContent.length, 'characters');
 
       return xmlContent;
     } catch (error) {
-      console.error('Failed to create XML file for journal:', journalKey, error);
+      logger.error('Failed to create XML file for journal:', journalKey, error);
       throw new Error(`Failed to create XML file: ${error.message}`);
     }
   }
@@ -154,13 +210,13 @@ class S3FileProcessor {
       xmlContent += '  </record>\n';
       xmlContent += '</oai-scraping-result>\n';
 
-      console.log(
+      logger.log(
         `Created XML file for record ${recordNumber} with ${xmlContent.length} characters`
       );
 
       return xmlContent;
     } catch (error) {
-      console.error(
+      logger.error(
         `Failed to create XML file for record ${recordNumber} of journal:`,
         journalKey,
         error
@@ -195,12 +251,12 @@ class S3FileProcessor {
       const s3Key = this.generateS3KeyForRecord(journalKey, recordNumber, pageNumber);
       const s3Url = await this.uploadToS3(s3Key, xmlContent);
 
-      console.log(
+      logger.log(
         `Successfully created and uploaded XML file for record ${recordNumber} to S3: ${s3Url}`
       );
       return s3Url;
     } catch (error) {
-      console.error(
+      logger.error(
         `Failed to create and upload XML file for record ${recordNumber} of journal: ${journalKey}`,
         error
       );
@@ -211,26 +267,349 @@ class S3FileProcessor {
   }
 
   /**
-   * Upload content to S3
+   * Generate S3 key for the harvest state of a journal, or of one set of a journal
+   */
+  generateHarvestStateKey(journalKey, setSpec = null) {
+    if (setSpec) {
+      return `harvest-state/${journalKey}/set-${encodeURIComponent(setSpec)}.json`;
+    }
+    return `harvest-state/${journalKey}.json`;
+  }
+
+  /**
+   * Load the harvest state (e.g. last successful harvest datestamp) for a journal
+   * @param {string} journalKey - The journal identifier
+   * @param {string} [setSpec] - The set the state belongs to, if harvested by set
+   * @returns {Promise<Object|null>} Stored state or null when the journal was never harvested
+   */
+  async loadHarvestState(journalKey, setSpec = null) {
+    const key = this.generateHarvestStateKey(journalKey, setSpec);
+
+    try {
+      const content = await this.downloadFromS3(key);
+      return content ? JSON.parse(content) : null;
+    } catch (error) {
+      logger.error('Failed to load harvest state for journal:', journalKey, error);
+      throw new Error(`Failed to load harvest state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the harvest state for a journal
+   * @param {string} journalKey - The journal identifier
+   * @param {Object} state - State to persist
+   * @param {string} [setSpec] - The set the state belongs to, if harvested by set
+   * @returns {Promise<string>} S3 URL of the stored state
+   */
+  async saveHarvestState(journalKey, state, setSpec = null) {
+    const key = this.generateHarvestStateKey(journalKey, setSpec);
+    const content = JSON.stringify({
+      ...state,
+      journalKey,
+      ...(setSpec && { setSpec }),
+      updatedAt: new Date().toISOString(),
+    });
+
+    logger.log(`Saving harvest state for journal ${journalKey} to ${key}`);
+    return this.uploadToS3(key, content, 'application/json');
+  }
+
+  /**
+   * Generate S3 key for the checkpoint of an in-progress harvest of a journal, or of one set
+   */
+  generateCheckpointKey(journalKey, setSpec = null) {
+    if (setSpec) {
+      return `harvest-checkpoints/${journalKey}/set-${encodeURIComponent(setSpec)}.json`;
+    }
+    return `harvest-checkpoints/${journalKey}.json`;
+  }
+
+  /**
+   * Load the checkpoint (resumption token, page number, records processed) of a harvest
+   * @param {string} journalKey - The journal identifier
+   * @param {string} [setSpec] - The set the checkpoint belongs to, if harvested by set
+   * @returns {Promise<Object|null>} Stored checkpoint or null when no harvest is in progress
+   */
+  async loadCheckpoint(journalKey, setSpec = null) {
+    const key = this.generateCheckpointKey(journalKey, setSpec);
+
+    try {
+      const content = await this.downloadFromS3(key);
+      return content ? JSON.parse(content) : null;
+    } catch (error) {
+      logger.error('Failed to load harvest checkpoint for journal:', journalKey, error);
+      throw new Error(`Failed to load harvest checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the checkpoint of an in-progress harvest
+   * @param {string} journalKey - The journal identifier
+   * @param {Object} checkpoint - Checkpoint to persist
+   * @param {string} [setSpec] - The set the checkpoint belongs to, if harvested by set
+   * @returns {Promise<string>} S3 URL of the stored checkpoint
+   */
+  async saveCheckpoint(journalKey, checkpoint, setSpec = null) {
+    const key = this.generateCheckpointKey(journalKey, setSpec);
+    const content = JSON.stringify({
+      ...checkpoint,
+      journalKey,
+      ...(setSpec && { setSpec }),
+      updatedAt: new Date().toISOString(),
+    });
+
+    logger.log(`Saving harvest checkpoint for journal ${journalKey} to ${key}`);
+    return this.uploadToS3(key, content, 'application/json');
+  }
+
+  /**
+   * Delete the checkpoint of a harvest once it has completed
+   */
+  async deleteCheckpoint(journalKey, setSpec = null) {
+    const key = this.generateCheckpointKey(journalKey, setSpec);
+
+    logger.log(`Deleting harvest checkpoint for journal ${journalKey} at ${key}`);
+    await this.deleteFromS3(key);
+  }
+
+  /**
+   * Generate S3 key for the shared rate limiting state of an OAI host
+   */
+  generateHostRateLimitKey(host) {
+    return `rate-limits/${encodeURIComponent(host)}.json`;
+  }
+
+  /**
+   * Load the rate limiting state of an OAI host together with its version (ETag), so it can be
+   * updated with saveHostRateLimitState without overwriting a concurrent update
+   * @returns {Promise<Object>} { state, version }, both null when no state is stored yet
+   */
+  async loadHostRateLimitState(host) {
+    const key = this.generateHostRateLimitKey(host);
+
+    try {
+      const response = await this.s3Client.send(
+        new GetObjectCommand({
+          Bucket: this.bucketName,
+          Key: key,
+        })
+      );
+      const content = await response.Body.transformToString('utf-8');
+      return { state: JSON.parse(content), version: response.ETag };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return { state: null, version: null };
+      }
+      logger.error('Failed to load rate limit state for host:', host, error);
+      throw new Error(`Failed to load rate limit state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the rate limiting state of an OAI host if it is still at the loaded version
+   * @param {string} host - The OAI host name
+   * @param {Object} state - State to persist
+   * @param {string|null} version - ETag returned by loadHostRateLimitState, null for a new state
+   * @returns {Promise<boolean>} false when the state was changed concurrently and must be reloaded
+   */
+  async saveHostRateLimitState(host, state, version) {
+    const key = this.generateHostRateLimitKey(host);
+
+    try {
+      await this.s3Client.send(
+        new PutObjectCommand({
+          Bucket: this.bucketName,
+          Key: key,
+          Body: JSON.stringify(state),
+          ContentType: 'application/json',
+          ...(version ? { IfMatch: version } : { IfNoneMatch: '*' }),
+        })
+      );
+      return true;
+    } catch (error) {
+      // 412: changed since it was loaded, 409: concurrent conditional write
+      if ([409, 412].includes(error.$metadata?.httpStatusCode)) {
+        return false;
+      }
+      logger.error('Failed to save rate limit state for host:', host, error);
+      throw new Error(`Failed to save rate limit state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate S3 key for the payload of an integration queue message that is too large for SQS
+   */
+  generateMessagePayloadKey(journalKey, messageType) {
+    const date = new Date().toISOString().split('T')[0];
+    return `message-payloads/${encodeURIComponent(journalKey)}/${date}/${messageType}-${randomUUID()}.json`;
+  }
+
+  /**
+   * Store the payload of a message that is too large for SQS (claim check). Consumers fetch it
+   * with the returned key and verify it with the checksum.
+   * @param {Object} message - The complete message
+   * @returns {Promise<Object>} { s3Bucket, s3Key, s3Url, size, checksum, checksumAlgorithm }
+   */
+  async uploadMessagePayload(message) {
+    const key = this.generateMessagePayloadKey(
+      message.journalKey || message.journal_key || 'unknown',
+      message.messageType || 'message'
+    );
+    const body = JSON.stringify(message);
+
+    const s3Url = await this.uploadToS3(key, body, 'application/json');
+    return {
+      s3Bucket: this.bucketName,
+      s3Key: key,
+      s3Url,
+      size: Buffer.byteLength(body),
+      checksum: createHash('sha256').update(body).digest('hex'),
+      checksumAlgorithm: 'SHA-256',
+    };
+  }
+
+  /**
+   * Generate S3 key for a message that could not be sent to the integration queue
+   */
+  generateDeadLetterKey(journalKey, messageType) {
+    const date = new Date().toISOString().split('T')[0];
+    return `${DEAD_LETTER_PREFIX}${encodeURIComponent(journalKey)}/${date}/${messageType}-${randomUUID()}.json`;
+  }
+
+  /**
+   * Store a dead letter (failed message with its error)
+   * @param {Object} deadLetter - Dead letter created by DeadLetterProcessor
+   * @returns {Promise<string>} S3 key of the stored dead letter
+   */
+  async saveDeadLetter(deadLetter) {
+    const key = this.generateDeadLetterKey(
+      deadLetter.journalKey || 'unknown',
+      deadLetter.messageType || 'message'
+    );
+
+    await this.uploadToS3(key, JSON.stringify(deadLetter), 'application/json');
+    return key;
+  }
+
+  /**
+   * List the keys of stored dead letters, ordered by journal and day
+   * @param {number} limit - Maximum number of keys to return
+   * @param {string} [journalKey] - Only list the dead letters of this journal
+   * @returns {Promise<Array<string>>} S3 keys
+   */
+  async listDeadLetterKeys(limit, journalKey = null) {
+    const prefix = journalKey
+      ? `${DEAD_LETTER_PREFIX}${encodeURIComponent(journalKey)}/`
+      : DEAD_LETTER_PREFIX;
+    const keys = [];
+    let continuationToken;
+
+    try {
+      do {
+        const response = await this.s3Client.send(
+          new ListObjectsV2Command({
+            Bucket: this.bucketName,
+            Prefix: prefix,
+            MaxKeys: Math.min(1000, limit - keys.length),
+            ContinuationToken: continuationToken,
+          })
+        );
+        keys.push(...(response.Contents || []).map(object => object.Key));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken && keys.length < limit);
+    } catch (error) {
+      logger.error('Failed to list dead letters under:', `${this.bucketName}/${prefix}`, error);
+      throw new Error(`Failed to list dead letters: ${error.message}`);
+    }
+
+    return keys.slice(0, limit);
+  }
+
+  /**
+   * Load a stored dead letter
+   * @returns {Promise<Object|null>} The dead letter or null when it no longer exists
+   */
+  async loadDeadLetter(key) {
+    const content = await this.downloadFromS3(key);
+    return content ? JSON.parse(content) : null;
+  }
+
+  /**
+   * Download object content from S3 as a string
+   * @returns {Promise<string|null>} Object content or null when the key does not exist
+   */
+  async downloadFromS3(key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+      });
+
+      const response = await this.s3Client.send(command);
+      return await response.Body.transformToString('utf-8');
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      logger.error('Failed to download from S3:', `${this.bucketName}/${key}`, error);
+      throw new Error(`Failed to download from S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an object from S3
    */
-  async uploadToS3(key, content) {
+  async deleteFromS3(key) {
+    try {
+      const command = new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+      });
+
+      await this.s3Client.send(command);
+    } catch (error) {
+      logger.error('Failed to delete from S3:', `${this.bucketName}/${key}`, error);
+      throw new Error(`Failed to delete from S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload content to S3. Objects written while a scraping request is processed carry its
+   * correlation ID and SQS message ID as object metadata.
+   */
+  async uploadToS3(key, content, contentType = 'application/xml') {
+    const correlation = getCorrelation();
+
     try {
       const command = new PutObjectCommand({
         Bucket: this.bucketName,
         Key: key,
         Body: content,
-        ContentType: 'application/xml',
+        ContentType: contentType,
         ContentEncoding: 'utf-8',
+        ...(correlation && {
+          Metadata: {
+            'correlation-id': correlation.correlationId,
+            'source-message-id': correlation.sourceMessageId,
+          },
+        }),
       });
 
       await this.s3Client.send(command);
-      return `https://${this.bucketName}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+      return this.getObjectUrl(key);
     } catch (error) {
-      console.error('Failed to upload to S3:', `${this.bucketName}/${key}`, error);
+      logger.error('Failed to upload to S3:', `${this.bucketName}/${key}`, error);
       throw new Error(`Failed to upload to S3: ${error.message}`);
     }
   }
 
+  /**
+   * Get the URL of an object in the bucket
+   */
+  getObjectUrl(key) {
+    return `https://${this.bucketName}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+  }
+
   /**
    * Escape XML special characters
    */
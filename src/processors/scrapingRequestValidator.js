@@ -0,0 +1,86 @@
+const Ajv = require('ajv');
+const scrapingRequestSchema = require('../schemas/scrapingRequest.schema.json');
+
+// Longest part of a rejected request body that is echoed in its InvalidRequest message
+const MAX_REQUEST_ECHO_LENGTH = 10000;
+
+// Compiled once per Lambda container; sets and identifiers take a string or a list of strings
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(scrapingRequestSchema);
+
+/**
+ * Validates scraping queue messages against src/schemas/scrapingRequest.schema.json. A request
+ * that fails validation can never be processed, so it is rejected instead of retried.
+ */
+class ScrapingRequestValidator {
+  /**
+   * Parse and validate the body of a scraping queue message
+   * @param {string} body - SQS message body
+   * @returns {Object} { valid, messageData, errorCode, errors }: errorCode is INVALID_JSON or
+   *   INVALID_REQUEST with one "<path> <problem>" string per error, null for a valid request
+   */
+  parse(body) {
+    let messageData;
+    try {
+      messageData = JSON.parse(body);
+    } catch (error) {
+      return {
+        valid: false,
+        messageData: null,
+        errorCode: 'INVALID_JSON',
+        errors: [`/ is not valid JSON: ${error.message}`],
+      };
+    }
+
+    const errors = this.validate(messageData);
+    return {
+      valid: errors.length === 0,
+      messageData,
+      errorCode: errors.length === 0 ? null : 'INVALID_REQUEST',
+      errors,
+    };
+  }
+
+  /**
+   * Validate a parsed scraping request
+   * @returns {Array<string>} One "<path> <problem>" string per error, empty for a valid request
+   */
+  validate(messageData) {
+    if (!validateSchema(messageData)) {
+      return validateSchema.errors.map(error => {
+        const path = error.instancePath || '/';
+        return error.keyword === 'additionalProperties'
+          ? `${path} must not have unknown field ${error.params.additionalProperty}`
+          : `${path} ${error.message}`;
+      });
+    }
+
+    // The schema only checks the shape of the URLs, the URL parser finds the rest
+    return ['url', 'base_url']
+      .filter(field => messageData[field] && !this.isHttpUrl(messageData[field]))
+      .map(field => `/${field} must be a valid http or https URL`);
+  }
+
+  /**
+   * Check whether a string is an absolute http(s) URL
+   */
+  isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Cut a rejected request body to the length echoed in the InvalidRequest message
+   */
+  truncateRequest(body) {
+    const request = typeof body === 'string' ? body : String(body);
+    return request.length > MAX_REQUEST_ECHO_LENGTH
+      ? request.slice(0, MAX_REQUEST_ECHO_LENGTH)
+      : request;
+  }
+}
+
+module.exports = { ScrapingRequestValidator };
@@ -1,43 +1,428 @@
-const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { createHash } = require('crypto');
+const { SQSClient, SendMessageCommand, SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+const { S3FileProcessor } = require('./s3FileProcessor');
+const { getCorrelation, logger } = require('./correlationContext');
+const {
+  MessageSchemaValidator,
+  createEnvelope,
+  getValidationMode,
+} = require('./messageSchemaValidator');
+const { readIntEnv } = require('./environment');
+
+// SendMessageBatch limits: 10 entries and 256 KB of message bodies and attributes per call
+const MAX_BATCH_ENTRIES = 10;
+const MAX_BATCH_BYTES = 256 * 1024;
+
+// Below the 256 KB SQS limit, which also counts the message attributes
+const DEFAULT_MAX_MESSAGE_BYTES = 250 * 1024;
+
+// Room for the partNumber and totalParts fields added to the parts of a split message
+const PART_FIELDS_BYTES = 64;
+
+// Arrays that can be split across several messages, with the field counting their entries
+const SPLITTABLE_FIELDS = { articles: 'articlesInBatch', deletedRecords: 'recordsInBatch' };
+
+// Fields left out of a claim check message, their content is only in the S3 payload
+const PAYLOAD_FIELDS = ['articles', 'deletedRecords', 'data', 'sets', 's3Files'];
+
+// Fields identifying a message within a harvest run, used for FIFO deduplication IDs. A message
+// sent once per invocation of the run (HarvestInterrupted) is told apart by its continuation.
+const DEDUPLICATION_FIELDS = [
+  'messageType',
+  'continuation',
+  'setSpec',
+  'pageNumber',
+  'batchNumber',
+  'partNumber',
+];
+
+// Envelope fields that are new every time a message is sent
+const VOLATILE_FIELDS = ['messageId', 'timestamp'];
 
 /**
  * Processor for handling SQS message operations
  */
 class SqsMessageProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {S3FileProcessor} [options.s3Processor] - Stores the payloads of oversized messages
+   * @param {boolean} [options.requireIntegrationQueue] - false when only continuation messages
+   *   are sent, because OUTPUT_SINKS publishes the integration messages elsewhere
+   */
+  constructor(options = {}) {
     this.sqsClient = new SQSClient();
     this.integrationQueueUrl = process.env.SQS_INTEGRATION_QUEUE_URL;
+    this.scrapingQueueUrl = process.env.SQS_SCRAPING_QUEUE_URL;
 
-    if (!this.integrationQueueUrl) {
+    if (!this.integrationQueueUrl && options.requireIntegrationQueue !== false) {
       throw new Error('SQS_INTEGRATION_QUEUE_URL environment variable is required');
     }
+
+    // Extra attempts for batch entries that failed on the SQS side
+    this.maxBatchRetries = readIntEnv('SQS_BATCH_MAX_RETRIES', 2);
+
+    // Messages above the size limit are split ("split") or moved to S3 behind a claim check
+    // ("s3"). Messages that cannot be split always use the claim check.
+    this.maxMessageBytes = readIntEnv('SQS_MAX_MESSAGE_BYTES', DEFAULT_MAX_MESSAGE_BYTES, {
+      min: 1,
+    });
+    this.oversizeStrategy = process.env.SQS_OVERSIZE_STRATEGY === 's3' ? 's3' : 'split';
+    this.s3Processor = options.s3Processor || null;
+
+    // Messages that do not match their schema are not sent, see MESSAGE_SCHEMA_VALIDATION
+    this.schemaValidation = getValidationMode();
+    this.schemaValidator = new MessageSchemaValidator();
+
+    // FIFO queues are recognized by their ".fifo" suffix unless SQS_INTEGRATION_QUEUE_FIFO says
+    // otherwise, e.g. for a queue behind a custom endpoint
+    this.integrationQueueFifo = process.env.SQS_INTEGRATION_QUEUE_FIFO
+      ? process.env.SQS_INTEGRATION_QUEUE_FIFO === 'true'
+      : Boolean(this.integrationQueueUrl?.endsWith('.fifo'));
   }
 
   /**
    * Send message to integration queue
    */
   async sendMessage(messageData) {
-    console.log('Processing SQS message for journal:', messageData.journalKey);
-    console.log('Message Type:', messageData.messageType);
+    logger.log('Processing SQS message for journal:', messageData.journalKey);
+    logger.log('Message Type:', messageData.messageType);
 
     try {
-      // Create message with all provided data
-      const message = {
-        // Spread all incoming messageData to preserve everything
-        ...messageData,
+      // Wrap all provided data in the versioned envelope
+      const message = this.createEnvelope(messageData);
 
-        // Ensure timestamp is set
-        timestamp: messageData.timestamp || new Date().toISOString(),
-      };
+      // Single messages are not split, when too large their payload goes to S3. The message
+      // actually sent, claim check or not, is checked against its schema.
+      const [fittedMessage] = await this.fitMessage(message, false);
+      this.validateMessage(fittedMessage);
 
       // Send message to integration queue
-      const messageId = await this.sendMessageToQueue(this.integrationQueueUrl, message);
+      const messageId = await this.sendMessageToQueue(this.integrationQueueUrl, fittedMessage);
+
+      logger.log('Successfully sent message to integration queue:', messageId);
+
+      return messageId;
+    } catch (error) {
+      logger.error('Failed to process SQS message for journal:', messageData.journalKey, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send several messages to the integration queue with SendMessageBatch. Entries that failed on
+   * the SQS side are retried on their own; entries SQS rejected as invalid are not. Oversized
+   * messages are split or moved to S3 first, see fitMessage.
+   * @param {Array<Object>} messagesData - Messages to send, as for sendMessage
+   * @returns {Promise<Array<Object>>} One { success, messageId, errorCode, errorMessage } per
+   *   message, in the order of messagesData. A split message succeeds when all of its parts were
+   *   sent and reports the ID of its first part.
+   */
+  async sendMessages(messagesData) {
+    const results = new Array(messagesData.length);
+    const entries = [];
+    const owners = [];
+
+    for (let index = 0; index < messagesData.length; index++) {
+      const message = this.createEnvelope(messagesData[index]);
+      try {
+        const parts = await this.fitMessage(message);
+        parts.forEach(part => this.validateMessage(part));
+        for (const part of parts) {
+          entries.push(part);
+          owners.push(index);
+        }
+      } catch (error) {
+        results[index] = {
+          success: false,
+          messageId: null,
+          errorCode: error.errorCode || 'CLAIM_CHECK_FAILED',
+          errorMessage: error.message,
+        };
+      }
+    }
+
+    const entryResults = await this.sendEntriesWithRetry(entries);
+    entryResults.forEach((entryResult, position) => {
+      const index = owners[position];
+      if (!results[index] || (results[index].success && !entryResult.success)) {
+        results[index] = entryResult;
+      }
+    });
+
+    const failed = results.filter(result => !result.success);
+    logger.log(
+      `Sent ${results.length - failed.length}/${results.length} messages to integration queue`
+    );
+    failed.forEach(result =>
+      logger.error(`Failed to send message: ${result.errorCode} ${result.errorMessage}`)
+    );
+
+    return results.map(({ success, messageId, errorCode, errorMessage }) => ({
+      success,
+      messageId,
+      errorCode,
+      errorMessage,
+    }));
+  }
+
+  /**
+   * Send messages in SendMessageBatch calls, retrying the entries that failed on the SQS side
+   * @returns {Promise<Array<Object>>} One result per message, see sendBatchToQueue
+   */
+  async sendEntriesWithRetry(messages) {
+    const results = new Array(messages.length);
+    let pending = messages.map((message, index) => index);
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        logger.warn(
+          `Retrying ${pending.length} failed message(s) (attempt ${attempt}/${this.maxBatchRetries})`
+        );
+        await this.delay(100 * 2 ** attempt);
+      }
+
+      const retryable = [];
+      for (const chunk of this.createBatchChunks(messages, pending)) {
+        const chunkResults = await this.sendBatchToQueue(
+          this.integrationQueueUrl,
+          chunk.map(index => messages[index])
+        );
+        chunkResults.forEach((result, position) => {
+          const index = chunk[position];
+          results[index] = result;
+          if (!result.success && result.retryable && attempt < this.maxBatchRetries) {
+            retryable.push(index);
+          }
+        });
+      }
+      pending = retryable;
+    }
+
+    return results;
+  }
+
+  /**
+   * Make a message fit the SQS size limit. With the "split" strategy a batch of articles or
+   * tombstones is halved until every part fits; anything that still does not fit is stored in S3
+   * and replaced by a claim check message.
+   * @param {Object} message - Message to send
+   * @param {boolean} [allowSplit] - Whether the message may be sent as several messages
+   * @returns {Promise<Array<Object>>} The messages to send instead
+   */
+  async fitMessage(message, allowSplit = true) {
+    if (this.getMessageSize(message) <= this.maxMessageBytes) {
+      return [message];
+    }
+
+    if (allowSplit && this.oversizeStrategy === 'split') {
+      const parts = this.splitMessage(message);
+      if (parts.length > 1) {
+        logger.warn(
+          `${message.messageType} message exceeds ${this.maxMessageBytes} bytes, sending it in ${parts.length} parts`
+        );
+        return Promise.all(
+          parts.map(async (part, index) => {
+            const numberedPart = { ...part, partNumber: index + 1, totalParts: parts.length };
+            return this.getMessageSize(numberedPart) <= this.maxMessageBytes
+              ? numberedPart
+              : this.createClaimCheckMessage(numberedPart);
+          })
+        );
+      }
+    }
+
+    return [await this.createClaimCheckMessage(message)];
+  }
+
+  /**
+   * Split the articles or tombstones of a message into halves until each part fits
+   * @returns {Array<Object>} The parts, or only the message itself when it cannot be split
+   */
+  splitMessage(message) {
+    const field = Object.keys(SPLITTABLE_FIELDS).find(name => Array.isArray(message[name]));
+    const limit = this.maxMessageBytes - PART_FIELDS_BYTES;
+    if (!field || message[field].length < 2 || this.getMessageSize(message) <= limit) {
+      return [message];
+    }
+
+    const middle = Math.ceil(message[field].length / 2);
+    return [message[field].slice(0, middle), message[field].slice(middle)].flatMap(items =>
+      this.splitMessage({ ...message, [field]: items, [SPLITTABLE_FIELDS[field]]: items.length })
+    );
+  }
+
+  /**
+   * Store a message in S3 and create the claim check message that is sent instead. It keeps
+   * the message's metadata and points to the payload with its S3 key and checksum.
+   */
+  async createClaimCheckMessage(message) {
+    if (!this.s3Processor) {
+      this.s3Processor = new S3FileProcessor();
+    }
+
+    const claimCheck = await this.s3Processor.uploadMessagePayload(message);
+    logger.warn(
+      `${message.messageType} message exceeds ${this.maxMessageBytes} bytes, payload stored at ${claimCheck.s3Key}`
+    );
+
+    const metadata = Object.fromEntries(
+      Object.entries(message).filter(([field]) => !PAYLOAD_FIELDS.includes(field))
+    );
+    return { ...metadata, claimCheck };
+  }
+
+  /**
+   * Add the envelope fields every integration queue message carries, see createEnvelope
+   */
+  createEnvelope(messageData) {
+    return createEnvelope(messageData);
+  }
+
+  /**
+   * Check a message against the JSON Schema of its type, see MessageSchemaValidator
+   * @throws {Error} With errorCode MESSAGE_SCHEMA_INVALID when validation is strict
+   */
+  validateMessage(message) {
+    this.schemaValidator.assertValid(message, this.schemaValidation);
+  }
+
+  /**
+   * Get the size of a message body in bytes
+   */
+  getMessageSize(message) {
+    return Buffer.byteLength(JSON.stringify(message));
+  }
+
+  /**
+   * Get the size SQS counts for a message: its body and the name, data type and value of each of
+   * its message attributes
+   */
+  getEntrySize(message) {
+    const attributeBytes = Object.entries(this.createMessageAttributes(message)).reduce(
+      (bytes, [name, attribute]) =>
+        bytes +
+        Buffer.byteLength(name) +
+        Buffer.byteLength(attribute.DataType) +
+        Buffer.byteLength(attribute.StringValue || ''),
+      0
+    );
+    return this.getMessageSize(message) + attributeBytes;
+  }
+
+  /**
+   * Split messages into SendMessageBatch calls within the entry and size limits
+   * @param {Array<Object>} messages - All messages
+   * @param {Array<number>} indexes - Indexes of the messages to send
+   * @returns {Array<Array<number>>} Message indexes per call
+   */
+  createBatchChunks(messages, indexes) {
+    const chunks = [];
+    let chunk = [];
+    let chunkBytes = 0;
+
+    for (const index of indexes) {
+      const messageBytes = this.getEntrySize(messages[index]);
+      if (
+        chunk.length > 0 &&
+        (chunk.length >= MAX_BATCH_ENTRIES || chunkBytes + messageBytes > MAX_BATCH_BYTES)
+      ) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkBytes = 0;
+      }
+      chunk.push(index);
+      chunkBytes += messageBytes;
+    }
+
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Send up to 10 messages to an SQS queue in one SendMessageBatch call
+   * @returns {Promise<Array<Object>>} One { success, messageId, errorCode, errorMessage, retryable }
+   *   per message. A call that fails as a whole fails all of its entries.
+   */
+  async sendBatchToQueue(queueUrl, messages) {
+    try {
+      const command = new SendMessageBatchCommand({
+        QueueUrl: queueUrl,
+        Entries: messages.map((message, index) => ({
+          Id: String(index),
+          MessageBody: JSON.stringify(message),
+          MessageAttributes: this.createMessageAttributes(message),
+          ...this.createFifoParams(queueUrl, message),
+        })),
+      });
+      const result = await this.sqsClient.send(command);
+
+      const successful = new Map((result.Successful || []).map(entry => [entry.Id, entry]));
+      const failed = new Map((result.Failed || []).map(entry => [entry.Id, entry]));
+
+      return messages.map((message, index) => {
+        const id = String(index);
+        if (successful.has(id)) {
+          return {
+            success: true,
+            messageId: successful.get(id).MessageId,
+            errorCode: null,
+            errorMessage: null,
+          };
+        }
+        const failure = failed.get(id);
+        return {
+          success: false,
+          messageId: null,
+          errorCode: failure?.Code || 'SQS_BATCH_ENTRY_MISSING',
+          errorMessage: failure?.Message || 'Entry missing from SendMessageBatch response',
+          // Sender faults (e.g. an invalid message) fail again on every retry
+          retryable: !failure?.SenderFault,
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to send message batch to SQS queue:', queueUrl, error);
+      return messages.map(() => ({
+        success: false,
+        messageId: null,
+        errorCode: error.name || 'SQS_BATCH_ERROR',
+        errorMessage: `Failed to send message batch to SQS: ${error.message}`,
+        retryable: !error.$fault || error.$fault === 'server',
+      }));
+    }
+  }
+
+  /**
+   * Send a continuation message to the scraping queue, so a harvest that ran out of
+   * Lambda time is picked up by a new invocation
+   * @param {Object} messageData - Scraping message (url, journal_key, ...) to continue with
+   * @returns {Promise<string>} SQS message ID
+   */
+  async sendContinuationMessage(messageData) {
+    logger.log('Sending harvest continuation for journal:', messageData.journal_key);
+
+    if (!this.scrapingQueueUrl) {
+      throw new Error(
+        'SQS_SCRAPING_QUEUE_URL environment variable is required to continue a harvest'
+      );
+    }
 
-      console.log('Successfully sent message to integration queue:', messageId);
+    try {
+      const messageId = await this.sendMessageToQueue(this.scrapingQueueUrl, {
+        ...messageData,
+        messageType: 'HarvestContinuation',
+      });
+
+      logger.log('Successfully sent continuation message to scraping queue:', messageId);
 
       return messageId;
     } catch (error) {
-      console.error('Failed to process SQS message for journal:', messageData.journalKey, error);
+      logger.error(
+        'Failed to send continuation message for journal:',
+        messageData.journal_key,
+        error
+      );
       throw error;
     }
   }
@@ -74,14 +459,14 @@ class SqsMessageProcessor {
       // Send message to integration queue
       const messageId = await this.sendMessageToQueue(this.integrationQueueUrl, message);
 
-      console.log(
+      logger.log(
         `Successfully sent record message to integration queue for record ${messageData.recordNumber}:`,
         messageId
       );
 
       return messageId;
     } catch (error) {
-      console.error(
+      logger.error(
         `Failed to send record message for record ${messageData.recordNumber} of journal:`,
         messageData.journalKey,
         error
@@ -98,30 +483,113 @@ class SqsMessageProcessor {
       const params = {
         QueueUrl: queueUrl,
         MessageBody: JSON.stringify(messageData),
-        MessageAttributes: {
-          messageType: {
-            DataType: 'String',
-            StringValue: messageData.messageType || 'file-processing-request',
-          },
-          source: {
-            DataType: 'String',
-            StringValue: messageData.source || 'scraping-service',
-          },
-          journalKey: {
-            DataType: 'String',
-            StringValue: messageData.journalKey,
-          },
-        },
+        MessageAttributes: this.createMessageAttributes(messageData),
+        ...this.createFifoParams(queueUrl, messageData),
       };
 
       const command = new SendMessageCommand(params);
       const result = await this.sqsClient.send(command);
       return result.MessageId;
     } catch (error) {
-      console.error('Failed to send message to SQS queue:', queueUrl, error);
+      logger.error('Failed to send message to SQS queue:', queueUrl, error);
       throw new Error(`Failed to send message to SQS: ${error.message}`);
     }
   }
+
+  /**
+   * Create the SQS message attributes consumers filter on. Messages sent for a scraping request
+   * also carry its correlation ID and SQS message ID.
+   */
+  createMessageAttributes(messageData) {
+    const correlation = getCorrelation();
+    const correlationId =
+      messageData.correlationId || messageData.correlation_id || correlation?.correlationId;
+    const sourceMessageId = messageData.sourceMessageId || correlation?.sourceMessageId;
+
+    return {
+      messageType: {
+        DataType: 'String',
+        StringValue: messageData.messageType || 'file-processing-request',
+      },
+      source: {
+        DataType: 'String',
+        StringValue: messageData.source || 'scraping-service',
+      },
+      journalKey: {
+        DataType: 'String',
+        // Scraping queue messages use snake_case field names
+        StringValue: messageData.journalKey || messageData.journal_key,
+      },
+      ...(correlationId && {
+        correlationId: { DataType: 'String', StringValue: correlationId },
+      }),
+      ...(sourceMessageId && {
+        sourceMessageId: { DataType: 'String', StringValue: sourceMessageId },
+      }),
+    };
+  }
+
+  /**
+   * Check whether a queue is a FIFO queue
+   */
+  isFifoQueue(queueUrl) {
+    if (queueUrl === this.integrationQueueUrl) {
+      return this.integrationQueueFifo;
+    }
+    return Boolean(queueUrl?.endsWith('.fifo'));
+  }
+
+  /**
+   * Create the ordering and deduplication parameters a FIFO queue requires. Messages of a
+   * journal share a message group, so consumers get its pages in order.
+   * @returns {Object} MessageGroupId and MessageDeduplicationId, empty for standard queues
+   */
+  createFifoParams(queueUrl, messageData) {
+    if (!this.isFifoQueue(queueUrl)) {
+      return {};
+    }
+    return {
+      MessageGroupId: messageData.journalKey || messageData.journal_key,
+      MessageDeduplicationId: this.createDeduplicationId(messageData),
+    };
+  }
+
+  /**
+   * Create a deduplication ID that is the same whenever a message is sent again. Messages of a
+   * harvest run are identified by the run ID, message type, continuation, page, batch and part
+   * numbers, so a page that is sent again after a retry or a continuation is dropped by SQS.
+   * Other messages are identified by their content without the messageId and timestamp, which
+   * are new on every send.
+   * @returns {string} SHA-256 hex digest, within the 128 character SQS limit
+   */
+  createDeduplicationId(messageData) {
+    const fields = messageData.runId
+      ? [messageData.runId, ...DEDUPLICATION_FIELDS.map(field => messageData[field])]
+      : [JSON.stringify(this.getStableContent(messageData))];
+
+    const key = fields.filter(value => value !== undefined && value !== null).join(':');
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Get the content of a message that stays the same when it is sent again. The payload behind
+   * a claim check is identified by its checksum, it is stored under a new key on every send.
+   */
+  getStableContent(messageData) {
+    const content = Object.fromEntries(
+      Object.entries(messageData).filter(([field]) => !VOLATILE_FIELDS.includes(field))
+    );
+    return messageData.claimCheck
+      ? { ...content, claimCheck: { checksum: messageData.claimCheck.checksum } }
+      : content;
+  }
+
+  /**
+   * Helper method to wait before retrying failed batch entries
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 }
 
 module.exports = { SqsMessageProcessor };
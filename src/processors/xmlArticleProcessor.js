@@ -1,11 +1,39 @@
 const { parseStringPromise } = require('xml2js');
+const { logger } = require('./correlationContext');
+
+// Metadata formats in order of richness, used when OAI_METADATA_PREFIX_PREFERENCE is not set
+const DEFAULT_METADATA_PREFIX_PREFERENCE = [
+  'jats',
+  'mods',
+  'oai_dcterms',
+  'marcxml',
+  'oai_marc',
+  'oai_dc',
+];
+
+// Every OAI-PMH repository must support Dublin Core
+const DEFAULT_METADATA_PREFIX = 'oai_dc';
 
 /**
  * Processor for parsing OAI-PMH XML and extracting individual articles/records
  */
 class XmlArticleProcessor {
   constructor() {
-    this.logger = console;
+    // Parsers for each supported metadataPrefix
+    this.metadataParsers = {
+      oai_dc: metadata => this.parseDublinCoreMetadata(metadata),
+      oai_dcterms: metadata => this.parseDctermsMetadata(metadata),
+      jats: metadata => this.parseJatsMetadata(metadata),
+      mods: metadata => this.parseModsMetadata(metadata),
+      oai_marc: metadata => this.parseMarcMetadata(metadata),
+      marcxml: metadata => this.parseMarcMetadata(metadata),
+    };
+
+    this.metadataPrefixPreference = process.env.OAI_METADATA_PREFIX_PREFERENCE
+      ? process.env.OAI_METADATA_PREFIX_PREFERENCE.split(',')
+          .map(prefix => prefix.trim())
+          .filter(prefix => this.metadataParsers[prefix])
+      : DEFAULT_METADATA_PREFIX_PREFERENCE;
   }
 
   /**
@@ -28,35 +56,134 @@ class XmlArticleProcessor {
 
       const identify = result['OAI-PMH'].Identify;
 
+      // The schema types these as strings, while xml2js gives an object for an element with
+      // attributes and an array for a repeated one
       const identifyData = {
-        journal_key: journalKey,
-        created_at: new Date().toISOString(),
+        journalKey,
+        createdAt: new Date().toISOString(),
         type: 'Identify',
-        repositoryName: identify.repositoryName || null,
-        baseURL: identify.baseURL || null,
-        protocolVersion: identify.protocolVersion || null,
+        repositoryName: this.extractValue(identify.repositoryName),
+        baseURL: this.extractValue(identify.baseURL),
+        protocolVersion: this.extractValue(identify.protocolVersion),
         adminEmail: identify.adminEmail || null,
-        earliestDatestamp: identify.earliestDatestamp || null,
-        deletedRecord: identify.deletedRecord || null,
-        granularity: identify.granularity || null,
+        earliestDatestamp: this.extractValue(identify.earliestDatestamp),
+        deletedRecord: this.extractValue(identify.deletedRecord),
+        granularity: this.extractValue(identify.granularity),
         compression: identify.compression || null,
         description: identify.description || null,
       };
 
       return this.removeNullValues(identifyData);
     } catch (error) {
-      console.error('Failed to parse Identify XML:', error);
+      logger.error('Failed to parse Identify XML:', error);
       throw new Error(`Failed to parse Identify XML: ${error.message}`);
     }
   }
 
+  /**
+   * Parse OAI-PMH ListSets XML and convert the sets to JSON
+   * @param {string} xmlData - The XML string
+   * @param {string} journalKey - The journal identifier
+   * @returns {Promise<Array>} Array of sets with setSpec, setName and optional description
+   */
+  async parseListSetsXml(xmlData, journalKey = null) {
+    try {
+      const result = await parseStringPromise(xmlData, {
+        explicitArray: false,
+        ignoreAttrs: false,
+        mergeAttrs: true,
+      });
+
+      if (!result?.['OAI-PMH']) {
+        throw new Error('Invalid ListSets XML structure');
+      }
+
+      const listSets = result['OAI-PMH'].ListSets;
+      if (!listSets?.set) {
+        return [];
+      }
+
+      const sets = Array.isArray(listSets.set) ? listSets.set : [listSets.set];
+
+      return sets.map(set =>
+        this.removeNullValues({
+          journalKey,
+          type: 'ListSets',
+          setSpec: this.extractValue(set.setSpec),
+          setName: this.extractValue(set.setName),
+          setDescription: set.setDescription || null,
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to parse ListSets XML:', error);
+      throw new Error(`Failed to parse ListSets XML: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse OAI-PMH ListMetadataFormats XML and convert the formats to JSON
+   * @param {string} xmlData - The XML string
+   * @returns {Promise<Array>} Array of formats with metadataPrefix, schema and metadataNamespace
+   */
+  async parseListMetadataFormatsXml(xmlData) {
+    try {
+      const result = await parseStringPromise(xmlData, {
+        explicitArray: false,
+        ignoreAttrs: false,
+        mergeAttrs: true,
+      });
+
+      if (!result?.['OAI-PMH']?.ListMetadataFormats) {
+        throw new Error('Invalid ListMetadataFormats XML structure');
+      }
+
+      const formats = this.toArray(result['OAI-PMH'].ListMetadataFormats.metadataFormat);
+
+      return formats
+        .map(format =>
+          this.removeNullValues({
+            metadataPrefix: this.extractValue(format.metadataPrefix),
+            schema: this.extractValue(format.schema),
+            metadataNamespace: this.extractValue(format.metadataNamespace),
+          })
+        )
+        .filter(format => format.metadataPrefix);
+    } catch (error) {
+      logger.error('Failed to parse ListMetadataFormats XML:', error);
+      throw new Error(`Failed to parse ListMetadataFormats XML: ${error.message}`);
+    }
+  }
+
+  /**
+   * Select the metadataPrefix to harvest with
+   * @param {Array|null} metadataFormats - Formats advertised by ListMetadataFormats, if known
+   * @param {string} [requestedPrefix] - Prefix explicitly requested in the scraping message
+   * @returns {string} The requested prefix, else the richest advertised format we can parse
+   */
+  selectMetadataPrefix(metadataFormats, requestedPrefix = null) {
+    const availablePrefixes = (metadataFormats || []).map(format => format.metadataPrefix);
+
+    if (requestedPrefix) {
+      if (metadataFormats && !availablePrefixes.includes(requestedPrefix)) {
+        logger.warn(`Requested metadataPrefix ${requestedPrefix} is not advertised by repository`);
+      }
+      return requestedPrefix;
+    }
+
+    const selectedPrefix = this.metadataPrefixPreference.find(prefix =>
+      availablePrefixes.includes(prefix)
+    );
+    return selectedPrefix || DEFAULT_METADATA_PREFIX;
+  }
+
   /**
    * Parse OAI-PMH ListRecords XML and extract individual article records
    * @param {string} xmlData - The XML string
    * @param {string} journalKey - The journal identifier
+   * @param {string} [metadataPrefix] - The metadata format the records were harvested in
    * @returns {Promise<Array>} Array of article records in JSON format
    */
-  async parseListRecordsXml(xmlData, journalKey = null) {
+  async parseListRecordsXml(xmlData, journalKey = null, metadataPrefix = DEFAULT_METADATA_PREFIX) {
     try {
       const result = await parseStringPromise(xmlData, {
         explicitArray: false,
@@ -76,85 +203,92 @@ class XmlArticleProcessor {
         records = Array.isArray(listRecords.record) ? listRecords.record : [listRecords.record];
       }
 
-      console.log(`Found ${records.length} records in XML`);
+      logger.log(`Found ${records.length} records in XML`);
 
       // Parse each record into JSON format
       const articles = records.map((record, index) => {
-        return this.parseIndividualRecord(record, index + 1, journalKey);
+        return this.parseIndividualRecord(record, index + 1, journalKey, metadataPrefix);
       });
 
       return articles;
     } catch (error) {
       // If error is about missing ListRecords structure, check if it's just empty
       if (error.message === 'Invalid ListRecords XML structure') {
-        console.error('Failed to parse ListRecords XML:', error);
+        logger.error('Failed to parse ListRecords XML:', error);
       }
       throw new Error(`Failed to parse ListRecords XML: ${error.message}`);
     }
   }
 
+  /**
+   * Parse OAI-PMH GetRecord XML into a structured JSON article
+   * @param {string} xmlData - The XML string
+   * @param {string} journalKey - The journal identifier
+   * @param {string} [metadataPrefix] - The metadata format the record was retrieved in
+   * @returns {Promise<Object>} Article in the same shape as parsed ListRecords articles
+   */
+  async parseGetRecordXml(xmlData, journalKey = null, metadataPrefix = DEFAULT_METADATA_PREFIX) {
+    try {
+      const result = await parseStringPromise(xmlData, {
+        explicitArray: false,
+        ignoreAttrs: false,
+        mergeAttrs: true,
+      });
+
+      const record = result?.['OAI-PMH']?.GetRecord?.record;
+      if (!record) {
+        throw new Error('Invalid GetRecord XML structure');
+      }
+
+      return this.parseIndividualRecord(record, 1, journalKey, metadataPrefix);
+    } catch (error) {
+      logger.error('Failed to parse GetRecord XML:', error);
+      throw new Error(`Failed to parse GetRecord XML: ${error.message}`);
+    }
+  }
+
   /**
    * Parse an individual OAI-PMH record into a structured JSON article
    * @param {Object} record - The parsed record object from xml2js
    * @param {number} recordIndex - The index of this record in the page
    * @param {string} journalKey - The journal identifier
+   * @param {string} [metadataPrefix] - The metadata format of the record
    * @returns {Object} Structured article data
    */
-  parseIndividualRecord(record, recordIndex, journalKey = null) {
+  parseIndividualRecord(
+    record,
+    recordIndex,
+    journalKey = null,
+    metadataPrefix = DEFAULT_METADATA_PREFIX
+  ) {
     try {
       const header = record.header || {};
       const metadata = record.metadata || {};
-      const dc = metadata['oai_dc:dc'] || metadata.dc || {};
 
-      // Extract Dublin Core metadata with language attributes
-      const titleData = this.extractValueWithLang(dc['dc:title'] || dc.title);
-      const descriptionData = this.extractValueWithLang(dc['dc:description'] || dc.description);
-      const publisherData = this.extractValueWithLang(dc['dc:publisher'] || dc.publisher);
+      if (this.isDeletedRecord(record)) {
+        return this.createDeletedRecord(header, journalKey);
+      }
+
+      const parseMetadata = this.metadataParsers[metadataPrefix];
+      if (!parseMetadata) {
+        logger.warn(`No parser for metadataPrefix ${metadataPrefix}, falling back to Dublin Core`);
+      }
+      const fields = (parseMetadata || this.metadataParsers[DEFAULT_METADATA_PREFIX])(metadata);
 
       // Build the article JSON structure
       const article = {
-        journal_key: journalKey,
-        created_at: new Date().toISOString(),
+        journalKey,
+        createdAt: new Date().toISOString(),
         type: 'ListRecords',
+        metadataFormat: metadataPrefix,
 
-        // Title with language
-        title: titleData.value,
-        ...(titleData.lang && { title_lang: titleData.lang }),
-
-        // Creator (first one if multiple)
-        creator: this.extractValue(dc['dc:creator'] || dc.creator),
-
-        // Subjects array
-        subjects: this.extractArrayValue(dc['dc:subject'] || dc.subject),
-
-        // Description with language
-        description: descriptionData.value,
-        ...(descriptionData.lang && { description_lang: descriptionData.lang }),
-
-        // Publisher with language
-        publisher: publisherData.value,
-        ...(publisherData.lang && { publisher_lang: publisherData.lang }),
-
-        // Date
-        date: this.extractValue(dc['dc:date'] || dc.date),
-
-        // Types array (dc:type can have multiple values)
-        types: this.extractArrayValue(dc['dc:type'] || dc.type),
-
-        // Format
-        format: this.extractValue(dc['dc:format'] || dc.format),
+        ...fields,
 
         // Identifier (OAI identifier or article URL)
-        identifier: this.extractValue(dc['dc:identifier'] || dc.identifier) || header.identifier,
-
-        // Sources array (dc:source can have multiple values)
-        sources: this.extractArrayValue(dc['dc:source'] || dc.source),
-
-        // Language
-        language: this.extractValue(dc['dc:language'] || dc.language),
+        identifier: fields.identifier || header.identifier,
 
-        // Relation
-        relation: this.extractValue(dc['dc:relation'] || dc.relation),
+        // OAI identifier of the record, as in the tombstone when the record is deleted later
+        oaiIdentifier: header.identifier,
 
         // Additional fields (optional)
         ...(header.datestamp && { datestamp: header.datestamp }),
@@ -164,10 +298,10 @@ class XmlArticleProcessor {
       // Remove null values to keep the JSON clean
       return this.removeNullValues(article);
     } catch (error) {
-      console.error(`Failed to parse record at index ${recordIndex}:`, error);
+      logger.error(`Failed to parse record at index ${recordIndex}:`, error);
       return {
-        journal_key: journalKey,
-        created_at: new Date().toISOString(),
+        journalKey,
+        createdAt: new Date().toISOString(),
         type: 'ListRecords',
         recordIndex,
         error: error.message,
@@ -176,6 +310,454 @@ class XmlArticleProcessor {
     }
   }
 
+  /**
+   * Check whether a record header is marked status="deleted" (the record was withdrawn and has
+   * no metadata)
+   * @param {Object} record - The parsed record object from xml2js
+   * @returns {boolean}
+   */
+  isDeletedRecord(record) {
+    return record?.header?.status === 'deleted';
+  }
+
+  /**
+   * Create the tombstone entry of a deleted record
+   * @param {Object} header - The parsed record header
+   * @param {string} journalKey - The journal identifier
+   * @returns {Object} Tombstone with the OAI identifier and datestamp of the deletion
+   */
+  createDeletedRecord(header, journalKey = null) {
+    return this.removeNullValues({
+      journalKey,
+      createdAt: new Date().toISOString(),
+      type: 'ListRecords',
+      deleted: true,
+      identifier: header.identifier || null,
+      oaiIdentifier: header.identifier || null,
+      datestamp: header.datestamp || null,
+      setSpec: header.setSpec || null,
+    });
+  }
+
+  /**
+   * Extract article fields from oai_dc metadata
+   */
+  parseDublinCoreMetadata(metadata) {
+    const dc = metadata['oai_dc:dc'] || metadata.dc || {};
+
+    // Extract Dublin Core metadata with language attributes
+    const titleData = this.extractValueWithLang(dc['dc:title'] || dc.title);
+    const descriptionData = this.extractValueWithLang(dc['dc:description'] || dc.description);
+    const publisherData = this.extractValueWithLang(dc['dc:publisher'] || dc.publisher);
+
+    return {
+      // Title with language
+      title: titleData.value,
+      ...(titleData.lang && { titleLang: titleData.lang }),
+
+      // Creator (first one if multiple)
+      creator: this.extractValue(dc['dc:creator'] || dc.creator),
+
+      // Subjects array
+      subjects: this.extractArrayValue(dc['dc:subject'] || dc.subject),
+
+      // Description with language
+      description: descriptionData.value,
+      ...(descriptionData.lang && { descriptionLang: descriptionData.lang }),
+
+      // Publisher with language
+      publisher: publisherData.value,
+      ...(publisherData.lang && { publisherLang: publisherData.lang }),
+
+      // Date
+      date: this.extractValue(dc['dc:date'] || dc.date),
+
+      // Types array (dc:type can have multiple values)
+      types: this.extractArrayValue(dc['dc:type'] || dc.type),
+
+      // Format
+      format: this.extractValue(dc['dc:format'] || dc.format),
+
+      // Identifier (article URL)
+      identifier: this.extractValue(dc['dc:identifier'] || dc.identifier),
+
+      // Sources array (dc:source can have multiple values)
+      sources: this.extractArrayValue(dc['dc:source'] || dc.source),
+
+      // Language
+      language: this.extractValue(dc['dc:language'] || dc.language),
+
+      // Relation
+      relation: this.extractValue(dc['dc:relation'] || dc.relation),
+    };
+  }
+
+  /**
+   * Extract article fields from oai_dcterms (qualified Dublin Core) metadata
+   */
+  parseDctermsMetadata(metadata) {
+    const dcterms =
+      this.findField(metadata, 'dcterms') || this.findField(metadata, 'qualifieddc') || {};
+
+    const titleData = this.extractValueWithLang(this.findField(dcterms, 'title'));
+    const descriptionData = this.extractValueWithLang(
+      this.findField(dcterms, 'abstract') || this.findField(dcterms, 'description')
+    );
+    const publisherData = this.extractValueWithLang(this.findField(dcterms, 'publisher'));
+    const creators = this.extractArrayValue(this.findField(dcterms, 'creator'));
+
+    return {
+      title: titleData.value,
+      ...(titleData.lang && { titleLang: titleData.lang }),
+      creator: creators[0] || null,
+      authors: creators.map(name => ({ name })),
+      subjects: this.extractArrayValue(this.findField(dcterms, 'subject')),
+      description: descriptionData.value,
+      ...(descriptionData.lang && { descriptionLang: descriptionData.lang }),
+      publisher: publisherData.value,
+      ...(publisherData.lang && { publisherLang: publisherData.lang }),
+      date: this.extractValue(this.findField(dcterms, 'issued') || this.findField(dcterms, 'date')),
+      types: this.extractArrayValue(this.findField(dcterms, 'type')),
+      format: this.extractValue(this.findField(dcterms, 'format')),
+      identifier: this.extractValue(this.findField(dcterms, 'identifier')),
+      sources: this.extractArrayValue(
+        this.findField(dcterms, 'bibliographicCitation') || this.findField(dcterms, 'source')
+      ),
+      language: this.extractValue(this.findField(dcterms, 'language')),
+      relation: this.extractValue(this.findField(dcterms, 'relation')),
+      references: this.extractArrayValue(this.findField(dcterms, 'references')),
+    };
+  }
+
+  /**
+   * Extract article fields from JATS (Journal Article Tag Suite) metadata
+   */
+  parseJatsMetadata(metadata) {
+    const article = this.findField(metadata, 'article') || {};
+    const front = this.findField(article, 'front') || {};
+    const back = this.findField(article, 'back') || {};
+    const journalMeta = this.findField(front, 'journal-meta') || {};
+    const articleMeta = this.findField(front, 'article-meta') || {};
+
+    const titleData = this.extractValueWithLang(
+      this.findField(this.findField(articleMeta, 'title-group') || {}, 'article-title')
+    );
+    const abstract = this.toArray(this.findField(articleMeta, 'abstract'))[0];
+    const abstractText = abstract
+      ? this.extractArrayValue(this.findField(abstract, 'p')).join('\n\n') ||
+        this.extractValue(abstract)
+      : null;
+
+    // Affiliations can be inline in <contrib> or referenced through <xref ref-type="aff">
+    const contribGroups = this.toArray(this.findField(articleMeta, 'contrib-group'));
+    const affiliations = {};
+    [articleMeta, ...contribGroups].forEach(node => {
+      this.toArray(this.findField(node, 'aff')).forEach(aff => {
+        if (aff?.id) affiliations[aff.id] = this.extractAffiliation(aff);
+      });
+    });
+
+    const authors = contribGroups
+      .flatMap(group => this.toArray(this.findField(group, 'contrib')))
+      .filter(contrib => !contrib['contrib-type'] || contrib['contrib-type'] === 'author')
+      .map(contrib => {
+        const name = this.findField(contrib, 'name') || {};
+        const familyName = this.extractValue(this.findField(name, 'surname'));
+        const givenName = this.extractValue(this.findField(name, 'given-names'));
+        const orcid = this.toArray(this.findField(contrib, 'contrib-id')).find(
+          id => id?.['contrib-id-type'] === 'orcid'
+        );
+        const affiliationRef = this.toArray(this.findField(contrib, 'xref')).find(
+          xref => xref?.['ref-type'] === 'aff'
+        );
+
+        return this.removeNullValues({
+          name:
+            [familyName, givenName].filter(Boolean).join(', ') ||
+            this.extractValue(this.findField(contrib, 'string-name')),
+          givenName,
+          familyName,
+          affiliation:
+            this.extractAffiliation(this.findField(contrib, 'aff')) ||
+            (affiliationRef && affiliations[affiliationRef.rid]) ||
+            null,
+          orcid: this.normalizeOrcid(this.extractValue(orcid)),
+        });
+      })
+      .filter(author => author.name);
+
+    const articleIds = this.toArray(this.findField(articleMeta, 'article-id'));
+    const doi = articleIds.find(id => id?.['pub-id-type'] === 'doi');
+    const selfUri = this.toArray(this.findField(articleMeta, 'self-uri'))[0];
+    const journalTitle = this.findField(journalMeta, 'journal-title-group') || {};
+    const references = this.toArray(
+      this.findField(this.findField(back, 'ref-list') || {}, 'ref')
+    ).map(
+      ref =>
+        this.extractValue(this.findField(ref, 'mixed-citation')) ||
+        this.extractValue(this.findField(ref, 'element-citation'))
+    );
+
+    return {
+      title: titleData.value,
+      ...(titleData.lang && { titleLang: titleData.lang }),
+      creator: authors[0]?.name || null,
+      authors,
+      subjects: this.toArray(this.findField(articleMeta, 'kwd-group')).flatMap(group =>
+        this.extractArrayValue(this.findField(group, 'kwd'))
+      ),
+      description: abstractText,
+      ...(abstract?.['xml:lang'] && { descriptionLang: abstract['xml:lang'] }),
+      publisher: this.extractValue(
+        this.findField(this.findField(journalMeta, 'publisher') || {}, 'publisher-name')
+      ),
+      date: this.extractJatsDate(this.findField(articleMeta, 'pub-date')),
+      types: this.extractArrayValue(article['article-type']),
+      identifier: selfUri?.['xlink:href'] || null,
+      doi: this.extractValue(doi),
+      sources: [
+        this.extractValue(this.findField(journalTitle, 'journal-title')),
+        ...this.extractArrayValue(this.findField(journalMeta, 'issn')),
+      ].filter(Boolean),
+      language: article['xml:lang'] || null,
+      volume: this.extractValue(this.findField(articleMeta, 'volume')),
+      issue: this.extractValue(this.findField(articleMeta, 'issue')),
+      firstPage: this.extractValue(this.findField(articleMeta, 'fpage')),
+      lastPage: this.extractValue(this.findField(articleMeta, 'lpage')),
+      references: references.filter(Boolean),
+    };
+  }
+
+  /**
+   * Extract article fields from MODS (Metadata Object Description Schema) metadata
+   */
+  parseModsMetadata(metadata) {
+    const mods = this.findField(metadata, 'mods') || {};
+
+    const titleInfo = this.toArray(this.findField(mods, 'titleInfo'))[0] || {};
+    const titleData = this.extractValueWithLang(this.findField(titleInfo, 'title'));
+    const descriptionData = this.extractValueWithLang(this.findField(mods, 'abstract'));
+    const originInfo = this.toArray(this.findField(mods, 'originInfo'))[0] || {};
+    const relatedItems = this.toArray(this.findField(mods, 'relatedItem'));
+    const host = relatedItems.find(item => item?.type === 'host') || {};
+    const part = this.findField(mods, 'part') || this.findField(host, 'part') || {};
+    const details = this.toArray(this.findField(part, 'detail'));
+    const extent = this.toArray(this.findField(part, 'extent')).find(
+      item => !item?.unit || /^pages?$/.test(item.unit)
+    );
+    const identifiers = this.toArray(this.findField(mods, 'identifier'));
+    const findIdentifier = type => this.extractValue(identifiers.find(id => id?.type === type));
+    const findDetail = type =>
+      this.extractValue(
+        this.findField(details.find(detail => detail?.type === type) || {}, 'number')
+      );
+
+    const authors = this.toArray(this.findField(mods, 'name'))
+      .filter(name => {
+        const roles = this.toArray(this.findField(name, 'role')).flatMap(role =>
+          this.extractArrayValue(this.findField(role, 'roleTerm'))
+        );
+        return roles.length === 0 || roles.some(role => ['aut', 'author'].includes(role));
+      })
+      .map(name => {
+        const nameParts = this.toArray(this.findField(name, 'namePart'));
+        const findNamePart = type => this.extractValue(nameParts.find(part => part?.type === type));
+        const familyName = findNamePart('family');
+        const givenName = findNamePart('given');
+        const orcid = this.toArray(this.findField(name, 'nameIdentifier')).find(
+          id => id?.type === 'orcid'
+        );
+
+        return this.removeNullValues({
+          name:
+            [familyName, givenName].filter(Boolean).join(', ') ||
+            this.extractValue(nameParts.find(part => !part?.type)),
+          givenName,
+          familyName,
+          affiliation: this.extractValue(this.findField(name, 'affiliation')),
+          orcid: this.normalizeOrcid(this.extractValue(orcid)),
+        });
+      })
+      .filter(author => author.name);
+
+    const hostTitleInfo = this.toArray(this.findField(host, 'titleInfo'))[0] || {};
+
+    return {
+      title: titleData.value,
+      ...(titleData.lang && { titleLang: titleData.lang }),
+      creator: authors[0]?.name || null,
+      authors,
+      subjects: this.toArray(this.findField(mods, 'subject')).flatMap(subject =>
+        this.extractArrayValue(this.findField(subject, 'topic'))
+      ),
+      description: descriptionData.value,
+      ...(descriptionData.lang && { descriptionLang: descriptionData.lang }),
+      publisher: this.extractValue(this.findField(originInfo, 'publisher')),
+      date: this.extractValue(this.findField(originInfo, 'dateIssued')),
+      types: this.extractArrayValue(this.findField(mods, 'genre')),
+      format: this.extractValue(
+        this.findField(this.findField(mods, 'physicalDescription') || {}, 'internetMediaType')
+      ),
+      identifier: findIdentifier('uri'),
+      doi: findIdentifier('doi'),
+      sources: this.extractArrayValue(this.findField(hostTitleInfo, 'title')),
+      language: this.extractValue(
+        this.findField(this.toArray(this.findField(mods, 'language'))[0] || {}, 'languageTerm')
+      ),
+      volume: findDetail('volume'),
+      issue: findDetail('issue'),
+      firstPage: extent ? this.extractValue(this.findField(extent, 'start')) : null,
+      lastPage: extent ? this.extractValue(this.findField(extent, 'end')) : null,
+      references: relatedItems
+        .filter(item => item?.type === 'references')
+        .map(
+          item =>
+            this.extractValue(this.findField(item, 'note')) ||
+            this.extractValue(
+              this.findField(this.toArray(this.findField(item, 'titleInfo'))[0] || {}, 'title')
+            )
+        )
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Extract article fields from MARC metadata (oai_marc varfields or MARCXML datafields)
+   */
+  parseMarcMetadata(metadata) {
+    const marc = this.findField(metadata, 'oai_marc') || this.findField(metadata, 'record') || {};
+
+    const fields = [
+      ...this.toArray(this.findField(marc, 'varfield')).map(field => ({
+        tag: field?.id,
+        subfields: this.toArray(this.findField(field, 'subfield')).map(subfield => ({
+          code: subfield?.label,
+          value: this.extractValue(subfield),
+        })),
+      })),
+      ...this.toArray(this.findField(marc, 'datafield')).map(field => ({
+        tag: field?.tag,
+        subfields: this.toArray(this.findField(field, 'subfield')).map(subfield => ({
+          code: subfield?.code,
+          value: this.extractValue(subfield),
+        })),
+      })),
+    ];
+
+    const getSubfields = (tags, code) =>
+      fields
+        .filter(field => tags.includes(field.tag))
+        .flatMap(field => field.subfields.filter(subfield => subfield.code === code))
+        .map(subfield => subfield.value)
+        .filter(Boolean);
+    const getFirst = (tags, code) => getSubfields(tags, code)[0] || null;
+
+    const authors = fields
+      .filter(field => ['100', '700', '720'].includes(field.tag))
+      .map(field => {
+        const getCode = code => field.subfields.find(subfield => subfield.code === code)?.value;
+        const identifiers = field.subfields
+          .filter(subfield => ['0', '1'].includes(subfield.code))
+          .map(subfield => subfield.value);
+
+        return this.removeNullValues({
+          name: getCode('a') || null,
+          affiliation: getCode('u') || null,
+          orcid: this.normalizeOrcid(identifiers.find(id => /orcid/i.test(id || '')) || null),
+        });
+      })
+      .filter(author => author.name);
+
+    const doi = fields
+      .filter(field => field.tag === '024')
+      .find(field =>
+        field.subfields.some(subfield => subfield.code === '2' && subfield.value === 'doi')
+      );
+
+    return {
+      title:
+        [getFirst(['245'], 'a'), getFirst(['245'], 'b')]
+          .filter(Boolean)
+          .join(' ')
+          .replace(/\s*[/:;]\s*$/, '') || null,
+      creator: authors[0]?.name || null,
+      authors,
+      subjects: getSubfields(['650', '653'], 'a'),
+      description: getFirst(['520'], 'a'),
+      publisher: getFirst(['260', '264'], 'b'),
+      date: getFirst(['260', '264'], 'c'),
+      types: getSubfields(['655'], 'a'),
+      format: getFirst(['856'], 'q'),
+      identifier: getFirst(['856'], 'u'),
+      doi: doi?.subfields.find(subfield => subfield.code === 'a')?.value || null,
+      sources: [...getSubfields(['773'], 't'), ...getSubfields(['786'], 'n')],
+      language: getFirst(['546', '041'], 'a'),
+      relation: getFirst(['787'], 'o'),
+    };
+  }
+
+  /**
+   * Build a YYYY-MM-DD date from JATS <pub-date> elements, preferring the publication date
+   */
+  extractJatsDate(pubDates) {
+    const dates = this.toArray(pubDates);
+    const pubDate =
+      dates.find(date => ['epub', 'pub'].includes(date?.['pub-type'] || date?.['date-type'])) ||
+      dates[0];
+    if (!pubDate) return null;
+
+    const year = this.extractValue(this.findField(pubDate, 'year'));
+    if (!year) return null;
+
+    const month = this.extractValue(this.findField(pubDate, 'month'));
+    const day = this.extractValue(this.findField(pubDate, 'day'));
+    return [year, month, month && day]
+      .filter(Boolean)
+      .map(part => part.padStart(2, '0'))
+      .join('-');
+  }
+
+  /**
+   * Extract affiliation text, which may be wrapped in an <institution> element
+   */
+  extractAffiliation(aff) {
+    if (!aff) return null;
+    const affiliation = this.toArray(aff)[0];
+    return (
+      this.extractValue(affiliation) ||
+      this.extractValue(this.findField(affiliation, 'institution')) ||
+      null
+    );
+  }
+
+  /**
+   * Reduce an ORCID URL or identifier to the bare ORCID iD
+   */
+  normalizeOrcid(orcid) {
+    if (!orcid) return null;
+    const match = orcid.match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+    return match ? match[1].toUpperCase() : orcid;
+  }
+
+  /**
+   * Find a child element by local name, ignoring its namespace prefix
+   */
+  findField(node, localName) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return undefined;
+    if (node[localName] !== undefined) return node[localName];
+
+    const key = Object.keys(node).find(name => name.endsWith(`:${localName}`));
+    return key ? node[key] : undefined;
+  }
+
+  /**
+   * Normalize xml2js values, which are single values or arrays, to an array
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
   /**
    * Extract single value from Dublin Core field (can be string or object with _)
    */
@@ -290,4 +872,4 @@ class XmlArticleProcessor {
   }
 }
 
-module.exports = { XmlArticleProcessor };
+module.exports = { XmlArticleProcessor, DEFAULT_METADATA_PREFIX_PREFERENCE };
@@ -0,0 +1,264 @@
+const { TextDecoder } = require('util');
+const { logger } = require('./correlationContext');
+
+// Bytes inspected before the encoding of a streamed response is decided. The encoding cannot
+// change once the first bytes are decoded: a page that is valid UTF-8 in its first 64 KiB and has
+// Windows-1252 bytes further on keeps UTF-8, and those bytes are decoded as U+FFFD. Repositories
+// that mix encodings do so throughout the page, so the first 64 KiB (usually dozens of records)
+// are enough to tell, while a whole page is not held back before parsing starts.
+const SNIFF_BYTES = 65536;
+
+// Helper function to check whether a code point is allowed in XML 1.0 documents, which excludes
+// control characters other than tab and line breaks, lone surrogates and U+FFFE/FFFF
+const isValidXmlCodePoint = codePoint =>
+  codePoint === 0x09 ||
+  codePoint === 0x0a ||
+  codePoint === 0x0d ||
+  (codePoint >= 0x20 && codePoint <= 0xd7ff) ||
+  (codePoint >= 0xe000 && codePoint <= 0xfffd) ||
+  (codePoint >= 0x10000 && codePoint <= 0x10ffff);
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+];
+
+/**
+ * Processor for decoding OAI-PMH responses to clean UTF-8 text.
+ *
+ * The encoding is taken from the byte order mark, the XML declaration or the Content-Type
+ * header, in that order, and checked with a heuristic: repositories regularly declare UTF-8 while
+ * serving Windows-1252 or the other way round. Characters that are illegal in XML 1.0 are removed.
+ * Every correction is listed in the returned `repairs`.
+ */
+class XmlEncodingProcessor {
+  /**
+   * Decode a complete response body
+   * @param {Buffer|ArrayBuffer|string} body - Raw response body
+   * @param {string} [contentType] - Content-Type header of the response
+   * @returns {Object} { text, encoding } with the encoding details and repairs
+   */
+  decode(body, contentType = null) {
+    const decoder = this.createStreamDecoder(contentType);
+    const text = decoder.write(body) + decoder.end();
+    return { text, encoding: decoder.getEncodingInfo() };
+  }
+
+  /**
+   * Create a decoder for a response that is read in chunks. The encoding is decided once the
+   * first SNIFF_BYTES bytes (or the whole body, if shorter) have been received.
+   * @param {string} [contentType] - Content-Type header of the response
+   * @returns {Object} Decoder with write(chunk), end() and getEncodingInfo()
+   */
+  createStreamDecoder(contentType = null) {
+    const headerEncoding = this.getCharsetFromContentType(contentType);
+    const pendingChunks = [];
+    let pendingLength = 0;
+    let textDecoder = null;
+    let encodingInfo = null;
+    let invalidCharacters = 0;
+
+    const sanitize = text => {
+      const { text: cleanText, removed } = this.removeInvalidXmlChars(text);
+      invalidCharacters += removed;
+      return cleanText;
+    };
+
+    const start = () => {
+      const bytes = Buffer.concat(pendingChunks, pendingLength);
+      pendingChunks.length = 0;
+      encodingInfo = this.detectEncoding(bytes, headerEncoding);
+      textDecoder = new TextDecoder(encodingInfo.encoding);
+      return sanitize(textDecoder.decode(bytes, { stream: true }));
+    };
+
+    return {
+      write: chunk => {
+        if (typeof chunk === 'string') {
+          // Already decoded (e.g. by axios), only the BOM and invalid characters are left to fix
+          if (!encodingInfo) {
+            encodingInfo = this.createEncodingInfo('utf-8', 'decoded', headerEncoding);
+            if (chunk.startsWith('\uFEFF')) {
+              encodingInfo.repairs.push('bom-removed');
+              return sanitize(chunk.slice(1));
+            }
+          }
+          return sanitize(chunk);
+        }
+
+        const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        if (textDecoder) {
+          return sanitize(textDecoder.decode(bytes, { stream: true }));
+        }
+
+        pendingChunks.push(bytes);
+        pendingLength += bytes.length;
+        return pendingLength >= SNIFF_BYTES ? start() : '';
+      },
+      end: () => {
+        if (textDecoder) {
+          return sanitize(textDecoder.decode());
+        }
+        if (pendingLength === 0) {
+          return '';
+        }
+        const text = start();
+        return text + sanitize(textDecoder.decode());
+      },
+      getEncodingInfo: () => {
+        const info = encodingInfo || this.createEncodingInfo('utf-8', 'default', headerEncoding);
+        const repairs = [...info.repairs];
+        if (invalidCharacters > 0) {
+          repairs.push('invalid-xml-characters-removed');
+        }
+        return {
+          ...info,
+          repairs,
+          repaired: repairs.length > 0,
+          invalidCharactersRemoved: invalidCharacters,
+        };
+      },
+    };
+  }
+
+  /**
+   * Detect the encoding of a response from its first bytes
+   * @param {Buffer} bytes - First bytes of the response
+   * @param {string} [headerEncoding] - Charset from the Content-Type header
+   * @returns {Object} { encoding, source, declaredEncoding, headerEncoding, repairs }
+   */
+  detectEncoding(bytes, headerEncoding = null) {
+    const bom = BYTE_ORDER_MARKS.find(({ bytes: mark }) =>
+      mark.every((byte, index) => bytes[index] === byte)
+    );
+    if (bom) {
+      const info = this.createEncodingInfo(bom.encoding, 'bom', headerEncoding);
+      info.repairs.push('bom-removed');
+      if (info.encoding !== 'utf-8') {
+        info.repairs.push('transcoded-to-utf-8');
+      }
+      return info;
+    }
+
+    const declaredEncoding = this.getDeclaredEncoding(bytes);
+    const labelledEncoding = this.normalizeEncoding(declaredEncoding || headerEncoding);
+    const info = this.createEncodingInfo(
+      labelledEncoding || 'utf-8',
+      declaredEncoding ? 'declaration' : headerEncoding ? 'header' : 'default',
+      headerEncoding,
+      declaredEncoding
+    );
+
+    if ((declaredEncoding || headerEncoding) && !labelledEncoding) {
+      info.repairs.push('unsupported-encoding-ignored');
+    }
+
+    // Heuristic: the label is often wrong, the bytes tell which of UTF-8 and Windows-1252 it is
+    const isUtf8 = this.isValidUtf8(bytes);
+    if (info.encoding === 'utf-8' && !isUtf8) {
+      info.encoding = 'windows-1252';
+      info.source = 'heuristic';
+      info.repairs.push('encoding-corrected');
+    } else if (info.encoding === 'windows-1252' && isUtf8 && this.hasNonAscii(bytes)) {
+      info.encoding = 'utf-8';
+      info.source = 'heuristic';
+      info.repairs.push('encoding-corrected');
+    }
+
+    if (info.encoding !== 'utf-8') {
+      info.repairs.push('transcoded-to-utf-8');
+    }
+
+    return info;
+  }
+
+  /**
+   * Create the encoding details reported with a decoded response
+   */
+  createEncodingInfo(encoding, source, headerEncoding = null, declaredEncoding = null) {
+    return {
+      encoding,
+      source,
+      declaredEncoding: declaredEncoding || null,
+      headerEncoding: headerEncoding || null,
+      repairs: [],
+    };
+  }
+
+  /**
+   * Get the encoding named in the XML declaration
+   */
+  getDeclaredEncoding(bytes) {
+    const head = bytes.subarray(0, 1024).toString('latin1');
+    const match = head.match(/^\s*<\?xml[^>]*?\sencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the charset parameter of a Content-Type header
+   */
+  getCharsetFromContentType(contentType) {
+    if (!contentType || typeof contentType !== 'string') return null;
+    const match = contentType.match(/charset\s*=\s*["']?([A-Za-z0-9._:-]+)/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Normalize an encoding label to the name used by TextDecoder (ISO-8859-1 is decoded as
+   * its Windows-1252 superset, as browsers do)
+   * @returns {string|null} Encoding name or null when the label is not supported
+   */
+  normalizeEncoding(label) {
+    if (!label) return null;
+    try {
+      return new TextDecoder(label).encoding;
+    } catch {
+      logger.warn(`Unsupported character encoding: ${label}`);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether bytes are valid UTF-8 (a sequence cut off at the end is allowed)
+   */
+  isValidUtf8(bytes) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether bytes contain anything beyond ASCII
+   */
+  hasNonAscii(bytes) {
+    return bytes.some(byte => byte > 0x7f);
+  }
+
+  /**
+   * Remove characters that are not allowed in XML 1.0
+   * @returns {Object} { text, removed }
+   */
+  removeInvalidXmlChars(text) {
+    let removed = 0;
+    let cleanText = '';
+    let validFrom = 0;
+    for (let index = 0; index < text.length; index++) {
+      const codePoint = text.codePointAt(index);
+      if (codePoint > 0xffff) {
+        // Surrogate pair, both code units belong to the character
+        index++;
+      } else if (!isValidXmlCodePoint(codePoint)) {
+        cleanText += text.slice(validFrom, index);
+        validFrom = index + 1;
+        removed++;
+      }
+    }
+    return { text: removed > 0 ? cleanText + text.slice(validFrom) : text, removed };
+  }
+}
+
+module.exports = { XmlEncodingProcessor };
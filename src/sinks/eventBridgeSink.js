@@ -0,0 +1,53 @@
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+const { MessageSink } = require('./messageSink');
+
+/**
+ * Puts messages on the EventBridge bus in EVENTBRIDGE_BUS_NAME (the default bus when unset).
+ * Each message becomes an event with the message type as its detail type and the message as
+ * its detail, so rules can match on e.g. { "detail-type": ["ArticleBatch"] }.
+ */
+class EventBridgeSink extends MessageSink {
+  constructor() {
+    // PutEvents limits: 10 entries and 256 KB per call
+    super('eventbridge', {
+      maxBatchEntries: 10,
+      maxBatchBytes: 256 * 1024,
+      maxMessageBytes: 250 * 1024,
+    });
+
+    this.eventBusName = process.env.EVENTBRIDGE_BUS_NAME || 'default';
+    this.eventSource = process.env.EVENTBRIDGE_SOURCE || 'scraping-service';
+    this.eventBridgeClient = new EventBridgeClient();
+  }
+
+  /**
+   * Put up to 10 messages with PutEvents
+   */
+  async publishBatch(messages) {
+    const result = await this.eventBridgeClient.send(
+      new PutEventsCommand({
+        Entries: messages.map(message => ({
+          EventBusName: this.eventBusName,
+          Source: this.eventSource,
+          DetailType: message.type,
+          Detail: JSON.stringify(message),
+          Time: new Date(message.timestamp),
+        })),
+      })
+    );
+
+    // Result entries are in the order of the request entries, failed ones carry an ErrorCode
+    return messages.map((message, index) => {
+      const entry = result.Entries?.[index];
+      if (entry?.EventId) {
+        return this.createSuccess(entry.EventId);
+      }
+      return this.createFailure(
+        entry?.ErrorCode || 'EVENTBRIDGE_ENTRY_MISSING',
+        entry?.ErrorMessage || 'Entry missing from PutEvents response'
+      );
+    });
+  }
+}
+
+module.exports = { EventBridgeSink };
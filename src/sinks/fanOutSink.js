@@ -0,0 +1,118 @@
+const { createEnvelope } = require('../processors/messageSchemaValidator');
+
+/**
+ * Publishes every message to several sinks. The envelope is added once, so all sinks receive a
+ * message under the same messageId and consumers can correlate or deduplicate across them.
+ * A message counts as sent only when every sink published it.
+ */
+class FanOutSink {
+  /**
+   * @param {Array<MessageSink>} sinks - Sinks to publish to
+   */
+  constructor(sinks) {
+    this.name = sinks.map(sink => sink.name).join('+');
+    this.sinks = sinks;
+  }
+
+  /**
+   * Publish one message to all sinks
+   * @returns {Promise<string>} messageId of the message
+   * @throws {Error} Naming the sinks that failed
+   */
+  async sendMessage(messageData) {
+    const [result] = await this.sendMessages([messageData]);
+    if (!result.success) {
+      throw Object.assign(new Error(result.errorMessage), { errorCode: result.errorCode });
+    }
+    return result.messageId;
+  }
+
+  /**
+   * Publish several messages to all sinks in parallel
+   * @param {Array<Object>} messagesData - Messages to publish
+   * @param {Object} [options]
+   * @param {Array<Array<string>|null>} [options.sinkNames] - Per message, the names of the sinks to
+   *   publish it to, e.g. only those that failed it before when a dead letter is replayed; null
+   *   (or names of no configured sink) publishes to all sinks
+   * @returns {Promise<Array<Object>>} One { success, messageId, errorCode, errorMessage } per
+   *   message; a message that failed on some sinks reports the error of each of them, and lists
+   *   them in failures as { sink, errorCode, errorMessage }
+   */
+  async sendMessages(messagesData, { sinkNames = [] } = {}) {
+    const messages = messagesData.map(messageData => createEnvelope(messageData));
+    const targets = messages.map((message, index) => this.getTargetSinks(sinkNames[index]));
+    const resultsBySink = await Promise.all(
+      this.sinks.map(sink =>
+        this.sendToSink(
+          sink,
+          messages,
+          messages.map((message, index) => targets[index].includes(sink))
+        )
+      )
+    );
+
+    return messages.map((message, index) => {
+      const failures = this.sinks
+        .map((sink, position) => ({ sink, result: resultsBySink[position][index] }))
+        .filter(({ result }) => result && !result.success);
+
+      if (failures.length === 0) {
+        return { success: true, messageId: message.messageId, errorCode: null, errorMessage: null };
+      }
+      return {
+        success: false,
+        messageId: null,
+        errorCode: failures[0].result.errorCode,
+        errorMessage: failures
+          .map(({ sink, result }) => `${sink.name}: ${result.errorMessage}`)
+          .join('; '),
+        failures: failures.map(({ sink, result }) => ({
+          sink: sink.name,
+          errorCode: result.errorCode || null,
+          errorMessage: result.errorMessage || null,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Publish the selected messages to one sink
+   * @param {MessageSink} sink - Sink to publish to
+   * @param {Array<Object>} messages - All messages, with their envelope
+   * @param {Array<boolean>} selected - Per message, whether it goes to this sink
+   * @returns {Promise<Array<Object|undefined>>} The result per message, undefined for messages
+   *   that were not sent to the sink
+   */
+  async sendToSink(sink, messages, selected) {
+    const positions = messages.map((message, index) => index).filter(index => selected[index]);
+    const results = new Array(messages.length);
+    if (positions.length === 0) {
+      return results;
+    }
+
+    const sinkResults = await sink
+      .sendMessages(positions.map(index => messages[index]))
+      .catch(error =>
+        positions.map(() => ({
+          success: false,
+          errorCode: error.errorCode || error.name,
+          errorMessage: error.message,
+        }))
+      );
+    positions.forEach((index, position) => {
+      results[index] = sinkResults[position];
+    });
+    return results;
+  }
+
+  /**
+   * Get the sinks a message goes to
+   * @param {Array<string>|null} [names] - Names of the sinks, all sinks when none of them matches
+   */
+  getTargetSinks(names) {
+    const sinks = names ? this.sinks.filter(sink => names.includes(sink.name)) : [];
+    return sinks.length > 0 ? sinks : this.sinks;
+  }
+}
+
+module.exports = { FanOutSink };
@@ -0,0 +1,54 @@
+const { SqsSink } = require('./sqsSink');
+const { SnsSink } = require('./snsSink');
+const { EventBridgeSink } = require('./eventBridgeSink');
+const { KinesisSink } = require('./kinesisSink');
+const { WebhookSink } = require('./webhookSink');
+const { FanOutSink } = require('./fanOutSink');
+
+// Sinks selectable in OUTPUT_SINKS
+const SINKS = {
+  sqs: options => new SqsSink(options),
+  sns: () => new SnsSink(),
+  eventbridge: () => new EventBridgeSink(),
+  kinesis: () => new KinesisSink(),
+  webhook: () => new WebhookSink(),
+};
+
+/**
+ * Get the names of the configured sinks from OUTPUT_SINKS, e.g. "sqs,eventbridge"
+ * @returns {Array<string>} Sink names, ["sqs"] when unset
+ */
+const getOutputSinkNames = () => {
+  const names = (process.env.OUTPUT_SINKS || 'sqs')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return names.length > 0 ? [...new Set(names)] : ['sqs'];
+};
+
+/**
+ * Create the sink the handler publishes integration messages to
+ * @param {Object} [options] - Passed to the SQS sink, e.g. { sqsProcessor }
+ * @returns {MessageSink|FanOutSink} The only configured sink, or a fan-out over all of them
+ */
+const createOutputSink = (options = {}) => {
+  const sinks = getOutputSinkNames().map(name => {
+    if (!SINKS[name]) {
+      throw new Error(`Unsupported output sink in OUTPUT_SINKS: ${name}`);
+    }
+    return SINKS[name](options);
+  });
+
+  return sinks.length === 1 ? sinks[0] : new FanOutSink(sinks);
+};
+
+module.exports = {
+  createOutputSink,
+  getOutputSinkNames,
+  SqsSink,
+  SnsSink,
+  EventBridgeSink,
+  KinesisSink,
+  WebhookSink,
+  FanOutSink,
+};
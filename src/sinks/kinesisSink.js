@@ -0,0 +1,52 @@
+const { KinesisClient, PutRecordsCommand } = require('@aws-sdk/client-kinesis');
+const { MessageSink } = require('./messageSink');
+
+/**
+ * Puts messages on the Kinesis data stream in KINESIS_STREAM_NAME. The journal key is the
+ * partition key, so the messages of a journal stay in order within their shard.
+ */
+class KinesisSink extends MessageSink {
+  constructor() {
+    // PutRecords limits: 500 records and 5 MB per call, 1 MB per record
+    super('kinesis', {
+      maxBatchEntries: 500,
+      maxBatchBytes: 5 * 1024 * 1024,
+      maxMessageBytes: 1000 * 1024,
+    });
+
+    this.streamName = process.env.KINESIS_STREAM_NAME;
+    if (!this.streamName) {
+      throw new Error('KINESIS_STREAM_NAME environment variable is required');
+    }
+    this.kinesisClient = new KinesisClient();
+  }
+
+  /**
+   * Put up to 500 messages with PutRecords
+   */
+  async publishBatch(messages) {
+    const result = await this.kinesisClient.send(
+      new PutRecordsCommand({
+        StreamName: this.streamName,
+        Records: messages.map(message => ({
+          Data: Buffer.from(JSON.stringify(message)),
+          PartitionKey: message.journalKey,
+        })),
+      })
+    );
+
+    // Result records are in the order of the request records, failed ones carry an ErrorCode
+    return messages.map((message, index) => {
+      const record = result.Records?.[index];
+      if (record?.SequenceNumber) {
+        return this.createSuccess(record.SequenceNumber);
+      }
+      return this.createFailure(
+        record?.ErrorCode || 'KINESIS_RECORD_MISSING',
+        record?.ErrorMessage || 'Record missing from PutRecords response'
+      );
+    });
+  }
+}
+
+module.exports = { KinesisSink };
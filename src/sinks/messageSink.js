@@ -0,0 +1,181 @@
+const {
+  MessageSchemaValidator,
+  createEnvelope,
+  getValidationMode,
+} = require('../processors/messageSchemaValidator');
+const { logger } = require('../processors/correlationContext');
+
+/**
+ * Base class of the destinations integration messages are published to. A sink wraps each
+ * message in the versioned envelope, validates it against its schema and publishes it in
+ * chunks within the limits of its service. Subclasses implement publishBatch.
+ */
+class MessageSink {
+  /**
+   * @param {string} name - Name the sink is selected by in OUTPUT_SINKS
+   * @param {Object} [limits]
+   * @param {number} [limits.maxBatchEntries] - Messages per publishBatch call
+   * @param {number} [limits.maxBatchBytes] - Bytes of message bodies per publishBatch call
+   * @param {number} [limits.maxMessageBytes] - Largest message the service accepts
+   */
+  constructor(
+    name,
+    { maxBatchEntries = 1, maxBatchBytes = Infinity, maxMessageBytes = Infinity } = {}
+  ) {
+    this.name = name;
+    this.maxBatchEntries = maxBatchEntries;
+    this.maxBatchBytes = maxBatchBytes;
+    this.maxMessageBytes = maxMessageBytes;
+    this.schemaValidation = getValidationMode();
+    this.schemaValidator = new MessageSchemaValidator();
+  }
+
+  /**
+   * Publish one message
+   * @returns {Promise<string>} ID the service assigned to the message
+   * @throws {Error} With the errorCode of the failure
+   */
+  async sendMessage(messageData) {
+    const [result] = await this.sendMessages([messageData]);
+    if (!result.success) {
+      throw Object.assign(new Error(result.errorMessage), { errorCode: result.errorCode });
+    }
+    return result.messageId;
+  }
+
+  /**
+   * Publish several messages. Messages that are invalid or too large for the service fail on
+   * their own, the others are published in chunks.
+   * @param {Array<Object>} messagesData - Messages built by the handler
+   * @returns {Promise<Array<Object>>} One { success, messageId, errorCode, errorMessage } per
+   *   message, in the order of messagesData
+   */
+  async sendMessages(messagesData) {
+    const results = new Array(messagesData.length);
+    const messages = [];
+    const owners = [];
+
+    messagesData.forEach((messageData, index) => {
+      try {
+        messages.push(this.prepareMessage(messageData));
+        owners.push(index);
+      } catch (error) {
+        results[index] = this.createFailure(error.errorCode, error.message);
+      }
+    });
+
+    for (const chunk of this.createChunks(messages)) {
+      let chunkResults;
+      try {
+        chunkResults = await this.publishBatch(chunk.map(position => messages[position]));
+      } catch (error) {
+        logger.error(`Failed to publish messages to ${this.name} sink:`, error);
+        chunkResults = chunk.map(() =>
+          this.createFailure(error.errorCode || error.name, error.message)
+        );
+      }
+      chunkResults.forEach((result, position) => {
+        results[owners[chunk[position]]] = result;
+      });
+    }
+
+    const failed = results.filter(result => !result.success);
+    logger.log(
+      `Published ${results.length - failed.length}/${results.length} messages to ${this.name} sink`
+    );
+    failed.forEach(result =>
+      logger.error(
+        `Failed to publish message to ${this.name} sink: ${result.errorCode} ${result.errorMessage}`
+      )
+    );
+
+    return results;
+  }
+
+  /**
+   * Wrap a message in the envelope and check it before it is published
+   * @throws {Error} With errorCode MESSAGE_SCHEMA_INVALID or MESSAGE_TOO_LARGE
+   */
+  prepareMessage(messageData) {
+    const message = createEnvelope(messageData);
+    this.schemaValidator.assertValid(message, this.schemaValidation);
+
+    const size = this.getMessageSize(message);
+    if (size > this.maxMessageBytes) {
+      throw Object.assign(
+        new Error(
+          `${message.type} message of ${size} bytes exceeds the ${this.maxMessageBytes} byte limit of the ${this.name} sink`
+        ),
+        { errorCode: 'MESSAGE_TOO_LARGE' }
+      );
+    }
+    return message;
+  }
+
+  /**
+   * Publish up to maxBatchEntries messages in one call
+   * @param {Array<Object>} _messages - Messages with their envelope
+   * @returns {Promise<Array<Object>>} One { success, messageId, errorCode, errorMessage } per
+   *   message. A call that throws fails all of its messages.
+   */
+  async publishBatch(_messages) {
+    throw new Error(`${this.constructor.name} does not implement publishBatch`);
+  }
+
+  /**
+   * Split messages into publishBatch calls within the entry and size limits
+   * @returns {Array<Array<number>>} Message positions per call
+   */
+  createChunks(messages) {
+    const chunks = [];
+    let chunk = [];
+    let chunkBytes = 0;
+
+    messages.forEach((message, position) => {
+      const messageBytes = this.getMessageSize(message);
+      if (
+        chunk.length > 0 &&
+        (chunk.length >= this.maxBatchEntries || chunkBytes + messageBytes > this.maxBatchBytes)
+      ) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkBytes = 0;
+      }
+      chunk.push(position);
+      chunkBytes += messageBytes;
+    });
+
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Get the size of a message body in bytes
+   */
+  getMessageSize(message) {
+    return Buffer.byteLength(JSON.stringify(message));
+  }
+
+  /**
+   * Create the result of a published message
+   */
+  createSuccess(messageId) {
+    return { success: true, messageId, errorCode: null, errorMessage: null };
+  }
+
+  /**
+   * Create the result of a message that could not be published
+   */
+  createFailure(errorCode, errorMessage) {
+    return {
+      success: false,
+      messageId: null,
+      errorCode: errorCode || `${this.name.toUpperCase()}_SINK_ERROR`,
+      errorMessage,
+    };
+  }
+}
+
+module.exports = { MessageSink };
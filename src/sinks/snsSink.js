@@ -0,0 +1,67 @@
+const { SNSClient, PublishBatchCommand } = require('@aws-sdk/client-sns');
+const { MessageSink } = require('./messageSink');
+
+/**
+ * Publishes to the SNS topic in SNS_TOPIC_ARN, with the same message attributes as the
+ * integration queue so subscriptions can filter on them. Messages of a FIFO topic are grouped
+ * by journal like on a FIFO integration queue.
+ */
+class SnsSink extends MessageSink {
+  constructor() {
+    // PublishBatch limits: 10 entries and 256 KB per call
+    super('sns', { maxBatchEntries: 10, maxBatchBytes: 256 * 1024, maxMessageBytes: 250 * 1024 });
+
+    this.topicArn = process.env.SNS_TOPIC_ARN;
+    if (!this.topicArn) {
+      throw new Error('SNS_TOPIC_ARN environment variable is required');
+    }
+    this.fifo = this.topicArn.endsWith('.fifo');
+    this.snsClient = new SNSClient();
+  }
+
+  /**
+   * Publish up to 10 messages with PublishBatch
+   */
+  async publishBatch(messages) {
+    const result = await this.snsClient.send(
+      new PublishBatchCommand({
+        TopicArn: this.topicArn,
+        PublishBatchRequestEntries: messages.map((message, index) => ({
+          Id: String(index),
+          Message: JSON.stringify(message),
+          MessageAttributes: {
+            messageType: { DataType: 'String', StringValue: message.messageType },
+            source: { DataType: 'String', StringValue: message.source || 'scraping-service' },
+            journalKey: { DataType: 'String', StringValue: message.journalKey },
+            ...(message.correlationId && {
+              correlationId: { DataType: 'String', StringValue: message.correlationId },
+            }),
+          },
+          ...(this.fifo && {
+            MessageGroupId: message.journalKey,
+            MessageDeduplicationId: [message.messageId, message.partNumber]
+              .filter(Boolean)
+              .join(':'),
+          }),
+        })),
+      })
+    );
+
+    const successful = new Map((result.Successful || []).map(entry => [entry.Id, entry]));
+    const failed = new Map((result.Failed || []).map(entry => [entry.Id, entry]));
+
+    return messages.map((message, index) => {
+      const id = String(index);
+      if (successful.has(id)) {
+        return this.createSuccess(successful.get(id).MessageId);
+      }
+      const failure = failed.get(id);
+      return this.createFailure(
+        failure?.Code || 'SNS_BATCH_ENTRY_MISSING',
+        failure?.Message || 'Entry missing from PublishBatch response'
+      );
+    });
+  }
+}
+
+module.exports = { SnsSink };
@@ -0,0 +1,38 @@
+const { SqsMessageProcessor } = require('../processors/sqsMessageProcessor');
+const { MessageSink } = require('./messageSink');
+
+/**
+ * Publishes to the SQS integration queue, the default sink. Envelope, validation, batching,
+ * FIFO parameters and oversized messages are handled by SqsMessageProcessor.
+ */
+class SqsSink extends MessageSink {
+  /**
+   * @param {Object} [options]
+   * @param {SqsMessageProcessor} [options.sqsProcessor] - Processor to send with, so the
+   *   handler's continuation messages and the integration messages share one SQS client
+   */
+  constructor(options = {}) {
+    super('sqs');
+    this.sqsProcessor = options.sqsProcessor || new SqsMessageProcessor(options);
+
+    if (!this.sqsProcessor.integrationQueueUrl) {
+      throw new Error('SQS_INTEGRATION_QUEUE_URL environment variable is required');
+    }
+  }
+
+  /**
+   * Send one message to the integration queue, see SqsMessageProcessor.sendMessage
+   */
+  async sendMessage(messageData) {
+    return this.sqsProcessor.sendMessage(messageData);
+  }
+
+  /**
+   * Send several messages to the integration queue, see SqsMessageProcessor.sendMessages
+   */
+  async sendMessages(messagesData) {
+    return this.sqsProcessor.sendMessages(messagesData);
+  }
+}
+
+module.exports = { SqsSink };
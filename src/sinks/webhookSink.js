@@ -0,0 +1,62 @@
+const { createHmac } = require('crypto');
+const axios = require('axios');
+const { MessageSink } = require('./messageSink');
+const { readIntEnv } = require('../processors/environment');
+
+/**
+ * POSTs each message as JSON to the HTTP endpoint in WEBHOOK_URL. With WEBHOOK_SECRET set the
+ * body is signed, the receiver recomputes "sha256=" + HMAC-SHA256(secret, body) and compares it
+ * with the X-Signature-256 header. Any 2xx response counts as delivered.
+ */
+class WebhookSink extends MessageSink {
+  constructor() {
+    super('webhook');
+
+    this.url = process.env.WEBHOOK_URL;
+    if (!this.url) {
+      throw new Error('WEBHOOK_URL environment variable is required');
+    }
+    this.secret = process.env.WEBHOOK_SECRET || null;
+    this.timeout = readIntEnv('WEBHOOK_TIMEOUT_MS', 10000, { min: 1 });
+  }
+
+  /**
+   * POST one message, webhooks take a single message per request
+   */
+  async publishBatch([message]) {
+    const body = JSON.stringify(message);
+
+    try {
+      const response = await axios.post(this.url, body, {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Message-Id': message.messageId,
+          'X-Message-Type': message.type,
+          ...(message.correlationId && { 'X-Correlation-Id': message.correlationId }),
+          ...(this.secret && { 'X-Signature-256': this.createSignature(body) }),
+        },
+        // Redirects would resend the body to a URL nobody configured
+        maxRedirects: 0,
+      });
+      return [this.createSuccess(response.headers['x-request-id'] || message.messageId)];
+    } catch (error) {
+      const status = error.response?.status;
+      return [
+        this.createFailure(
+          status ? `WEBHOOK_HTTP_${status}` : error.code || 'WEBHOOK_ERROR',
+          `Failed to POST message to webhook: ${error.message}`
+        ),
+      ];
+    }
+  }
+
+  /**
+   * Sign a request body with WEBHOOK_SECRET
+   */
+  createSignature(body) {
+    return `sha256=${createHmac('sha256', this.secret).update(body).digest('hex')}`;
+  }
+}
+
+module.exports = { WebhookSink };
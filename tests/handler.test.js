@@ -1,18 +1,28 @@
-const { handler } = require('../src/handler');
+const { handler, replayDeadLetters } = require('../src/handler');
 
 // Mock the processors
 jest.mock('../src/processors/oaiDataProcessor');
 jest.mock('../src/processors/s3FileProcessor');
 jest.mock('../src/processors/sqsMessageProcessor');
+jest.mock('../src/processors/deadLetterProcessor');
 
 const { OaiDataProcessor } = require('../src/processors/oaiDataProcessor');
 const { S3FileProcessor } = require('../src/processors/s3FileProcessor');
 const { SqsMessageProcessor } = require('../src/processors/sqsMessageProcessor');
+const { HostRateLimiter } = require('../src/processors/hostRateLimiter');
+const { DeadLetterProcessor } = require('../src/processors/deadLetterProcessor');
+const {
+  MessageSchemaValidator,
+  createEnvelope,
+} = require('../src/processors/messageSchemaValidator');
+const { SqsSink } = require('../src/sinks');
+const { getCorrelation } = require('../src/processors/correlationContext');
 
 describe('Lambda Handler', () => {
   let mockOaiProcessor;
   let mockS3Processor;
   let mockSqsProcessor;
+  let mockDeadLetterProcessor;
 
   beforeEach(() => {
     // Reset all mocks
@@ -20,20 +30,76 @@ describe('Lambda Handler', () => {
 
     // Create mock instances
     mockOaiProcessor = {
+      maxPages: 1000,
+      pageDelayMs: 0,
+      axiosConfig: { timeout: 120000 },
       processIdentify: jest.fn(),
+      processListMetadataFormats: jest.fn().mockResolvedValue({
+        data: '<OAI-PMH><ListMetadataFormats><metadataFormat><metadataPrefix>oai_dc</metadataPrefix></metadataFormat></ListMetadataFormats></OAI-PMH>',
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      }),
+      processListSets: jest.fn(),
       processListRecords: jest.fn(),
+      processGetRecord: jest.fn(),
+      verifyBaseUrl: jest.fn().mockImplementation(async (url, reportedBaseUrl) => ({
+        configuredUrl: url,
+        reportedBaseUrl: reportedBaseUrl || null,
+        matches: reportedBaseUrl ? reportedBaseUrl === url : null,
+        harvestUrl: url,
+      })),
     };
     mockS3Processor = {
       createAndUploadXml: jest.fn(),
+      createXmlLocation: jest.fn().mockImplementation(journalKey => ({
+        s3Bucket: 'test-bucket',
+        s3Key: `${journalKey}.xml`,
+        s3Url: `https://test-bucket.s3.amazonaws.com/${journalKey}.xml`,
+        s3Path: `s3://test-bucket/${journalKey}.xml`,
+        filename: `${journalKey}.xml`,
+      })),
+      loadHarvestState: jest.fn().mockResolvedValue(null),
+      saveHarvestState: jest.fn().mockResolvedValue('https://test-bucket.s3.amazonaws.com/state'),
+      loadCheckpoint: jest.fn().mockResolvedValue(null),
+      saveCheckpoint: jest
+        .fn()
+        .mockResolvedValue('https://test-bucket.s3.amazonaws.com/checkpoint'),
+      deleteCheckpoint: jest.fn().mockResolvedValue(),
     };
     mockSqsProcessor = {
+      integrationQueueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/integration',
       sendMessage: jest.fn(),
+      // Batched sends go through sendMessage, so every message can be asserted on the same mock
+      sendMessages: jest.fn().mockImplementation(async messages => {
+        const results = [];
+        for (const message of messages) {
+          try {
+            const messageId = await mockSqsProcessor.sendMessage(message);
+            results.push({ success: true, messageId, errorCode: null, errorMessage: null });
+          } catch (error) {
+            results.push({
+              success: false,
+              messageId: null,
+              errorCode: 'SQS_ERROR',
+              errorMessage: error.message,
+            });
+          }
+        }
+        return results;
+      }),
+      sendContinuationMessage: jest.fn().mockResolvedValue('continuation-id'),
+    };
+    mockDeadLetterProcessor = {
+      captureFailedMessages: jest.fn().mockImplementation(async failures => failures.length),
+      replay: jest.fn().mockResolvedValue({ replayed: 0, failed: 0, stopped: false }),
     };
 
     // Mock constructors
     OaiDataProcessor.mockImplementation(() => mockOaiProcessor);
     S3FileProcessor.mockImplementation(() => mockS3Processor);
     SqsMessageProcessor.mockImplementation(() => mockSqsProcessor);
+    DeadLetterProcessor.mockImplementation(() => mockDeadLetterProcessor);
 
     // Set environment variables
     process.env.S3_BUCKET_NAME = 'test-bucket';
@@ -106,14 +172,58 @@ describe('Lambda Handler', () => {
       expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
         'https://example.com/oai',
         'test-journal-123',
-        expect.any(Function)
+        expect.any(Function),
+        {
+          from: null,
+          until: null,
+          granularity: null,
+          set: null,
+          metadataPrefix: 'oai_dc',
+          onRecord: expect.any(Function),
+          keepPageXml: true,
+          onCheckpoint: expect.any(Function),
+          shouldStop: expect.any(Function),
+        }
       );
 
       // Verify S3 uploads were called (Identify + ListRecords page)
       expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledTimes(2);
 
-      // Verify SQS messages were sent (Identify + ListRecords page)
-      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(2);
+      // Verify SQS messages were sent (HarvestStarted + Identify + ListRecords page +
+      // completeness verdict + HarvestCompleted)
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(5);
+      const [startedMessage] = mockSqsProcessor.sendMessage.mock.calls[0];
+      expect(startedMessage).toEqual(
+        expect.objectContaining({
+          journalKey: 'test-journal-123',
+          messageType: 'HarvestStarted',
+          runId: expect.any(String),
+        })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          journalKey: 'test-journal-123',
+          messageType: 'HarvestCompleted',
+          runId: startedMessage.runId,
+          status: 'completed',
+          pages: 1,
+          records: 1,
+          batchesSent: 1,
+          batchesFailed: 0,
+          bytesDownloaded: 0,
+          durationMs: expect.any(Number),
+          phases: { identify: 'succeeded', listSets: 'skipped', listRecords: 'completed' },
+          success: true,
+        })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleteness',
+          recordsHarvested: 1,
+          completeListSize: null,
+          verdict: 'unknown',
+        })
+      );
 
       // Verify Identify SQS message
       expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
@@ -210,7 +320,7 @@ describe('Lambda Handler', () => {
       expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
       expect(mockOaiProcessor.processIdentify).toHaveBeenCalledTimes(2);
       expect(mockOaiProcessor.processListRecords).toHaveBeenCalledTimes(2);
-      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(4); // 2 journals × 2 messages each (1 Identify + 1 Article per journal)
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(10); // 2 journals × 5 messages each (HarvestStarted + Identify + Article + completeness verdict + HarvestCompleted)
     });
 
     it('should handle empty records array', async () => {
@@ -241,6 +351,54 @@ describe('Lambda Handler', () => {
       expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
       expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
       expect(mockOaiProcessor.processListRecords).not.toHaveBeenCalled();
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          journalKey: 'unknown',
+          oaiUrl: 'https://example.com/oai',
+          messageType: 'InvalidRequest',
+          errorCode: 'INVALID_REQUEST',
+          errors: ["/ must have required property 'journal_key'"],
+        })
+      );
+    });
+
+    it('should reject requests with an invalid URL or unknown options', async () => {
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+      const body = JSON.stringify({
+        url: 'ftp://example.com/oai',
+        journal_key: 'journal-1',
+        list_set: true,
+      });
+
+      const result = await handler({ Records: [{ messageId: 'test-message-id', body }] });
+
+      expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(1);
+      const [message] = mockSqsProcessor.sendMessage.mock.calls[0];
+      expect(message).toEqual(
+        expect.objectContaining({
+          journalKey: 'journal-1',
+          messageType: 'InvalidRequest',
+          success: false,
+          errorCode: 'INVALID_REQUEST',
+          request: body,
+        })
+      );
+      expect(message.errors).toEqual([
+        '/ must not have unknown field list_set',
+        expect.stringContaining('/url must match pattern'),
+      ]);
+      expect(new MessageSchemaValidator().validate(createEnvelope(message)).errors).toEqual([]);
+    });
+
+    it('should retry a rejection that could not be sent', async () => {
+      mockSqsProcessor.sendMessage.mockRejectedValue(new Error('Queue unavailable'));
+
+      const result = await handler({
+        Records: [{ messageId: 'test-message-id', body: JSON.stringify({ url: 'x' }) }],
+      });
+
+      expect(result.batchItemFailures).toEqual([{ itemIdentifier: 'test-message-id' }]);
     });
 
     it('should handle Identify phase failure', async () => {
@@ -352,6 +510,123 @@ describe('Lambda Handler', () => {
       );
     });
 
+    it('should report page progress and the completeness of the harvest', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          await pageCallback(
+            '<OAI-PMH><ListRecords><record><header><identifier>oai:1</identifier></header></record></ListRecords></OAI-PMH>',
+            12,
+            1,
+            1200,
+            {
+              resumptionToken: {
+                completeListSize: 4580,
+                cursor: 1199,
+                expirationDate: '2024-01-16T10:00:00Z',
+              },
+            }
+          );
+          return {
+            pageCount: 46,
+            totalRecordsProcessed: 4570,
+            completeListSize: 4580,
+            success: true,
+            status: 'completed',
+          };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          pageNumber: 12,
+          progress: {
+            description: 'page 12, 1200/4580 records',
+            completeListSize: 4580,
+            cursor: 1199,
+            percentComplete: 26.2,
+            resumptionTokenExpiration: '2024-01-16T10:00:00Z',
+          },
+        })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleteness',
+          journalKey: 'test-journal-123',
+          pageCount: 46,
+          recordsHarvested: 4570,
+          completeListSize: 4580,
+          missingRecords: 10,
+          verdict: 'incomplete',
+          complete: false,
+        })
+      );
+    });
+
+    it('should include the harvest summary when ListRecords stalls', async () => {
+      const harvestSummary = {
+        pagesFetched: 3,
+        lastPageNumber: 3,
+        recordsProcessed: 150,
+        consecutiveEmptyPages: 0,
+        lastResumptionToken: 'token-1',
+        lastCursor: 100,
+        lastPageRecords: 50,
+      };
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 0,
+        totalRecordsProcessed: 0,
+        success: false,
+        status: 'failed',
+        errorCode: 'RESUMPTION_TOKEN_LOOP',
+        errorMessage: 'Resumption token repeated on page 3: token-1',
+        harvestSummary,
+      });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ListRecords',
+          success: false,
+          errorCode: 'RESUMPTION_TOKEN_LOOP',
+          harvestSummary,
+        })
+      );
+      expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+    });
+
     it('should handle ListRecords with multiple pages', async () => {
       // Mock Identify success
       mockOaiProcessor.processIdentify.mockResolvedValue({
@@ -405,8 +680,9 @@ describe('Lambda Handler', () => {
       // Verify S3 uploads: 1 Identify + 3 ListRecords pages = 4 total
       expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledTimes(4);
 
-      // Verify SQS messages: 1 Identify + 3 ListRecords pages = 4 total
-      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(4);
+      // Verify SQS messages: HarvestStarted + 1 Identify + 3 ListRecords pages + 1 completeness
+      // verdict + HarvestCompleted = 7 total
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(7);
 
       // Verify page-specific messages
       expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
@@ -485,56 +761,2310 @@ describe('Lambda Handler', () => {
       );
     });
 
-    it('should handle invalid JSON in SQS message body', async () => {
+    it('should pass from/until and Identify granularity to ListRecords', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify><granularity>YYYY-MM-DDThh:mm:ssZ</granularity></Identify></OAI-PMH>',
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 1,
+        totalRecordsProcessed: 0,
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'identify.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
       const event = {
         Records: [
           {
             messageId: 'test-message-id',
-            body: 'invalid json',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              from: '2024-01-01',
+              until: '2024-06-30',
+            }),
           },
         ],
       };
 
-      const result = await handler(event);
+      await handler(event);
 
-      expect(result).toEqual({
-        statusCode: 200,
-        body: 'SUCCESS',
-        batchItemFailures: [{ itemIdentifier: 'test-message-id' }],
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal-123',
+        expect.any(Function),
+        {
+          from: '2024-01-01',
+          until: '2024-06-30',
+          granularity: 'YYYY-MM-DDThh:mm:ssZ',
+          set: null,
+          metadataPrefix: 'oai_dc',
+          onRecord: expect.any(Function),
+          keepPageXml: true,
+          onCheckpoint: expect.any(Function),
+          shouldStop: expect.any(Function),
+        }
+      );
+      // Nothing was harvested before 2024-01-01, an incremental harvest must not start after it
+      expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+    });
+
+    describe('harvest state after an explicit range', () => {
+      const createEvent = body => ({
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              ...body,
+            }),
+          },
+        ],
+      });
+
+      beforeEach(() => {
+        mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+        mockOaiProcessor.processListRecords.mockResolvedValue({
+          pageCount: 1,
+          totalRecordsProcessed: 0,
+          success: true,
+          status: 'completed',
+        });
+        mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+      });
+
+      it('should not advance the state over a backfill that starts after it', async () => {
+        mockS3Processor.loadHarvestState.mockResolvedValue({
+          lastHarvestDatestamp: '2024-01-01T00:00:00Z',
+        });
+
+        await handler(createEvent({ from: '2024-03-01' }));
+
+        expect(mockS3Processor.loadHarvestState).toHaveBeenCalledWith('test-journal-123', null);
+        expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+      });
+
+      it('should advance the state over a range that starts before it', async () => {
+        mockS3Processor.loadHarvestState.mockResolvedValue({
+          lastHarvestDatestamp: '2024-03-01T00:00:00Z',
+        });
+
+        await handler(createEvent({ from: '2024-01-01', until: '2024-06-30' }));
+
+        expect(mockS3Processor.saveHarvestState).toHaveBeenCalledWith(
+          'test-journal-123',
+          expect.objectContaining({ lastHarvestDatestamp: '2024-06-30' }),
+          null
+        );
+      });
+
+      it('should not move the state back', async () => {
+        mockS3Processor.loadHarvestState.mockResolvedValue({
+          lastHarvestDatestamp: '2024-09-01T00:00:00Z',
+        });
+
+        await handler(createEvent({ until: '2024-06-30' }));
+
+        expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
       });
     });
 
-    it('should return batch item failures for processing errors', async () => {
-      // Mock processor initialization failure
-      OaiDataProcessor.mockImplementation(() => {
-        throw new Error('Unexpected initialization error');
+    it('should use the last harvest datestamp in incremental mode', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: null,
+        success: false,
+        errorCode: 'TIMEOUT_ERROR',
+        errorMessage: 'Timeout',
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 1,
+        totalRecordsProcessed: 0,
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockS3Processor.loadHarvestState.mockResolvedValue({
+        lastHarvestDatestamp: '2024-03-15T10:00:00.000Z',
       });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
 
       const event = {
         Records: [
           {
-            messageId: 'message-1',
+            messageId: 'test-message-id',
             body: JSON.stringify({
-              url: 'https://example1.com/oai',
-              journal_key: 'journal-1',
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              incremental: true,
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.loadHarvestState).toHaveBeenCalledWith('test-journal-123', null);
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal-123',
+        expect.any(Function),
+        {
+          from: '2024-03-15T10:00:00.000Z',
+          until: null,
+          granularity: null,
+          set: null,
+          metadataPrefix: 'oai_dc',
+          onRecord: expect.any(Function),
+          keepPageXml: true,
+          onCheckpoint: expect.any(Function),
+          shouldStop: expect.any(Function),
+        }
+      );
+      expect(mockS3Processor.saveHarvestState).toHaveBeenCalledWith(
+        'test-journal-123',
+        expect.objectContaining({
+          lastHarvestDatestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+          from: '2024-03-15T10:00:00.000Z',
+        }),
+        null
+      );
+    });
+
+    it('should not save harvest state when ListRecords fails', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify>test</Identify></OAI-PMH>',
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 0,
+        totalRecordsProcessed: 0,
+        success: false,
+        errorCode: 'HTTP_SERVER_ERROR_500',
+        errorMessage: 'Server error',
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'identify.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              incremental: true,
             }),
           },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+    });
+
+    describe('harvest state after failures', () => {
+      const event = {
+        Records: [
           {
-            messageId: 'message-2',
+            messageId: 'test-message-id',
             body: JSON.stringify({
-              url: 'https://example2.com/oai',
-              journal_key: 'journal-2',
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              incremental: true,
             }),
           },
         ],
       };
 
-      const result = await handler(event);
+      beforeEach(() => {
+        mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, pageCallback, options) => {
+            await pageCallback(
+              '<OAI-PMH><ListRecords><record><header><identifier>oai:1</identifier></header></record></ListRecords></OAI-PMH>',
+              1,
+              1,
+              1
+            );
+            await options.onCheckpoint({
+              resumptionToken: 't2',
+              pageNumber: 1,
+              recordsProcessed: 1,
+            });
+            await pageCallback(
+              '<OAI-PMH><ListRecords><record><header><identifier>oai:2</identifier></header></record></ListRecords></OAI-PMH>',
+              2,
+              1,
+              2
+            );
+            return { pageCount: 2, totalRecordsProcessed: 2, success: true, status: 'completed' };
+          }
+        );
+        mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+        mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+      });
 
-      expect(result).toEqual({
-        statusCode: 200,
-        body: 'SUCCESS',
-        batchItemFailures: [{ itemIdentifier: 'message-1' }, { itemIdentifier: 'message-2' }],
+      it('should not advance the harvest state when an article batch failed', async () => {
+        mockSqsProcessor.sendMessage.mockImplementation(async message => {
+          if (message.messageType === 'ArticleBatch') throw new Error('Queue unavailable');
+          return 'message-id';
+        });
+
+        await handler(event);
+
+        expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+        expect(mockS3Processor.saveCheckpoint).toHaveBeenCalledWith(
+          'test-journal-123',
+          expect.objectContaining({ failures: { pages: 0, batches: 1 } }),
+          null
+        );
+        expect(mockS3Processor.deleteCheckpoint).toHaveBeenCalled();
+      });
+
+      it('should not advance the harvest state when a page failed', async () => {
+        mockS3Processor.createAndUploadXml.mockRejectedValueOnce(new Error('Access denied'));
+
+        await handler(event);
+
+        expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+      });
+
+      it('should count the failures of a continued harvest before the continuation', async () => {
+        mockS3Processor.loadCheckpoint.mockResolvedValue({
+          resumptionToken: 't1',
+          pageNumber: 1,
+          recordsProcessed: 50,
+          runId: 'run-1',
+          harvestStartedAt: '2024-01-01T00:00:00.000Z',
+          failures: { pages: 1, batches: 0 },
+        });
+
+        await handler({
+          Records: [
+            {
+              messageId: 'test-message-id',
+              body: JSON.stringify({
+                url: 'https://example.com/oai',
+                journal_key: 'test-journal-123',
+                incremental: true,
+                resume: true,
+                harvest_run: { runId: 'run-1' },
+              }),
+            },
+          ],
+        });
+
+        expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+      });
+
+      it('should not fail an empty streamed page when pages are not archived', async () => {
+        mockS3Processor.archive = false;
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, pageCallback, options) => {
+            expect(options.keepPageXml).toBe(false);
+            await pageCallback(null, 1, 0, 0, {
+              resumptionToken: { token: 't2', completeListSize: 1, cursor: 0 },
+            });
+            await options.onCheckpoint({
+              resumptionToken: 't2',
+              pageNumber: 1,
+              recordsProcessed: 0,
+            });
+            return { pageCount: 2, totalRecordsProcessed: 0, success: true, status: 'completed' };
+          }
+        );
+
+        try {
+          await handler(event);
+        } finally {
+          delete mockS3Processor.archive;
+        }
+
+        expect(mockSqsProcessor.sendMessage).not.toHaveBeenCalledWith(
+          expect.objectContaining({ errorCode: 'PAGE_PROCESSING_FAILED' })
+        );
+        expect(mockS3Processor.saveHarvestState).toHaveBeenCalledTimes(1);
+      });
+
+      it('should advance the harvest state when every page and batch was sent', async () => {
+        await handler(event);
+
+        expect(mockS3Processor.saveHarvestState).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should record metadata formats in Identify and harvest with the richest one', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify><repositoryName>Test</repositoryName></Identify></OAI-PMH>',
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockOaiProcessor.processListMetadataFormats.mockResolvedValue({
+        data: `<OAI-PMH><ListMetadataFormats>
+          <metadataFormat><metadataPrefix>oai_dc</metadataPrefix></metadataFormat>
+          <metadataFormat><metadataPrefix>oai_marc</metadataPrefix></metadataFormat>
+          <metadataFormat><metadataPrefix>jats</metadataPrefix></metadataFormat>
+        </ListMetadataFormats></OAI-PMH>`,
+        success: true,
+      });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          await pageCallback(
+            `<OAI-PMH><ListRecords><record>
+              <header><identifier>oai:test:1</identifier></header>
+              <metadata><article><front><article-meta>
+                <title-group><article-title>JATS Article</article-title></title-group>
+              </article-meta></front></article></metadata>
+            </record></ListRecords></OAI-PMH>`,
+            1,
+            1,
+            1
+          );
+          return { pageCount: 1, totalRecordsProcessed: 1, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'file.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'test-journal' }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'Identify',
+          metadataPrefix: 'jats',
+          data: expect.objectContaining({
+            repositoryName: 'Test',
+            metadataFormats: [
+              { metadataPrefix: 'oai_dc' },
+              { metadataPrefix: 'oai_marc' },
+              { metadataPrefix: 'jats' },
+            ],
+          }),
+        })
+      );
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal',
+        expect.any(Function),
+        expect.objectContaining({ metadataPrefix: 'jats' })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          articles: [expect.objectContaining({ title: 'JATS Article', metadataFormat: 'jats' })],
+        })
+      );
+    });
+
+    it('should harvest with the metadata_prefix named in the message', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: null,
+        success: false,
+        errorCode: 'TIMEOUT_ERROR',
+        errorMessage: 'Timeout',
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({ success: true });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal',
+              metadata_prefix: 'mods',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal',
+        expect.any(Function),
+        expect.objectContaining({ metadataPrefix: 'mods' })
+      );
+    });
+
+    it('should publish discovered sets when list_sets is requested', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: null,
+        success: false,
+        errorCode: 'TIMEOUT_ERROR',
+        errorMessage: 'Timeout',
+      });
+      mockOaiProcessor.processListSets.mockResolvedValue({
+        data: [
+          `<OAI-PMH><ListSets>
+            <set><setSpec>journalA</setSpec><setName>Journal A</setName></set>
+            <set><setSpec>journalA:ART</setSpec><setName>Articles</setName></set>
+          </ListSets></OAI-PMH>`,
+        ],
+        pageCount: 1,
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 1,
+        totalRecordsProcessed: 0,
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({
+        s3Url: 'https://test-bucket.s3.amazonaws.com/listsets.xml',
+        s3Key: 'listsets.xml',
+        s3Path: 's3://test-bucket/listsets.xml',
+        filename: 'listsets.xml',
+      });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              list_sets: true,
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        expect.any(String),
+        'test-journal-123-listsets-page-1',
+        'https://example.com/oai'
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ListSets',
+          success: true,
+          totalSets: 2,
+          s3Key: 'listsets.xml',
+          sets: [
+            expect.objectContaining({ setSpec: 'journalA', setName: 'Journal A' }),
+            expect.objectContaining({ setSpec: 'journalA:ART', setName: 'Articles' }),
+          ],
+        })
+      );
+    });
+
+    it('should send an error message when ListSets fails', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListSets.mockResolvedValue({
+        data: null,
+        success: false,
+        errorCode: 'HTTP_SERVER_ERROR_503',
+        errorMessage: 'Service unavailable',
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({ success: true });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              list_sets: true,
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ListSets',
+          success: false,
+          errorCode: 'HTTP_SERVER_ERROR_503',
+        })
+      );
+    });
+
+    it('should harvest each requested set with its own pagination loop and page files', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          await pageCallback(
+            `<OAI-PMH><ListRecords><record><header><identifier>oai:${options.set}:1</identifier><setSpec>${options.set}</setSpec></header><metadata></metadata></record></ListRecords></OAI-PMH>`,
+            1,
+            1,
+            1
+          );
+          return { pageCount: 1, totalRecordsProcessed: 1, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              sets: ['journalA:ART', 'journalB'],
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockOaiProcessor.processListSets).not.toHaveBeenCalled();
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledTimes(2);
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal-123',
+        expect.any(Function),
+        expect.objectContaining({ set: 'journalA:ART' })
+      );
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal-123',
+        expect.any(Function),
+        expect.objectContaining({ set: 'journalB' })
+      );
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        expect.any(String),
+        'test-journal-123-set-journalA-ART-listrecords-page-1',
+        'https://example.com/oai',
+        null,
+        null
+      );
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        expect.any(String),
+        'test-journal-123-set-journalB-listrecords-page-1',
+        'https://example.com/oai',
+        null,
+        null
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ messageType: 'ArticleBatch', setSpec: 'journalB', pageNumber: 1 })
+      );
+      expect(mockS3Processor.saveHarvestState).toHaveBeenCalledWith(
+        'test-journal-123',
+        expect.any(Object),
+        'journalA:ART'
+      );
+    });
+
+    it('should refresh the requested identifiers with GetRecord instead of harvesting', async () => {
+      mockOaiProcessor.processGetRecord.mockImplementation(async (url, identifier) => ({
+        data: `<OAI-PMH><GetRecord><record><header><identifier>${identifier}</identifier></header><metadata><oai_dc:dc><dc:title>Corrected</dc:title></oai_dc:dc></metadata></record></GetRecord></OAI-PMH>`,
+        type: 'GetRecord',
+        identifier,
+        success: true,
+      }));
+      mockS3Processor.createAndUploadXml.mockResolvedValue({
+        s3Url: 'https://test-bucket.s3.amazonaws.com/record.xml',
+        s3Key: 'record.xml',
+        s3Path: 's3://test-bucket/record.xml',
+        filename: 'record.xml',
+      });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              identifiers: ['oai:example.com:article/1', 'oai:example.com:article/2'],
+            }),
+          },
+        ],
+      };
+
+      const result = await handler(event);
+
+      expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
+      expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+      expect(mockOaiProcessor.processListRecords).not.toHaveBeenCalled();
+      expect(mockOaiProcessor.processGetRecord).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'oai:example.com:article/1',
+        'oai_dc'
+      );
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        expect.any(String),
+        'test-journal-123-getrecord-oai-example-com-article-2',
+        'https://example.com/oai'
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledTimes(2);
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          journalKey: 'test-journal-123',
+          s3Url: 'https://test-bucket.s3.amazonaws.com/record.xml',
+          pageNumber: 2,
+          batchNumber: 1,
+          totalBatches: 1,
+          articlesInBatch: 1,
+          articles: [
+            expect.objectContaining({
+              identifier: 'oai:example.com:article/2',
+              title: 'Corrected',
+            }),
+          ],
+        })
+      );
+    });
+
+    it('should send an error message when a GetRecord request fails', async () => {
+      mockOaiProcessor.processGetRecord.mockResolvedValue({
+        data: null,
+        type: 'GetRecord',
+        success: false,
+        errorCode: 'HTTP_ERROR',
+        errorMessage: 'HTTP error 404',
+      });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              identifier: 'oai:example.com:article/404',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.createAndUploadXml).not.toHaveBeenCalled();
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'GetRecord',
+          identifier: 'oai:example.com:article/404',
+          success: false,
+          errorCode: 'HTTP_ERROR',
+          errorMessage: 'HTTP error 404',
+        })
+      );
+    });
+
+    it('should checkpoint and continue the harvest when the invocation runs out of time', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          await options.onCheckpoint({
+            resumptionToken: 'token-3',
+            pageNumber: 3,
+            recordsProcessed: 300,
+          });
+          expect(options.shouldStop()).toBe(true);
+          return {
+            pageCount: 3,
+            totalRecordsProcessed: 300,
+            resumptionToken: 'token-3',
+            success: true,
+            status: 'paused',
+          };
+        }
+      );
+      const context = { getRemainingTimeInMillis: () => 60000 };
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              list_sets: true,
+              sets: ['journalA', 'journalB'],
+            }),
+          },
+        ],
+      };
+      mockOaiProcessor.processListSets.mockResolvedValue({ data: null, success: false });
+
+      await handler(event, context);
+
+      expect(mockS3Processor.saveCheckpoint).toHaveBeenCalledWith(
+        'test-journal-123',
+        expect.objectContaining({
+          resumptionToken: 'token-3',
+          pageNumber: 3,
+          recordsProcessed: 300,
+          metadataPrefix: 'oai_dc',
+          runId: expect.any(String),
+          harvestStartedAt: expect.any(String),
+        }),
+        'journalA'
+      );
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledTimes(1);
+      expect(mockSqsProcessor.sendContinuationMessage).toHaveBeenCalledWith({
+        url: 'https://example.com/oai',
+        journal_key: 'test-journal-123',
+        list_sets: false,
+        sets: ['journalA', 'journalB'],
+        base_url: 'https://example.com/oai',
+        metadata_prefix: 'oai_dc',
+        granularity: null,
+        deleted_record: null,
+        resume: true,
+        correlation_id: expect.any(String),
+        harvest_run: {
+          runId: expect.any(String),
+          startedAt: expect.any(String),
+          continuation: 0,
+          stats: { pages: 0, records: 0, batchesSent: 0, batchesFailed: 0, bytesDownloaded: 0 },
+          phases: { identify: 'failed', listSets: 'failed' },
+          sets: [],
+        },
+      });
+      expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+      expect(mockS3Processor.deleteCheckpoint).not.toHaveBeenCalled();
+      expect(mockSqsProcessor.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ messageType: 'HarvestCompleted' })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestInterrupted',
+          continuation: 0,
+          reason: 'LAMBDA_DEADLINE',
+          remainingTimeMs: 60000,
+          resumeState: {
+            setSpec: 'journalA',
+            resumptionToken: 'token-3',
+            pageNumber: 3,
+            recordsProcessed: 300,
+            remainingSets: ['journalA', 'journalB'],
+            harvestUrl: 'https://example.com/oai',
+            metadataPrefix: 'oai_dc',
+            continuationMessageId: 'continuation-id',
+          },
+          success: true,
+        })
+      );
+    });
+
+    describe('checkpoints of other harvest runs', () => {
+      const continuationEvent = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              resume: true,
+              harvest_run: { runId: 'run-1', startedAt: '2024-06-01T08:00:00.000Z' },
+            }),
+          },
+        ],
+      };
+
+      it('should ignore the checkpoint of another harvest run', async () => {
+        mockS3Processor.loadCheckpoint.mockResolvedValue({
+          resumptionToken: 'expired-token',
+          pageNumber: 7,
+          recordsProcessed: 700,
+          runId: 'run-0',
+          from: '2023-01-01',
+          harvestStartedAt: '2023-01-02T00:00:00.000Z',
+        });
+        mockOaiProcessor.processListRecords.mockResolvedValue({
+          pageCount: 1,
+          totalRecordsProcessed: 0,
+          success: true,
+          status: 'completed',
+        });
+
+        await handler(continuationEvent);
+
+        const options = mockOaiProcessor.processListRecords.mock.calls[0][3];
+        expect(options).not.toHaveProperty('resumptionToken');
+        expect(options.from).toBeNull();
+      });
+
+      it('should delete the checkpoint when ListRecords fails', async () => {
+        mockOaiProcessor.processListRecords.mockResolvedValue({
+          pageCount: 3,
+          totalRecordsProcessed: 300,
+          success: false,
+          errorCode: 'OAI_ERROR',
+          errorMessage: 'badResumptionToken',
+        });
+
+        await handler(continuationEvent);
+
+        expect(mockS3Processor.deleteCheckpoint).toHaveBeenCalledWith('test-journal-123', null);
+      });
+    });
+
+    describe('streamed pages paused halfway', () => {
+      const createEvent = body => ({
+        Records: [{ messageId: 'test-message-id', body: JSON.stringify(body) }],
+      });
+      const articleBatches = () =>
+        mockSqsProcessor.sendMessage.mock.calls
+          .map(([message]) => message)
+          .filter(message => message.messageType === 'ArticleBatch');
+
+      it('should send the records handed on and checkpoint them', async () => {
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, pageCallback, options) => {
+            for (let recordIndex = 1; recordIndex <= 3; recordIndex++) {
+              await pageCallback.onRecord(
+                { header: { identifier: `oai:${recordIndex}` } },
+                1,
+                recordIndex,
+                recordIndex
+              );
+            }
+            await options.onCheckpoint({
+              resumptionToken: null,
+              pageNumber: 0,
+              recordsProcessed: 0,
+              pageRecordsHandled: 3,
+            });
+            return {
+              pageCount: 0,
+              totalRecordsProcessed: 0,
+              resumptionToken: null,
+              pageRecordsHandled: 3,
+              success: true,
+              status: 'paused',
+            };
+          }
+        );
+
+        await handler(
+          createEvent({
+            url: 'https://example.com/oai',
+            journal_key: 'test-journal-123',
+            options: { batch_size: 1 },
+          })
+        );
+
+        expect(
+          articleBatches().map(message => [message.batchNumber, message.articles[0].identifier])
+        ).toEqual([
+          [1, 'oai:1'],
+          [2, 'oai:2'],
+          [3, 'oai:3'],
+        ]);
+        expect(mockS3Processor.saveCheckpoint).toHaveBeenCalledWith(
+          'test-journal-123',
+          expect.objectContaining({
+            resumptionToken: null,
+            pageNumber: 0,
+            pageRecordsHandled: 3,
+            pageBatchesSent: 3,
+            pageArticlesSent: 3,
+          }),
+          null
+        );
+      });
+
+      it('should continue the page after the records already sent', async () => {
+        mockS3Processor.loadCheckpoint.mockResolvedValue({
+          resumptionToken: null,
+          pageNumber: 0,
+          recordsProcessed: 0,
+          pageRecordsHandled: 3,
+          pageBatchesSent: 3,
+          pageArticlesSent: 3,
+          runId: 'run-1',
+        });
+        mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, pageCallback) => {
+            await pageCallback.onRecord({ header: { identifier: 'oai:4' } }, 1, 4, 4);
+            await pageCallback(null, 1, 4, 4);
+            return { pageCount: 1, totalRecordsProcessed: 4, success: true, status: 'completed' };
+          }
+        );
+
+        await handler(
+          createEvent({
+            url: 'https://example.com/oai',
+            journal_key: 'test-journal-123',
+            resume: true,
+            options: { batch_size: 1 },
+            harvest_run: { runId: 'run-1', startedAt: '2024-06-01T08:00:00.000Z' },
+          })
+        );
+
+        expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+          'https://example.com/oai',
+          'test-journal-123',
+          expect.any(Function),
+          expect.objectContaining({ resumptionToken: null, pageNumber: 0, pageRecordsHandled: 3 })
+        );
+        expect(articleBatches()).toEqual([
+          expect.objectContaining({
+            batchNumber: 4,
+            totalBatches: 4,
+            totalArticlesInPage: 4,
+            articles: [expect.objectContaining({ identifier: 'oai:4' })],
+          }),
+        ]);
+      });
+    });
+
+    it('should number the invocations of a run that is interrupted again', async () => {
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 5,
+        totalRecordsProcessed: 500,
+        resumptionToken: 'token-5',
+        success: true,
+        status: 'paused',
+      });
+
+      await handler(
+        {
+          Records: [
+            {
+              messageId: 'test-message-id',
+              body: JSON.stringify({
+                url: 'https://example.com/oai',
+                journal_key: 'test-journal-123',
+                resume: true,
+                harvest_run: {
+                  runId: 'run-1',
+                  startedAt: '2024-06-01T08:00:00.000Z',
+                  continuation: 1,
+                },
+              }),
+            },
+          ],
+        },
+        { getRemainingTimeInMillis: () => 600000 }
+      );
+
+      expect(mockSqsProcessor.sendContinuationMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          harvest_run: expect.objectContaining({ runId: 'run-1', continuation: 2 }),
+        })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestInterrupted',
+          runId: 'run-1',
+          continuation: 2,
+        })
+      );
+    });
+
+    it('should pass the Lambda time left down to ListRecords and its page callback', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          expect(options.getRemainingTimeInMillis()).toBe(600000);
+          await pageCallback('<ListRecords/>', 1, 0, 0, { remainingTimeMs: 600000 });
+          // A page that could not be fetched before the deadline
+          return {
+            pageCount: 1,
+            totalRecordsProcessed: 0,
+            resumptionToken: 'token-1',
+            success: true,
+            status: 'paused',
+          };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+
+      const result = await handler(
+        {
+          Records: [
+            {
+              messageId: 'test-message-id',
+              body: JSON.stringify({
+                url: 'https://example.com/oai',
+                journal_key: 'test-journal-123',
+              }),
+            },
+          ],
+        },
+        { getRemainingTimeInMillis: () => 600000 }
+      );
+
+      expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
+      expect(mockSqsProcessor.sendContinuationMessage).toHaveBeenCalledTimes(1);
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestInterrupted',
+          resumeState: expect.objectContaining({
+            setSpec: null,
+            resumptionToken: 'token-1',
+            pageNumber: 1,
+            remainingSets: [],
+          }),
+        })
+      );
+    });
+
+    it('should return the messages it has no time left for to the queue', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 1,
+        totalRecordsProcessed: 0,
+        success: true,
+        status: 'completed',
+      });
+      const body = JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1' });
+
+      const result = await handler(
+        {
+          Records: [
+            { messageId: 'msg-1', body },
+            { messageId: 'msg-2', body },
+          ],
+        },
+        { getRemainingTimeInMillis: () => 60000 }
+      );
+
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledTimes(1);
+      expect(result.batchItemFailures).toEqual([{ itemIdentifier: 'msg-2' }]);
+    });
+
+    it('should resume a continuation from the saved checkpoint', async () => {
+      mockS3Processor.loadHarvestState.mockResolvedValue({ lastHarvestDatestamp: '2024-01-01' });
+      mockS3Processor.loadCheckpoint.mockResolvedValue({
+        resumptionToken: 'token-3',
+        pageNumber: 3,
+        recordsProcessed: 300,
+        runId: 'run-1',
+        from: '2024-01-01',
+        until: null,
+        granularity: 'YYYY-MM-DD',
+        metadataPrefix: 'jats',
+        harvestStartedAt: '2024-06-01T08:00:00.000Z',
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 5,
+        totalRecordsProcessed: 480,
+        success: true,
+        status: 'completed',
+      });
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              metadata_prefix: 'jats',
+              resume: true,
+              harvest_run: {
+                runId: 'run-1',
+                startedAt: '2024-06-01T08:00:00.000Z',
+                stats: {
+                  pages: 3,
+                  records: 300,
+                  batchesSent: 6,
+                  batchesFailed: 0,
+                  bytesDownloaded: 4096,
+                },
+                phases: { identify: 'succeeded', listSets: 'skipped' },
+                sets: [],
+              },
+            }),
+          },
+        ],
+      };
+
+      await handler(event, { getRemainingTimeInMillis: () => 900000 });
+
+      expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+      expect(mockS3Processor.loadCheckpoint).toHaveBeenCalledWith('test-journal-123', null);
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'test-journal-123',
+        expect.any(Function),
+        expect.objectContaining({
+          from: '2024-01-01',
+          granularity: 'YYYY-MM-DD',
+          metadataPrefix: 'jats',
+          resumptionToken: 'token-3',
+          pageNumber: 3,
+          recordsProcessed: 300,
+        })
+      );
+      expect(mockOaiProcessor.processListRecords.mock.calls[0][3].shouldStop()).toBe(false);
+      expect(mockS3Processor.saveHarvestState).toHaveBeenCalledWith(
+        'test-journal-123',
+        expect.objectContaining({ lastHarvestDatestamp: '2024-06-01T08:00:00.000Z' }),
+        null
+      );
+      expect(mockS3Processor.deleteCheckpoint).toHaveBeenCalledWith('test-journal-123', null);
+      expect(mockSqsProcessor.sendContinuationMessage).not.toHaveBeenCalled();
+      expect(mockSqsProcessor.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ messageType: 'HarvestStarted' })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleted',
+          runId: 'run-1',
+          startedAt: '2024-06-01T08:00:00.000Z',
+          status: 'completed',
+          pages: 3,
+          records: 300,
+          batchesSent: 6,
+          bytesDownloaded: 4096,
+          sets: [{ setSpec: null, status: 'completed', pages: 5, records: 480, errorCode: null }],
+        })
+      );
+    });
+
+    it('should report a baseURL mismatch and harvest from the verified Identify baseURL', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify><repositoryName>Test</repositoryName><baseURL>https://repo.example.com/oai/request</baseURL></Identify></OAI-PMH>',
+        success: true,
+      });
+      mockOaiProcessor.verifyBaseUrl.mockResolvedValue({
+        configuredUrl: 'https://example.com/oai',
+        reportedBaseUrl: 'https://repo.example.com/oai/request',
+        matches: false,
+        harvestUrl: 'https://repo.example.com/oai/request',
+      });
+      mockOaiProcessor.processListRecords.mockResolvedValue({
+        pageCount: 0,
+        totalRecordsProcessed: 0,
+        success: true,
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'identify.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockOaiProcessor.verifyBaseUrl).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'https://repo.example.com/oai/request'
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'Identify',
+          harvestUrl: 'https://repo.example.com/oai/request',
+          baseUrlMismatch: true,
+          baseUrlCheck: expect.objectContaining({
+            configuredUrl: 'https://example.com/oai',
+            reportedBaseUrl: 'https://repo.example.com/oai/request',
+          }),
+        })
+      );
+      expect(mockOaiProcessor.processListMetadataFormats).toHaveBeenCalledWith(
+        'https://repo.example.com/oai/request',
+        'test-journal-123'
+      );
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://repo.example.com/oai/request',
+        'test-journal-123',
+        expect.any(Function),
+        expect.any(Object)
+      );
+    });
+
+    it('should build article batches from streamed records without reparsing the page', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          options.onRecord(
+            {
+              header: { identifier: 'oai:example.com:article/1' },
+              metadata: { 'oai_dc:dc': { 'dc:title': 'Streamed Article' } },
+            },
+            1,
+            1
+          );
+          // The raw page is only archived, so it is not parsed again
+          await pageCallback('<streamed page/>', 1, 1, 1);
+          return { pageCount: 1, totalRecordsProcessed: 1, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        '<streamed page/>',
+        'test-journal-123-listrecords-page-1',
+        'https://example.com/oai',
+        null,
+        expect.objectContaining({ s3Key: 'test-journal-123-listrecords-page-1.xml' })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          pageNumber: 1,
+          articlesInBatch: 1,
+          articles: [
+            expect.objectContaining({
+              identifier: 'oai:example.com:article/1',
+              title: 'Streamed Article',
+            }),
+          ],
+        })
+      );
+    });
+
+    it('should send full batches while a page is streamed', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      let sentBeforePageEnd;
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          for (let index = 1; index <= 5; index++) {
+            await options.onRecord({ header: { identifier: `oai:${index}` } }, 1, index, index);
+          }
+          sentBeforePageEnd = mockSqsProcessor.sendMessage.mock.calls.map(([message]) => message);
+          await pageCallback('<streamed page/>', 1, 5, 5);
+          return { pageCount: 1, totalRecordsProcessed: 5, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockImplementation(
+        async (xml, fileName, url, encoding, location) => location
+      );
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      await handler({
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+              options: { batch_size: 2 },
+            }),
+          },
+        ],
+      });
+
+      const batches = mockSqsProcessor.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.messageType === 'ArticleBatch');
+      expect(sentBeforePageEnd.filter(message => message.messageType === 'ArticleBatch')).toEqual([
+        expect.objectContaining({
+          batchNumber: 1,
+          totalBatches: null,
+          totalArticlesInPage: null,
+          totalRecordsProcessed: 4,
+          s3Key: 'test-journal-123-listrecords-page-1.xml',
+        }),
+      ]);
+      expect(batches.map(batch => [batch.batchNumber, batch.totalBatches])).toEqual([
+        [1, null],
+        [2, 3],
+        [3, 3],
+      ]);
+      expect(batches[2]).toEqual(
+        expect.objectContaining({
+          totalArticlesInPage: 5,
+          s3Key: 'test-journal-123-listrecords-page-1.xml',
+        })
+      );
+      expect(batches.flatMap(batch => batch.articles.map(article => article.identifier))).toEqual([
+        'oai:1',
+        'oai:2',
+        'oai:3',
+        'oai:4',
+        'oai:5',
+      ]);
+    });
+
+    it('should pass repaired page encodings to S3 and the article batches', async () => {
+      const encoding = {
+        encoding: 'windows-1252',
+        source: 'heuristic',
+        repairs: ['encoding-corrected', 'transcoded-to-utf-8'],
+        repaired: true,
+      };
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          await pageCallback(
+            '<OAI-PMH><ListRecords><record><header><identifier>oai:1</identifier></header></record></ListRecords></OAI-PMH>',
+            1,
+            1,
+            1,
+            { encoding }
+          );
+          return { pageCount: 1, totalRecordsProcessed: 1, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockS3Processor.createAndUploadXml).toHaveBeenCalledWith(
+        expect.any(String),
+        'test-journal-123-listrecords-page-1',
+        'https://example.com/oai',
+        encoding,
+        null
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          encodingRepairs: ['encoding-corrected', 'transcoded-to-utf-8'],
+        })
+      );
+    });
+
+    it('should send deleted records as ArticleDeleted tombstones with the deletion policy', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify><repositoryName>Test</repositoryName><deletedRecord>persistent</deletedRecord></Identify></OAI-PMH>',
+        success: true,
+      });
+      mockOaiProcessor.processListMetadataFormats.mockResolvedValue({ success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          await pageCallback(
+            `<OAI-PMH><ListRecords>
+              <record><header status="deleted"><identifier>oai:1</identifier><datestamp>2024-02-01</datestamp></header></record>
+              <record><header><identifier>oai:2</identifier></header><metadata><oai_dc:dc><dc:title>Live</dc:title></oai_dc:dc></metadata></record>
+            </ListRecords></OAI-PMH>`,
+            1,
+            2,
+            2
+          );
+          return { pageCount: 1, totalRecordsProcessed: 2, success: true };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({
+              url: 'https://example.com/oai',
+              journal_key: 'test-journal-123',
+            }),
+          },
+        ],
+      };
+
+      await handler(event);
+
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleDeleted',
+          pageNumber: 1,
+          recordsInBatch: 1,
+          deletedRecordPolicy: 'persistent',
+          deletedRecords: [
+            expect.objectContaining({
+              deleted: true,
+              identifier: 'oai:1',
+              datestamp: '2024-02-01',
+            }),
+          ],
+        })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          articlesInBatch: 1,
+          articles: [expect.objectContaining({ identifier: 'oai:2', title: 'Live' })],
+        })
+      );
+      // Articles and tombstones of a page share one batched send
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledTimes(1);
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith([
+        expect.objectContaining({ messageType: 'ArticleBatch' }),
+        expect.objectContaining({ messageType: 'ArticleDeleted' }),
+      ]);
+    });
+
+    it('should only count the batches that failed to send', async () => {
+      const records = Array.from(
+        { length: 120 },
+        (_, index) =>
+          `<record><header><identifier>oai:${index}</identifier></header><metadata><oai_dc:dc><dc:title>T${index}</dc:title></oai_dc:dc></metadata></record>`
+      ).join('');
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(async (url, journalKey, callback) => {
+        await callback(`<OAI-PMH><ListRecords>${records}</ListRecords></OAI-PMH>`, 1, 120, 120);
+        return { pageCount: 1, totalRecordsProcessed: 120, success: true };
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessages.mockImplementationOnce(async messages =>
+        messages.map((message, index) =>
+          index === 1
+            ? { success: false, messageId: null, errorCode: 'InternalError', errorMessage: 'x' }
+            : { success: true, messageId: `id-${index}`, errorCode: null, errorMessage: null }
+        )
+      );
+
+      await handler({
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1' }),
+          },
+        ],
+      });
+
+      expect(mockSqsProcessor.sendMessages.mock.calls[0][0]).toHaveLength(3);
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleted',
+          batchesSent: 2,
+          batchesFailed: 1,
+        })
+      );
+      // Only the failed batch is kept, with its articles, the error and the messageId it was sent
+      // with, which its replay keeps
+      expect(mockDeadLetterProcessor.captureFailedMessages).toHaveBeenCalledTimes(1);
+      expect(mockDeadLetterProcessor.captureFailedMessages).toHaveBeenCalledWith([
+        {
+          message: expect.objectContaining({
+            messageId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+            messageType: 'ArticleBatch',
+            batchNumber: 2,
+            articles: expect.arrayContaining([expect.objectContaining({ identifier: 'oai:50' })]),
+          }),
+          errorCode: 'InternalError',
+          errorMessage: 'x',
+        },
+      ]);
+      const [[deadLetter]] = mockDeadLetterProcessor.captureFailedMessages.mock.calls[0];
+      expect(deadLetter.message.messageId).toBe(
+        mockSqsProcessor.sendMessages.mock.calls[0][0][1].messageId
+      );
+    });
+
+    it('should dead-letter all batches of a page when the send fails as a whole', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockImplementation(async (url, journalKey, callback) => {
+        await callback(
+          '<OAI-PMH><ListRecords><record><header><identifier>oai:1</identifier></header></record></ListRecords></OAI-PMH>',
+          1,
+          1,
+          1
+        );
+        return { pageCount: 1, totalRecordsProcessed: 1, success: true };
+      });
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessages.mockRejectedValueOnce(new Error('Queue unavailable'));
+
+      await handler({
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1' }),
+          },
+        ],
+      });
+
+      expect(mockDeadLetterProcessor.captureFailedMessages).toHaveBeenCalledWith([
+        {
+          message: expect.objectContaining({ messageType: 'ArticleBatch', pageNumber: 1 }),
+          errorCode: null,
+          errorMessage: 'Queue unavailable',
+        },
+      ]);
+    });
+
+    it('should reject invalid JSON in SQS message body instead of retrying it', async () => {
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: 'invalid json',
+          },
+        ],
+      };
+
+      const result = await handler(event);
+
+      expect(result).toEqual({ statusCode: 200, body: 'SUCCESS' });
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          journalKey: 'unknown',
+          oaiUrl: null,
+          messageType: 'InvalidRequest',
+          errorCode: 'INVALID_JSON',
+          request: 'invalid json',
+        })
+      );
+    });
+
+    it('should return batch item failures for processing errors', async () => {
+      // Mock processor initialization failure
+      OaiDataProcessor.mockImplementation(() => {
+        throw new Error('Unexpected initialization error');
+      });
+
+      const event = {
+        Records: [
+          {
+            messageId: 'message-1',
+            body: JSON.stringify({
+              url: 'https://example1.com/oai',
+              journal_key: 'journal-1',
+            }),
+          },
+          {
+            messageId: 'message-2',
+            body: JSON.stringify({
+              url: 'https://example2.com/oai',
+              journal_key: 'journal-2',
+            }),
+          },
+        ],
+      };
+
+      const result = await handler(event);
+
+      expect(result).toEqual({
+        statusCode: 200,
+        body: 'SUCCESS',
+        batchItemFailures: [{ itemIdentifier: 'message-1' }, { itemIdentifier: 'message-2' }],
+      });
+    });
+
+    describe('harvest lifecycle', () => {
+      const event = {
+        Records: [
+          {
+            messageId: 'test-message-id',
+            body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1' }),
+          },
+        ],
+      };
+
+      beforeEach(() => {
+        mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+        mockOaiProcessor.bytesDownloaded = 2048;
+        mockS3Processor.createAndUploadXml.mockResolvedValue({
+          s3Url: 'https://test-bucket.s3.amazonaws.com/page.xml',
+          s3Key: 'page.xml',
+          filename: 'page.xml',
+        });
+      });
+
+      it('should report failed article batches in the summary', async () => {
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, callback) => {
+            await callback(
+              '<OAI-PMH><ListRecords><record><header><identifier>oai:test:1</identifier></header></record></ListRecords></OAI-PMH>',
+              1,
+              1,
+              1
+            );
+            return { pageCount: 1, totalRecordsProcessed: 1, success: true, status: 'completed' };
+          }
+        );
+        mockSqsProcessor.sendMessage.mockImplementation(async message => {
+          if (message.messageType === 'ArticleBatch') throw new Error('SQS unavailable');
+          return 'message-id';
+        });
+
+        await handler(event);
+
+        expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+          expect.objectContaining({
+            messageType: 'HarvestCompleted',
+            status: 'completed_with_errors',
+            pages: 1,
+            records: 1,
+            batchesSent: 0,
+            batchesFailed: 1,
+            bytesDownloaded: 2048,
+            phases: { identify: 'failed', listSets: 'skipped', listRecords: 'completed' },
+            success: true,
+          })
+        );
+      });
+
+      it('should stamp the run ID on the messages of the run', async () => {
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, callback) => {
+            await callback(
+              '<OAI-PMH><ListRecords><record><header><identifier>oai:test:1</identifier></header></record></ListRecords></OAI-PMH>',
+              1,
+              1,
+              1
+            );
+            return { pageCount: 1, totalRecordsProcessed: 1, success: true, status: 'completed' };
+          }
+        );
+        mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+        await handler(event);
+
+        const messages = mockSqsProcessor.sendMessage.mock.calls.map(([message]) => message);
+        const { runId } = messages[0];
+        expect(runId).toEqual(expect.any(String));
+        expect(messages.map(message => message.messageType)).toEqual([
+          'HarvestStarted',
+          'Identify',
+          'ArticleBatch',
+          'HarvestCompleteness',
+          'HarvestCompleted',
+        ]);
+        expect(messages.every(message => message.runId === runId)).toBe(true);
+      });
+
+      it('should build messages that match the published schemas', async () => {
+        const { SqsMessageProcessor: RealSqsMessageProcessor } = jest.requireActual(
+          '../src/processors/sqsMessageProcessor'
+        );
+        const validator = new MessageSchemaValidator();
+        mockOaiProcessor.processIdentify.mockResolvedValue({
+          data: '<OAI-PMH><Identify><repositoryName>Test</repositoryName><baseURL>https://example.com/oai</baseURL></Identify></OAI-PMH>',
+          success: true,
+        });
+        mockOaiProcessor.processListSets.mockResolvedValue({
+          success: false,
+          errorCode: 'HTTP_SERVER_ERROR_503',
+          errorMessage: 'Service Unavailable',
+        });
+        mockOaiProcessor.processListRecords.mockImplementation(
+          async (url, journalKey, callback) => {
+            await callback(
+              '<OAI-PMH><ListRecords><record><header><identifier>oai:test:1</identifier></header><metadata><oai_dc:dc><dc:title>Title</dc:title></oai_dc:dc></metadata></record></ListRecords></OAI-PMH>',
+              1,
+              1,
+              1
+            );
+            return { pageCount: 1, totalRecordsProcessed: 1, success: true, status: 'completed' };
+          }
+        );
+        mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+        await handler({
+          Records: [
+            {
+              messageId: 'test-message-id',
+              body: JSON.stringify({
+                url: 'https://example.com/oai',
+                journal_key: 'journal-1',
+                list_sets: true,
+              }),
+            },
+          ],
+        });
+
+        const messages = mockSqsProcessor.sendMessage.mock.calls.map(([message]) =>
+          RealSqsMessageProcessor.prototype.createEnvelope(message)
+        );
+        expect(messages.map(message => message.type)).toEqual(
+          expect.arrayContaining(['Identify', 'Error', 'ArticleBatch'])
+        );
+        messages.forEach(message => expect(validator.validate(message).errors).toEqual([]));
+      });
+
+      it('should report a failed ListRecords phase', async () => {
+        mockOaiProcessor.processListRecords.mockResolvedValue({
+          pageCount: 0,
+          totalRecordsProcessed: 0,
+          success: false,
+          status: 'failed',
+          errorCode: 'HTTP_SERVER_ERROR_503',
+          errorMessage: 'Service Unavailable',
+        });
+
+        await handler(event);
+
+        expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+          expect.objectContaining({
+            messageType: 'HarvestCompleted',
+            status: 'failed',
+            sets: [
+              {
+                setSpec: null,
+                status: 'failed',
+                pages: 0,
+                records: 0,
+                errorCode: 'HTTP_SERVER_ERROR_503',
+              },
+            ],
+            success: false,
+          })
+        );
+      });
+
+      it('should close the run when the harvest breaks off', async () => {
+        mockS3Processor.loadHarvestState.mockRejectedValue(new Error('Access denied'));
+
+        const result = await handler({
+          Records: [
+            {
+              messageId: 'test-message-id',
+              body: JSON.stringify({
+                url: 'https://example.com/oai',
+                journal_key: 'journal-1',
+                incremental: true,
+              }),
+            },
+          ],
+        });
+
+        expect(result.batchItemFailures).toEqual([{ itemIdentifier: 'test-message-id' }]);
+        expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+          expect.objectContaining({
+            messageType: 'HarvestCompleted',
+            status: 'failed',
+            errorCode: 'HARVEST_PROCESSING_ERROR',
+            errorMessage: 'Access denied',
+          })
+        );
+      });
+    });
+
+    describe('host harvest limits', () => {
+      const event = {
+        Records: [
+          {
+            messageId: 'limited-message',
+            body: JSON.stringify({ url: 'https://busy.example.com/oai', journal_key: 'journal-2' }),
+          },
+        ],
+      };
+
+      beforeEach(() => {
+        process.env.OAI_HOST_POLICIES = JSON.stringify({
+          'busy.example.com': { maxConcurrentHarvests: 1 },
+        });
+      });
+
+      afterEach(() => {
+        delete process.env.OAI_HOST_POLICIES;
+      });
+
+      it('should return the message when the host has its maximum of harvests running', async () => {
+        const otherInvocation = new HostRateLimiter();
+        await otherInvocation.acquireHarvestSlot('https://busy.example.com/oai', 'journal-1:other');
+
+        try {
+          const result = await handler(event);
+
+          expect(result.batchItemFailures).toEqual([{ itemIdentifier: 'limited-message' }]);
+          expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+        } finally {
+          await otherInvocation.releaseHarvestSlot(
+            'https://busy.example.com/oai',
+            'journal-1:other'
+          );
+        }
+      });
+
+      it('should release the harvest slot when the message is done', async () => {
+        mockOaiProcessor.processIdentify.mockResolvedValue({
+          success: false,
+          errorCode: 'HTTP_SERVER_ERROR_503',
+          errorMessage: 'Service Unavailable',
+        });
+        mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+        await handler(event);
+
+        const nextInvocation = new HostRateLimiter();
+        await expect(
+          nextInvocation.acquireHarvestSlot('https://busy.example.com/oai', 'journal-1:next')
+        ).resolves.toBe(true);
+        await nextInvocation.releaseHarvestSlot('https://busy.example.com/oai', 'journal-1:next');
+      });
+    });
+  });
+
+  describe('correlation IDs', () => {
+    const createRecord = (messageId, body, messageAttributes = {}) => ({
+      messageId,
+      body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1', ...body }),
+      messageAttributes,
+    });
+
+    it('should send and log everything of a record under its correlation', async () => {
+      const correlations = [];
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockResolvedValue({ success: true, pageCount: 0 });
+      mockSqsProcessor.sendMessage.mockImplementation(async message => {
+        correlations.push({ messageType: message.messageType, ...getCorrelation() });
+        return 'message-id';
+      });
+
+      await handler({
+        Records: [
+          createRecord(
+            'msg-1',
+            { correlation_id: 'from-body' },
+            { correlationId: { stringValue: 'from-attribute', dataType: 'String' } }
+          ),
+          createRecord('msg-2', { correlation_id: 'from-body' }),
+          createRecord('msg-3'),
+        ],
+      });
+
+      const correlationOf = messageId =>
+        correlations.filter(correlation => correlation.sourceMessageId === messageId);
+      expect(correlationOf('msg-1')[0].correlationId).toBe('from-attribute');
+      expect(correlationOf('msg-2')[0].correlationId).toBe('from-body');
+      expect(new Set(correlationOf('msg-3').map(c => c.correlationId)).size).toBe(1);
+      expect(correlationOf('msg-3')[0].correlationId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(correlationOf('msg-1').map(c => c.messageType)).toEqual(
+        expect.arrayContaining(['HarvestStarted', 'HarvestCompleted'])
+      );
+      expect(getCorrelation()).toBeNull();
+    });
+
+    it('should carry the correlation ID into continuations', async () => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({ data: null, success: false });
+      mockOaiProcessor.processListRecords.mockResolvedValue({ success: true, status: 'paused' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+
+      await handler({
+        Records: [createRecord('msg-1', {}, { correlationId: { stringValue: 'request-42' } })],
+      });
+
+      expect(mockSqsProcessor.sendContinuationMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ correlation_id: 'request-42', resume: true })
+      );
+    });
+  });
+
+  describe('request options', () => {
+    const createEvent = body => ({
+      Records: [{ messageId: 'msg-1', body: JSON.stringify(body) }],
+    });
+
+    beforeEach(() => {
+      mockOaiProcessor.processIdentify.mockResolvedValue({
+        data: '<OAI-PMH><Identify><repositoryName>Test</repositoryName></Identify></OAI-PMH>',
+        success: true,
+        errorCode: null,
+        errorMessage: null,
+      });
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback, options) => {
+          pageCallback.onRecord({ header: { identifier: 'oai:1' } }, 1, 0);
+          pageCallback.onRecord({ header: { identifier: 'oai:2' } }, 1, 1);
+          pageCallback.onRecord({ header: { identifier: 'oai:3' } }, 1, 2);
+          await pageCallback('<ListRecords/>', 1, 3, 3);
+          return {
+            pageCount: 1,
+            totalRecordsProcessed: 3,
+            ...(options.maxRecords && { limitReached: 'maxRecords' }),
+            success: true,
+            status: 'completed',
+            errorCode: null,
+            errorMessage: null,
+          };
+        }
+      );
+      mockS3Processor.createAndUploadXml.mockResolvedValue({ s3Url: 'page.xml' });
+      mockSqsProcessor.sendMessage.mockResolvedValue('message-id');
+    });
+
+    afterEach(() => {
+      delete process.env.ARTICLE_BATCH_SIZE;
+      delete process.env.HARVEST_SKIP_IDENTIFY;
+      delete process.env.HARVEST_MAX_RECORDS;
+    });
+
+    it('should apply the request options and echo the effective ones in Identify', async () => {
+      mockOaiProcessor.maxPages = 10;
+      mockOaiProcessor.pageDelayMs = 500;
+      mockOaiProcessor.axiosConfig = { timeout: 30000 };
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          options: {
+            max_pages: 10,
+            timeout_ms: 30000,
+            page_delay_ms: 500,
+            batch_size: 2,
+            metadata_prefix: 'oai_dc',
+            skip_s3_archive: true,
+          },
+        })
+      );
+
+      expect(OaiDataProcessor).toHaveBeenCalledWith({
+        rateLimiter: expect.any(HostRateLimiter),
+        maxPages: 10,
+        timeout: 30000,
+        pageDelayMs: 500,
+      });
+      expect(S3FileProcessor).toHaveBeenCalledWith({ archive: false });
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'Identify',
+          options: {
+            maxPages: 10,
+            timeoutMs: 30000,
+            batchSize: 2,
+            pageDelayMs: 500,
+            metadataPrefix: 'oai_dc',
+            skipIdentify: false,
+            skipS3Archive: true,
+            maxRecords: null,
+          },
+        })
+      );
+
+      const articleBatches = mockSqsProcessor.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.messageType === 'ArticleBatch');
+      expect(articleBatches.map(message => message.articlesInBatch)).toEqual([2, 1]);
+    });
+
+    it('should take the defaults from the environment', async () => {
+      process.env.ARTICLE_BATCH_SIZE = '1';
+      process.env.HARVEST_SKIP_IDENTIFY = 'true';
+
+      await handler(createEvent({ url: 'https://example.com/oai', journal_key: 'journal-1' }));
+
+      expect(OaiDataProcessor).toHaveBeenCalledWith({
+        rateLimiter: expect.any(HostRateLimiter),
+        maxPages: undefined,
+        timeout: undefined,
+        pageDelayMs: undefined,
+      });
+      expect(S3FileProcessor).toHaveBeenCalledWith({ archive: true });
+      expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'journal-1',
+        expect.any(Function),
+        expect.objectContaining({ metadataPrefix: 'oai_dc' })
+      );
+      expect(
+        mockSqsProcessor.sendMessage.mock.calls.filter(
+          ([message]) => message.messageType === 'ArticleBatch'
+        )
+      ).toHaveLength(3);
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleted',
+          phases: { identify: 'skipped', listSets: 'skipped', listRecords: 'completed' },
+        })
+      );
+    });
+
+    it('should cap the records of the whole harvest and not advance the harvest state', async () => {
+      process.env.HARVEST_MAX_RECORDS = '3';
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          sets: ['math', 'physics'],
+          incremental: true,
+        })
+      );
+
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledTimes(1);
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'journal-1',
+        expect.any(Function),
+        expect.objectContaining({ set: 'math', maxRecords: 3 })
+      );
+      expect(mockS3Processor.saveHarvestState).not.toHaveBeenCalled();
+      expect(mockS3Processor.deleteCheckpoint).toHaveBeenCalledWith('journal-1', 'math');
+    });
+
+    it('should count the records of a set that failed halfway towards max_records', async () => {
+      process.env.HARVEST_MAX_RECORDS = '5';
+      mockOaiProcessor.processListRecords.mockImplementationOnce(
+        async (url, journalKey, pageCallback) => {
+          pageCallback.onRecord({ header: { identifier: 'oai:1' } }, 1, 0);
+          pageCallback.onRecord({ header: { identifier: 'oai:2' } }, 1, 1);
+          pageCallback.onRecord({ header: { identifier: 'oai:3' } }, 1, 2);
+          await pageCallback('<ListRecords/>', 1, 3, 3);
+          return {
+            pageCount: 1,
+            totalRecordsProcessed: 3,
+            success: false,
+            status: 'failed',
+            errorCode: 'HTTP_SERVER_ERROR_500',
+            errorMessage: 'Internal Server Error',
+          };
+        }
+      );
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          sets: ['math', 'physics'],
+        })
+      );
+
+      expect(mockOaiProcessor.processListRecords).toHaveBeenLastCalledWith(
+        'https://example.com/oai',
+        'journal-1',
+        expect.any(Function),
+        expect.objectContaining({ set: 'physics', maxRecords: 2 })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestCompleted',
+          sets: [
+            expect.objectContaining({ setSpec: 'math', status: 'failed', pages: 1, records: 3 }),
+            expect.objectContaining({ setSpec: 'physics', status: 'completed' }),
+          ],
+        })
+      );
+    });
+
+    it('should fall back to the defaults when the environment settings are invalid', async () => {
+      process.env.ARTICLE_BATCH_SIZE = '0';
+      process.env.HARVEST_MAX_RECORDS = 'many';
+
+      await handler(createEvent({ url: 'https://example.com/oai', journal_key: 'journal-1' }));
+
+      expect(mockOaiProcessor.processListRecords).toHaveBeenCalledWith(
+        'https://example.com/oai',
+        'journal-1',
+        expect.any(Function),
+        expect.not.objectContaining({ maxRecords: expect.anything() })
+      );
+      const articleBatches = mockSqsProcessor.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.messageType === 'ArticleBatch');
+      expect(articleBatches.map(message => message.articlesInBatch)).toEqual([3]);
+    });
+
+    it('should not send the records of the last page past max_records', async () => {
+      const createPageXml = (...identifiers) =>
+        `<OAI-PMH><ListRecords>${identifiers
+          .map(
+            identifier => `<record><header><identifier>${identifier}</identifier></header></record>`
+          )
+          .join('')}</ListRecords></OAI-PMH>`;
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          await pageCallback(createPageXml('oai:1', 'oai:2'), 1, 2, 2);
+          await pageCallback(createPageXml('oai:3', 'oai:4'), 2, 2, 4);
+          return {
+            pageCount: 2,
+            totalRecordsProcessed: 3,
+            limitReached: 'maxRecords',
+            success: true,
+            status: 'completed',
+            errorCode: null,
+            errorMessage: null,
+          };
+        }
+      );
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          options: { max_records: 3 },
+        })
+      );
+
+      const articleBatches = mockSqsProcessor.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.messageType === 'ArticleBatch');
+      expect(
+        articleBatches.flatMap(message => message.articles.map(article => article.oaiIdentifier))
+      ).toEqual(['oai:1', 'oai:2', 'oai:3']);
+      expect(articleBatches[1]).toEqual(
+        expect.objectContaining({ totalArticlesInPage: 1, totalRecordsProcessed: 3 })
+      );
+      expect(mockSqsProcessor.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({ messageType: 'HarvestCompleted', records: 3 })
+      );
+    });
+
+    it('should skip the streamed records past max_records', async () => {
+      mockOaiProcessor.processListRecords.mockImplementation(
+        async (url, journalKey, pageCallback) => {
+          for (let recordIndex = 1; recordIndex <= 3; recordIndex++) {
+            await pageCallback.onRecord(
+              { header: { identifier: `oai:${recordIndex}` } },
+              1,
+              recordIndex,
+              recordIndex
+            );
+          }
+          await pageCallback(null, 1, 3, 3);
+          return {
+            pageCount: 1,
+            totalRecordsProcessed: 2,
+            success: true,
+            status: 'completed',
+            errorCode: null,
+            errorMessage: null,
+          };
+        }
+      );
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          options: { max_records: 2 },
+        })
+      );
+
+      const articleBatches = mockSqsProcessor.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.messageType === 'ArticleBatch');
+      expect(articleBatches).toHaveLength(1);
+      expect(articleBatches[0].articles.map(article => article.oaiIdentifier)).toEqual([
+        'oai:1',
+        'oai:2',
+      ]);
+    });
+
+    it('should echo the effective options in HarvestStarted when Identify is skipped', async () => {
+      mockOaiProcessor.maxPages = 10;
+      mockOaiProcessor.pageDelayMs = 500;
+      mockOaiProcessor.axiosConfig = { timeout: 30000 };
+
+      await handler(
+        createEvent({
+          url: 'https://example.com/oai',
+          journal_key: 'journal-1',
+          options: { skip_identify: true, max_records: 5 },
+        })
+      );
+
+      expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+      expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageType: 'HarvestStarted',
+          options: {
+            maxPages: 10,
+            timeoutMs: 30000,
+            batchSize: 50,
+            pageDelayMs: 500,
+            metadataPrefix: 'oai_dc',
+            skipIdentify: true,
+            skipS3Archive: false,
+            maxRecords: 5,
+          },
+        })
+      );
+    });
+  });
+
+  describe('output sinks', () => {
+    afterEach(() => {
+      delete process.env.OUTPUT_SINKS;
+    });
+
+    it('should fail the message when OUTPUT_SINKS names an unsupported sink', async () => {
+      process.env.OUTPUT_SINKS = 'ftp';
+
+      const result = await handler({
+        Records: [
+          {
+            messageId: 'msg-1',
+            body: JSON.stringify({ url: 'https://example.com/oai', journal_key: 'journal-1' }),
+          },
+        ],
+      });
+
+      // Continuations still go through SQS, without requiring the integration queue
+      expect(SqsMessageProcessor).toHaveBeenCalledWith({ requireIntegrationQueue: false });
+      expect(result.batchItemFailures).toEqual([{ itemIdentifier: 'msg-1' }]);
+      expect(mockOaiProcessor.processIdentify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replayDeadLetters', () => {
+    it('should replay the dead letters to the integration queue', async () => {
+      mockDeadLetterProcessor.replay.mockResolvedValue({ replayed: 3, failed: 1, stopped: false });
+
+      const result = await replayDeadLetters({ limit: 20, journalKey: 'journal-1' });
+
+      expect(DeadLetterProcessor).toHaveBeenCalledWith({ s3Processor: mockS3Processor });
+      expect(mockDeadLetterProcessor.replay).toHaveBeenCalledWith(expect.any(SqsSink), {
+        limit: 20,
+        journalKey: 'journal-1',
+      });
+      expect(result).toEqual({
+        statusCode: 200,
+        body: JSON.stringify({ replayed: 3, failed: 1, stopped: false }),
+      });
+    });
+
+    it('should replay up to 100 dead letters by default', async () => {
+      await replayDeadLetters();
+
+      expect(mockDeadLetterProcessor.replay).toHaveBeenCalledWith(expect.any(SqsSink), {
+        limit: 100,
+        journalKey: null,
       });
     });
   });
@@ -0,0 +1,85 @@
+const {
+  resolveCorrelationId,
+  withCorrelationScope,
+  setCorrelation,
+  getCorrelation,
+  getCorrelationFields,
+  logger,
+} = require('../../src/processors/correlationContext');
+
+describe('correlationContext', () => {
+  describe('resolveCorrelationId', () => {
+    it('should prefer the correlationId message attribute', () => {
+      const record = {
+        body: JSON.stringify({ correlation_id: 'from-body' }),
+        messageAttributes: { correlationId: { stringValue: 'from-attribute', dataType: 'String' } },
+      };
+
+      expect(resolveCorrelationId(record)).toBe('from-attribute');
+    });
+
+    it('should fall back to the correlation_id of the body', () => {
+      expect(resolveCorrelationId({ body: JSON.stringify({ correlation_id: 'from-body' }) })).toBe(
+        'from-body'
+      );
+    });
+
+    it('should generate an ID for requests without one', () => {
+      expect(resolveCorrelationId({ body: 'not json' })).toMatch(/^[0-9a-f-]{36}$/);
+      expect(resolveCorrelationId({ body: JSON.stringify({ correlation_id: 42 }) })).toMatch(
+        /^[0-9a-f-]{36}$/
+      );
+    });
+  });
+
+  describe('withCorrelationScope', () => {
+    it('should keep the correlation within the scope', async () => {
+      const handler = withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return getCorrelationFields();
+      });
+
+      await expect(handler()).resolves.toEqual({
+        correlationId: 'request-42',
+        sourceMessageId: 'msg-1',
+      });
+      expect(getCorrelation()).toBeNull();
+      expect(getCorrelationFields()).toEqual({});
+    });
+  });
+
+  describe('logger', () => {
+    it('should prefix log lines with the current correlation', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      logger.log('outside');
+      await withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        logger.log('inside', 1);
+        logger.error('failed');
+      })();
+
+      expect(log.mock.calls).toEqual([
+        ['outside'],
+        ['[correlationId=request-42 messageId=msg-1]', 'inside', 1],
+      ]);
+      expect(error.mock.calls).toEqual([['[correlationId=request-42 messageId=msg-1]', 'failed']]);
+      log.mockRestore();
+      error.mockRestore();
+    });
+
+    it('should leave console itself unchanged', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        console.log('plain');
+      })();
+
+      expect(log.mock.calls).toEqual([['plain']]);
+      log.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,429 @@
+const { DeadLetterProcessor } = require('../../src/processors/deadLetterProcessor');
+const { withCorrelationScope, setCorrelation } = require('../../src/processors/correlationContext');
+const { createEnvelope } = require('../../src/processors/messageSchemaValidator');
+const { EventBridgeSink } = require('../../src/sinks/eventBridgeSink');
+
+// Mock AWS SDK v3
+jest.mock('@aws-sdk/client-sqs');
+jest.mock('@aws-sdk/client-eventbridge');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+const {
+  SQSClient,
+  SendMessageCommand,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+} = require('@aws-sdk/client-sqs');
+
+describe('DeadLetterProcessor', () => {
+  const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/dead-letters';
+  const message = {
+    journalKey: 'test-journal',
+    messageType: 'ArticleBatch',
+    pageNumber: 1,
+    batchNumber: 2,
+    articles: [{ identifier: 'oai:1' }],
+  };
+
+  let mockSQSClient;
+  let mockS3Processor;
+  let mockSqsProcessor;
+
+  beforeEach(() => {
+    mockSQSClient = {
+      send: jest.fn().mockResolvedValue({ MessageId: 'dead-letter-id' }),
+    };
+    SQSClient.mockImplementation(() => mockSQSClient);
+    SendMessageCommand.mockImplementation(params => params);
+    ReceiveMessageCommand.mockImplementation(params => params);
+    DeleteMessageCommand.mockImplementation(params => params);
+
+    mockS3Processor = {
+      saveDeadLetter: jest.fn().mockResolvedValue('dead-letters/test-journal/key.json'),
+      listDeadLetterKeys: jest.fn().mockResolvedValue([]),
+      loadDeadLetter: jest.fn(),
+      uploadMessagePayload: jest.fn().mockResolvedValue({ s3Key: 'message-payloads/key.json' }),
+      downloadFromS3: jest.fn(),
+      deleteFromS3: jest.fn().mockResolvedValue(),
+    };
+    mockSqsProcessor = {
+      sendMessages: jest
+        .fn()
+        .mockImplementation(async messages => messages.map(() => ({ success: true }))),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.SQS_DEAD_LETTER_QUEUE_URL;
+    delete process.env.DEAD_LETTER_TARGET;
+  });
+
+  describe('constructor', () => {
+    it('should use S3 unless a dead-letter queue is configured', () => {
+      expect(new DeadLetterProcessor({ s3Processor: mockS3Processor }).target).toBe('s3');
+
+      process.env.SQS_DEAD_LETTER_QUEUE_URL = queueUrl;
+      expect(new DeadLetterProcessor({ s3Processor: mockS3Processor }).target).toBe('sqs');
+
+      process.env.DEAD_LETTER_TARGET = 's3';
+      expect(new DeadLetterProcessor({ s3Processor: mockS3Processor }).target).toBe('s3');
+    });
+
+    it('should throw for an SQS target without a queue', () => {
+      process.env.DEAD_LETTER_TARGET = 'sqs';
+
+      expect(() => new DeadLetterProcessor({ s3Processor: mockS3Processor })).toThrow(
+        'SQS_DEAD_LETTER_QUEUE_URL environment variable is required'
+      );
+    });
+
+    it('should throw for an unsupported target', () => {
+      process.env.DEAD_LETTER_TARGET = 'ftp';
+
+      expect(() => new DeadLetterProcessor({ s3Processor: mockS3Processor })).toThrow(
+        'Unsupported DEAD_LETTER_TARGET: ftp'
+      );
+    });
+  });
+
+  describe('captureFailedMessages', () => {
+    it('should store the message and error in S3', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+
+      const captured = await processor.captureFailedMessages([
+        { message, errorCode: 'InternalError', errorMessage: 'Queue unavailable' },
+      ]);
+
+      expect(captured).toBe(1);
+      expect(mockS3Processor.saveDeadLetter).toHaveBeenCalledWith({
+        deadLetterId: expect.any(String),
+        journalKey: 'test-journal',
+        messageType: 'ArticleBatch',
+        errorCode: 'InternalError',
+        errorMessage: 'Queue unavailable',
+        failedAt: expect.any(String),
+        message,
+      });
+    });
+
+    it('should record the sinks that failed the message', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      const failures = [{ sink: 'eventbridge', errorCode: 'InternalError', errorMessage: 'x' }];
+
+      await processor.captureFailedMessages([
+        { message, errorCode: 'InternalError', errorMessage: 'eventbridge: x', failures },
+      ]);
+
+      expect(mockS3Processor.saveDeadLetter).toHaveBeenCalledWith(
+        expect.objectContaining({ failures, message })
+      );
+    });
+
+    it('should mark a message that every failing sink rejects as too large as not replayable', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      const failures = [
+        { sink: 'eventbridge', errorCode: 'MESSAGE_TOO_LARGE', errorMessage: 'too large' },
+      ];
+
+      await processor.captureFailedMessages([
+        { message, errorCode: 'MESSAGE_TOO_LARGE', errorMessage: 'too large', failures },
+        { message, errorCode: 'MESSAGE_TOO_LARGE', errorMessage: 'too large' },
+        {
+          message,
+          errorCode: 'MESSAGE_TOO_LARGE',
+          errorMessage: 'too large',
+          failures: [...failures, { sink: 'sqs', errorCode: 'InternalError', errorMessage: 'x' }],
+        },
+      ]);
+
+      const deadLetters = mockS3Processor.saveDeadLetter.mock.calls.map(
+        ([deadLetter]) => deadLetter
+      );
+      expect(deadLetters[0].replayable).toBe(false);
+      expect(deadLetters[1].replayable).toBe(false);
+      expect(deadLetters[2]).not.toHaveProperty('replayable');
+    });
+
+    it('should send the dead letter to the dead-letter queue', async () => {
+      process.env.SQS_DEAD_LETTER_QUEUE_URL = queueUrl;
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+
+      await processor.captureFailedMessages([{ message, errorCode: null, errorMessage: 'x' }]);
+
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.QueueUrl).toBe(queueUrl);
+      expect(JSON.parse(params.MessageBody)).toEqual(
+        expect.objectContaining({ errorMessage: 'x', message })
+      );
+      expect(params.MessageAttributes.journalKey.StringValue).toBe('test-journal');
+      expect(mockS3Processor.saveDeadLetter).not.toHaveBeenCalled();
+    });
+
+    it('should move the message of a large dead letter to S3', async () => {
+      process.env.SQS_DEAD_LETTER_QUEUE_URL = queueUrl;
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      const largeMessage = { ...message, articles: [{ abstract: 'x'.repeat(300 * 1024) }] };
+
+      await processor.captureFailedMessages([{ message: largeMessage, errorMessage: 'x' }]);
+
+      expect(mockS3Processor.uploadMessagePayload).toHaveBeenCalledWith(largeMessage);
+      const body = JSON.parse(SendMessageCommand.mock.calls[0][0].MessageBody);
+      expect(body).not.toHaveProperty('message');
+      expect(body.claimCheck).toEqual({ s3Key: 'message-payloads/key.json' });
+    });
+
+    it('should keep the correlation of the scraping request with the message', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+
+      await withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        await processor.captureFailedMessages([{ message, errorMessage: 'x' }]);
+      })();
+
+      const [deadLetter] = mockS3Processor.saveDeadLetter.mock.calls[0];
+      expect(deadLetter.correlationId).toBe('request-42');
+      expect(deadLetter.message).toEqual({
+        ...message,
+        correlationId: 'request-42',
+        sourceMessageId: 'msg-1',
+      });
+    });
+
+    it('should go on when a dead letter cannot be stored', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.saveDeadLetter.mockRejectedValueOnce(new Error('Access denied'));
+
+      const captured = await processor.captureFailedMessages([
+        { message, errorMessage: 'x' },
+        { message: { ...message, batchNumber: 3 }, errorMessage: 'x' },
+      ]);
+
+      expect(captured).toBe(1);
+    });
+  });
+
+  describe('replay', () => {
+    const deadLetter = batchNumber => ({
+      deadLetterId: `dl-${batchNumber}`,
+      message: { ...message, batchNumber },
+    });
+
+    it('should resend S3 dead letters and delete the replayed ones', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1', 'key-2']);
+      mockS3Processor.loadDeadLetter.mockImplementation(async key =>
+        deadLetter(Number(key.split('-')[1]))
+      );
+      mockSqsProcessor.sendMessages.mockResolvedValueOnce([
+        { success: true },
+        { success: false, errorMessage: 'x' },
+      ]);
+
+      const result = await processor.replay(mockSqsProcessor, { limit: 5, journalKey: 'j' });
+
+      expect(result).toEqual({ replayed: 1, failed: 1, stopped: false });
+      expect(mockS3Processor.listDeadLetterKeys).toHaveBeenCalledWith(5, 'j');
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith(
+        [deadLetter(1).message, deadLetter(2).message],
+        { sinkNames: [null, null] }
+      );
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledTimes(1);
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledWith('key-1');
+    });
+
+    it('should stop while the integration queue keeps failing', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      const keys = Array.from({ length: 15 }, (_, index) => `key-${index}`);
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(keys);
+      mockS3Processor.loadDeadLetter.mockResolvedValue(deadLetter(1));
+      mockSqsProcessor.sendMessages.mockImplementation(async messages =>
+        messages.map(() => ({ success: false, errorMessage: 'x' }))
+      );
+
+      const result = await processor.replay(mockSqsProcessor);
+
+      expect(result).toEqual({ replayed: 0, failed: 10, stopped: true });
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledTimes(1);
+      expect(mockS3Processor.deleteFromS3).not.toHaveBeenCalled();
+    });
+
+    it('should receive SQS dead letters and fetch moved messages from S3', async () => {
+      process.env.SQS_DEAD_LETTER_QUEUE_URL = queueUrl;
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockSQSClient.send
+        .mockResolvedValueOnce({
+          Messages: [
+            { Body: JSON.stringify(deadLetter(1)), ReceiptHandle: 'receipt-1' },
+            {
+              Body: JSON.stringify({ deadLetterId: 'dl-2', claimCheck: { s3Key: 'payload.json' } }),
+              ReceiptHandle: 'receipt-2',
+            },
+          ],
+        })
+        .mockResolvedValueOnce({ Messages: [] })
+        .mockResolvedValue({});
+      mockS3Processor.downloadFromS3.mockResolvedValue(JSON.stringify(deadLetter(2).message));
+
+      const result = await processor.replay(mockSqsProcessor, { limit: 10 });
+
+      expect(result).toEqual({ replayed: 2, failed: 0, stopped: false });
+      expect(ReceiveMessageCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ QueueUrl: queueUrl, MaxNumberOfMessages: 10 })
+      );
+      expect(mockS3Processor.downloadFromS3).toHaveBeenCalledWith('payload.json');
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith(
+        [deadLetter(1).message, deadLetter(2).message],
+        { sinkNames: [null, null] }
+      );
+      expect(DeleteMessageCommand).toHaveBeenCalledWith({
+        QueueUrl: queueUrl,
+        ReceiptHandle: 'receipt-2',
+      });
+    });
+
+    it('should skip SQS dead letters that are not valid JSON and leave them on the queue', async () => {
+      process.env.SQS_DEAD_LETTER_QUEUE_URL = queueUrl;
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockSQSClient.send
+        .mockResolvedValueOnce({
+          Messages: [
+            { MessageId: 'sqs-1', Body: '{"deadLetterId":', ReceiptHandle: 'receipt-1' },
+            { MessageId: 'sqs-2', Body: JSON.stringify(deadLetter(2)), ReceiptHandle: 'receipt-2' },
+          ],
+        })
+        .mockResolvedValueOnce({ Messages: [] })
+        .mockResolvedValue({});
+
+      const result = await processor.replay(mockSqsProcessor, { limit: 10 });
+
+      expect(result).toEqual({ replayed: 1, failed: 1, stopped: false });
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith([deadLetter(2).message], {
+        sinkNames: [null],
+      });
+      expect(DeleteMessageCommand).toHaveBeenCalledTimes(1);
+      expect(DeleteMessageCommand).toHaveBeenCalledWith({
+        QueueUrl: queueUrl,
+        ReceiptHandle: 'receipt-2',
+      });
+      expect(error).toHaveBeenCalledWith(
+        'Failed to read dead letter sqs-1, leaving it on the queue:',
+        expect.any(SyntaxError)
+      );
+      error.mockRestore();
+    });
+
+    it('should skip S3 dead letters that cannot be read', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1', 'key-2']);
+      mockS3Processor.loadDeadLetter
+        .mockRejectedValueOnce(new SyntaxError('Unexpected end of JSON input'))
+        .mockResolvedValueOnce(deadLetter(2));
+
+      const result = await processor.replay(mockSqsProcessor);
+
+      expect(result).toEqual({ replayed: 1, failed: 1, stopped: false });
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledTimes(1);
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledWith('key-2');
+    });
+
+    it('should replay a message under the messageId it was first sent with', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      const sentMessage = createEnvelope({
+        journalKey: 'test-journal',
+        messageType: 'HarvestStarted',
+        source: 'scraping-service',
+        runId: 'run-1',
+      });
+      await processor.capture(sentMessage, { errorCode: 'InternalError', errorMessage: 'x' });
+      const [storedDeadLetter] = mockS3Processor.saveDeadLetter.mock.calls[0];
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1']);
+      mockS3Processor.loadDeadLetter.mockResolvedValue(
+        JSON.parse(JSON.stringify(storedDeadLetter))
+      );
+      const mockEventBridgeClient = {
+        send: jest.fn().mockImplementation(async params => ({
+          FailedEntryCount: 0,
+          Entries: params.Entries.map(() => ({ EventId: 'event-id' })),
+        })),
+      };
+      EventBridgeClient.mockImplementation(() => mockEventBridgeClient);
+      PutEventsCommand.mockImplementation(params => params);
+
+      const result = await processor.replay(new EventBridgeSink());
+
+      expect(result).toEqual({ replayed: 1, failed: 0, stopped: false });
+      const replayedMessage = JSON.parse(
+        mockEventBridgeClient.send.mock.calls[0][0].Entries[0].Detail
+      );
+      expect(replayedMessage.messageId).toBe(sentMessage.messageId);
+    });
+
+    it('should only resend a message to the sinks that failed it', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1']);
+      mockS3Processor.loadDeadLetter.mockResolvedValue({
+        ...deadLetter(1),
+        failures: [{ sink: 'eventbridge', errorCode: 'InternalError', errorMessage: 'x' }],
+      });
+
+      await processor.replay(mockSqsProcessor);
+
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith([deadLetter(1).message], {
+        sinkNames: [['eventbridge']],
+      });
+    });
+
+    it('should leave dead letters that cannot be replayed in place', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1', 'key-2']);
+      mockS3Processor.loadDeadLetter.mockImplementation(async key =>
+        key === 'key-1'
+          ? { ...deadLetter(1), errorCode: 'MESSAGE_TOO_LARGE', replayable: false }
+          : deadLetter(2)
+      );
+
+      const result = await processor.replay(mockSqsProcessor);
+
+      expect(result).toEqual({ replayed: 1, failed: 1, stopped: false });
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith([deadLetter(2).message], {
+        sinkNames: [null],
+      });
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledTimes(1);
+      expect(mockS3Processor.deleteFromS3).toHaveBeenCalledWith('key-2');
+    });
+
+    it('should not resend a message to the sinks that rejected it as too large', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1']);
+      mockS3Processor.loadDeadLetter.mockResolvedValue({
+        ...deadLetter(1),
+        failures: [
+          { sink: 'kinesis', errorCode: 'MESSAGE_TOO_LARGE', errorMessage: 'too large' },
+          { sink: 'webhook', errorCode: 'WEBHOOK_HTTP_500', errorMessage: 'x' },
+        ],
+      });
+
+      await processor.replay(mockSqsProcessor);
+
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledWith([deadLetter(1).message], {
+        sinkNames: [['webhook']],
+      });
+    });
+
+    it('should count dead letters whose message is missing as failed', async () => {
+      const processor = new DeadLetterProcessor({ s3Processor: mockS3Processor });
+      mockS3Processor.listDeadLetterKeys.mockResolvedValue(['key-1']);
+      mockS3Processor.loadDeadLetter.mockResolvedValue({
+        deadLetterId: 'dl-1',
+        claimCheck: { s3Key: 'gone.json' },
+      });
+      mockS3Processor.downloadFromS3.mockResolvedValue(null);
+
+      const result = await processor.replay(mockSqsProcessor);
+
+      expect(result).toEqual({ replayed: 0, failed: 1, stopped: false });
+      expect(mockSqsProcessor.sendMessages).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { readIntEnv, readBooleanEnv } = require('../../src/processors/environment');
+
+describe('environment', () => {
+  afterEach(() => {
+    delete process.env.TEST_SETTING;
+  });
+
+  describe('readIntEnv', () => {
+    it('should read an integer setting', () => {
+      process.env.TEST_SETTING = '25';
+
+      expect(readIntEnv('TEST_SETTING', 50)).toBe(25);
+    });
+
+    it('should fall back to the default when the setting is missing or not a number', () => {
+      expect(readIntEnv('TEST_SETTING', 50)).toBe(50);
+
+      process.env.TEST_SETTING = 'fifty';
+      expect(readIntEnv('TEST_SETTING', 50)).toBe(50);
+    });
+
+    it('should fall back to the default when the setting is below the minimum', () => {
+      process.env.TEST_SETTING = '0';
+      expect(readIntEnv('TEST_SETTING', 50, { min: 1 })).toBe(50);
+
+      process.env.TEST_SETTING = '-5';
+      expect(readIntEnv('TEST_SETTING', 50)).toBe(50);
+    });
+
+    it('should accept the minimum itself', () => {
+      process.env.TEST_SETTING = '0';
+
+      expect(readIntEnv('TEST_SETTING', 180000)).toBe(0);
+    });
+  });
+
+  describe('readBooleanEnv', () => {
+    it('should only read "true" as true', () => {
+      process.env.TEST_SETTING = 'true';
+      expect(readBooleanEnv('TEST_SETTING')).toBe(true);
+
+      process.env.TEST_SETTING = '1';
+      expect(readBooleanEnv('TEST_SETTING')).toBe(false);
+
+      delete process.env.TEST_SETTING;
+      expect(readBooleanEnv('TEST_SETTING')).toBe(false);
+    });
+  });
+});
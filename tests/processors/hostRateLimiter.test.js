@@ -0,0 +1,184 @@
+const {
+  HostRateLimiter,
+  InMemoryRateLimitStore,
+  S3RateLimitStore,
+  DEFAULT_HOST_POLICY,
+} = require('../../src/processors/hostRateLimiter');
+
+describe('HostRateLimiter', () => {
+  let store;
+  let clock;
+
+  const createLimiter = (policies = {}) =>
+    new HostRateLimiter({
+      store,
+      policies,
+      delay: jest.fn().mockImplementation(async ms => {
+        clock += ms;
+      }),
+      now: () => clock,
+    });
+
+  beforeEach(() => {
+    store = new InMemoryRateLimitStore();
+    clock = 100000;
+  });
+
+  afterEach(() => {
+    delete process.env.OAI_HOST_POLICIES;
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  describe('policies', () => {
+    it('should apply host policies over the default policy', () => {
+      const limiter = createLimiter({
+        default: { minIntervalMs: 2000 },
+        'slow.example.com': { maxRequestsPerMinute: 10 },
+      });
+
+      expect(limiter.getPolicy('slow.example.com')).toEqual({
+        minIntervalMs: 2000,
+        maxRequestsPerMinute: 10,
+        maxConcurrentHarvests: null,
+      });
+      expect(limiter.getPolicy('other.example.com')).toEqual({
+        ...DEFAULT_HOST_POLICY,
+        minIntervalMs: 2000,
+      });
+    });
+
+    it('should read the policies from OAI_HOST_POLICIES', () => {
+      process.env.OAI_HOST_POLICIES = '{"journals.example.com": {"minIntervalMs": 250}}';
+
+      const limiter = new HostRateLimiter({ store });
+
+      expect(limiter.getPolicy('journals.example.com').minIntervalMs).toBe(250);
+    });
+
+    it('should fall back to the default policy for invalid OAI_HOST_POLICIES', () => {
+      process.env.OAI_HOST_POLICIES = '{not json';
+
+      const limiter = new HostRateLimiter({ store });
+
+      expect(limiter.getPolicy('journals.example.com')).toEqual(DEFAULT_HOST_POLICY);
+    });
+
+    it('should use the S3 store when configured', () => {
+      process.env.RATE_LIMIT_STORE = 's3';
+      const s3Processor = { loadHostRateLimitState: jest.fn() };
+
+      expect(new HostRateLimiter().store).toBeInstanceOf(S3RateLimitStore);
+      expect(new S3RateLimitStore(s3Processor).s3Processor).toBe(s3Processor);
+    });
+  });
+
+  describe('waitForRequestSlot', () => {
+    it('should keep the minimum interval between requests to a host', async () => {
+      const limiter = createLimiter();
+
+      await expect(limiter.waitForRequestSlot('https://example.com/oai')).resolves.toBe(0);
+      clock += 300;
+      await expect(limiter.waitForRequestSlot('https://example.com/oai?verb=x')).resolves.toBe(700);
+      await expect(limiter.waitForRequestSlot('https://other.example.com/oai')).resolves.toBe(0);
+
+      expect(limiter.delay).toHaveBeenCalledTimes(1);
+      expect(limiter.delay).toHaveBeenCalledWith(700);
+    });
+
+    it('should not claim or wait for a slot after the deadline', async () => {
+      const limiter = createLimiter();
+
+      await limiter.waitForRequestSlot('https://example.com/oai');
+      await expect(
+        limiter.waitForRequestSlot('https://example.com/oai', { deadline: clock + 500 })
+      ).resolves.toBeNull();
+      await expect(limiter.waitForRequestSlot('https://example.com/oai')).resolves.toBe(1000);
+
+      expect(limiter.delay).toHaveBeenCalledTimes(1);
+      expect(limiter.delay).toHaveBeenCalledWith(1000);
+    });
+
+    it('should queue concurrent limiters sharing a store', async () => {
+      const first = createLimiter();
+      const second = createLimiter();
+
+      const waits = await Promise.all([
+        first.waitForRequestSlot('https://example.com/oai'),
+        second.waitForRequestSlot('https://example.com/oai'),
+      ]);
+
+      expect(waits.sort((a, b) => a - b)).toEqual([0, 1000]);
+    });
+
+    it('should limit the requests per minute', async () => {
+      const limiter = createLimiter({
+        'example.com': { minIntervalMs: 0, maxRequestsPerMinute: 2 },
+      });
+
+      await limiter.waitForRequestSlot('https://example.com/oai');
+      await limiter.waitForRequestSlot('https://example.com/oai');
+      const waited = await limiter.waitForRequestSlot('https://example.com/oai');
+
+      expect(waited).toBe(60000);
+    });
+
+    it('should not wait for hosts without limits', async () => {
+      const limiter = createLimiter({ default: { minIntervalMs: 0 } });
+
+      await limiter.waitForRequestSlot('https://example.com/oai');
+      await limiter.waitForRequestSlot('https://example.com/oai');
+
+      expect(limiter.delay).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('harvest slots', () => {
+    const url = 'https://example.com/oai';
+
+    it('should limit the concurrent harvests of a host', async () => {
+      const limiter = createLimiter({ 'example.com': { maxConcurrentHarvests: 1 } });
+
+      await expect(limiter.acquireHarvestSlot(url, 'journal-1')).resolves.toBe(true);
+      await expect(limiter.acquireHarvestSlot(url, 'journal-2')).resolves.toBe(false);
+
+      await limiter.releaseHarvestSlot(url, 'journal-1');
+      await expect(limiter.acquireHarvestSlot(url, 'journal-2')).resolves.toBe(true);
+    });
+
+    it('should expire slots that were never released', async () => {
+      const limiter = createLimiter({ 'example.com': { maxConcurrentHarvests: 1 } });
+
+      await limiter.acquireHarvestSlot(url, 'crashed-harvest');
+      clock += 17 * 60 * 1000;
+
+      await expect(limiter.acquireHarvestSlot(url, 'journal-2')).resolves.toBe(true);
+    });
+
+    it('should not track harvests without a concurrency limit', async () => {
+      const limiter = createLimiter();
+
+      await expect(limiter.acquireHarvestSlot(url, 'journal-1')).resolves.toBe(true);
+      await expect(store.load('example.com')).resolves.toEqual({ state: null, version: null });
+    });
+  });
+
+  describe('updateState', () => {
+    it('should retry when the state was changed concurrently', async () => {
+      const limiter = createLimiter();
+      jest.spyOn(store, 'save').mockResolvedValueOnce(false);
+
+      await limiter.waitForRequestSlot('https://example.com/oai');
+
+      expect(store.save).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up when the state keeps changing', async () => {
+      const limiter = createLimiter();
+      jest.spyOn(store, 'save').mockResolvedValue(false);
+
+      await expect(limiter.waitForRequestSlot('https://example.com/oai')).rejects.toMatchObject({
+        errorCode: 'RATE_LIMIT_STATE_CONFLICT',
+      });
+    });
+  });
+});
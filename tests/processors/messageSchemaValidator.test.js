@@ -0,0 +1,140 @@
+const {
+  MessageSchemaValidator,
+  MESSAGE_SCHEMA_VERSION,
+} = require('../../src/processors/messageSchemaValidator');
+
+describe('MessageSchemaValidator', () => {
+  let validator;
+
+  const envelope = {
+    schemaVersion: MESSAGE_SCHEMA_VERSION,
+    messageId: '0f8c5a4e-6c1b-4f4e-9a57-3c2d1e0b9a11',
+    runId: 'run-1',
+    journalKey: 'test-journal',
+    oaiUrl: 'https://example.com/oai',
+    source: 'scraping-service',
+    timestamp: '2024-01-01T00:00:00.000Z',
+  };
+
+  const articleBatch = {
+    ...envelope,
+    type: 'ArticleBatch',
+    messageType: 'ArticleBatch',
+    s3Url: 'https://test-bucket.s3.amazonaws.com/page.xml',
+    s3Key: 'page.xml',
+    s3FileName: 'page.xml',
+    pageNumber: 1,
+    batchNumber: 1,
+    totalBatches: 1,
+    articlesInBatch: 1,
+    totalArticlesInPage: 1,
+    totalRecordsProcessed: 1,
+    success: true,
+    errorCode: null,
+    errorMessage: null,
+    articles: [
+      {
+        journalKey: 'test-journal',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        type: 'ListRecords',
+        identifier: 'oai:1',
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    validator = new MessageSchemaValidator();
+  });
+
+  it('should accept a valid ArticleBatch message', () => {
+    expect(validator.validate(articleBatch)).toEqual({
+      valid: true,
+      schemaId: 'articleBatch.schema.json',
+      errors: [],
+    });
+  });
+
+  it('should accept a batch sent before its streamed page was complete', () => {
+    const { errors } = validator.validate({
+      ...articleBatch,
+      totalBatches: null,
+      totalArticlesInPage: null,
+    });
+
+    expect(errors).toEqual([]);
+  });
+
+  it('should report every problem with its path', () => {
+    const { valid, errors } = validator.validate({
+      ...articleBatch,
+      pageNumber: 0,
+      articles: [{ journal_key: 'test-journal', type: 'ListRecords' }],
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        '/pageNumber must be >= 1',
+        "/articles/0 must have required property 'journalKey'",
+        "/articles/0 must have required property 'createdAt'",
+      ])
+    );
+  });
+
+  it('should validate Identify messages', () => {
+    const identify = {
+      ...envelope,
+      type: 'Identify',
+      messageType: 'Identify',
+      s3Url: 'https://test-bucket.s3.amazonaws.com/identify.xml',
+      s3Key: 'identify.xml',
+      s3FileName: 'identify.xml',
+      metadataPrefix: 'oai_dc',
+      harvestUrl: 'https://example.com/oai',
+      success: true,
+      data: { journalKey: 'test-journal', type: 'Identify', repositoryName: 'Test' },
+    };
+
+    expect(validator.validate(identify).valid).toBe(true);
+
+    // The file name used to be sent as filename
+    const { s3FileName, ...legacy } = identify;
+    expect(validator.validate({ ...legacy, filename: s3FileName }).errors).toEqual([
+      "/ must have required property 's3FileName'",
+    ]);
+  });
+
+  it('should validate error messages whatever phase failed', () => {
+    const error = {
+      ...envelope,
+      type: 'Error',
+      messageType: 'ListSets',
+      s3Url: null,
+      s3Key: null,
+      success: false,
+      errorCode: 'HTTP_SERVER_ERROR_503',
+      errorMessage: 'Service Unavailable',
+    };
+
+    expect(validator.validate(error).valid).toBe(true);
+    expect(validator.validate({ ...error, success: true }).errors).toEqual([
+      '/success must be equal to constant',
+    ]);
+  });
+
+  it('should only check the envelope of other message types', () => {
+    const started = { ...envelope, type: 'HarvestStarted', messageType: 'HarvestStarted' };
+
+    expect(validator.validate(started)).toEqual({
+      valid: true,
+      schemaId: 'envelope.schema.json',
+      errors: [],
+    });
+    expect(
+      validator.validate({ ...started, schemaVersion: '2.0', runId: undefined }).errors
+    ).toEqual([
+      "/ must have required property 'runId'",
+      '/schemaVersion must match pattern "^1\\.[0-9]+$"',
+    ]);
+  });
+});
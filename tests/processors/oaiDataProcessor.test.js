@@ -1,4 +1,6 @@
+const { Readable } = require('stream');
 const { OaiDataProcessor } = require('../../src/processors/oaiDataProcessor');
+const { HostRateLimiter, InMemoryRateLimitStore } = require('../../src/processors/hostRateLimiter');
 
 // Mock axios
 jest.mock('axios');
@@ -11,9 +13,15 @@ const { parseStringPromise } = require('xml2js');
 describe('OaiDataProcessor', () => {
   let processor;
   let mockAxios;
+  let rateLimiter;
 
   beforeEach(() => {
-    processor = new OaiDataProcessor();
+    rateLimiter = new HostRateLimiter({
+      store: new InMemoryRateLimitStore(),
+      delay: jest.fn().mockResolvedValue(),
+    });
+    processor = new OaiDataProcessor({ rateLimiter });
+    jest.spyOn(processor, 'delay').mockResolvedValue();
     mockAxios = axios.get.mockResolvedValue({
       status: 200,
       data: '<OAI-PMH><Identify><repositoryName>Test Repository</repositoryName></Identify></OAI-PMH>',
@@ -125,6 +133,129 @@ describe('OaiDataProcessor', () => {
     });
   });
 
+  describe('processListMetadataFormats', () => {
+    it('should successfully process ListMetadataFormats request', async () => {
+      const result = await processor.processListMetadataFormats(
+        'https://example.com/oai',
+        'test-journal'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          type: 'ListMetadataFormats',
+          success: true,
+          url: 'https://example.com/oai?verb=ListMetadataFormats',
+        })
+      );
+    });
+
+    it('should handle network errors in ListMetadataFormats request', async () => {
+      mockAxios.mockRejectedValue({ code: 'ENOTFOUND', message: 'Not found' });
+
+      const result = await processor.processListMetadataFormats(
+        'https://example.com/oai',
+        'test-journal'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          errorCode: 'DNS_RESOLUTION_FAILED',
+          errorMessage: 'Not found',
+        })
+      );
+    });
+  });
+
+  describe('processGetRecord', () => {
+    it('should fetch a single record by identifier', async () => {
+      const result = await processor.processGetRecord(
+        'https://example.com/oai',
+        'oai:example.com:article/1',
+        'jats'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          type: 'GetRecord',
+          identifier: 'oai:example.com:article/1',
+          success: true,
+          url: 'https://example.com/oai?verb=GetRecord&identifier=oai%3Aexample.com%3Aarticle%2F1&metadataPrefix=jats',
+        })
+      );
+    });
+
+    it('should fail without an identifier', async () => {
+      const result = await processor.processGetRecord('https://example.com/oai', '');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          type: 'GetRecord',
+          success: false,
+          errorCode: 'INVALID_IDENTIFIER',
+        })
+      );
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processListSets', () => {
+    it('should fetch all ListSets pages following resumption tokens', async () => {
+      parseStringPromise
+        .mockResolvedValueOnce({
+          'OAI-PMH': {
+            ListSets: {
+              set: [{ setSpec: 'journalA' }],
+              resumptionToken: { _: 'sets-token' },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          'OAI-PMH': { ListSets: { set: { setSpec: 'journalB' } } },
+        });
+
+      const result = await processor.processListSets('https://example.com/oai', 'test-journal');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          type: 'ListSets',
+          pageCount: 2,
+          success: true,
+          data: [expect.any(String), expect.any(String)],
+        })
+      );
+      expect(mockAxios).toHaveBeenNthCalledWith(
+        1,
+        'https://example.com/oai?verb=ListSets',
+        expect.any(Object)
+      );
+      expect(mockAxios).toHaveBeenNthCalledWith(
+        2,
+        'https://example.com/oai?verb=ListSets&resumptionToken=sets-token',
+        expect.any(Object)
+      );
+    });
+
+    it('should handle HTTP errors in ListSets request', async () => {
+      mockAxios.mockRejectedValue({
+        response: { status: 503 },
+        message: 'Service Unavailable',
+      });
+
+      const result = await processor.processListSets('https://example.com/oai', 'test-journal');
+
+      expect(result).toEqual({
+        data: null,
+        type: 'ListSets',
+        pageCount: 0,
+        success: false,
+        status: 'failed',
+        errorCode: 'HTTP_SERVER_ERROR_503',
+        errorMessage: 'Service Unavailable',
+      });
+    });
+  });
+
   describe('processListRecords', () => {
     beforeEach(() => {
       parseStringPromise.mockResolvedValue({
@@ -160,7 +291,11 @@ describe('OaiDataProcessor', () => {
         '<OAI-PMH><Identify><repositoryName>Test Repository</repositoryName></Identify></OAI-PMH>',
         1,
         2,
-        2
+        2,
+        {
+          encoding: expect.objectContaining({ encoding: 'utf-8', repaired: false }),
+          resumptionToken: { completeListSize: null, cursor: null, expirationDate: null },
+        }
       );
     });
 
@@ -276,19 +411,30 @@ describe('OaiDataProcessor', () => {
         status: 'failed',
         errorCode: 'HTTP_SERVER_ERROR_500',
         errorMessage: 'Internal Server Error',
+        harvestSummary: {
+          pagesFetched: 0,
+          lastPageNumber: 0,
+          recordsProcessed: 0,
+          consecutiveEmptyPages: 0,
+          lastResumptionToken: null,
+          lastCursor: null,
+          lastPageRecords: null,
+          completeListSize: null,
+        },
       });
     });
 
     it('should respect maximum page limit', async () => {
       // Mock many pages with resumption tokens
-      parseStringPromise.mockResolvedValue({
+      let tokenNumber = 0;
+      parseStringPromise.mockImplementation(async () => ({
         'OAI-PMH': {
           ListRecords: {
             record: [{ header: { identifier: 'record' }, metadata: { title: 'Test' } }],
-            resumptionToken: { _: 'token123' },
+            resumptionToken: { _: `token${++tokenNumber}` },
           },
         },
-      });
+      }));
 
       processor.maxPages = 2; // Set low limit for testing
       const mockCallback = jest.fn().mockResolvedValue();
@@ -303,6 +449,100 @@ describe('OaiDataProcessor', () => {
       expect(mockAxios).toHaveBeenCalledTimes(2);
     });
 
+    it('should stop after the page that reaches maxRecords, count no records past it and pause pageDelayMs between pages', async () => {
+      let tokenNumber = 0;
+      parseStringPromise.mockImplementation(async () => ({
+        'OAI-PMH': {
+          ListRecords: {
+            record: [
+              { header: { identifier: 'record-1' }, metadata: { title: 'Test' } },
+              { header: { identifier: 'record-2' }, metadata: { title: 'Test' } },
+            ],
+            resumptionToken: { _: `token${++tokenNumber}` },
+          },
+        },
+      }));
+
+      processor.pageDelayMs = 750;
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { maxRecords: 3 }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          pageCount: 2,
+          totalRecordsProcessed: 3,
+          limitReached: 'maxRecords',
+          status: 'completed',
+        })
+      );
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+      expect(processor.delay).toHaveBeenCalledTimes(1);
+      expect(processor.delay).toHaveBeenCalledWith(750);
+    });
+
+    it('should take its limits from the options or else the environment', () => {
+      process.env.OAI_MAX_PAGES = '20';
+      process.env.OAI_REQUEST_TIMEOUT_MS = '60000';
+      process.env.OAI_PAGE_DELAY_MS = '250';
+
+      try {
+        const fromEnvironment = new OaiDataProcessor({ rateLimiter });
+        expect(fromEnvironment.maxPages).toBe(20);
+        expect(fromEnvironment.axiosConfig.timeout).toBe(60000);
+        expect(fromEnvironment.pageDelayMs).toBe(250);
+
+        const fromOptions = new OaiDataProcessor({
+          rateLimiter,
+          maxPages: 5,
+          timeout: 30000,
+          pageDelayMs: 0,
+        });
+        expect(fromOptions.maxPages).toBe(5);
+        expect(fromOptions.axiosConfig.timeout).toBe(30000);
+        expect(fromOptions.pageDelayMs).toBe(0);
+      } finally {
+        delete process.env.OAI_MAX_PAGES;
+        delete process.env.OAI_REQUEST_TIMEOUT_MS;
+        delete process.env.OAI_PAGE_DELAY_MS;
+      }
+    });
+
+    it('should pass from/until datestamps formatted with the repository granularity', async () => {
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      await processor.processListRecords('https://example.com/oai', 'test-journal', mockCallback, {
+        from: '2024-01-01T10:20:30.456Z',
+        until: '2024-02-01T00:00:00Z',
+        granularity: 'YYYY-MM-DDThh:mm:ssZ',
+      });
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        'https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc&from=2024-01-01T10%3A20%3A30Z&until=2024-02-01T00%3A00%3A00Z',
+        expect.any(Object)
+      );
+    });
+
+    it('should fail with INVALID_DATESTAMP for unparseable dates', async () => {
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { from: 'not-a-date' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('INVALID_DATESTAMP');
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
     it('should handle callback errors gracefully', async () => {
       const mockCallback = jest.fn().mockRejectedValue(new Error('Callback failed'));
 
@@ -315,31 +555,1039 @@ describe('OaiDataProcessor', () => {
       expect(result.success).toBe(false);
       expect(result.errorMessage).toContain('Callback failed');
     });
+
+    it('should treat noRecordsMatch as a successful empty harvest', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': {
+          error: { _: 'No records match the request', $: { code: 'noRecordsMatch' } },
+        },
+      });
+      const mockCallback = jest.fn();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { from: '2024-01-01' }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ totalRecordsProcessed: 0, success: true, errorCode: null })
+      );
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should fail on OAI-PMH protocol errors during pagination', async () => {
+      parseStringPromise
+        .mockResolvedValueOnce({
+          'OAI-PMH': {
+            ListRecords: {
+              record: { header: { identifier: 'record1' } },
+              resumptionToken: { _: 'expired-token' },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          'OAI-PMH': {
+            error: { _: 'The token has expired', $: { code: 'badResumptionToken' } },
+          },
+        });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback
+      );
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          errorCode: 'OAI_BAD_RESUMPTION_TOKEN',
+          errorMessage: 'OAI-PMH error badResumptionToken: The token has expired',
+        })
+      );
+    });
   });
 
-  describe('URL building methods', () => {
-    it('should build correct Identify URL', () => {
-      const result = processor.buildIdentifyUrl('https://example.com/oai');
-      expect(result).toBe('https://example.com/oai?verb=Identify');
+  describe('streaming ListRecords', () => {
+    const streamResponse = xml => ({ status: 200, data: Readable.from([Buffer.from(xml)]) });
+
+    it('should stream records to onRecord and follow resumption tokens', async () => {
+      mockAxios
+        .mockResolvedValueOnce(
+          streamResponse(
+            '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record><resumptionToken>t2</resumptionToken></ListRecords></OAI-PMH>'
+          )
+        )
+        .mockResolvedValueOnce(
+          streamResponse(
+            '<OAI-PMH><ListRecords><record><header><identifier>r2</identifier></header></record><record><header><identifier>r3</identifier></header></record></ListRecords></OAI-PMH>'
+          )
+        );
+      const onRecord = jest.fn();
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { onRecord }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ pageCount: 2, totalRecordsProcessed: 3, success: true })
+      );
+      expect(mockAxios).toHaveBeenNthCalledWith(
+        2,
+        'https://example.com/oai?verb=ListRecords&resumptionToken=t2',
+        expect.objectContaining({ responseType: 'stream' })
+      );
+      expect(onRecord).toHaveBeenCalledWith({ header: { identifier: 'r1' } }, 1, 1, 1);
+      expect(onRecord).toHaveBeenCalledWith({ header: { identifier: 'r3' } }, 2, 2, 3);
+      expect(mockCallback).toHaveBeenNthCalledWith(2, expect.stringContaining('r2'), 2, 2, 3, {
+        encoding: expect.objectContaining({ encoding: 'utf-8' }),
+        resumptionToken: { completeListSize: null, cursor: null, expirationDate: null },
+      });
+      expect(parseStringPromise).not.toHaveBeenCalled();
     });
 
-    it('should build correct ListRecords URL', () => {
-      const result = processor.buildListRecordsUrl('https://example.com/oai');
-      expect(result).toBe('https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc');
+    it('should treat a streamed noRecordsMatch as an empty harvest', async () => {
+      mockAxios.mockResolvedValue(
+        streamResponse('<OAI-PMH><error code="noRecordsMatch">None</error></OAI-PMH>')
+      );
+      const mockCallback = jest.fn();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { onRecord: jest.fn() }
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, totalRecordsProcessed: 0 }));
+      expect(mockCallback).not.toHaveBeenCalled();
+      expect(processor.bytesDownloaded).toBe(
+        '<OAI-PMH><error code="noRecordsMatch">None</error></OAI-PMH>'.length
+      );
     });
 
-    it('should build correct resumption token URL', () => {
-      const result = processor.buildResumptionTokenUrl('https://example.com/oai', 'test-token');
-      expect(result).toBe('https://example.com/oai?verb=ListRecords&resumptionToken=test-token');
+    it('should request the page again when reading its body fails', async () => {
+      const page =
+        '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record><record><header><identifier>r2</identifier></header></record></ListRecords></OAI-PMH>';
+      const brokenBody = async function* () {
+        yield Buffer.from(page.slice(0, page.indexOf('<record>', 30)));
+        throw Object.assign(new Error('aborted'), { code: 'ECONNRESET' });
+      };
+      mockAxios
+        .mockResolvedValueOnce({ status: 200, data: brokenBody() })
+        .mockResolvedValueOnce(streamResponse(page));
+      const onRecord = jest.fn();
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { onRecord }
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, totalRecordsProcessed: 2 }));
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+      expect(onRecord.mock.calls.map(([record]) => record.header.identifier)).toEqual(['r1', 'r2']);
+      expect(mockCallback).toHaveBeenCalledWith(page, 1, 2, 2, expect.any(Object));
     });
 
-    it('should handle URLs with trailing slashes', () => {
-      expect(processor.buildIdentifyUrl('https://example.com/oai/')).toBe(
-        'https://example.com/oai?verb=Identify'
+    it('should report the network error of a page body that keeps failing', async () => {
+      processor.maxRetries = 1;
+      const brokenBody = async function* () {
+        yield Buffer.from('<OAI-PMH><ListRecords>');
+        throw Object.assign(new Error('aborted'), { code: 'ECONNRESET' });
+      };
+      mockAxios.mockImplementation(async () => ({ status: 200, data: brokenBody() }));
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn(),
+        { onRecord: jest.fn() }
       );
-      expect(processor.buildListRecordsUrl('https://example.com/oai/')).toBe(
-        'https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc'
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, errorCode: 'CONNECTION_RESET' })
+      );
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry the request of a streamed page on top of the page retries', async () => {
+      processor.maxRetries = 1;
+      mockAxios.mockRejectedValue({ response: { status: 503 }, message: 'Service Unavailable' });
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn(),
+        { onRecord: jest.fn() }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, errorCode: 'HTTP_SERVER_ERROR_503' })
+      );
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should checkpoint the records handed on when a page retry runs out of time', async () => {
+      const page =
+        '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record><record><header><identifier>r2</identifier></header></record></ListRecords></OAI-PMH>';
+      const brokenBody = async function* () {
+        // A decoded chunk is parsed right away, bytes wait for the encoding to be detected
+        yield page.slice(0, page.indexOf('<record>', 30));
+        throw Object.assign(new Error('aborted'), { code: 'ECONNRESET' });
+      };
+      mockAxios.mockResolvedValueOnce({ status: 200, data: brokenBody() });
+      processor.deadlineReserveMs = 60000;
+      processor.retryBaseDelay = 120000;
+      processor.retryMaxDelay = 120000;
+      const onRecord = jest.fn();
+      const onCheckpoint = jest.fn();
+      const mockCallback = jest.fn();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { onRecord, onCheckpoint, getRemainingTimeInMillis: () => 100000 }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: 'paused',
+          pageCount: 0,
+          resumptionToken: null,
+          pageRecordsHandled: 1,
+        })
+      );
+      expect(onRecord).toHaveBeenCalledTimes(1);
+      expect(onCheckpoint).toHaveBeenCalledWith({
+        resumptionToken: null,
+        pageNumber: 0,
+        recordsProcessed: 0,
+        pageRecordsHandled: 1,
+      });
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should skip the records of the page handed on before the pause', async () => {
+      const page =
+        '<OAI-PMH><ListRecords><record><header><identifier>r3</identifier></header></record><record><header><identifier>r4</identifier></header></record></ListRecords></OAI-PMH>';
+      mockAxios.mockResolvedValueOnce(streamResponse(page));
+      const onRecord = jest.fn();
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        {
+          onRecord,
+          resumptionToken: 'token-2',
+          pageNumber: 1,
+          recordsProcessed: 2,
+          pageRecordsHandled: 1,
+        }
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, totalRecordsProcessed: 4 }));
+      expect(onRecord).toHaveBeenCalledTimes(1);
+      expect(onRecord).toHaveBeenCalledWith(expect.any(Object), 2, 2, 4);
+      expect(onRecord.mock.calls[0][0].header.identifier).toBe('r4');
+      expect(mockCallback).toHaveBeenCalledWith(page, 2, 2, 4, expect.any(Object));
+    });
+
+    it('should not keep streamed pages that are not archived', async () => {
+      mockAxios.mockResolvedValue(
+        streamResponse(
+          '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record></ListRecords></OAI-PMH>'
+        )
       );
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      await processor.processListRecords('https://example.com/oai', 'test-journal', mockCallback, {
+        onRecord: jest.fn(),
+        keepPageXml: false,
+      });
+
+      expect(mockCallback).toHaveBeenCalledWith(null, 1, 1, 1, expect.any(Object));
+    });
+
+    it('should buffer pages when the streaming parser is disabled', async () => {
+      processor.streamingParser = false;
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { ListRecords: { record: { header: { identifier: 'r1' } } } },
+      });
+      const onRecord = jest.fn();
+
+      await processor.processListRecords('https://example.com/oai', 'test-journal', jest.fn(), {
+        onRecord,
+      });
+
+      expect(onRecord).not.toHaveBeenCalled();
+      expect(mockAxios).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.not.objectContaining({ responseType: 'stream' })
+      );
+    });
+  });
+
+  describe('resumable harvests', () => {
+    it('should checkpoint each page and pause when asked to stop', async () => {
+      let tokenNumber = 0;
+      parseStringPromise.mockImplementation(async () => ({
+        'OAI-PMH': {
+          ListRecords: {
+            record: { header: { identifier: 'record1' } },
+            resumptionToken: { _: `next-token-${++tokenNumber}` },
+          },
+        },
+      }));
+      const onCheckpoint = jest.fn().mockResolvedValue();
+      const shouldStop = jest.fn().mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue(),
+        { onCheckpoint, shouldStop }
+      );
+
+      expect(result).toEqual({
+        pageCount: 2,
+        totalRecordsProcessed: 2,
+        resumptionToken: 'next-token-2',
+        success: true,
+        status: 'paused',
+        errorCode: null,
+        errorMessage: null,
+      });
+      expect(onCheckpoint).toHaveBeenCalledTimes(2);
+      expect(onCheckpoint).toHaveBeenLastCalledWith({
+        resumptionToken: 'next-token-2',
+        pageNumber: 2,
+        recordsProcessed: 2,
+      });
+    });
+
+    it('should resume from a saved resumption token', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { ListRecords: { record: { header: { identifier: 'record1' } } } },
+      });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { resumptionToken: 'saved-token', pageNumber: 4, recordsProcessed: 400 }
+      );
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        'https://example.com/oai?verb=ListRecords&resumptionToken=saved-token',
+        expect.any(Object)
+      );
+      expect(mockCallback).toHaveBeenCalledWith(expect.any(String), 5, 1, 401, {
+        encoding: expect.any(Object),
+        resumptionToken: expect.any(Object),
+      });
+      expect(result).toEqual(
+        expect.objectContaining({ pageCount: 5, totalRecordsProcessed: 401, status: 'completed' })
+      );
+    });
+  });
+
+  describe('harvest progress', () => {
+    it('should pass the flow control attributes of each page and report the advertised total', async () => {
+      parseStringPromise
+        .mockResolvedValueOnce({
+          'OAI-PMH': {
+            ListRecords: {
+              record: [{ header: { identifier: 'r1' } }, { header: { identifier: 'r2' } }],
+              resumptionToken: {
+                _: 'token-2',
+                $: { completeListSize: '3', cursor: '0', expirationDate: '2024-01-16T10:00:00Z' },
+              },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          'OAI-PMH': {
+            ListRecords: {
+              record: { header: { identifier: 'r3' } },
+              resumptionToken: { $: { completeListSize: '3', cursor: '2' } },
+            },
+          },
+        });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback
+      );
+
+      expect(mockCallback).toHaveBeenNthCalledWith(1, expect.any(String), 1, 2, 2, {
+        encoding: expect.any(Object),
+        resumptionToken: {
+          completeListSize: 3,
+          cursor: 0,
+          expirationDate: '2024-01-16T10:00:00Z',
+        },
+      });
+      expect(mockCallback).toHaveBeenNthCalledWith(2, expect.any(String), 2, 1, 3, {
+        encoding: expect.any(Object),
+        resumptionToken: { completeListSize: 3, cursor: 2, expirationDate: null },
+      });
+      expect(result).toEqual(
+        expect.objectContaining({ pageCount: 2, totalRecordsProcessed: 3, completeListSize: 3 })
+      );
+    });
+
+    it('should read the flow control attributes of streamed pages', async () => {
+      mockAxios.mockResolvedValueOnce({
+        status: 200,
+        data: Readable.from([
+          Buffer.from(
+            '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record><resumptionToken completeListSize="1" cursor="0"/></ListRecords></OAI-PMH>'
+          ),
+        ]),
+      });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { onRecord: jest.fn() }
+      );
+
+      expect(mockCallback).toHaveBeenCalledWith(expect.any(String), 1, 1, 1, {
+        encoding: expect.any(Object),
+        resumptionToken: { completeListSize: 1, cursor: 0, expirationDate: null },
+      });
+      expect(result.completeListSize).toBe(1);
+    });
+  });
+
+  describe('stalled pagination', () => {
+    const listRecordsPage = (recordCount, token, cursor) => ({
+      'OAI-PMH': {
+        ListRecords: {
+          ...(recordCount > 0 && {
+            record: Array.from({ length: recordCount }, (_, index) => ({
+              header: { identifier: `record${index}` },
+            })),
+          }),
+          resumptionToken: { _: token, $: cursor === undefined ? {} : { cursor: String(cursor) } },
+        },
+      },
+    });
+
+    it('should stop when a resumption token is repeated', async () => {
+      parseStringPromise
+        .mockResolvedValueOnce(listRecordsPage(1, 'token-1'))
+        .mockResolvedValueOnce(listRecordsPage(1, 'token-2'))
+        .mockResolvedValue(listRecordsPage(1, 'token-1'));
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue()
+      );
+
+      expect(mockAxios).toHaveBeenCalledTimes(3);
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          status: 'failed',
+          pageCount: 3,
+          totalRecordsProcessed: 3,
+          errorCode: 'RESUMPTION_TOKEN_LOOP',
+          errorMessage: 'Resumption token repeated on page 3: token-1',
+          harvestSummary: expect.objectContaining({
+            pagesFetched: 3,
+            lastPageNumber: 3,
+            recordsProcessed: 3,
+            lastResumptionToken: 'token-1',
+          }),
+        })
+      );
+    });
+
+    it('should stop when the token a harvest was resumed from comes back', async () => {
+      parseStringPromise.mockResolvedValue(listRecordsPage(1, 'saved-token'));
+      const onCheckpoint = jest.fn();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue(),
+        { resumptionToken: 'saved-token', pageNumber: 4, onCheckpoint }
+      );
+
+      expect(result.errorCode).toBe('RESUMPTION_TOKEN_LOOP');
+      expect(onCheckpoint).not.toHaveBeenCalled();
+    });
+
+    it('should stop after too many consecutive empty pages', async () => {
+      processor.maxEmptyPages = 3;
+      let tokenNumber = 0;
+      parseStringPromise.mockImplementation(async () => listRecordsPage(0, `t${++tokenNumber}`));
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue()
+      );
+
+      expect(mockAxios).toHaveBeenCalledTimes(3);
+      expect(result).toEqual(
+        expect.objectContaining({
+          errorCode: 'EMPTY_PAGE_LIMIT',
+          harvestSummary: expect.objectContaining({
+            consecutiveEmptyPages: 3,
+            recordsProcessed: 0,
+          }),
+        })
+      );
+    });
+
+    it('should reset the empty page count when records are delivered', async () => {
+      processor.maxEmptyPages = 2;
+      parseStringPromise
+        .mockResolvedValueOnce(listRecordsPage(0, 't1'))
+        .mockResolvedValueOnce(listRecordsPage(1, 't2'))
+        .mockResolvedValueOnce(listRecordsPage(0, 't3'))
+        .mockResolvedValueOnce({
+          'OAI-PMH': { ListRecords: { record: { header: { identifier: 'last' } } } },
+        });
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue()
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, pageCount: 4 }));
+    });
+
+    it('should stop when the cursor does not advance', async () => {
+      parseStringPromise
+        .mockResolvedValueOnce(listRecordsPage(2, 't1', 0))
+        .mockResolvedValueOnce(listRecordsPage(2, 't2', 2))
+        .mockResolvedValueOnce(listRecordsPage(2, 't3', 2));
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue()
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          errorCode: 'CURSOR_NOT_ADVANCING',
+          errorMessage: 'Resumption token cursor did not advance on page 3 (2 -> 2)',
+          harvestSummary: expect.objectContaining({ lastCursor: 2, pagesFetched: 3 }),
+        })
+      );
+    });
+  });
+
+  describe('OAI-PMH protocol errors', () => {
+    it('should fail GetRecord for unknown identifiers', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { error: { _: 'Unknown identifier', $: { code: 'idDoesNotExist' } } },
+      });
+
+      const result = await processor.processGetRecord('https://example.com/oai', 'oai:x:1');
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, errorCode: 'OAI_ID_DOES_NOT_EXIST' })
+      );
+    });
+
+    it('should fail Identify on protocol errors without a description', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { error: [{ $: { code: 'badVerb' } }, { $: { code: 'badArgument' } }] },
+      });
+
+      const result = await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          errorCode: 'OAI_BAD_VERB',
+          errorMessage: 'OAI-PMH error badVerb',
+        })
+      );
+    });
+
+    it('should fail ListSets when the repository has no set hierarchy', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { error: { _: 'No sets', $: { code: 'noSetHierarchy' } } },
+      });
+
+      const result = await processor.processListSets('https://example.com/oai', 'test-journal');
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, errorCode: 'OAI_NO_SET_HIERARCHY' })
+      );
+    });
+
+    it('should map OAI-PMH error codes', () => {
+      expect(processor.getErrorCode({ oaiErrorCode: 'cannotDisseminateFormat' })).toBe(
+        'OAI_CANNOT_DISSEMINATE_FORMAT'
+      );
+      expect(processor.getErrorCode({ oaiErrorCode: 'somethingElse' })).toBe('OAI_PROTOCOL_ERROR');
+    });
+  });
+
+  describe('Lambda deadline', () => {
+    beforeEach(() => {
+      processor.deadlineReserveMs = 60000;
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': {
+          ListRecords: {
+            record: { header: { identifier: 'record1' } },
+            resumptionToken: { _: 'token-1' },
+          },
+        },
+      });
+    });
+
+    it('should shorten requests to the time left and give the page callback that time', async () => {
+      mockAxios.mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><ListRecords/></OAI-PMH>' });
+      parseStringPromise.mockResolvedValueOnce({
+        'OAI-PMH': { ListRecords: { record: { header: { identifier: 'record1' } } } },
+      });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { getRemainingTimeInMillis: () => 90000 }
+      );
+
+      expect(result.status).toBe('completed');
+      const [, requestConfig] = mockAxios.mock.calls[0];
+      expect(requestConfig.timeout).toBeGreaterThan(25000);
+      expect(requestConfig.timeout).toBeLessThanOrEqual(30000);
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.any(String),
+        1,
+        1,
+        1,
+        expect.objectContaining({ remainingTimeMs: 90000 })
+      );
+      expect(processor.deadline).toBeNull();
+    });
+
+    it('should pause before a page it cannot fetch before the deadline', async () => {
+      mockAxios
+        .mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><ListRecords/></OAI-PMH>' })
+        .mockRejectedValueOnce({ response: { status: 503 }, message: 'Service Unavailable' });
+      processor.retryBaseDelay = 120000;
+      processor.retryMaxDelay = 120000;
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback,
+        { getRemainingTimeInMillis: () => 100000 }
+      );
+
+      expect(result).toEqual({
+        pageCount: 1,
+        totalRecordsProcessed: 1,
+        resumptionToken: 'token-1',
+        success: true,
+        status: 'paused',
+        errorCode: null,
+        errorMessage: null,
+      });
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+      expect(processor.delay).not.toHaveBeenCalled();
+    });
+
+    it('should pause when the host rate limit has no slot before the deadline', async () => {
+      mockAxios.mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><ListRecords/></OAI-PMH>' });
+      jest
+        .spyOn(rateLimiter, 'waitForRequestSlot')
+        .mockResolvedValueOnce(0)
+        .mockResolvedValueOnce(null);
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        jest.fn().mockResolvedValue(),
+        { getRemainingTimeInMillis: () => 100000 }
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: 'paused', pageCount: 1, resumptionToken: 'token-1' })
+      );
+      expect(mockAxios).toHaveBeenCalledTimes(1);
+      expect(rateLimiter.waitForRequestSlot).toHaveBeenLastCalledWith(
+        expect.stringContaining('resumptionToken=token-1'),
+        { deadline: expect.any(Number) }
+      );
+    });
+
+    it('should take the request timeout after the wait for the host rate limit', async () => {
+      mockAxios.mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><ListRecords/></OAI-PMH>' });
+      parseStringPromise.mockResolvedValueOnce({
+        'OAI-PMH': { ListRecords: { record: { header: { identifier: 'record1' } } } },
+      });
+      const startedAt = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(startedAt);
+      jest.spyOn(rateLimiter, 'waitForRequestSlot').mockImplementation(async () => {
+        now.mockReturnValue(startedAt + 20000);
+        return 20000;
+      });
+
+      try {
+        await processor.processListRecords(
+          'https://example.com/oai',
+          'test-journal',
+          jest.fn().mockResolvedValue(),
+          { getRemainingTimeInMillis: () => 90000 }
+        );
+      } finally {
+        now.mockRestore();
+      }
+
+      const [, requestConfig] = mockAxios.mock.calls[0];
+      expect(requestConfig.timeout).toBeLessThanOrEqual(10000);
+    });
+
+    it('should not start a request without time left', () => {
+      processor.deadline = Date.now() + 500;
+
+      expect(() => processor.getRequestTimeout('https://example.com/oai')).toThrow(
+        expect.objectContaining({ errorCode: 'DEADLINE_EXCEEDED' })
+      );
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry a 503 response honoring Retry-After', async () => {
+      mockAxios
+        .mockRejectedValueOnce({
+          response: { status: 503, headers: { 'retry-after': '5' } },
+          message: 'Service Unavailable',
+        })
+        .mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><Identify/></OAI-PMH>' });
+
+      const result = await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(result.success).toBe(true);
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+      expect(processor.delay).toHaveBeenCalledWith(5000);
+    });
+
+    it('should retry ListRecords pages after a connection reset', async () => {
+      parseStringPromise.mockResolvedValue({
+        'OAI-PMH': { ListRecords: { record: { header: { identifier: 'record1' } } } },
+      });
+      mockAxios
+        .mockRejectedValueOnce({ code: 'ECONNRESET', message: 'socket hang up' })
+        .mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><ListRecords/></OAI-PMH>' });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      const result = await processor.processListRecords(
+        'https://example.com/oai',
+        'test-journal',
+        mockCallback
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, totalRecordsProcessed: 1 }));
+      expect(mockAxios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      processor.maxRetries = 2;
+      mockAxios.mockRejectedValue({ response: { status: 503 }, message: 'Service Unavailable' });
+
+      const result = await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, errorCode: 'HTTP_SERVER_ERROR_503' })
+      );
+      expect(mockAxios).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      mockAxios.mockRejectedValue({ response: { status: 404 }, message: 'Not Found' });
+
+      const result = await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(result.errorCode).toBe('HTTP_CLIENT_ERROR_404');
+      expect(mockAxios).toHaveBeenCalledTimes(1);
+      expect(processor.delay).not.toHaveBeenCalled();
+    });
+
+    it('should wait for the host rate limit before every attempt', async () => {
+      jest.spyOn(rateLimiter, 'waitForRequestSlot');
+      rateLimiter.now = () => 0;
+      mockAxios
+        .mockRejectedValueOnce({ code: 'ECONNRESET', message: 'socket hang up' })
+        .mockResolvedValueOnce({ status: 200, data: '<OAI-PMH><Identify/></OAI-PMH>' });
+
+      await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(rateLimiter.waitForRequestSlot).toHaveBeenCalledTimes(2);
+      expect(rateLimiter.waitForRequestSlot).toHaveBeenCalledWith(
+        'https://example.com/oai?verb=Identify',
+        { deadline: null }
+      );
+      expect(rateLimiter.delay).toHaveBeenCalledWith(1000);
+    });
+
+    it('should use jittered exponential backoff capped at the maximum delay', () => {
+      processor.retryBaseDelay = 1000;
+      processor.retryMaxDelay = 6000;
+
+      const firstDelay = processor.getRetryDelay({}, 0);
+      expect(firstDelay).toBeGreaterThanOrEqual(500);
+      expect(firstDelay).toBeLessThanOrEqual(1000);
+
+      const cappedDelay = processor.getRetryDelay({}, 5);
+      expect(cappedDelay).toBeGreaterThanOrEqual(3000);
+      expect(cappedDelay).toBeLessThanOrEqual(6000);
+
+      expect(processor.getRetryDelay({ response: { headers: { 'retry-after': '3600' } } }, 0)).toBe(
+        6000
+      );
+    });
+
+    it('should parse Retry-After as seconds or HTTP date', () => {
+      expect(processor.parseRetryAfter('2')).toBe(2000);
+      expect(processor.parseRetryAfter(undefined)).toBeNull();
+      expect(processor.parseRetryAfter('not a date')).toBeNull();
+
+      const retryDate = new Date(Date.now() + 10000).toUTCString();
+      const delay = processor.parseRetryAfter(retryDate);
+      expect(delay).toBeGreaterThan(8000);
+      expect(delay).toBeLessThanOrEqual(10000);
+    });
+  });
+
+  describe('response decoding', () => {
+    it('should request raw bytes and transcode mislabelled Windows-1252 responses', async () => {
+      const xml =
+        '<?xml version="1.0" encoding="UTF-8"?><OAI-PMH><Identify>Caf\u00e9</Identify></OAI-PMH>';
+      mockAxios.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/xml; charset=utf-8' },
+        data: Buffer.from(xml, 'latin1'),
+      });
+
+      const result = await processor.processIdentify('https://example.com/oai', 'test-journal');
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        'https://example.com/oai?verb=Identify',
+        expect.objectContaining({ responseType: 'arraybuffer' })
+      );
+      expect(result.data).toBe(xml);
+      expect(processor.bytesDownloaded).toBe(xml.length);
+    });
+
+    it('should pass the encoding details of each page to the page callback', async () => {
+      mockAxios.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/xml; charset=iso-8859-1' },
+        data: Buffer.from('<OAI-PMH><ListRecords>\u0001</ListRecords></OAI-PMH>', 'latin1'),
+      });
+      parseStringPromise.mockResolvedValue({ 'OAI-PMH': { ListRecords: { record: [] } } });
+      const mockCallback = jest.fn().mockResolvedValue();
+
+      await processor.processListRecords('https://example.com/oai', 'test-journal', mockCallback);
+
+      expect(mockCallback).toHaveBeenCalledWith(
+        '<OAI-PMH><ListRecords></ListRecords></OAI-PMH>',
+        1,
+        0,
+        0,
+        {
+          encoding: expect.objectContaining({
+            encoding: 'windows-1252',
+            source: 'header',
+            repairs: ['transcoded-to-utf-8', 'invalid-xml-characters-removed'],
+            repaired: true,
+            invalidCharactersRemoved: 1,
+          }),
+          resumptionToken: expect.any(Object),
+        }
+      );
+    });
+  });
+
+  describe('URL building methods', () => {
+    it('should build correct Identify URL', () => {
+      const result = processor.buildIdentifyUrl('https://example.com/oai');
+      expect(result).toBe('https://example.com/oai?verb=Identify');
+    });
+
+    it('should build correct ListRecords URL', () => {
+      const result = processor.buildListRecordsUrl('https://example.com/oai');
+      expect(result).toBe('https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc');
+    });
+
+    it('should build correct resumption token URL', () => {
+      const result = processor.buildResumptionTokenUrl('https://example.com/oai', 'test-token');
+      expect(result).toBe('https://example.com/oai?verb=ListRecords&resumptionToken=test-token');
+    });
+
+    it('should add from/until arguments to ListRecords URL', () => {
+      const result = processor.buildListRecordsUrl('https://example.com/oai', {
+        from: '2024-01-01',
+        until: '2024-12-31',
+      });
+      expect(result).toBe(
+        'https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc&from=2024-01-01&until=2024-12-31'
+      );
+    });
+
+    it('should add set argument to ListRecords URL', () => {
+      const result = processor.buildListRecordsUrl('https://example.com/oai', {
+        set: 'journalA:ART',
+      });
+      expect(result).toBe(
+        'https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc&set=journalA%3AART'
+      );
+    });
+
+    it('should build ListRecords URL for the requested metadataPrefix', () => {
+      expect(
+        processor.buildListRecordsUrl('https://example.com/oai', { metadataPrefix: 'jats' })
+      ).toBe('https://example.com/oai?verb=ListRecords&metadataPrefix=jats');
+    });
+
+    it('should build correct ListSets URL', () => {
+      expect(processor.buildListSetsUrl('https://example.com/oai')).toBe(
+        'https://example.com/oai?verb=ListSets'
+      );
+      expect(processor.buildListSetsUrl('https://example.com/oai/', 'abc')).toBe(
+        'https://example.com/oai?verb=ListSets&resumptionToken=abc'
+      );
+    });
+
+    it('should build correct GetRecord URL', () => {
+      expect(processor.buildGetRecordUrl('https://example.com/oai/', 'oai:example.com:1')).toBe(
+        'https://example.com/oai?verb=GetRecord&identifier=oai%3Aexample.com%3A1&metadataPrefix=oai_dc'
+      );
+    });
+
+    it('should use the exact base URL of DSpace, EPrints and query string endpoints', () => {
+      expect(processor.buildIdentifyUrl('https://repo.example.com/oai/request')).toBe(
+        'https://repo.example.com/oai/request?verb=Identify'
+      );
+      expect(processor.buildListRecordsUrl('https://eprints.example.com/cgi/oai2')).toBe(
+        'https://eprints.example.com/cgi/oai2?verb=ListRecords&metadataPrefix=oai_dc'
+      );
+      expect(
+        processor.buildResumptionTokenUrl('https://example.com/index.php?page=oai', 'abc')
+      ).toBe('https://example.com/index.php?page=oai&verb=ListRecords&resumptionToken=abc');
+    });
+
+    it('should append /oai to a bare site URL', () => {
+      expect(processor.buildIdentifyUrl('https://example.com')).toBe(
+        'https://example.com/oai?verb=Identify'
+      );
+    });
+
+    it('should handle URLs with trailing slashes', () => {
+      expect(processor.buildIdentifyUrl('https://example.com/oai/')).toBe(
+        'https://example.com/oai?verb=Identify'
+      );
+      expect(processor.buildListRecordsUrl('https://example.com/oai/')).toBe(
+        'https://example.com/oai?verb=ListRecords&metadataPrefix=oai_dc'
+      );
+    });
+  });
+
+  describe('verifyBaseUrl', () => {
+    it('should accept a matching Identify baseURL', async () => {
+      const result = await processor.verifyBaseUrl(
+        'https://example.com/oai/',
+        'https://example.com/oai'
+      );
+
+      expect(result).toEqual({
+        configuredUrl: 'https://example.com/oai',
+        reportedBaseUrl: 'https://example.com/oai',
+        matches: true,
+        harvestUrl: 'https://example.com/oai',
+      });
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('should harvest from a reachable Identify baseURL on a mismatch', async () => {
+      const result = await processor.verifyBaseUrl(
+        'https://example.com/oai',
+        'https://repo.example.com/oai/request'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          matches: false,
+          harvestUrl: 'https://repo.example.com/oai/request',
+        })
+      );
+      expect(mockAxios).toHaveBeenCalledWith(
+        'https://repo.example.com/oai/request?verb=Identify',
+        expect.any(Object)
+      );
+    });
+
+    it('should keep the configured URL when the Identify baseURL is unreachable', async () => {
+      mockAxios.mockRejectedValue({ code: 'ENOTFOUND', message: 'Not found' });
+
+      const result = await processor.verifyBaseUrl(
+        'https://example.com/oai',
+        'http://localhost:8080/oai/request'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ matches: false, harvestUrl: 'https://example.com/oai' })
+      );
+    });
+
+    it('should report no verdict when Identify has no baseURL', async () => {
+      const result = await processor.verifyBaseUrl('https://example.com/oai', null);
+
+      expect(result).toEqual(
+        expect.objectContaining({ matches: null, harvestUrl: 'https://example.com/oai' })
+      );
+    });
+  });
+
+  describe('formatDatestamp', () => {
+    it('should use day granularity by default', () => {
+      expect(processor.formatDatestamp('2024-03-15T10:20:30Z')).toBe('2024-03-15');
+      expect(processor.formatDatestamp('2024-03-15T10:20:30Z', 'YYYY-MM-DD')).toBe('2024-03-15');
+    });
+
+    it('should use seconds granularity when supported by the repository', () => {
+      expect(
+        processor.formatDatestamp(new Date('2024-03-15T10:20:30.123Z'), 'YYYY-MM-DDThh:mm:ssZ')
+      ).toBe('2024-03-15T10:20:30Z');
+    });
+
+    it('should return null for empty values', () => {
+      expect(processor.formatDatestamp(null)).toBeNull();
+      expect(processor.formatDatestamp(undefined, 'YYYY-MM-DD')).toBeNull();
     });
   });
 
@@ -0,0 +1,180 @@
+const { Readable } = require('stream');
+const { parseStringPromise } = require('xml2js');
+const { OaiStreamParser } = require('../../src/processors/oaiStreamParser');
+
+describe('OaiStreamParser', () => {
+  let parser;
+
+  const listRecordsXml = `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+  <responseDate>2024-01-15T10:00:00Z</responseDate>
+  <ListRecords>
+    <record>
+      <header status="deleted">
+        <identifier>oai:example.com:article/1</identifier>
+        <datestamp>2024-01-10</datestamp>
+        <setSpec>journal:ART</setSpec>
+      </header>
+    </record>
+    <record>
+      <header>
+        <identifier>oai:example.com:article/2</identifier>
+        <datestamp>2024-01-11</datestamp>
+        <setSpec>journal:ART</setSpec>
+        <setSpec>driver</setSpec>
+      </header>
+      <metadata>
+        <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+          <dc:title xml:lang="en-US">Sch&#246;ne Gr&#252;&#223;e &amp; more</dc:title>
+          <dc:creator>Doe, Jane</dc:creator>
+          <dc:creator>Roe, Richard</dc:creator>
+          <dc:description><![CDATA[Abstract with <b>markup</b>]]></dc:description>
+          <dc:rights/>
+        </oai_dc:dc>
+      </metadata>
+    </record>
+    <resumptionToken completeListSize="4580" cursor="0" expirationDate="2024-01-16T10:00:00Z">token-2</resumptionToken>
+  </ListRecords>
+</OAI-PMH>`;
+
+  beforeEach(() => {
+    parser = new OaiStreamParser();
+  });
+
+  it('should yield records in the same shape as xml2js', async () => {
+    const records = [];
+
+    const page = await parser.parse(listRecordsXml, (record, index) => {
+      records.push({ record, index });
+    });
+
+    const expected = await parseStringPromise(listRecordsXml, {
+      explicitArray: false,
+      ignoreAttrs: false,
+      mergeAttrs: true,
+    });
+    expect(records.map(({ record }) => record)).toEqual(expected['OAI-PMH'].ListRecords.record);
+    expect(records.map(({ index }) => index)).toEqual([1, 2]);
+    expect(page).toEqual({
+      xml: listRecordsXml,
+      recordCount: 2,
+      hasListRecords: true,
+      resumptionToken: {
+        token: 'token-2',
+        completeListSize: '4580',
+        cursor: '0',
+        expirationDate: '2024-01-16T10:00:00Z',
+      },
+      error: null,
+      encoding: expect.objectContaining({ encoding: 'utf-8', repaired: false }),
+      bytesRead: Buffer.byteLength(listRecordsXml),
+    });
+  });
+
+  it('should parse a chunked stream with multi-byte characters split across chunks', async () => {
+    const buffer = Buffer.from(listRecordsXml, 'utf8');
+    const chunks = [];
+    for (let offset = 0; offset < buffer.length; offset += 7) {
+      chunks.push(buffer.subarray(offset, offset + 7));
+    }
+    const titles = [];
+
+    const page = await parser.parse(Readable.from(chunks), record => {
+      titles.push(record.metadata?.['oai_dc:dc']?.['dc:title']?._);
+    });
+
+    expect(page.recordCount).toBe(2);
+    expect(page.xml).toBe(listRecordsXml);
+    expect(page.bytesRead).toBe(buffer.length);
+    expect(titles).toEqual([undefined, 'Schöne Grüße & more']);
+  });
+
+  it('should wait for the record callback before reading on', async () => {
+    const order = [];
+    const stream = Readable.from([
+      '<OAI-PMH><ListRecords><record><header><identifier>a</identifier></header></record>',
+      '<record><header><identifier>b</identifier></header></record></ListRecords></OAI-PMH>',
+    ]);
+
+    await parser.parse(stream, async record => {
+      order.push(`start ${record.header.identifier}`);
+      await Promise.resolve();
+      order.push(`end ${record.header.identifier}`);
+    });
+
+    expect(order).toEqual(['start a', 'end a', 'start b', 'end b']);
+  });
+
+  it('should capture OAI-PMH protocol errors', async () => {
+    const page = await parser.parse(
+      '<OAI-PMH><error code="badResumptionToken">Token expired</error></OAI-PMH>'
+    );
+
+    expect(page).toEqual(
+      expect.objectContaining({
+        hasListRecords: false,
+        recordCount: 0,
+        error: { code: 'badResumptionToken', message: 'Token expired' },
+      })
+    );
+  });
+
+  it('should report an empty final resumption token', async () => {
+    const page = await parser.parse(
+      '<OAI-PMH><ListRecords><resumptionToken completeListSize="1" cursor="0"/></ListRecords></OAI-PMH>'
+    );
+
+    expect(page.resumptionToken).toEqual({ token: null, completeListSize: '1', cursor: '0' });
+  });
+
+  it('should transcode a Windows-1252 stream labelled as UTF-8', async () => {
+    parser = new OaiStreamParser({ contentType: 'text/xml; charset=UTF-8' });
+    const xml =
+      '<OAI-PMH><ListRecords><record><metadata><title>Caf\u00e9</title></metadata></record>' +
+      '</ListRecords></OAI-PMH>';
+    const titles = [];
+
+    const page = await parser.parse(Readable.from([Buffer.from(xml, 'latin1')]), record => {
+      titles.push(record.metadata.title);
+    });
+
+    expect(titles).toEqual(['Caf\u00e9']);
+    expect(page.encoding).toEqual(
+      expect.objectContaining({
+        encoding: 'windows-1252',
+        source: 'heuristic',
+        headerEncoding: 'UTF-8',
+        repairs: ['encoding-corrected', 'transcoded-to-utf-8'],
+        repaired: true,
+      })
+    );
+  });
+
+  it('should throw error for malformed XML', async () => {
+    await expect(
+      parser.parse('<OAI-PMH><ListRecords><record></ListRecords></OAI-PMH>')
+    ).rejects.toThrow('Failed to parse OAI XML stream');
+  });
+
+  it('should rethrow errors reading the input with their code', async () => {
+    const input = async function* () {
+      yield Buffer.from('<OAI-PMH><ListRecords>');
+      throw Object.assign(new Error('aborted'), { code: 'ECONNRESET' });
+    };
+
+    await expect(parser.parse(input())).rejects.toEqual(
+      expect.objectContaining({ message: 'aborted', code: 'ECONNRESET' })
+    );
+  });
+
+  it('should only keep the page when asked to', async () => {
+    const page = await parser.parse(
+      '<OAI-PMH><ListRecords><record><header><identifier>r1</identifier></header></record></ListRecords></OAI-PMH>',
+      () => {},
+      { keepXml: false }
+    );
+
+    expect(page.xml).toBeNull();
+    expect(page.recordCount).toBe(1);
+  });
+});
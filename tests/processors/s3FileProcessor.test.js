@@ -1,8 +1,16 @@
+const { createHash } = require('crypto');
 const { S3FileProcessor } = require('../../src/processors/s3FileProcessor');
+const { withCorrelationScope, setCorrelation } = require('../../src/processors/correlationContext');
 
 // Mock AWS SDK v3
 jest.mock('@aws-sdk/client-s3');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
 
 describe('S3FileProcessor', () => {
   let processor;
@@ -15,6 +23,9 @@ describe('S3FileProcessor', () => {
     };
     S3Client.mockImplementation(() => mockS3Client);
     PutObjectCommand.mockImplementation(params => params);
+    GetObjectCommand.mockImplementation(params => params);
+    DeleteObjectCommand.mockImplementation(params => params);
+    ListObjectsV2Command.mockImplementation(params => params);
 
     // Set environment variable
     process.env.S3_BUCKET_NAME = 'test-bucket';
@@ -223,6 +234,19 @@ describe('S3FileProcessor', () => {
         'Failed to upload to S3: Access denied'
       );
     });
+
+    it('should store the correlation of the scraping request as object metadata', async () => {
+      await withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        await processor.uploadToS3('test/key.xml', 'content');
+      })();
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Metadata: { 'correlation-id': 'request-42', 'source-message-id': 'msg-1' },
+        })
+      );
+    });
   });
 
   describe('createXmlFile (legacy method)', () => {
@@ -248,6 +272,36 @@ describe('S3FileProcessor', () => {
 
       expect(result).toContain('<!-- No OAI data available -->');
     });
+
+    it('should record the response encoding and the repairs applied to it', () => {
+      const result = processor.createXmlFile(
+        '<OAI-PMH/>',
+        'test-journal',
+        'https://example.com/oai',
+        {
+          encoding: 'windows-1252',
+          source: 'heuristic',
+          repairs: ['encoding-corrected', 'transcoded-to-utf-8'],
+          repaired: true,
+        }
+      );
+
+      expect(result).toContain('<encoding>windows-1252</encoding>');
+      expect(result).toContain('<encodingSource>heuristic</encodingSource>');
+      expect(result).toContain(
+        '<encodingRepairs>encoding-corrected transcoded-to-utf-8</encodingRepairs>'
+      );
+    });
+
+    it('should leave out encoding details when none are given', () => {
+      const result = processor.createXmlFile(
+        '<OAI-PMH/>',
+        'test-journal',
+        'https://example.com/oai'
+      );
+
+      expect(result).not.toContain('<encoding>');
+    });
   });
 
   describe('createAndUploadXml (legacy method)', () => {
@@ -276,6 +330,23 @@ describe('S3FileProcessor', () => {
       expect(mockS3Client.send).toHaveBeenCalledTimes(1);
     });
 
+    it('should upload to a location chosen before', async () => {
+      const location = processor.createXmlLocation('test-journal');
+
+      const result = await processor.createAndUploadXml(
+        '<OAI-PMH/>',
+        'test-journal',
+        'https://example.com/oai',
+        null,
+        location
+      );
+
+      expect(result).toMatchObject(location);
+      expect(PutObjectCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ Key: location.s3Key })
+      );
+    });
+
     it('should handle errors during XML creation', async () => {
       jest.spyOn(processor, 'createXmlFile').mockImplementation(() => {
         throw new Error('XML creation failed');
@@ -293,6 +364,288 @@ describe('S3FileProcessor', () => {
         processor.createAndUploadXml('<test>data</test>', 'test-journal', 'https://example.com/oai')
       ).rejects.toThrow('Failed to upload to S3: S3 upload failed');
     });
+
+    it('should skip the upload when archiving is off', async () => {
+      processor = new S3FileProcessor({ archive: false });
+
+      const result = await processor.createAndUploadXml(
+        '<test>data</test>',
+        'test-journal',
+        'https://example.com/oai'
+      );
+
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        s3Bucket: null,
+        s3Key: null,
+        s3Url: null,
+        s3Path: null,
+        filename: null,
+        fileSize: null,
+        contentType: null,
+      });
+    });
+  });
+
+  describe('harvest state', () => {
+    it('should load harvest state from S3', async () => {
+      mockS3Client.send.mockResolvedValue({
+        Body: {
+          transformToString: jest
+            .fn()
+            .mockResolvedValue('{"lastHarvestDatestamp":"2024-03-15T10:00:00.000Z"}'),
+        },
+      });
+
+      const result = await processor.loadHarvestState('test-journal');
+
+      expect(result).toEqual({ lastHarvestDatestamp: '2024-03-15T10:00:00.000Z' });
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'harvest-state/test-journal.json',
+      });
+    });
+
+    it('should return null when no harvest state exists', async () => {
+      const notFound = new Error('The specified key does not exist.');
+      notFound.name = 'NoSuchKey';
+      mockS3Client.send.mockRejectedValue(notFound);
+
+      await expect(processor.loadHarvestState('test-journal')).resolves.toBeNull();
+    });
+
+    it('should fail on other S3 errors when loading harvest state', async () => {
+      mockS3Client.send.mockRejectedValue(new Error('Access denied'));
+
+      await expect(processor.loadHarvestState('test-journal')).rejects.toThrow(
+        'Failed to load harvest state: Failed to download from S3: Access denied'
+      );
+    });
+
+    it('should keep a separate harvest state per set', async () => {
+      await processor.saveHarvestState(
+        'test-journal',
+        { lastHarvestDatestamp: '2024-03-15' },
+        'a:b'
+      );
+
+      const params = PutObjectCommand.mock.calls[0][0];
+      expect(params.Key).toBe('harvest-state/test-journal/set-a%3Ab.json');
+      expect(JSON.parse(params.Body)).toEqual(expect.objectContaining({ setSpec: 'a:b' }));
+    });
+
+    it('should save harvest state as JSON', async () => {
+      await processor.saveHarvestState('test-journal', {
+        lastHarvestDatestamp: '2024-03-15T10:00:00.000Z',
+      });
+
+      const params = PutObjectCommand.mock.calls[0][0];
+      expect(params).toMatchObject({
+        Bucket: 'test-bucket',
+        Key: 'harvest-state/test-journal.json',
+        ContentType: 'application/json',
+      });
+      expect(JSON.parse(params.Body)).toEqual(
+        expect.objectContaining({
+          journalKey: 'test-journal',
+          lastHarvestDatestamp: '2024-03-15T10:00:00.000Z',
+        })
+      );
+    });
+  });
+
+  describe('harvest checkpoints', () => {
+    it('should save and load a checkpoint per journal and set', async () => {
+      await processor.saveCheckpoint(
+        'test-journal',
+        { resumptionToken: 'token-3', pageNumber: 3, recordsProcessed: 300 },
+        'a:b'
+      );
+
+      const params = PutObjectCommand.mock.calls[0][0];
+      expect(params.Key).toBe('harvest-checkpoints/test-journal/set-a%3Ab.json');
+      expect(JSON.parse(params.Body)).toEqual(
+        expect.objectContaining({ resumptionToken: 'token-3', pageNumber: 3, setSpec: 'a:b' })
+      );
+
+      mockS3Client.send.mockResolvedValue({
+        Body: { transformToString: jest.fn().mockResolvedValue(params.Body) },
+      });
+      await expect(processor.loadCheckpoint('test-journal', 'a:b')).resolves.toEqual(
+        expect.objectContaining({ resumptionToken: 'token-3', recordsProcessed: 300 })
+      );
+    });
+
+    it('should return null when no checkpoint exists', async () => {
+      mockS3Client.send.mockRejectedValue({ name: 'NoSuchKey', message: 'Not found' });
+
+      await expect(processor.loadCheckpoint('test-journal')).resolves.toBeNull();
+    });
+
+    it('should delete the checkpoint of a completed harvest', async () => {
+      await processor.deleteCheckpoint('test-journal');
+
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'harvest-checkpoints/test-journal.json',
+      });
+    });
+
+    it('should throw error when the delete fails', async () => {
+      mockS3Client.send.mockRejectedValue(new Error('Access denied'));
+
+      await expect(processor.deleteCheckpoint('test-journal')).rejects.toThrow(
+        'Failed to delete from S3: Access denied'
+      );
+    });
+  });
+
+  describe('host rate limit state', () => {
+    it('should load the state with its ETag as version', async () => {
+      mockS3Client.send.mockResolvedValue({
+        ETag: '"etag-1"',
+        Body: { transformToString: jest.fn().mockResolvedValue('{"lastRequestAt":1000}') },
+      });
+
+      await expect(processor.loadHostRateLimitState('example.com')).resolves.toEqual({
+        state: { lastRequestAt: 1000 },
+        version: '"etag-1"',
+      });
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'rate-limits/example.com.json',
+      });
+    });
+
+    it('should return an empty state when none is stored yet', async () => {
+      mockS3Client.send.mockRejectedValue({ name: 'NoSuchKey', message: 'Not found' });
+
+      await expect(processor.loadHostRateLimitState('example.com')).resolves.toEqual({
+        state: null,
+        version: null,
+      });
+    });
+
+    it('should only overwrite the loaded version', async () => {
+      await expect(
+        processor.saveHostRateLimitState('example.com', { lastRequestAt: 2000 }, '"etag-1"')
+      ).resolves.toBe(true);
+      await processor.saveHostRateLimitState('example.com', { lastRequestAt: 2000 }, null);
+
+      expect(PutObjectCommand.mock.calls[0][0]).toEqual(
+        expect.objectContaining({ Key: 'rate-limits/example.com.json', IfMatch: '"etag-1"' })
+      );
+      expect(PutObjectCommand.mock.calls[1][0]).toEqual(
+        expect.objectContaining({ IfNoneMatch: '*' })
+      );
+    });
+
+    it('should report a concurrent update instead of throwing', async () => {
+      mockS3Client.send.mockRejectedValue({
+        name: 'PreconditionFailed',
+        message: 'At least one of the pre-conditions you specified did not hold',
+        $metadata: { httpStatusCode: 412 },
+      });
+
+      await expect(
+        processor.saveHostRateLimitState('example.com', { lastRequestAt: 2000 }, '"etag-1"')
+      ).resolves.toBe(false);
+    });
+
+    it('should throw error when the save fails', async () => {
+      mockS3Client.send.mockRejectedValue(new Error('Access denied'));
+
+      await expect(processor.saveHostRateLimitState('example.com', {}, null)).rejects.toThrow(
+        'Failed to save rate limit state: Access denied'
+      );
+    });
+  });
+
+  describe('message payloads', () => {
+    it('should store a message payload with its checksum', async () => {
+      const message = { journalKey: 'test journal', messageType: 'ArticleBatch', articles: [] };
+      const body = JSON.stringify(message);
+
+      const claimCheck = await processor.uploadMessagePayload(message);
+
+      expect(claimCheck).toEqual({
+        s3Bucket: 'test-bucket',
+        s3Key: expect.stringMatching(
+          /^message-payloads\/test%20journal\/\d{4}-\d{2}-\d{2}\/ArticleBatch-[0-9a-f-]+\.json$/
+        ),
+        s3Url: expect.stringContaining(claimCheck.s3Key),
+        size: body.length,
+        checksum: createHash('sha256').update(body).digest('hex'),
+        checksumAlgorithm: 'SHA-256',
+      });
+      expect(PutObjectCommand).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Key: claimCheck.s3Key,
+          Body: body,
+          ContentType: 'application/json',
+        })
+      );
+    });
+  });
+
+  describe('dead letters', () => {
+    it('should store a dead letter under the journal and day', async () => {
+      const deadLetter = { journalKey: 'test-journal', messageType: 'ArticleBatch', message: {} };
+
+      const key = await processor.saveDeadLetter(deadLetter);
+
+      expect(key).toMatch(
+        /^dead-letters\/test-journal\/\d{4}-\d{2}-\d{2}\/ArticleBatch-[0-9a-f-]+\.json$/
+      );
+      expect(PutObjectCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ Key: key, Body: JSON.stringify(deadLetter) })
+      );
+    });
+
+    it('should list dead letter keys across pages up to the limit', async () => {
+      mockS3Client.send
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'dead-letters/a/1.json' }, { Key: 'dead-letters/a/2.json' }],
+          IsTruncated: true,
+          NextContinuationToken: 'next',
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'dead-letters/b/3.json' }, { Key: 'dead-letters/b/4.json' }],
+          IsTruncated: true,
+          NextContinuationToken: 'last',
+        });
+
+      const keys = await processor.listDeadLetterKeys(3);
+
+      expect(keys).toEqual([
+        'dead-letters/a/1.json',
+        'dead-letters/a/2.json',
+        'dead-letters/b/3.json',
+      ]);
+      expect(ListObjectsV2Command).toHaveBeenCalledTimes(2);
+      expect(ListObjectsV2Command).toHaveBeenLastCalledWith(
+        expect.objectContaining({ Prefix: 'dead-letters/', MaxKeys: 1, ContinuationToken: 'next' })
+      );
+    });
+
+    it('should only list the dead letters of a journal when given', async () => {
+      mockS3Client.send.mockResolvedValueOnce({ IsTruncated: false });
+
+      await expect(processor.listDeadLetterKeys(10, 'test journal')).resolves.toEqual([]);
+      expect(ListObjectsV2Command).toHaveBeenCalledWith(
+        expect.objectContaining({ Prefix: 'dead-letters/test%20journal/' })
+      );
+    });
+
+    it('should load a stored dead letter', async () => {
+      mockS3Client.send.mockResolvedValueOnce({
+        Body: { transformToString: jest.fn().mockResolvedValue('{"deadLetterId":"1"}') },
+      });
+
+      await expect(processor.loadDeadLetter('dead-letters/a/1.json')).resolves.toEqual({
+        deadLetterId: '1',
+      });
+    });
   });
 
   describe('escapeXml', () => {
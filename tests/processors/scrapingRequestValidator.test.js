@@ -0,0 +1,115 @@
+const { ScrapingRequestValidator } = require('../../src/processors/scrapingRequestValidator');
+
+describe('ScrapingRequestValidator', () => {
+  let validator;
+
+  const request = { url: 'https://example.com/oai', journal_key: 'test-journal' };
+
+  beforeEach(() => {
+    validator = new ScrapingRequestValidator();
+  });
+
+  it('should accept a request with the supported options', () => {
+    const body = JSON.stringify({
+      ...request,
+      metadata_prefix: 'oai_dc',
+      from: '2024-01-01',
+      until: '2024-06-30T23:59:59Z',
+      list_sets: true,
+      sets: ['journalA', 'journalB'],
+      correlation_id: 'request-42',
+      options: {
+        max_pages: 10,
+        timeout_ms: 30000,
+        batch_size: 25,
+        page_delay_ms: 2000,
+        metadata_prefix: 'jats',
+        skip_identify: true,
+        skip_s3_archive: true,
+        max_records: 500,
+      },
+    });
+
+    expect(validator.parse(body)).toEqual({
+      valid: true,
+      messageData: JSON.parse(body),
+      errorCode: null,
+      errors: [],
+    });
+  });
+
+  it('should accept the continuation messages of a harvest', () => {
+    const continuation = {
+      ...request,
+      messageType: 'HarvestContinuation',
+      sets: 'journalB',
+      base_url: 'https://example.com/oai2',
+      metadata_prefix: 'jats',
+      granularity: null,
+      deleted_record: 'persistent',
+      list_sets: false,
+      resume: true,
+      harvest_run: { runId: 'run-1', stats: {} },
+    };
+
+    expect(validator.validate(continuation)).toEqual([]);
+  });
+
+  it('should reject a body that is not JSON', () => {
+    const { valid, messageData, errorCode, errors } = validator.parse('invalid json');
+
+    expect(valid).toBe(false);
+    expect(messageData).toBeNull();
+    expect(errorCode).toBe('INVALID_JSON');
+    expect(errors).toEqual([expect.stringMatching(/^\/ is not valid JSON: /)]);
+  });
+
+  it('should report every problem of an invalid request', () => {
+    const { errorCode, errors } = validator.parse(
+      JSON.stringify({
+        url: 'ftp://example.com/oai',
+        journal_key: '',
+        incremental: 'yes',
+        from: '01/01/2024',
+        identifiers: ['oai:1', 2],
+        max_pages: 10,
+      })
+    );
+
+    expect(errorCode).toBe('INVALID_REQUEST');
+    expect(errors).toEqual([
+      '/ must not have unknown field max_pages',
+      expect.stringContaining('/url must match pattern'),
+      '/journal_key must NOT have fewer than 1 characters',
+      expect.stringContaining('/from must match pattern'),
+      '/incremental must be boolean',
+      '/identifiers/1 must be string',
+    ]);
+  });
+
+  it('should reject unknown and out of range harvest options', () => {
+    expect(
+      validator.validate({
+        ...request,
+        options: { max_pages: 0, batch_size: 1000, skip_identify: 'yes', retries: 3 },
+      })
+    ).toEqual([
+      '/options must not have unknown field retries',
+      '/options/max_pages must be >= 1',
+      '/options/batch_size must be <= 200',
+      '/options/skip_identify must be boolean',
+    ]);
+  });
+
+  it('should reject URLs the URL parser does not accept', () => {
+    expect(validator.validate({ ...request, url: 'https://[example.com/oai' })).toEqual([
+      '/url must be a valid http or https URL',
+    ]);
+    expect(validator.validate(null)).toEqual(['/ must be object']);
+  });
+
+  it('should cut long requests for the rejection message', () => {
+    expect(validator.truncateRequest('x'.repeat(20000))).toHaveLength(10000);
+    expect(validator.truncateRequest('{}')).toBe('{}');
+  });
+});
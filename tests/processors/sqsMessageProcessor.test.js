@@ -1,8 +1,41 @@
 const { SqsMessageProcessor } = require('../../src/processors/sqsMessageProcessor');
+const { withCorrelationScope, setCorrelation } = require('../../src/processors/correlationContext');
+const { MessageSchemaValidator } = require('../../src/processors/messageSchemaValidator');
 
 // Mock AWS SDK v3
 jest.mock('@aws-sdk/client-sqs');
-const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { SQSClient, SendMessageCommand, SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+
+// An article as parsed by XmlArticleProcessor
+const createArticle = (index, fields = {}) => ({
+  journalKey: 'test-journal',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  type: 'ListRecords',
+  identifier: `oai:${index}`,
+  ...fields,
+});
+
+// An ArticleBatch message matching src/schemas/articleBatch.schema.json
+const createArticleBatchMessage = (articles, fields = {}) => ({
+  journalKey: 'test-journal',
+  oaiUrl: 'https://example.com/oai',
+  s3Url: 'https://test-bucket.s3.amazonaws.com/page.xml',
+  s3Key: 'page.xml',
+  s3FileName: 'page.xml',
+  messageType: 'ArticleBatch',
+  source: 'scraping-service',
+  pageNumber: 1,
+  batchNumber: 1,
+  totalBatches: 1,
+  articlesInBatch: articles.length,
+  totalArticlesInPage: articles.length,
+  totalRecordsProcessed: articles.length,
+  success: true,
+  errorCode: null,
+  errorMessage: null,
+  articles,
+  ...fields,
+});
 
 describe('SqsMessageProcessor', () => {
   let processor;
@@ -15,6 +48,7 @@ describe('SqsMessageProcessor', () => {
     };
     SQSClient.mockImplementation(() => mockSQSClient);
     SendMessageCommand.mockImplementation(params => params);
+    SendMessageBatchCommand.mockImplementation(params => params);
 
     // Set environment variable
     process.env.SQS_INTEGRATION_QUEUE_URL =
@@ -171,6 +205,582 @@ describe('SqsMessageProcessor', () => {
     });
   });
 
+  describe('sendMessages', () => {
+    const batchResponse = (entries, failedIds = [], senderFault = false) => ({
+      Successful: entries
+        .filter(entry => !failedIds.includes(entry.Id))
+        .map(entry => ({ Id: entry.Id, MessageId: `id-${entry.Id}` })),
+      Failed: failedIds.map(Id => ({
+        Id,
+        Code: senderFault ? 'InvalidParameterValue' : 'InternalError',
+        Message: 'Entry failed',
+        SenderFault: senderFault,
+      })),
+    });
+
+    const createMessages = count =>
+      Array.from({ length: count }, (_, index) =>
+        createArticleBatchMessage([createArticle(index)], { batchNumber: index + 1 })
+      );
+
+    beforeEach(() => {
+      jest.spyOn(processor, 'delay').mockResolvedValue();
+      mockSQSClient.send.mockImplementation(async command => batchResponse(command.Entries));
+    });
+
+    it('should send up to 10 messages per SendMessageBatch call', async () => {
+      const results = await processor.sendMessages(createMessages(23));
+
+      expect(mockSQSClient.send).toHaveBeenCalledTimes(3);
+      expect(SendMessageBatchCommand.mock.calls.map(([params]) => params.Entries.length)).toEqual([
+        10, 10, 3,
+      ]);
+      expect(SendMessageBatchCommand.mock.calls[0][0]).toEqual(
+        expect.objectContaining({
+          QueueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/test-integration-queue',
+        })
+      );
+      expect(SendMessageBatchCommand.mock.calls[0][0].Entries[0]).toEqual({
+        Id: '0',
+        MessageBody: expect.stringContaining('"batchNumber":1'),
+        MessageAttributes: expect.objectContaining({
+          messageType: { DataType: 'String', StringValue: 'ArticleBatch' },
+        }),
+      });
+      expect(results).toHaveLength(23);
+      expect(results.every(result => result.success)).toBe(true);
+    });
+
+    it('should keep each call below the batch size limit', async () => {
+      const messages = createMessages(3).map(message => ({
+        ...message,
+        abstract: 'x'.repeat(100 * 1024),
+      }));
+
+      await processor.sendMessages(messages);
+
+      expect(SendMessageBatchCommand.mock.calls.map(([params]) => params.Entries.length)).toEqual([
+        2, 1,
+      ]);
+    });
+
+    it('should count the message attributes towards the batch size limit', async () => {
+      const [message] = createMessages(1);
+      const bodyBytes = Buffer.byteLength(JSON.stringify(processor.createEnvelope(message)));
+      // Two bodies fit in one call, with their attributes they do not
+      const messages = createMessages(2).map(message => ({
+        ...message,
+        abstract: 'x'.repeat(128 * 1024 - bodyBytes - 20),
+      }));
+
+      await processor.sendMessages(messages);
+
+      expect(SendMessageBatchCommand.mock.calls.map(([params]) => params.Entries.length)).toEqual([
+        1, 1,
+      ]);
+    });
+
+    it('should only retry the entries that failed', async () => {
+      mockSQSClient.send
+        .mockImplementationOnce(async command => batchResponse(command.Entries, ['1', '3']))
+        .mockImplementationOnce(async command => batchResponse(command.Entries));
+
+      const results = await processor.sendMessages(createMessages(4));
+
+      expect(mockSQSClient.send).toHaveBeenCalledTimes(2);
+      const retried = SendMessageBatchCommand.mock.calls[1][0].Entries.map(
+        entry => JSON.parse(entry.MessageBody).batchNumber
+      );
+      expect(retried).toEqual([2, 4]);
+      expect(results.map(result => result.success)).toEqual([true, true, true, true]);
+      expect(results[1]).toEqual({
+        success: true,
+        messageId: 'id-0',
+        errorCode: null,
+        errorMessage: null,
+      });
+    });
+
+    it('should report entries rejected by SQS without retrying them', async () => {
+      mockSQSClient.send.mockImplementationOnce(async command =>
+        batchResponse(command.Entries, ['0'], true)
+      );
+
+      const results = await processor.sendMessages(createMessages(2));
+
+      expect(mockSQSClient.send).toHaveBeenCalledTimes(1);
+      expect(results[0]).toEqual({
+        success: false,
+        messageId: null,
+        errorCode: 'InvalidParameterValue',
+        errorMessage: 'Entry failed',
+      });
+      expect(results[1].success).toBe(true);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      mockSQSClient.send.mockRejectedValue(new Error('Service unavailable'));
+
+      const results = await processor.sendMessages(createMessages(2));
+
+      expect(mockSQSClient.send).toHaveBeenCalledTimes(3);
+      expect(results).toEqual([
+        expect.objectContaining({
+          success: false,
+          errorMessage: 'Failed to send message batch to SQS: Service unavailable',
+        }),
+        expect.objectContaining({ success: false }),
+      ]);
+    });
+  });
+
+  describe('oversized messages', () => {
+    let mockS3Processor;
+
+    const createArticleBatch = count =>
+      createArticleBatchMessage(
+        Array.from({ length: count }, (_, index) =>
+          createArticle(index, { abstract: 'x'.repeat(1000) })
+        )
+      );
+
+    beforeEach(() => {
+      process.env.SQS_MAX_MESSAGE_BYTES = '5000';
+      mockS3Processor = {
+        uploadMessagePayload: jest.fn().mockResolvedValue({
+          s3Bucket: 'test-bucket',
+          s3Key: 'message-payloads/test-journal/2024-01-01/ArticleBatch-1.json',
+          s3Url: 'https://test-bucket.s3.amazonaws.com/payload.json',
+          size: 12000,
+          checksum: 'abc123',
+          checksumAlgorithm: 'SHA-256',
+        }),
+      };
+      processor = new SqsMessageProcessor({ s3Processor: mockS3Processor });
+      mockSQSClient.send.mockImplementation(async command => ({
+        MessageId: 'single-id',
+        Successful: (command.Entries || []).map(entry => ({
+          Id: entry.Id,
+          MessageId: `id-${entry.Id}`,
+        })),
+      }));
+    });
+
+    afterEach(() => {
+      delete process.env.SQS_MAX_MESSAGE_BYTES;
+      delete process.env.SQS_OVERSIZE_STRATEGY;
+    });
+
+    it('should split an oversized batch into parts that fit', async () => {
+      const results = await processor.sendMessages([createArticleBatch(10)]);
+
+      const parts = SendMessageBatchCommand.mock.calls[0][0].Entries.map(entry =>
+        JSON.parse(entry.MessageBody)
+      );
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part, index) => {
+        expect(Buffer.byteLength(JSON.stringify(part))).toBeLessThanOrEqual(5000);
+        expect(part).toEqual(
+          expect.objectContaining({
+            partNumber: index + 1,
+            totalParts: parts.length,
+            articlesInBatch: part.articles.length,
+          })
+        );
+      });
+      expect(parts.flatMap(part => part.articles)).toHaveLength(10);
+      expect(results).toEqual([expect.objectContaining({ success: true, messageId: 'id-0' })]);
+      expect(mockS3Processor.uploadMessagePayload).not.toHaveBeenCalled();
+    });
+
+    it('should send a claim check when configured to use S3', async () => {
+      process.env.SQS_OVERSIZE_STRATEGY = 's3';
+      processor = new SqsMessageProcessor({ s3Processor: mockS3Processor });
+      const message = createArticleBatch(10);
+
+      await processor.sendMessages([message]);
+
+      expect(mockS3Processor.uploadMessagePayload).toHaveBeenCalledWith(
+        expect.objectContaining({ articles: message.articles })
+      );
+      const [entry] = SendMessageBatchCommand.mock.calls[0][0].Entries;
+      const sent = JSON.parse(entry.MessageBody);
+      expect(sent.articles).toBeUndefined();
+      expect(sent).toEqual(
+        expect.objectContaining({
+          messageType: 'ArticleBatch',
+          articlesInBatch: 10,
+          claimCheck: expect.objectContaining({
+            s3Key: 'message-payloads/test-journal/2024-01-01/ArticleBatch-1.json',
+            checksum: 'abc123',
+          }),
+        })
+      );
+    });
+
+    it('should send split parts and claim checks that match their schema', async () => {
+      const validator = new MessageSchemaValidator();
+      const message = createArticleBatch(10);
+      message.articles[9].abstract = 'x'.repeat(6000);
+
+      const results = await processor.sendMessages([message]);
+
+      const sent = SendMessageBatchCommand.mock.calls[0][0].Entries.map(entry =>
+        JSON.parse(entry.MessageBody)
+      );
+      const claimCheckMessage = sent.find(part => part.claimCheck);
+      expect(claimCheckMessage).toEqual(
+        expect.objectContaining({ partNumber: sent.length, totalParts: sent.length })
+      );
+      sent.forEach(part => expect(validator.validate(part).errors).toEqual([]));
+      expect(results).toEqual([expect.objectContaining({ success: true })]);
+    });
+
+    it('should not accept a claim check message that still carries its payload', () => {
+      const validator = new MessageSchemaValidator();
+      const message = processor.createEnvelope({
+        ...createArticleBatchMessage([createArticle(0)]),
+        claimCheck: {
+          s3Bucket: 'test-bucket',
+          s3Key: 'payload.json',
+          s3Url: 'https://test-bucket.s3.amazonaws.com/payload.json',
+          size: 100,
+          checksum: 'abc123',
+          checksumAlgorithm: 'SHA-256',
+        },
+      });
+
+      expect(validator.validate(message).valid).toBe(false);
+      delete message.articles;
+      expect(validator.validate(message).errors).toEqual([]);
+    });
+
+    it('should use a claim check for a single article that does not fit', async () => {
+      const message = createArticleBatch(1);
+      message.articles[0].abstract = 'x'.repeat(6000);
+
+      await processor.sendMessages([message]);
+
+      expect(mockS3Processor.uploadMessagePayload).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use a claim check for oversized single messages', async () => {
+      await processor.sendMessage({
+        journalKey: 'test-journal',
+        s3Url: 'https://test-bucket.s3.amazonaws.com/identify.xml',
+        s3Key: 'identify.xml',
+        s3FileName: 'identify.xml',
+        messageType: 'Identify',
+        source: 'scraping-service',
+        metadataPrefix: 'oai_dc',
+        harvestUrl: 'https://example.com/oai',
+        success: true,
+        data: { journalKey: 'test-journal', type: 'Identify', description: 'x'.repeat(6000) },
+      });
+
+      const sent = JSON.parse(SendMessageCommand.mock.calls[0][0].MessageBody);
+      expect(sent.data).toBeUndefined();
+      expect(sent.claimCheck).toEqual(expect.objectContaining({ checksum: 'abc123' }));
+      expect(new MessageSchemaValidator().validate(sent).errors).toEqual([]);
+    });
+
+    it('should report a message whose payload could not be stored', async () => {
+      mockS3Processor.uploadMessagePayload.mockRejectedValue(new Error('Access denied'));
+      const message = createArticleBatch(1);
+      message.articles[0].abstract = 'x'.repeat(6000);
+
+      const results = await processor.sendMessages([message, createArticleBatch(1)]);
+
+      expect(results).toEqual([
+        expect.objectContaining({ success: false, errorCode: 'CLAIM_CHECK_FAILED' }),
+        expect.objectContaining({ success: true }),
+      ]);
+    });
+  });
+
+  describe('message envelope', () => {
+    const sentBodies = () =>
+      SendMessageBatchCommand.mock.calls.flatMap(([params]) =>
+        params.Entries.map(entry => JSON.parse(entry.MessageBody))
+      );
+
+    beforeEach(() => {
+      mockSQSClient.send.mockImplementation(async command => ({
+        MessageId: 'single-id',
+        Successful: (command.Entries || []).map(entry => ({ Id: entry.Id, MessageId: 'id' })),
+      }));
+    });
+
+    afterEach(() => {
+      delete process.env.MESSAGE_SCHEMA_VALIDATION;
+    });
+
+    it('should add the envelope fields to every message', async () => {
+      await processor.sendMessages([createArticleBatchMessage([createArticle(1)])]);
+
+      expect(sentBodies()[0]).toEqual(
+        expect.objectContaining({
+          schemaVersion: '1.4',
+          messageId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+          runId: null,
+          type: 'ArticleBatch',
+          messageType: 'ArticleBatch',
+        })
+      );
+    });
+
+    it('should keep the messageId and runId of a message', () => {
+      const message = processor.createEnvelope({
+        messageId: 'replayed-id',
+        runId: 'run-1',
+        type: 'Error',
+        messageType: 'ListRecords',
+      });
+
+      expect(message).toEqual(
+        expect.objectContaining({ messageId: 'replayed-id', runId: 'run-1', type: 'Error' })
+      );
+    });
+
+    it('should not send a message that does not match its schema', async () => {
+      const invalid = createArticleBatchMessage([createArticle(1)], { s3Key: undefined });
+
+      await expect(processor.sendMessage(invalid)).rejects.toMatchObject({
+        errorCode: 'MESSAGE_SCHEMA_INVALID',
+        message: expect.stringContaining("must have required property 's3Key'"),
+      });
+      expect(mockSQSClient.send).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid messages of a batch without sending them', async () => {
+      const results = await processor.sendMessages([
+        createArticleBatchMessage([createArticle(1)], { batchNumber: 0 }),
+        createArticleBatchMessage([createArticle(2)], { batchNumber: 2 }),
+      ]);
+
+      expect(results).toEqual([
+        expect.objectContaining({ success: false, errorCode: 'MESSAGE_SCHEMA_INVALID' }),
+        expect.objectContaining({ success: true }),
+      ]);
+      expect(sentBodies().map(body => body.batchNumber)).toEqual([2]);
+    });
+
+    it('should only log schema problems when validation is set to warn', async () => {
+      process.env.MESSAGE_SCHEMA_VALIDATION = 'warn';
+      processor = new SqsMessageProcessor();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const results = await processor.sendMessages([
+        createArticleBatchMessage([createArticle(1)], { batchNumber: 0 }),
+      ]);
+
+      expect(results[0].success).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('does not match articleBatch.schema.json')
+      );
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('correlation', () => {
+    it('should stamp the correlation on the message and its attributes', async () => {
+      await withCorrelationScope(async () => {
+        setCorrelation({ correlationId: 'request-42', sourceMessageId: 'msg-1' });
+        await processor.sendMessage(createArticleBatchMessage([createArticle(1)]));
+      })();
+
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(JSON.parse(params.MessageBody)).toEqual(
+        expect.objectContaining({ correlationId: 'request-42', sourceMessageId: 'msg-1' })
+      );
+      expect(params.MessageAttributes.correlationId).toEqual({
+        DataType: 'String',
+        StringValue: 'request-42',
+      });
+      expect(params.MessageAttributes.sourceMessageId.StringValue).toBe('msg-1');
+    });
+
+    it('should keep the correlation of a replayed message', async () => {
+      await processor.sendMessage(
+        createArticleBatchMessage([createArticle(1)], { correlationId: 'request-7' })
+      );
+
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.MessageAttributes.correlationId.StringValue).toBe('request-7');
+      expect(params.MessageAttributes).not.toHaveProperty('sourceMessageId');
+    });
+  });
+
+  describe('FIFO queues', () => {
+    const fifoQueueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/integration.fifo';
+    const pageMessage = createArticleBatchMessage([createArticle(1)], {
+      runId: 'run-1',
+      pageNumber: 3,
+      batchNumber: 2,
+      timestamp: '2024-01-01T00:00:00.000Z',
+    });
+
+    const createFifoProcessor = () => {
+      process.env.SQS_INTEGRATION_QUEUE_URL = fifoQueueUrl;
+      return new SqsMessageProcessor();
+    };
+
+    afterEach(() => {
+      delete process.env.SQS_INTEGRATION_QUEUE_FIFO;
+    });
+
+    it('should detect a FIFO integration queue from its URL', () => {
+      expect(processor.integrationQueueFifo).toBe(false);
+      expect(createFifoProcessor().integrationQueueFifo).toBe(true);
+    });
+
+    it('should let SQS_INTEGRATION_QUEUE_FIFO override the URL', () => {
+      process.env.SQS_INTEGRATION_QUEUE_FIFO = 'true';
+
+      expect(new SqsMessageProcessor().integrationQueueFifo).toBe(true);
+    });
+
+    it('should group messages by journal and deduplicate them', async () => {
+      const fifoProcessor = createFifoProcessor();
+
+      await fifoProcessor.sendMessage(pageMessage);
+
+      expect(SendMessageCommand).toHaveBeenCalledWith(
+        expect.objectContaining({
+          QueueUrl: fifoQueueUrl,
+          MessageGroupId: 'test-journal',
+          MessageDeduplicationId: expect.stringMatching(/^[0-9a-f]{64}$/),
+        })
+      );
+    });
+
+    it('should derive the same deduplication ID for the same page and batch', () => {
+      const id = processor.createDeduplicationId(pageMessage);
+
+      expect(
+        processor.createDeduplicationId({ ...pageMessage, timestamp: '2024-01-02T00:00:00.000Z' })
+      ).toBe(id);
+      expect(processor.createDeduplicationId({ ...pageMessage, batchNumber: 3 })).not.toBe(id);
+      expect(processor.createDeduplicationId({ ...pageMessage, runId: 'run-2' })).not.toBe(id);
+      expect(processor.createDeduplicationId({ ...pageMessage, partNumber: 1 })).not.toBe(id);
+    });
+
+    it('should tell the messages of the invocations of a run apart by their continuation', () => {
+      const interrupted = {
+        journalKey: 'test-journal',
+        messageType: 'HarvestInterrupted',
+        runId: 'run-1',
+        continuation: 0,
+        timestamp: '2024-01-01T00:00:00.000Z',
+      };
+      const id = processor.createDeduplicationId(interrupted);
+
+      expect(
+        processor.createDeduplicationId({ ...interrupted, messageId: 'm-2', timestamp: 'later' })
+      ).toBe(id);
+      expect(processor.createDeduplicationId({ ...interrupted, continuation: 1 })).not.toBe(id);
+      expect(
+        processor.createDeduplicationId({ ...interrupted, messageType: 'HarvestCompleted' })
+      ).not.toBe(id);
+    });
+
+    it('should deduplicate messages outside of harvest runs by their content', () => {
+      const message = {
+        journalKey: 'test-journal',
+        messageType: 'ArticleBatch',
+        messageId: 'm-1',
+        pageNumber: 1,
+        timestamp: '2024-01-01T00:00:00.000Z',
+      };
+      const id = processor.createDeduplicationId(message);
+
+      // The envelope gets a new messageId and timestamp each time the message is sent
+      expect(
+        processor.createDeduplicationId({ ...message, messageId: 'm-2', timestamp: 'later' })
+      ).toBe(id);
+      expect(processor.createDeduplicationId({ ...message, partNumber: 2 })).not.toBe(id);
+      expect(processor.createDeduplicationId({ ...message, pageNumber: 2 })).not.toBe(id);
+    });
+
+    it('should identify a claim-check payload by its checksum', () => {
+      const message = {
+        journalKey: 'test-journal',
+        messageType: 'ArticleBatch',
+        claimCheck: {
+          s3Key: 'payload-1.json',
+          s3Url: 's3://bucket/payload-1.json',
+          checksum: 'abc',
+        },
+      };
+      const id = processor.createDeduplicationId(message);
+
+      expect(
+        processor.createDeduplicationId({
+          ...message,
+          claimCheck: {
+            s3Key: 'payload-2.json',
+            s3Url: 's3://bucket/payload-2.json',
+            checksum: 'abc',
+          },
+        })
+      ).toBe(id);
+      expect(
+        processor.createDeduplicationId({ ...message, claimCheck: { checksum: 'def' } })
+      ).not.toBe(id);
+    });
+
+    it('should set the FIFO parameters on batch entries', async () => {
+      const fifoProcessor = createFifoProcessor();
+      mockSQSClient.send.mockResolvedValue({ Successful: [{ Id: '0', MessageId: 'id-0' }] });
+
+      await fifoProcessor.sendMessages([pageMessage]);
+
+      expect(SendMessageBatchCommand.mock.calls[0][0].Entries[0]).toEqual(
+        expect.objectContaining({
+          MessageGroupId: 'test-journal',
+          MessageDeduplicationId: fifoProcessor.createDeduplicationId(pageMessage),
+        })
+      );
+    });
+
+    it('should not set FIFO parameters for standard queues', async () => {
+      await processor.sendMessage(pageMessage);
+
+      expect(SendMessageCommand.mock.calls[0][0]).not.toHaveProperty('MessageGroupId');
+      expect(SendMessageCommand.mock.calls[0][0]).not.toHaveProperty('MessageDeduplicationId');
+    });
+  });
+
+  describe('sendContinuationMessage', () => {
+    it('should send the continuation to the scraping queue', async () => {
+      const result = await processor.sendContinuationMessage({
+        url: 'https://example.com/oai',
+        journal_key: 'test-journal',
+        resume: true,
+      });
+
+      expect(result).toBe('test-message-id-123');
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.QueueUrl).toBe(process.env.SQS_SCRAPING_QUEUE_URL);
+      expect(JSON.parse(params.MessageBody)).toEqual({
+        url: 'https://example.com/oai',
+        journal_key: 'test-journal',
+        resume: true,
+        messageType: 'HarvestContinuation',
+      });
+      expect(params.MessageAttributes.journalKey.StringValue).toBe('test-journal');
+    });
+
+    it('should throw error if SQS_SCRAPING_QUEUE_URL is not set', async () => {
+      processor.scrapingQueueUrl = undefined;
+
+      await expect(
+        processor.sendContinuationMessage({ url: 'https://example.com/oai', journal_key: 'x' })
+      ).rejects.toThrow('SQS_SCRAPING_QUEUE_URL environment variable is required');
+      expect(mockSQSClient.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe('sendMessageToQueue', () => {
     it('should send message with correct parameters', async () => {
       const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/test-queue';
@@ -25,7 +25,7 @@ describe('XmlArticleProcessor', () => {
       const result = await processor.parseIdentifyXml(identifyXml, 'test-journal-key');
 
       expect(result).toMatchObject({
-        journal_key: 'test-journal-key',
+        journalKey: 'test-journal-key',
         type: 'Identify',
         repositoryName: 'Test Repository',
         baseURL: 'https://example.com/oai',
@@ -35,7 +35,34 @@ describe('XmlArticleProcessor', () => {
         deletedRecord: 'persistent',
         granularity: 'YYYY-MM-DD',
       });
-      expect(result.created_at).toBeDefined();
+      expect(result.createdAt).toBeDefined();
+    });
+
+    it('should read Identify values with attributes or repeated elements as strings', async () => {
+      const identifyXml = `<?xml version="1.0" encoding="UTF-8"?>
+        <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+          <Identify>
+            <repositoryName xml:lang="en">Test Repository</repositoryName>
+            <repositoryName xml:lang="de">Test-Repositorium</repositoryName>
+            <baseURL type="https"> https://example.com/oai </baseURL>
+            <protocolVersion>2.0</protocolVersion>
+            <earliestDatestamp>2020-01-01</earliestDatestamp>
+            <deletedRecord>persistent</deletedRecord>
+            <granularity>YYYY-MM-DD</granularity>
+            <granularity>YYYY-MM-DDThh:mm:ssZ</granularity>
+          </Identify>
+        </OAI-PMH>`;
+
+      const result = await processor.parseIdentifyXml(identifyXml, 'test-journal-key');
+
+      expect(result).toMatchObject({
+        repositoryName: 'Test Repository',
+        baseURL: 'https://example.com/oai',
+        protocolVersion: '2.0',
+        earliestDatestamp: '2020-01-01',
+        deletedRecord: 'persistent',
+        granularity: 'YYYY-MM-DD',
+      });
     });
 
     it('should throw error for invalid Identify XML', async () => {
@@ -50,6 +77,53 @@ describe('XmlArticleProcessor', () => {
     });
   });
 
+  describe('parseListSetsXml', () => {
+    it('should parse sets from ListSets XML', async () => {
+      const xmlData = `<?xml version="1.0" encoding="UTF-8"?>
+        <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+          <ListSets>
+            <set>
+              <setSpec>journalA</setSpec>
+              <setName>Journal A</setName>
+            </set>
+            <set>
+              <setSpec>journalA:ART</setSpec>
+              <setName>Articles</setName>
+            </set>
+          </ListSets>
+        </OAI-PMH>`;
+
+      const result = await processor.parseListSetsXml(xmlData, 'test-journal');
+
+      expect(result).toEqual([
+        {
+          journalKey: 'test-journal',
+          type: 'ListSets',
+          setSpec: 'journalA',
+          setName: 'Journal A',
+        },
+        {
+          journalKey: 'test-journal',
+          type: 'ListSets',
+          setSpec: 'journalA:ART',
+          setName: 'Articles',
+        },
+      ]);
+    });
+
+    it('should return empty array when the repository has no sets', async () => {
+      const xmlData = '<OAI-PMH><ListSets></ListSets></OAI-PMH>';
+
+      await expect(processor.parseListSetsXml(xmlData, 'test-journal')).resolves.toEqual([]);
+    });
+
+    it('should throw error for invalid ListSets XML', async () => {
+      await expect(processor.parseListSetsXml('<invalid>', 'test-journal')).rejects.toThrow(
+        'Failed to parse ListSets XML'
+      );
+    });
+  });
+
   describe('parseListRecordsXml', () => {
     it('should parse valid ListRecords XML with single record', async () => {
       const listRecordsXml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -85,14 +159,14 @@ describe('XmlArticleProcessor', () => {
 
       expect(articles).toHaveLength(1);
       expect(articles[0]).toMatchObject({
-        journal_key: 'test-journal-key',
+        journalKey: 'test-journal-key',
         type: 'ListRecords',
         title: 'Test Article Title',
-        title_lang: 'en-US',
+        titleLang: 'en-US',
         creator: 'John Doe',
         subjects: ['Computer Science'],
         description: 'This is a test article description',
-        description_lang: 'en-US',
+        descriptionLang: 'en-US',
         publisher: 'Test Publisher',
         date: '2024-01-15',
         types: ['article', 'publishedVersion'],
@@ -101,7 +175,7 @@ describe('XmlArticleProcessor', () => {
         language: 'en',
         datestamp: '2024-01-15',
       });
-      expect(articles[0].created_at).toBeDefined();
+      expect(articles[0].createdAt).toBeDefined();
     });
 
     it('should parse valid ListRecords XML with multiple records', async () => {
@@ -141,10 +215,38 @@ describe('XmlArticleProcessor', () => {
 
       expect(articles).toHaveLength(2);
       expect(articles[0].title).toBe('First Article');
-      expect(articles[0].journal_key).toBe('test-journal-key');
+      expect(articles[0].journalKey).toBe('test-journal-key');
       expect(articles[0].type).toBe('ListRecords');
       expect(articles[1].title).toBe('Second Article');
-      expect(articles[1].journal_key).toBe('test-journal-key');
+      expect(articles[1].journalKey).toBe('test-journal-key');
+    });
+
+    it('should return tombstones for records with a deleted header', async () => {
+      const listRecordsXml = `<?xml version="1.0" encoding="UTF-8"?>
+        <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+          <ListRecords>
+            <record>
+              <header status="deleted">
+                <identifier>oai:example.com:article-1</identifier>
+                <datestamp>2024-02-01</datestamp>
+              </header>
+            </record>
+          </ListRecords>
+        </OAI-PMH>`;
+
+      const articles = await processor.parseListRecordsXml(listRecordsXml, 'test-journal-key');
+
+      expect(articles).toEqual([
+        {
+          journalKey: 'test-journal-key',
+          createdAt: expect.any(String),
+          type: 'ListRecords',
+          deleted: true,
+          identifier: 'oai:example.com:article-1',
+          oaiIdentifier: 'oai:example.com:article-1',
+          datestamp: '2024-02-01',
+        },
+      ]);
     });
 
     it('should return empty array for ListRecords without records', async () => {
@@ -171,6 +273,374 @@ describe('XmlArticleProcessor', () => {
     });
   });
 
+  describe('parseGetRecordXml', () => {
+    it('should parse a GetRecord response into an article', async () => {
+      const xmlData = `<?xml version="1.0" encoding="UTF-8"?>
+        <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+          <GetRecord>
+            <record>
+              <header>
+                <identifier>oai:example.com:article/1</identifier>
+                <datestamp>2024-05-01</datestamp>
+              </header>
+              <metadata>
+                <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+                  <dc:title>Corrected Title</dc:title>
+                </oai_dc:dc>
+              </metadata>
+            </record>
+          </GetRecord>
+        </OAI-PMH>`;
+
+      const result = await processor.parseGetRecordXml(xmlData, 'test-journal');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          journalKey: 'test-journal',
+          identifier: 'oai:example.com:article/1',
+          datestamp: '2024-05-01',
+          title: 'Corrected Title',
+          metadataFormat: 'oai_dc',
+        })
+      );
+    });
+
+    it('should throw error for invalid GetRecord XML', async () => {
+      await expect(processor.parseGetRecordXml('<OAI-PMH><Identify/></OAI-PMH>')).rejects.toThrow(
+        'Failed to parse GetRecord XML'
+      );
+    });
+  });
+
+  describe('parseListMetadataFormatsXml', () => {
+    it('should parse advertised metadata formats', async () => {
+      const xmlData = `<?xml version="1.0" encoding="UTF-8"?>
+        <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+          <ListMetadataFormats>
+            <metadataFormat>
+              <metadataPrefix>oai_dc</metadataPrefix>
+              <schema>http://www.openarchives.org/OAI/2.0/oai_dc.xsd</schema>
+              <metadataNamespace>http://www.openarchives.org/OAI/2.0/oai_dc/</metadataNamespace>
+            </metadataFormat>
+            <metadataFormat>
+              <metadataPrefix>jats</metadataPrefix>
+            </metadataFormat>
+          </ListMetadataFormats>
+        </OAI-PMH>`;
+
+      const result = await processor.parseListMetadataFormatsXml(xmlData);
+
+      expect(result).toEqual([
+        {
+          metadataPrefix: 'oai_dc',
+          schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+          metadataNamespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/',
+        },
+        { metadataPrefix: 'jats' },
+      ]);
+    });
+
+    it('should throw error for invalid ListMetadataFormats XML', async () => {
+      await expect(
+        processor.parseListMetadataFormatsXml('<OAI-PMH><Identify/></OAI-PMH>')
+      ).rejects.toThrow('Failed to parse ListMetadataFormats XML');
+    });
+  });
+
+  describe('selectMetadataPrefix', () => {
+    const formats = [
+      { metadataPrefix: 'oai_dc' },
+      { metadataPrefix: 'oai_marc' },
+      { metadataPrefix: 'mods' },
+      { metadataPrefix: 'rfc1807' },
+    ];
+
+    afterEach(() => {
+      delete process.env.OAI_METADATA_PREFIX_PREFERENCE;
+    });
+
+    it('should pick the richest supported format', () => {
+      expect(processor.selectMetadataPrefix(formats)).toBe('mods');
+    });
+
+    it('should follow the configured preference order', () => {
+      process.env.OAI_METADATA_PREFIX_PREFERENCE = 'oai_marc, unknown, oai_dc';
+      const configuredProcessor = new XmlArticleProcessor();
+
+      expect(configuredProcessor.selectMetadataPrefix(formats)).toBe('oai_marc');
+    });
+
+    it('should use the requested prefix when given', () => {
+      expect(processor.selectMetadataPrefix(formats, 'oai_dc')).toBe('oai_dc');
+      expect(processor.selectMetadataPrefix(null, 'jats')).toBe('jats');
+    });
+
+    it('should fall back to oai_dc when formats are unknown', () => {
+      expect(processor.selectMetadataPrefix(null)).toBe('oai_dc');
+      expect(processor.selectMetadataPrefix([{ metadataPrefix: 'rfc1807' }])).toBe('oai_dc');
+    });
+  });
+
+  describe('metadata format parsers', () => {
+    const wrapRecord = metadataXml => `<?xml version="1.0" encoding="UTF-8"?>
+      <OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+        <ListRecords>
+          <record>
+            <header>
+              <identifier>oai:example.com:article-1</identifier>
+              <datestamp>2024-01-15T10:00:00Z</datestamp>
+            </header>
+            <metadata>${metadataXml}</metadata>
+          </record>
+        </ListRecords>
+      </OAI-PMH>`;
+
+    it('should parse JATS records with affiliations, ORCIDs, pages and references', async () => {
+      const xmlData = wrapRecord(`
+        <article xmlns="https://jats.nlm.nih.gov/publishing/1.1/"
+                 xmlns:xlink="http://www.w3.org/1999/xlink" xml:lang="en" article-type="research-article">
+          <front>
+            <journal-meta>
+              <journal-title-group><journal-title>Journal of Tests</journal-title></journal-title-group>
+              <issn pub-type="epub">1234-5678</issn>
+              <publisher><publisher-name>Test Press</publisher-name></publisher>
+            </journal-meta>
+            <article-meta>
+              <article-id pub-id-type="doi">10.1234/jot.1</article-id>
+              <title-group><article-title xml:lang="en">A JATS Article</article-title></title-group>
+              <contrib-group content-type="author">
+                <contrib contrib-type="author">
+                  <contrib-id contrib-id-type="orcid">https://orcid.org/0000-0002-1825-0097</contrib-id>
+                  <name><surname>Doe</surname><given-names>Jane</given-names></name>
+                  <aff>University of Testing</aff>
+                </contrib>
+                <contrib contrib-type="author">
+                  <name><surname>Roe</surname><given-names>Rick</given-names></name>
+                  <xref ref-type="aff" rid="aff-2"/>
+                </contrib>
+                <aff id="aff-2"><institution>Institute of Examples</institution></aff>
+              </contrib-group>
+              <pub-date date-type="pub" publication-format="epub">
+                <day>5</day><month>3</month><year>2024</year>
+              </pub-date>
+              <volume>12</volume>
+              <issue>2</issue>
+              <fpage>101</fpage>
+              <lpage>115</lpage>
+              <self-uri xlink:href="https://example.com/article/view/1"/>
+              <abstract xml:lang="en"><p>First paragraph.</p><p>Second paragraph.</p></abstract>
+              <kwd-group xml:lang="en"><kwd>testing</kwd><kwd>jats</kwd></kwd-group>
+            </article-meta>
+          </front>
+          <back>
+            <ref-list>
+              <ref id="R1"><mixed-citation>Smith J. Earlier work. 2020.</mixed-citation></ref>
+              <ref id="R2"><mixed-citation>Brown K. Other work. 2021.</mixed-citation></ref>
+            </ref-list>
+          </back>
+        </article>`);
+
+      const [article] = await processor.parseListRecordsXml(xmlData, 'test-journal', 'jats');
+
+      expect(article).toMatchObject({
+        journalKey: 'test-journal',
+        metadataFormat: 'jats',
+        title: 'A JATS Article',
+        titleLang: 'en',
+        creator: 'Doe, Jane',
+        authors: [
+          {
+            name: 'Doe, Jane',
+            givenName: 'Jane',
+            familyName: 'Doe',
+            affiliation: 'University of Testing',
+            orcid: '0000-0002-1825-0097',
+          },
+          {
+            name: 'Roe, Rick',
+            givenName: 'Rick',
+            familyName: 'Roe',
+            affiliation: 'Institute of Examples',
+          },
+        ],
+        subjects: ['testing', 'jats'],
+        description: 'First paragraph.\n\nSecond paragraph.',
+        descriptionLang: 'en',
+        publisher: 'Test Press',
+        date: '2024-03-05',
+        types: ['research-article'],
+        identifier: 'https://example.com/article/view/1',
+        doi: '10.1234/jot.1',
+        sources: ['Journal of Tests', '1234-5678'],
+        language: 'en',
+        volume: '12',
+        issue: '2',
+        firstPage: '101',
+        lastPage: '115',
+        references: ['Smith J. Earlier work. 2020.', 'Brown K. Other work. 2021.'],
+        datestamp: '2024-01-15T10:00:00Z',
+      });
+    });
+
+    it('should parse MODS records', async () => {
+      const xmlData = wrapRecord(`
+        <mods:mods xmlns:mods="http://www.loc.gov/mods/v3">
+          <mods:titleInfo><mods:title xml:lang="en">A MODS Article</mods:title></mods:titleInfo>
+          <mods:name type="personal">
+            <mods:namePart type="given">Jane</mods:namePart>
+            <mods:namePart type="family">Doe</mods:namePart>
+            <mods:affiliation>University of Testing</mods:affiliation>
+            <mods:nameIdentifier type="orcid">0000-0002-1825-0097</mods:nameIdentifier>
+            <mods:role><mods:roleTerm type="code">aut</mods:roleTerm></mods:role>
+          </mods:name>
+          <mods:name type="personal">
+            <mods:namePart>Editor Person</mods:namePart>
+            <mods:role><mods:roleTerm type="code">edt</mods:roleTerm></mods:role>
+          </mods:name>
+          <mods:abstract xml:lang="en">MODS abstract</mods:abstract>
+          <mods:subject><mods:topic>modsing</mods:topic></mods:subject>
+          <mods:originInfo>
+            <mods:publisher>Test Press</mods:publisher>
+            <mods:dateIssued>2024-03-05</mods:dateIssued>
+          </mods:originInfo>
+          <mods:genre>article</mods:genre>
+          <mods:identifier type="doi">10.1234/jot.2</mods:identifier>
+          <mods:identifier type="uri">https://example.com/article/view/2</mods:identifier>
+          <mods:language><mods:languageTerm type="code">eng</mods:languageTerm></mods:language>
+          <mods:relatedItem type="host">
+            <mods:titleInfo><mods:title>Journal of Tests</mods:title></mods:titleInfo>
+            <mods:part>
+              <mods:detail type="volume"><mods:number>12</mods:number></mods:detail>
+              <mods:detail type="issue"><mods:number>2</mods:number></mods:detail>
+              <mods:extent unit="page"><mods:start>7</mods:start><mods:end>19</mods:end></mods:extent>
+            </mods:part>
+          </mods:relatedItem>
+        </mods:mods>`);
+
+      const [article] = await processor.parseListRecordsXml(xmlData, 'test-journal', 'mods');
+
+      expect(article).toMatchObject({
+        metadataFormat: 'mods',
+        title: 'A MODS Article',
+        titleLang: 'en',
+        creator: 'Doe, Jane',
+        authors: [
+          {
+            name: 'Doe, Jane',
+            givenName: 'Jane',
+            familyName: 'Doe',
+            affiliation: 'University of Testing',
+            orcid: '0000-0002-1825-0097',
+          },
+        ],
+        subjects: ['modsing'],
+        description: 'MODS abstract',
+        publisher: 'Test Press',
+        date: '2024-03-05',
+        types: ['article'],
+        identifier: 'https://example.com/article/view/2',
+        doi: '10.1234/jot.2',
+        sources: ['Journal of Tests'],
+        language: 'eng',
+        volume: '12',
+        issue: '2',
+        firstPage: '7',
+        lastPage: '19',
+      });
+    });
+
+    it('should parse oai_marc records', async () => {
+      const xmlData = wrapRecord(`
+        <oai_marc xmlns="http://www.openarchives.org/OAI/1.1/oai_marc" status="c" type="a" level="m">
+          <varfield id="024" i1="7" i2=" ">
+            <subfield label="a">10.1234/jot.3</subfield>
+            <subfield label="2">doi</subfield>
+          </varfield>
+          <varfield id="245" i1="0" i2="0"><subfield label="a">A MARC Article</subfield></varfield>
+          <varfield id="720" i1=" " i2=" ">
+            <subfield label="a">Doe, Jane</subfield>
+            <subfield label="u">University of Testing</subfield>
+            <subfield label="0">https://orcid.org/0000-0002-1825-0097</subfield>
+            <subfield label="e">author</subfield>
+          </varfield>
+          <varfield id="520" i1=" " i2=" "><subfield label="a">MARC abstract</subfield></varfield>
+          <varfield id="260" i1=" " i2=" ">
+            <subfield label="b">Test Press</subfield>
+            <subfield label="c">2024-03-05</subfield>
+          </varfield>
+          <varfield id="653" i1=" " i2=" "><subfield label="a">marc</subfield></varfield>
+          <varfield id="856" i1=" " i2="0">
+            <subfield label="q">text/html</subfield>
+            <subfield label="u">https://example.com/article/view/3</subfield>
+          </varfield>
+          <varfield id="546" i1=" " i2=" "><subfield label="a">en</subfield></varfield>
+        </oai_marc>`);
+
+      const [article] = await processor.parseListRecordsXml(xmlData, 'test-journal', 'oai_marc');
+
+      expect(article).toMatchObject({
+        metadataFormat: 'oai_marc',
+        title: 'A MARC Article',
+        creator: 'Doe, Jane',
+        authors: [
+          {
+            name: 'Doe, Jane',
+            affiliation: 'University of Testing',
+            orcid: '0000-0002-1825-0097',
+          },
+        ],
+        subjects: ['marc'],
+        description: 'MARC abstract',
+        publisher: 'Test Press',
+        date: '2024-03-05',
+        format: 'text/html',
+        identifier: 'https://example.com/article/view/3',
+        doi: '10.1234/jot.3',
+        language: 'en',
+      });
+    });
+
+    it('should parse oai_dcterms records', async () => {
+      const xmlData = wrapRecord(`
+        <dcterms:dcterms xmlns:dcterms="http://purl.org/dc/terms/">
+          <dcterms:title xml:lang="en">A DCTerms Article</dcterms:title>
+          <dcterms:creator>Doe, Jane</dcterms:creator>
+          <dcterms:creator>Roe, Rick</dcterms:creator>
+          <dcterms:abstract xml:lang="en">DCTerms abstract</dcterms:abstract>
+          <dcterms:issued>2024-03-05</dcterms:issued>
+          <dcterms:identifier>https://example.com/article/view/4</dcterms:identifier>
+          <dcterms:bibliographicCitation>Journal of Tests; Vol 12 No 2</dcterms:bibliographicCitation>
+          <dcterms:references>Smith J. Earlier work. 2020.</dcterms:references>
+        </dcterms:dcterms>`);
+
+      const [article] = await processor.parseListRecordsXml(xmlData, 'test-journal', 'oai_dcterms');
+
+      expect(article).toMatchObject({
+        metadataFormat: 'oai_dcterms',
+        title: 'A DCTerms Article',
+        creator: 'Doe, Jane',
+        authors: [{ name: 'Doe, Jane' }, { name: 'Roe, Rick' }],
+        description: 'DCTerms abstract',
+        descriptionLang: 'en',
+        date: '2024-03-05',
+        identifier: 'https://example.com/article/view/4',
+        sources: ['Journal of Tests; Vol 12 No 2'],
+        references: ['Smith J. Earlier work. 2020.'],
+      });
+    });
+
+    it('should fall back to Dublin Core for unknown metadata formats', () => {
+      const record = {
+        header: { identifier: 'oai:test:1' },
+        metadata: { 'oai_dc:dc': { 'dc:title': 'Fallback Title' } },
+      };
+
+      const article = processor.parseIndividualRecord(record, 1, 'test-journal', 'rfc1807');
+
+      expect(article).toMatchObject({ title: 'Fallback Title', metadataFormat: 'rfc1807' });
+    });
+  });
+
   describe('parseIndividualRecord', () => {
     it('should parse record with all Dublin Core fields', () => {
       const record = {
@@ -198,24 +668,25 @@ describe('XmlArticleProcessor', () => {
       const article = processor.parseIndividualRecord(record, 1, 'test-journal-key');
 
       expect(article).toMatchObject({
-        journal_key: 'test-journal-key',
+        journalKey: 'test-journal-key',
         type: 'ListRecords',
         identifier: 'https://test.com/article/123',
+        oaiIdentifier: 'oai:test:123',
         datestamp: '2024-01-15',
         setSpec: 'article',
         title: 'Test Title',
-        title_lang: 'en-US',
+        titleLang: 'en-US',
         creator: 'Author One',
         subjects: ['Subject 1', 'Subject 2'],
         description: 'Test description',
-        description_lang: 'en-US',
+        descriptionLang: 'en-US',
         publisher: 'Test Publisher',
         date: '2024-01-15',
         types: ['article', 'publishedVersion'],
         sources: ['Test Journal'],
         language: 'en',
       });
-      expect(article.created_at).toBeDefined();
+      expect(article.createdAt).toBeDefined();
     });
 
     it('should handle missing metadata gracefully', () => {
@@ -229,11 +700,35 @@ describe('XmlArticleProcessor', () => {
       const article = processor.parseIndividualRecord(record, 1, 'test-journal-key');
 
       expect(article).toMatchObject({
-        journal_key: 'test-journal-key',
+        journalKey: 'test-journal-key',
         type: 'ListRecords',
         identifier: 'oai:test:123',
       });
-      expect(article.created_at).toBeDefined();
+      expect(article.createdAt).toBeDefined();
+    });
+
+    it('should return a tombstone for a deleted record', () => {
+      const record = {
+        header: {
+          status: 'deleted',
+          identifier: 'oai:test:123',
+          datestamp: '2024-02-01',
+          setSpec: 'article',
+        },
+      };
+
+      const article = processor.parseIndividualRecord(record, 1, 'test-journal-key');
+
+      expect(article).toEqual({
+        journalKey: 'test-journal-key',
+        createdAt: expect.any(String),
+        type: 'ListRecords',
+        deleted: true,
+        identifier: 'oai:test:123',
+        oaiIdentifier: 'oai:test:123',
+        datestamp: '2024-02-01',
+        setSpec: 'article',
+      });
     });
 
     it('should handle parse errors gracefully', () => {
@@ -242,13 +737,13 @@ describe('XmlArticleProcessor', () => {
       const article = processor.parseIndividualRecord(invalidRecord, 1, 'test-journal-key');
 
       expect(article).toMatchObject({
-        journal_key: 'test-journal-key',
+        journalKey: 'test-journal-key',
         type: 'ListRecords',
         recordIndex: 1,
         status: 'parse_error',
       });
       expect(article.error).toBeDefined();
-      expect(article.created_at).toBeDefined();
+      expect(article.createdAt).toBeDefined();
     });
   });
 
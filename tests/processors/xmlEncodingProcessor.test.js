@@ -0,0 +1,229 @@
+const { XmlEncodingProcessor } = require('../../src/processors/xmlEncodingProcessor');
+
+describe('XmlEncodingProcessor', () => {
+  let processor;
+
+  const xml = (encoding, body) =>
+    `<?xml version="1.0" encoding="${encoding}"?><OAI-PMH><title>${body}</title></OAI-PMH>`;
+
+  beforeEach(() => {
+    processor = new XmlEncodingProcessor();
+  });
+
+  describe('decode', () => {
+    it('should decode UTF-8 without repairs', () => {
+      const content = xml('UTF-8', 'Schöne Grüße');
+
+      const { text, encoding } = processor.decode(Buffer.from(content, 'utf8'));
+
+      expect(text).toBe(content);
+      expect(encoding).toEqual({
+        encoding: 'utf-8',
+        source: 'declaration',
+        declaredEncoding: 'UTF-8',
+        headerEncoding: null,
+        repairs: [],
+        repaired: false,
+        invalidCharactersRemoved: 0,
+      });
+    });
+
+    it('should transcode the encoding named in the XML declaration', () => {
+      const content = xml('ISO-8859-1', 'Café');
+
+      const { text, encoding } = processor.decode(Buffer.from(content, 'latin1'));
+
+      expect(text).toBe(content);
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          encoding: 'windows-1252',
+          source: 'declaration',
+          repairs: ['transcoded-to-utf-8'],
+        })
+      );
+    });
+
+    it('should prefer the XML declaration over the Content-Type header', () => {
+      const content = xml('ISO-8859-1', 'Café');
+
+      const { encoding } = processor.decode(
+        Buffer.from(content, 'latin1'),
+        'text/xml; charset=UTF-8'
+      );
+
+      expect(encoding).toEqual(
+        expect.objectContaining({ source: 'declaration', headerEncoding: 'UTF-8' })
+      );
+    });
+
+    it('should use the Content-Type charset without an XML declaration', () => {
+      const { text, encoding } = processor.decode(
+        Buffer.from('<title>Café</title>', 'latin1'),
+        'application/xml; charset="iso-8859-1"'
+      );
+
+      expect(text).toBe('<title>Café</title>');
+      expect(encoding).toEqual(
+        expect.objectContaining({ encoding: 'windows-1252', source: 'header' })
+      );
+    });
+
+    it('should correct Windows-1252 content declared as UTF-8', () => {
+      // "Café – ok" with the Windows-1252 bytes for é (0xE9) and the en dash (0x96)
+      const body = Buffer.concat([
+        Buffer.from(xml('UTF-8', 'Caf').split('</title>')[0], 'ascii'),
+        Buffer.from([0xe9, 0x20, 0x96]),
+        Buffer.from(' ok</title></OAI-PMH>', 'ascii'),
+      ]);
+
+      const { text, encoding } = processor.decode(body);
+
+      expect(text).toBe(xml('UTF-8', 'Café – ok'));
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          encoding: 'windows-1252',
+          source: 'heuristic',
+          declaredEncoding: 'UTF-8',
+          repairs: ['encoding-corrected', 'transcoded-to-utf-8'],
+          repaired: true,
+        })
+      );
+    });
+
+    it('should correct UTF-8 content declared as ISO-8859-1', () => {
+      const content = xml('ISO-8859-1', 'Schöne Grüße');
+
+      const { text, encoding } = processor.decode(Buffer.from(content, 'utf8'));
+
+      expect(text).toBe(content);
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          encoding: 'utf-8',
+          source: 'heuristic',
+          repairs: ['encoding-corrected'],
+        })
+      );
+    });
+
+    it('should remove a byte order mark', () => {
+      const content = xml('UTF-16', 'Café');
+      const body = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(content, 'utf16le')]);
+
+      const { text, encoding } = processor.decode(body);
+
+      expect(text).toBe(content);
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          encoding: 'utf-16le',
+          source: 'bom',
+          repairs: ['bom-removed', 'transcoded-to-utf-8'],
+        })
+      );
+    });
+
+    it('should remove characters that are not allowed in XML', () => {
+      const { text, encoding } = processor.decode(
+        Buffer.from('<title>Bad\u0000 \u0008control\u001F chars\uFFFF</title>', 'utf8')
+      );
+
+      expect(text).toBe('<title>Bad control chars</title>');
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          repairs: ['invalid-xml-characters-removed'],
+          repaired: true,
+          invalidCharactersRemoved: 4,
+        })
+      );
+    });
+
+    it('should remove lone surrogates and keep characters outside the Basic Multilingual Plane', () => {
+      const { text, removed } = processor.removeInvalidXmlChars(
+        '\uD835\uDC9C tab\tline\nlone \uD800high \uDC00low \uFFFE\u007F\uFFFD'
+      );
+
+      expect(text).toBe('\uD835\uDC9C tab\tline\nlone high low \u007F\uFFFD');
+      expect(removed).toBe(3);
+    });
+
+    it('should return clean text unchanged', () => {
+      const clean = '<title>Schöne Grüße 𝒜</title>';
+
+      expect(processor.removeInvalidXmlChars(clean)).toEqual({ text: clean, removed: 0 });
+    });
+
+    it('should ignore unsupported encoding labels', () => {
+      const { text, encoding } = processor.decode(Buffer.from(xml('x-unknown', 'plain'), 'ascii'));
+
+      expect(text).toBe(xml('x-unknown', 'plain'));
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          encoding: 'utf-8',
+          repairs: ['unsupported-encoding-ignored'],
+        })
+      );
+    });
+
+    it('should only clean content that is already decoded', () => {
+      const { text, encoding } = processor.decode('\uFEFF<title>ok\u0001</title>');
+
+      expect(text).toBe('<title>ok</title>');
+      expect(encoding).toEqual(
+        expect.objectContaining({
+          source: 'decoded',
+          repairs: ['bom-removed', 'invalid-xml-characters-removed'],
+        })
+      );
+    });
+  });
+
+  describe('createStreamDecoder', () => {
+    it('should decide the encoding once enough bytes were read', () => {
+      const content = xml('UTF-8', 'Café '.repeat(20000));
+      const bytes = Buffer.from(content, 'latin1');
+      const decoder = processor.createStreamDecoder();
+
+      let text = '';
+      for (let offset = 0; offset < bytes.length; offset += 1000) {
+        text += decoder.write(bytes.subarray(offset, offset + 1000));
+      }
+      text += decoder.end();
+
+      expect(text).toBe(content);
+      expect(decoder.getEncodingInfo()).toEqual(
+        expect.objectContaining({ encoding: 'windows-1252', source: 'heuristic' })
+      );
+    });
+
+    it('should keep the encoding decided from the first SNIFF_BYTES bytes', () => {
+      const content = xml('UTF-8', `${'Grüße '.repeat(10000)}Café`);
+      const bytes = Buffer.concat([
+        Buffer.from(content.split('Café')[0], 'utf8'),
+        Buffer.from(`Café${content.split('Café')[1]}`, 'latin1'),
+      ]);
+      const decoder = processor.createStreamDecoder();
+
+      const text = decoder.write(bytes.subarray(0, 70000)) + decoder.write(bytes.subarray(70000));
+      const rest = decoder.end();
+
+      expect(text + rest).toContain('Caf\uFFFD</title>');
+      expect(decoder.getEncodingInfo()).toEqual(
+        expect.objectContaining({ encoding: 'utf-8', source: 'declaration', repaired: false })
+      );
+    });
+
+    it('should decode multi-byte characters split across chunks', () => {
+      const content = xml('UTF-8', 'Grüße');
+      const bytes = Buffer.from(content, 'utf8');
+      const decoder = processor.createStreamDecoder();
+
+      let text = '';
+      for (let offset = 0; offset < bytes.length; offset += 3) {
+        text += decoder.write(bytes.subarray(offset, offset + 3));
+      }
+      text += decoder.end();
+
+      expect(text).toBe(content);
+      expect(decoder.getEncodingInfo().repaired).toBe(false);
+    });
+  });
+});
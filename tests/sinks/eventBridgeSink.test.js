@@ -0,0 +1,85 @@
+const { EventBridgeSink } = require('../../src/sinks/eventBridgeSink');
+
+// Mock AWS SDK v3
+jest.mock('@aws-sdk/client-eventbridge');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+
+describe('EventBridgeSink', () => {
+  const message = {
+    journalKey: 'test-journal',
+    messageType: 'HarvestStarted',
+    source: 'scraping-service',
+    runId: 'run-1',
+    timestamp: '2024-01-01T00:00:00.000Z',
+  };
+
+  let mockEventBridgeClient;
+
+  beforeEach(() => {
+    mockEventBridgeClient = {
+      send: jest.fn().mockImplementation(async params => ({
+        FailedEntryCount: 0,
+        Entries: params.Entries.map((entry, index) => ({ EventId: `event-${index}` })),
+      })),
+    };
+    EventBridgeClient.mockImplementation(() => mockEventBridgeClient);
+    PutEventsCommand.mockImplementation(params => params);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.EVENTBRIDGE_BUS_NAME;
+    delete process.env.EVENTBRIDGE_SOURCE;
+  });
+
+  it('should put each message as an event typed by its message type', async () => {
+    process.env.EVENTBRIDGE_BUS_NAME = 'analytics';
+    const sink = new EventBridgeSink();
+
+    const messageId = await sink.sendMessage(message);
+
+    expect(messageId).toBe('event-0');
+    const [entry] = PutEventsCommand.mock.calls[0][0].Entries;
+    expect(entry).toEqual({
+      EventBusName: 'analytics',
+      Source: 'scraping-service',
+      DetailType: 'HarvestStarted',
+      Detail: expect.any(String),
+      Time: new Date('2024-01-01T00:00:00.000Z'),
+    });
+    expect(JSON.parse(entry.Detail)).toEqual(expect.objectContaining(message));
+  });
+
+  it('should use the default bus and a configurable source', async () => {
+    process.env.EVENTBRIDGE_SOURCE = 'journals.harvester';
+    const sink = new EventBridgeSink();
+
+    await sink.sendMessages(Array.from({ length: 11 }, () => message));
+
+    expect(mockEventBridgeClient.send).toHaveBeenCalledTimes(2);
+    expect(PutEventsCommand.mock.calls[0][0].Entries[0]).toEqual(
+      expect.objectContaining({ EventBusName: 'default', Source: 'journals.harvester' })
+    );
+  });
+
+  it('should report failed entries and failed calls', async () => {
+    const sink = new EventBridgeSink();
+    mockEventBridgeClient.send
+      .mockResolvedValueOnce({
+        FailedEntryCount: 1,
+        Entries: [{ EventId: 'event-0' }, { ErrorCode: 'ThrottlingException', ErrorMessage: 'x' }],
+      })
+      .mockRejectedValueOnce(Object.assign(new Error('Bus not found'), { name: 'NotFound' }));
+
+    const results = await sink.sendMessages([message, message]);
+    const [failedCall] = await sink.sendMessages([message]);
+
+    expect(results.map(result => result.errorCode)).toEqual([null, 'ThrottlingException']);
+    expect(failedCall).toEqual({
+      success: false,
+      messageId: null,
+      errorCode: 'NotFound',
+      errorMessage: 'Bus not found',
+    });
+  });
+});
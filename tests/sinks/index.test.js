@@ -0,0 +1,126 @@
+const { createOutputSink, getOutputSinkNames, SqsSink, FanOutSink } = require('../../src/sinks');
+
+// Mock AWS SDK v3
+jest.mock('@aws-sdk/client-sqs');
+jest.mock('@aws-sdk/client-eventbridge');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+
+describe('createOutputSink', () => {
+  const message = {
+    journalKey: 'test-journal',
+    messageType: 'HarvestStarted',
+    source: 'scraping-service',
+    runId: 'run-1',
+  };
+
+  let mockSqsProcessor;
+
+  beforeEach(() => {
+    mockSqsProcessor = {
+      integrationQueueUrl: process.env.SQS_INTEGRATION_QUEUE_URL,
+      sendMessage: jest.fn().mockResolvedValue('sqs-id'),
+      sendMessages: jest
+        .fn()
+        .mockImplementation(async messages =>
+          messages.map(() => ({ success: true, messageId: 'sqs-id' }))
+        ),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.OUTPUT_SINKS;
+  });
+
+  it('should publish to the integration queue by default', async () => {
+    const sink = createOutputSink({ sqsProcessor: mockSqsProcessor });
+
+    expect(getOutputSinkNames()).toEqual(['sqs']);
+    expect(sink).toBeInstanceOf(SqsSink);
+    await expect(sink.sendMessage(message)).resolves.toBe('sqs-id');
+    expect(mockSqsProcessor.sendMessage).toHaveBeenCalledWith(message);
+  });
+
+  it('should throw for an unsupported sink', () => {
+    process.env.OUTPUT_SINKS = 'sqs, ftp';
+
+    expect(() => createOutputSink({ sqsProcessor: mockSqsProcessor })).toThrow(
+      'Unsupported output sink in OUTPUT_SINKS: ftp'
+    );
+  });
+
+  describe('fan-out', () => {
+    let mockEventBridgeClient;
+
+    beforeEach(() => {
+      process.env.OUTPUT_SINKS = 'sqs,EventBridge,sqs';
+      mockEventBridgeClient = {
+        send: jest.fn().mockImplementation(async params => ({
+          Entries: params.Entries.map(() => ({ EventId: 'event-id' })),
+        })),
+      };
+      EventBridgeClient.mockImplementation(() => mockEventBridgeClient);
+      PutEventsCommand.mockImplementation(params => params);
+    });
+
+    it('should send every message to each configured sink under one messageId', async () => {
+      const sink = createOutputSink({ sqsProcessor: mockSqsProcessor });
+
+      const results = await sink.sendMessages([message]);
+
+      expect(sink).toBeInstanceOf(FanOutSink);
+      expect(sink.name).toBe('sqs+eventbridge');
+      const [[sqsMessage]] = mockSqsProcessor.sendMessages.mock.calls[0];
+      const eventMessage = JSON.parse(
+        mockEventBridgeClient.send.mock.calls[0][0].Entries[0].Detail
+      );
+      expect(eventMessage.messageId).toBe(sqsMessage.messageId);
+      expect(results).toEqual([
+        { success: true, messageId: sqsMessage.messageId, errorCode: null, errorMessage: null },
+      ]);
+    });
+
+    it('should fail a message when one of the sinks failed', async () => {
+      mockEventBridgeClient.send.mockRejectedValue(new Error('Bus not found'));
+      const sink = createOutputSink({ sqsProcessor: mockSqsProcessor });
+
+      await expect(sink.sendMessage(message)).rejects.toThrow('eventbridge: Bus not found');
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalled();
+    });
+
+    it('should list the failed sinks and resend only to them', async () => {
+      mockEventBridgeClient.send.mockRejectedValueOnce(
+        Object.assign(new Error('Bus not found'), { name: 'ResourceNotFoundException' })
+      );
+      const sink = createOutputSink({ sqsProcessor: mockSqsProcessor });
+
+      const [result] = await sink.sendMessages([message]);
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          failures: [
+            {
+              sink: 'eventbridge',
+              errorCode: 'ResourceNotFoundException',
+              errorMessage: 'Bus not found',
+            },
+          ],
+        })
+      );
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledTimes(1);
+
+      const replayed = await sink.sendMessages([message, message], {
+        sinkNames: [result.failures.map(failure => failure.sink), null],
+      });
+
+      expect(replayed).toEqual([
+        expect.objectContaining({ success: true }),
+        expect.objectContaining({ success: true }),
+      ]);
+      expect(mockSqsProcessor.sendMessages).toHaveBeenCalledTimes(2);
+      expect(mockSqsProcessor.sendMessages.mock.calls[1][0]).toHaveLength(1);
+      expect(mockEventBridgeClient.send.mock.calls[1][0].Entries).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { KinesisSink } = require('../../src/sinks/kinesisSink');
+
+// Mock AWS SDK v3
+jest.mock('@aws-sdk/client-kinesis');
+const { KinesisClient, PutRecordsCommand } = require('@aws-sdk/client-kinesis');
+
+describe('KinesisSink', () => {
+  const message = {
+    journalKey: 'test-journal',
+    messageType: 'HarvestStarted',
+    source: 'scraping-service',
+    runId: 'run-1',
+  };
+
+  let mockKinesisClient;
+
+  beforeEach(() => {
+    mockKinesisClient = {
+      send: jest.fn().mockImplementation(async params => ({
+        FailedRecordCount: 0,
+        Records: params.Records.map((record, index) => ({
+          SequenceNumber: `seq-${index}`,
+          ShardId: 'shardId-000000000000',
+        })),
+      })),
+    };
+    KinesisClient.mockImplementation(() => mockKinesisClient);
+    PutRecordsCommand.mockImplementation(params => params);
+    process.env.KINESIS_STREAM_NAME = 'articles';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.KINESIS_STREAM_NAME;
+  });
+
+  it('should throw without a stream', () => {
+    delete process.env.KINESIS_STREAM_NAME;
+
+    expect(() => new KinesisSink()).toThrow('KINESIS_STREAM_NAME environment variable is required');
+  });
+
+  it('should put the records of a journal under its partition key', async () => {
+    const sink = new KinesisSink();
+
+    const results = await sink.sendMessages([message, { ...message, journalKey: 'other' }]);
+
+    expect(results.map(result => result.messageId)).toEqual(['seq-0', 'seq-1']);
+    const params = PutRecordsCommand.mock.calls[0][0];
+    expect(params.StreamName).toBe('articles');
+    expect(params.Records.map(record => record.PartitionKey)).toEqual(['test-journal', 'other']);
+    expect(JSON.parse(params.Records[0].Data.toString())).toEqual(expect.objectContaining(message));
+  });
+
+  it('should report the records Kinesis rejected', async () => {
+    const sink = new KinesisSink();
+    mockKinesisClient.send.mockResolvedValueOnce({
+      FailedRecordCount: 1,
+      Records: [{ ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Slow down' }],
+    });
+
+    await expect(sink.sendMessage(message)).rejects.toMatchObject({
+      message: 'Slow down',
+      errorCode: 'ProvisionedThroughputExceededException',
+    });
+  });
+});
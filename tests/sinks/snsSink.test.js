@@ -0,0 +1,95 @@
+const { SnsSink } = require('../../src/sinks/snsSink');
+
+// Mock AWS SDK v3
+jest.mock('@aws-sdk/client-sns');
+const { SNSClient, PublishBatchCommand } = require('@aws-sdk/client-sns');
+
+describe('SnsSink', () => {
+  const topicArn = 'arn:aws:sns:us-east-1:123456789012:articles';
+  const createMessage = index => ({
+    journalKey: 'test-journal',
+    messageType: 'HarvestStarted',
+    source: 'scraping-service',
+    runId: `run-${index}`,
+  });
+
+  let mockSNSClient;
+
+  beforeEach(() => {
+    mockSNSClient = {
+      send: jest.fn().mockImplementation(async params => ({
+        Successful: params.PublishBatchRequestEntries.map(entry => ({
+          Id: entry.Id,
+          MessageId: `sns-${entry.Id}`,
+        })),
+      })),
+    };
+    SNSClient.mockImplementation(() => mockSNSClient);
+    PublishBatchCommand.mockImplementation(params => params);
+    process.env.SNS_TOPIC_ARN = topicArn;
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.SNS_TOPIC_ARN;
+  });
+
+  it('should throw without a topic', () => {
+    delete process.env.SNS_TOPIC_ARN;
+
+    expect(() => new SnsSink()).toThrow('SNS_TOPIC_ARN environment variable is required');
+  });
+
+  it('should publish in batches of 10 with filterable attributes', async () => {
+    const sink = new SnsSink();
+
+    const results = await sink.sendMessages(Array.from({ length: 12 }, (_, i) => createMessage(i)));
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(mockSNSClient.send).toHaveBeenCalledTimes(2);
+    const [entry] = PublishBatchCommand.mock.calls[0][0].PublishBatchRequestEntries;
+    expect(PublishBatchCommand.mock.calls[0][0].TopicArn).toBe(topicArn);
+    expect(JSON.parse(entry.Message)).toEqual(
+      expect.objectContaining({ runId: 'run-0', type: 'HarvestStarted' })
+    );
+    expect(entry.MessageAttributes.journalKey.StringValue).toBe('test-journal');
+    expect(entry).not.toHaveProperty('MessageGroupId');
+  });
+
+  it('should report the entries SNS rejected', async () => {
+    const sink = new SnsSink();
+    mockSNSClient.send.mockResolvedValueOnce({
+      Successful: [{ Id: '0', MessageId: 'sns-0' }],
+      Failed: [{ Id: '1', Code: 'InternalError', Message: 'Try again' }],
+    });
+
+    const results = await sink.sendMessages([createMessage(1), createMessage(2)]);
+
+    expect(results).toEqual([
+      { success: true, messageId: 'sns-0', errorCode: null, errorMessage: null },
+      { success: false, messageId: null, errorCode: 'InternalError', errorMessage: 'Try again' },
+    ]);
+  });
+
+  it('should group the messages of a FIFO topic by journal', async () => {
+    process.env.SNS_TOPIC_ARN = `${topicArn}.fifo`;
+    const sink = new SnsSink();
+
+    await sink.sendMessage(createMessage(1));
+
+    const [entry] = PublishBatchCommand.mock.calls[0][0].PublishBatchRequestEntries;
+    expect(entry.MessageGroupId).toBe('test-journal');
+    expect(entry.MessageDeduplicationId).toBe(JSON.parse(entry.Message).messageId);
+  });
+
+  it('should fail messages above the SNS size limit without publishing them', async () => {
+    const sink = new SnsSink();
+
+    const [result] = await sink.sendMessages([
+      { ...createMessage(1), notes: 'x'.repeat(300 * 1024) },
+    ]);
+
+    expect(result.errorCode).toBe('MESSAGE_TOO_LARGE');
+    expect(mockSNSClient.send).not.toHaveBeenCalled();
+  });
+});
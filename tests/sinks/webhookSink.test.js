@@ -0,0 +1,106 @@
+const http = require('http');
+const { createHmac } = require('crypto');
+const { WebhookSink } = require('../../src/sinks/webhookSink');
+
+// The sink is tested against a local HTTP server instead of the axios mock
+jest.unmock('axios');
+
+describe('WebhookSink', () => {
+  const message = {
+    journalKey: 'test-journal',
+    oaiUrl: 'https://example.com/oai',
+    messageType: 'HarvestStarted',
+    source: 'scraping-service',
+    runId: 'run-1',
+  };
+
+  let server;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = response => response.writeHead(204).end();
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => (body += chunk));
+      request.on('end', () => {
+        requests.push({ headers: request.headers, body });
+        respond(response);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/articles`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.WEBHOOK_URL;
+    delete process.env.WEBHOOK_SECRET;
+  });
+
+  it('should throw without a webhook URL', () => {
+    delete process.env.WEBHOOK_URL;
+
+    expect(() => new WebhookSink()).toThrow('WEBHOOK_URL environment variable is required');
+  });
+
+  it('should POST each message with its envelope', async () => {
+    const sink = new WebhookSink();
+
+    const results = await sink.sendMessages([message, { ...message, runId: 'run-2' }]);
+
+    expect(results.map(result => result.success)).toEqual([true, true]);
+    expect(requests).toHaveLength(2);
+    const body = JSON.parse(requests[0].body);
+    expect(body).toEqual(
+      expect.objectContaining({ ...message, schemaVersion: '1.4', type: 'HarvestStarted' })
+    );
+    expect(results[0].messageId).toBe(body.messageId);
+    expect(requests[0].headers).toEqual(
+      expect.objectContaining({
+        'content-type': 'application/json',
+        'x-message-id': body.messageId,
+        'x-message-type': 'HarvestStarted',
+      })
+    );
+    expect(requests[0].headers).not.toHaveProperty('x-signature-256');
+  });
+
+  it('should sign the body with the webhook secret', async () => {
+    process.env.WEBHOOK_SECRET = 'shared-secret';
+    const sink = new WebhookSink();
+
+    await sink.sendMessage(message);
+
+    const [{ headers, body }] = requests;
+    const expected = createHmac('sha256', 'shared-secret').update(body).digest('hex');
+    expect(headers['x-signature-256']).toBe(`sha256=${expected}`);
+  });
+
+  it('should report non-2xx responses as failures', async () => {
+    respond = response => response.writeHead(503).end('Unavailable');
+    const sink = new WebhookSink();
+
+    const [result] = await sink.sendMessages([message]);
+
+    expect(result).toEqual({
+      success: false,
+      messageId: null,
+      errorCode: 'WEBHOOK_HTTP_503',
+      errorMessage: expect.stringContaining('Failed to POST message to webhook'),
+    });
+    await expect(sink.sendMessage(message)).rejects.toMatchObject({
+      errorCode: 'WEBHOOK_HTTP_503',
+    });
+  });
+
+  it('should not POST messages that do not match their schema', async () => {
+    const sink = new WebhookSink();
+
+    const [result] = await sink.sendMessages([{ ...message, journalKey: undefined }]);
+
+    expect(result.errorCode).toBe('MESSAGE_SCHEMA_INVALID');
+    expect(requests).toHaveLength(0);
+  });
+});